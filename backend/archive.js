@@ -0,0 +1,265 @@
+// archive.js
+/**
+ * Portable archives of festival years: backups, moving years between staging and
+ * production (Mongo + storage), and handing a year to partner organisations.
+ *
+ * Zip layout:
+ *  manifest.json              { format, version, exportedAt, storage, years: [...] }
+ *  years/<year>/content.json  the Content document (draft and published copy)
+ *  years/<year>/assets.json   [{ file, public_id, url, resourceType, missing, excluded }]
+ *  years/<year>/assets/<file> the image / video files downloaded from storage
+ *
+ * Import uploads the files through the configured storage driver and rewrites every
+ * `{ url, public_id }` pair, and bare URL strings such as videoLink, in content.json.
+ * Image sizes (variants / placeholder) are not archived: import builds them again.
+ *
+ * Archives are built and read in memory, so video files are left out unless asked for
+ * (`includeVideos`): they are listed with `excluded: true` and keep their URL on import.
+ * readArchive checks the sizes the zip declares before inflating anything (`maxEntryBytes`,
+ * `maxTotalBytes`), so a small upload can't inflate into gigabytes.
+ */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const FORMAT = 'filmfest-archive';
+const VERSION = 1;
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.mkv', '.avi', '.m4v'];
+// derived from an image by the storage driver, replaced together with it
+const SIZE_FIELDS = ['width', 'height', 'placeholder', 'variants'];
+
+// video files (e.g. uploaded festival videos) by their extension, everything else is an image
+function resourceTypeOf(url) {
+  try {
+    return VIDEO_EXTENSIONS.includes(path.extname(new URL(url).pathname).toLowerCase()) ? 'video' : 'image';
+  } catch (e) {
+    return 'image';
+  }
+}
+
+const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v)
+  && !(v instanceof Date) && !Buffer.isBuffer(v) && v._bsontype === undefined;
+
+// Every stored asset ({ public_id, url }) referenced anywhere inside a value, deduplicated.
+// With `ownsUrl`, bare URL strings served by our storage (e.g. an uploaded videoLink) count too.
+function collectAssets(value, { ownsUrl } = {}, found = new Map()) {
+  if (Array.isArray(value)) {
+    value.forEach(v => collectAssets(v, { ownsUrl }, found));
+  } else if (isPlainObject(value)) {
+    if (typeof value.public_id === 'string' && value.public_id && !found.has(value.public_id)) {
+      found.set(value.public_id, { public_id: value.public_id, url: value.url, resourceType: value.resourceType || resourceTypeOf(value.url) });
+    }
+    Object.entries(value)
+      .filter(([k]) => !SIZE_FIELDS.includes(k))
+      .forEach(([, v]) => collectAssets(v, { ownsUrl }, found));
+  } else if (typeof value === 'string' && ownsUrl && ownsUrl(value)) {
+    const known = [...found.values()].some(a => a.url === value);
+    if (!known && !found.has(value)) found.set(value, { public_id: null, url: value, resourceType: resourceTypeOf(value) });
+  }
+  return [...found.values()];
+}
+
+// file name inside the zip for the n-th asset of a year
+function assetFileName(asset, index) {
+  const source = asset.public_id || new URL(asset.url).pathname;
+  const base = path.basename(source).replace(/[^a-zA-Z0-9._-]/g, '_');
+  let ext = '';
+  try {
+    ext = path.extname(new URL(asset.url).pathname);
+  } catch (e) {
+    // no usable url: keep the name without extension
+  }
+  return `${String(index).padStart(4, '0')}-${path.basename(base, ext)}${ext}`;
+}
+
+async function downloadAsset(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Build a zip of the given Content docs -> { buffer, manifest }
+ * Assets that cannot be downloaded are listed with `missing: true` and keep their old URL on import.
+ */
+async function exportArchive(docs, { storageName, ownsUrl, includeVideos = false, download = downloadAsset } = {}) {
+  const zip = new AdmZip();
+  const warnings = [];
+  const years = [];
+
+  for (const doc of docs) {
+    const content = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const dir = `years/${content.year}`;
+    const assets = collectAssets([content, content.published], { ownsUrl });
+    const entries = [];
+
+    for (const [index, asset] of assets.entries()) {
+      const entry = { ...asset, file: assetFileName(asset, index) };
+      if (asset.resourceType === 'video' && !includeVideos) {
+        entries.push({ ...entry, excluded: true });
+        continue;
+      }
+      try {
+        zip.addFile(`${dir}/assets/${entry.file}`, await download(asset.url));
+      } catch (err) {
+        entry.missing = true;
+        warnings.push(`${content.year}: could not download ${asset.url} (${err.message})`);
+      }
+      entries.push(entry);
+    }
+
+    zip.addFile(`${dir}/content.json`, Buffer.from(JSON.stringify(content, null, 2)));
+    zip.addFile(`${dir}/assets.json`, Buffer.from(JSON.stringify(entries, null, 2)));
+    years.push({
+      year: content.year,
+      assets: entries.length,
+      missing: entries.filter(e => e.missing).length,
+      excluded: entries.filter(e => e.excluded).length,
+    });
+  }
+
+  const manifest = { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), storage: storageName, includeVideos, years, warnings };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+const invalid = (message, status = 400) => Object.assign(new Error(message), { status });
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Parse an archive (Buffer or path) -> { manifest, years: [{ year, content, assets, readAsset(entry) }] }
+ * Throws an Error with a `status` (400, or 413 past the size limits) for anything that isn't a
+ * well-formed archive, before any of it is used: every year's content.json must be for that year.
+ */
+function readArchive(source, { maxEntryBytes = Infinity, maxTotalBytes = Infinity } = {}) {
+  let zip;
+  try {
+    zip = new AdmZip(source);
+  } catch (err) {
+    throw invalid('Not a valid zip archive');
+  }
+  // adm-zip inflates an entry into a buffer of its declared size, so checking those is enough
+  let total = 0;
+  for (const entry of zip.getEntries()) {
+    if (entry.header.size > maxEntryBytes) throw invalid(`${entry.entryName} is too large once unpacked`, 413);
+    total += entry.header.size;
+  }
+  if (total > maxTotalBytes) throw invalid('The archive is too large once unpacked', 413);
+
+  const readJson = (name) => {
+    const entry = zip.getEntry(name);
+    if (!entry) throw invalid(`Archive is missing ${name}`);
+    try {
+      return JSON.parse(entry.getData().toString('utf8'));
+    } catch (err) {
+      throw invalid(`${name} is damaged (${err.message})`);
+    }
+  };
+
+  const manifest = readJson('manifest.json');
+  if (!isObject(manifest) || manifest.format !== FORMAT) throw invalid('Not a festival archive');
+  if (manifest.version > VERSION) throw invalid(`Archive version ${manifest.version} is newer than this server supports`);
+  if (!Array.isArray(manifest.years) || !manifest.years.every(y => isObject(y) && Number.isInteger(y.year))) {
+    throw invalid('manifest.json has no valid list of years');
+  }
+  const listed = manifest.years.map(y => y.year);
+  if (new Set(listed).size !== listed.length) throw invalid('manifest.json lists a year twice');
+
+  const years = manifest.years.map(({ year }) => {
+    const dir = `years/${year}`;
+    const content = readJson(`${dir}/content.json`);
+    const assets = readJson(`${dir}/assets.json`);
+    if (!isObject(content) || content.year !== year) throw invalid(`${dir}/content.json is not the content of ${year}`);
+    if (!Array.isArray(assets) || !assets.every(isObject)) throw invalid(`${dir}/assets.json is not a list of assets`);
+    return {
+      year,
+      content,
+      assets,
+      readAsset: (entry) => {
+        const file = zip.getEntry(`${dir}/assets/${entry.file}`);
+        return file ? file.getData() : null;
+      },
+    };
+  });
+  return { manifest, years };
+}
+
+// Replace old asset references with new ones: `{ public_id, url }` objects by public_id, bare strings by URL
+function rewriteAssets(value, byPublicId, byUrl) {
+  if (Array.isArray(value)) return value.map(v => rewriteAssets(v, byPublicId, byUrl));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = rewriteAssets(v, byPublicId, byUrl);
+    const replacement = typeof value.public_id === 'string' && byPublicId.get(value.public_id);
+    if (replacement) {
+      out.public_id = replacement.public_id;
+      if ('url' in value) out.url = replacement.url;
+      if ('url' in value && (replacement.variants || 'variants' in value)) {
+        SIZE_FIELDS.forEach((k) => { out[k] = replacement[k]; });
+      }
+    }
+    return out;
+  }
+  if (typeof value === 'string' && byUrl.has(value)) return byUrl.get(value).url;
+  return value;
+}
+
+// Remove files an import uploaded when the year could not be saved (errors are logged, not thrown)
+async function discardUploads(storage, stored) {
+  for (const asset of stored) {
+    try {
+      await storage.destroy(asset.public_id, { resourceType: asset.resourceType || 'image' });
+    } catch (err) {
+      console.warn('Archive import: could not remove', asset.public_id, err.message);
+    }
+  }
+}
+
+/**
+ * Upload one archived year's assets through `storage` and return its content with rewritten
+ * references -> { content, stored, uploaded, skipped, excluded }. `folderFor(asset)` picks the storage folder.
+ * If an upload fails the files already uploaded are removed; once the content is saved
+ * elsewhere, the caller passes `stored` to discardUploads when that fails.
+ */
+async function importYear(entry, { storage, folderFor }) {
+  const byPublicId = new Map();
+  const byUrl = new Map();
+  const stored = [];
+  let skipped = 0;
+  let excluded = 0;
+
+  try {
+    for (const asset of entry.assets) {
+      if (asset.excluded) {
+        excluded += 1;
+        continue;
+      }
+      const data = asset.missing ? null : entry.readAsset(asset);
+      if (!data) {
+        skipped += 1;
+        continue;
+      }
+      const result = await storage.upload(data, {
+        folder: folderFor(asset),
+        resourceType: asset.resourceType || 'image',
+        filename: asset.file,
+        publicId: `${Date.now()}-${path.parse(asset.file).name}`,
+      });
+      stored.push(result);
+      if (result.resourceType === 'image' && storage.imageVariants) {
+        Object.assign(result, await storage.imageVariants(result).catch(() => ({})));
+      }
+      if (asset.public_id) byPublicId.set(asset.public_id, result);
+      if (asset.url) byUrl.set(asset.url, result);
+    }
+  } catch (err) {
+    await discardUploads(storage, stored);
+    throw err;
+  }
+
+  // ids and timestamps belong to the database the archive came from
+  const { _id, __v, createdAt, updatedAt, ...content } = entry.content;
+  return { content: rewriteAssets(content, byPublicId, byUrl), stored, uploaded: stored.length, skipped, excluded };
+}
+
+module.exports = { collectAssets, exportArchive, readArchive, importYear, discardUploads, rewriteAssets };
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { collectAssets, exportArchive, readArchive, importYear, rewriteAssets } = require('./archive');
+
+const STORAGE = 'https://cdn.example.com/';
+const ownsUrl = (url) => url.startsWith(STORAGE);
+
+const poster = { public_id: 'fest/2024/poster', url: `${STORAGE}fest/2024/poster.jpg`, width: 800, height: 1200, variants: [{ width: 400, url: `${STORAGE}fest/2024/poster-400.jpg` }] };
+const photo = { public_id: 'fest/2024/photo-1', url: `${STORAGE}fest/2024/photo-1.png` };
+const uploadedVideo = `${STORAGE}fest/2024/videos/opening.mp4`;
+
+const year2024 = () => ({
+  _id: 'abc',
+  year: 2024,
+  updatedAt: '2024-06-01T00:00:00.000Z',
+  poster,
+  photos: [photo, { ...photo }],
+  videos: [
+    { title: 'Opening', videoLink: uploadedVideo },
+    { title: 'Trailer', videoLink: 'https://www.youtube.com/embed/dQw4w9WgXcQ' },
+  ],
+  published: { year: 2024, poster, photos: [photo] },
+});
+
+test('collectAssets finds each stored asset once, skipping the size variants', () => {
+  const assets = collectAssets(year2024(), { ownsUrl });
+  assert.deepEqual(assets, [
+    { public_id: 'fest/2024/poster', url: poster.url, resourceType: 'image' },
+    { public_id: 'fest/2024/photo-1', url: photo.url, resourceType: 'image' },
+    { public_id: null, url: uploadedVideo, resourceType: 'video' },
+  ]);
+});
+
+test('without ownsUrl, bare URL strings are not assets', () => {
+  assert.deepEqual(collectAssets(year2024()).map(a => a.public_id), ['fest/2024/poster', 'fest/2024/photo-1']);
+});
+
+test('rewriteAssets swaps references by public_id and bare URLs, and replaces the image sizes', () => {
+  const stored = { public_id: 'new/poster', url: 'https://new.example.com/poster.jpg', width: 640, height: 960, placeholder: 'data:x', variants: [] };
+  const byPublicId = new Map([['fest/2024/poster', stored]]);
+  const byUrl = new Map([[uploadedVideo, { url: 'https://new.example.com/opening.mp4' }]]);
+
+  const out = rewriteAssets(year2024(), byPublicId, byUrl);
+  assert.deepEqual(out.poster, stored);
+  assert.deepEqual(out.published.poster, stored);
+  assert.deepEqual(out.photos[0], photo);
+  assert.equal(out.videos[0].videoLink, 'https://new.example.com/opening.mp4');
+  assert.equal(out.videos[1].videoLink, 'https://www.youtube.com/embed/dQw4w9WgXcQ');
+});
+
+test('rewriteAssets leaves a bare { public_id } without adding a url', () => {
+  const byPublicId = new Map([['fest/2024/photo-1', { public_id: 'new/photo', url: 'https://new.example.com/photo.png' }]]);
+  assert.deepEqual(rewriteAssets({ ref: { public_id: 'fest/2024/photo-1' } }, byPublicId, new Map()), { ref: { public_id: 'new/photo' } });
+});
+
+test('export leaves videos out by default, and import keeps their links', async () => {
+  const downloaded = [];
+  const download = async (url) => {
+    downloaded.push(url);
+    if (url === photo.url) throw new Error('HTTP 404');
+    return Buffer.from(`bytes of ${url}`);
+  };
+  const { buffer, manifest } = await exportArchive([year2024()], { storageName: 'test', ownsUrl, download });
+
+  assert.deepEqual(downloaded, [poster.url, photo.url]);
+  assert.equal(manifest.includeVideos, false);
+  assert.deepEqual(manifest.years, [{ year: 2024, assets: 3, missing: 1, excluded: 1 }]);
+  assert.equal(manifest.warnings.length, 1);
+
+  const { years: [entry] } = readArchive(buffer);
+  assert.equal(entry.year, 2024);
+  assert.equal(entry.readAsset(entry.assets[0]).toString(), `bytes of ${poster.url}`);
+
+  const uploads = [];
+  const storage = {
+    upload: async (data, { filename, resourceType }) => {
+      uploads.push(filename);
+      return { public_id: `imported/${filename}`, url: `https://new.example.com/${filename}`, resourceType };
+    },
+  };
+  const result = await importYear(entry, { storage, folderFor: () => 'fest/2024' });
+
+  assert.deepEqual({ uploaded: result.uploaded, skipped: result.skipped, excluded: result.excluded }, { uploaded: 1, skipped: 1, excluded: 1 });
+  assert.equal(uploads.length, 1);
+  assert.equal(result.content._id, undefined);
+  assert.equal(result.content.updatedAt, undefined);
+  assert.equal(result.content.poster.url, `https://new.example.com/${uploads[0]}`);
+  assert.equal(result.content.photos[0].url, photo.url);
+  assert.equal(result.content.videos[0].videoLink, uploadedVideo);
+});
+
+test('includeVideos puts the video files in the archive', async () => {
+  const { manifest } = await exportArchive([year2024()], { ownsUrl, includeVideos: true, download: async () => Buffer.from('x') });
+  assert.deepEqual(manifest.years, [{ year: 2024, assets: 3, missing: 0, excluded: 0 }]);
+});
+
+// a zip with the given files (objects are written as JSON)
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(JSON.stringify(data)));
+  return zip.toBuffer();
+}
+const manifestOf = (years) => ({ format: 'filmfest-archive', version: 1, years });
+const rejectsWith = (status, pattern) => (err) => err.status === status && pattern.test(err.message);
+
+test('readArchive rejects anything that is not a festival archive', () => {
+  assert.throws(() => readArchive(Buffer.from('not a zip')), rejectsWith(400, /zip/));
+  assert.throws(() => readArchive(zipOf({ 'manifest.json': { format: 'other' } })), rejectsWith(400, /festival archive/));
+  assert.throws(() => readArchive(zipOf({ 'manifest.json': manifestOf(undefined) })), rejectsWith(400, /years/));
+  assert.throws(() => readArchive(zipOf({ 'manifest.json': manifestOf([{ year: '2024' }]) })), rejectsWith(400, /years/));
+  assert.throws(() => readArchive(zipOf({ 'manifest.json': Buffer.from('{') })), rejectsWith(400, /damaged/));
+});
+
+test('readArchive checks that each year holds the content of that year', () => {
+  const files = { 'manifest.json': manifestOf([{ year: 2024 }]), 'years/2024/content.json': { year: 2023 }, 'years/2024/assets.json': [] };
+  assert.throws(() => readArchive(zipOf(files)), rejectsWith(400, /not the content of 2024/));
+  files['years/2024/content.json'] = { year: 2024 };
+  assert.equal(readArchive(zipOf(files)).years[0].content.year, 2024);
+  files['manifest.json'] = manifestOf([{ year: 2024 }, { year: 2024 }]);
+  assert.throws(() => readArchive(zipOf(files)), rejectsWith(400, /twice/));
+});
+
+test('readArchive refuses archives that unpack past the limits, before inflating them', () => {
+  const files = {
+    'manifest.json': manifestOf([{ year: 2024 }]),
+    'years/2024/content.json': { year: 2024 },
+    'years/2024/assets.json': [],
+    'years/2024/assets/0000-big.png': Buffer.alloc(64 * 1024),
+  };
+  assert.throws(() => readArchive(zipOf(files), { maxEntryBytes: 32 * 1024 }), rejectsWith(413, /0000-big\.png/));
+  assert.throws(() => readArchive(zipOf(files), { maxTotalBytes: 32 * 1024 }), rejectsWith(413, /unpacked/));
+  assert.ok(readArchive(zipOf(files), { maxEntryBytes: 64 * 1024, maxTotalBytes: 128 * 1024 }));
+});
+
+test('a failed upload removes the files the import already uploaded', async () => {
+  const assets = [0, 1, 2].map(i => ({ public_id: `fest/2024/p${i}`, url: `${STORAGE}fest/2024/p${i}.png`, resourceType: 'image', file: `000${i}-p${i}.png` }));
+  const entry = { year: 2024, content: { year: 2024 }, assets, readAsset: () => Buffer.from('x') };
+  const destroyed = [];
+  const storage = {
+    upload: async (data, { filename }) => {
+      if (filename.startsWith('0002')) throw new Error('storage is full');
+      return { public_id: `imported/${filename}`, url: `https://new.example.com/${filename}`, resourceType: 'image' };
+    },
+    destroy: async (publicId) => { destroyed.push(publicId); },
+  };
+  await assert.rejects(importYear(entry, { storage, folderFor: () => 'fest/2024' }), /storage is full/);
+  assert.deepEqual(destroyed, ['imported/0000-p0.png', 'imported/0001-p1.png']);
+});
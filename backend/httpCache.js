@@ -0,0 +1,114 @@
+// httpCache.js
+/**
+ * HTTP caching for the public content routes.
+ *
+ *  - ETag / Last-Modified from the content's `updatedAt`, so browsers and proxies
+ *    revalidate with If-None-Match / If-Modified-Since and get a 304 back
+ *  - Cache-Control: short max-age, then revalidation
+ *  - ResponseCache: in-process map of serialized responses, so repeated requests
+ *    (ceremony night) don't reach Mongo. Any successful admin write clears it (see invalidateOnWrite).
+ *
+ * Entries also expire at the next scheduled publishAt, when the public output changes
+ * without any write to the database.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  ttlMs: 10 * 60 * 1000,
+  maxEntries: 500,
+  maxAge: 60, // seconds browsers may reuse a response without revalidating
+};
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.entries = new Map();
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    // re-insert: Map order doubles as least-recently-used order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Cache key from a path and only the query params the route understands, in a fixed order
+function cacheKey(path, query = {}, params = []) {
+  const parts = params
+    .filter(p => query[p] !== undefined && query[p] !== '')
+    .map(p => `${p}=${String(query[p])}`);
+  return parts.length ? `${path}?${parts.join('&')}` : path;
+}
+
+// ETag: the content's last change plus a hash of the body (different fields / pages of one year differ)
+function buildEntry({ status = 200, body, lastModified, expiresAt }, { ttlMs, maxAge }, now = Date.now()) {
+  const json = JSON.stringify(body);
+  const hash = crypto.createHash('sha1').update(json).digest('base64url').slice(0, 16);
+  const modified = lastModified ? new Date(lastModified) : null;
+  const expires = Math.min(now + ttlMs, expiresAt ? new Date(expiresAt).getTime() : Infinity);
+  return {
+    status,
+    json,
+    etag: `W/"${modified ? modified.getTime().toString(36) : '0'}-${hash}"`,
+    lastModified: modified,
+    expiresAt: expires,
+    maxAge: Math.max(0, Math.min(maxAge, Math.floor((expires - now) / 1000))),
+  };
+}
+
+/**
+ * Answer a GET from the cache, calling `load()` on a miss.
+ * `load()` resolves to { status?, body, lastModified?, expiresAt? }; errors propagate to the caller.
+ */
+async function sendCached(req, res, cache, key, load) {
+  let entry = cache.get(key);
+  if (!entry) {
+    entry = buildEntry(await load(), cache.options);
+    cache.set(key, entry);
+  }
+
+  res.set('Cache-Control', `public, max-age=${entry.maxAge}, must-revalidate`);
+  if (entry.status !== 200) return res.status(entry.status).type('json').send(entry.json);
+
+  res.set('ETag', entry.etag);
+  if (entry.lastModified) res.set('Last-Modified', entry.lastModified.toUTCString());
+  // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(entry.json);
+}
+
+// Middleware: clear the cache after every request that changed data, i.e. a write that
+// succeeded (2xx) and that `isContentWrite(req)` accepts, checked once the request is done
+// (after auth ran). Failed or anonymous writes (bad logins, 401/403/400s) leave the cache alone.
+function invalidateOnWrite(cache, { isContentWrite = req => !!req.user } = {}) {
+  return (req, res, next) => {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300 && isContentWrite(req)) cache.clear();
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { ResponseCache, cacheKey, sendCached, invalidateOnWrite };
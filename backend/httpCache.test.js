@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { ResponseCache, cacheKey, sendCached, invalidateOnWrite } = require('./httpCache');
+
+// just enough of express' req / res for the helpers
+function fakeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    sent: undefined,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    send(body) { this.sent = body; return this; },
+    end() { this.sent = null; return this; },
+  });
+  return res;
+}
+
+test('cache keys keep only the known query params, in a fixed order', () => {
+  assert.equal(cacheKey('/api/content/2024', { page: '2', junk: 'x', fields: 'awards' }, ['fields', 'page']), '/api/content/2024?fields=awards&page=2');
+  assert.equal(cacheKey('/api/content/2024', { page: '' }, ['page']), '/api/content/2024');
+});
+
+test('entries expire and the oldest are dropped past maxEntries', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.set('a', { expiresAt: 100 });
+  cache.set('b', { expiresAt: 1000 });
+  assert.equal(cache.get('a', 200), null);
+  cache.set('c', { expiresAt: 1000 });
+  cache.set('d', { expiresAt: 1000 });
+  assert.equal(cache.get('b', 0), null);
+  assert.ok(cache.get('d', 0));
+});
+
+test('sendCached loads once, then answers from the cache and with 304s', async () => {
+  const cache = new ResponseCache();
+  let loads = 0;
+  const load = async () => { loads += 1; return { body: { year: 2024 }, lastModified: new Date('2024-06-01T00:00:00Z') }; };
+
+  const first = fakeRes();
+  await sendCached({ fresh: false }, first, cache, 'k', load);
+  assert.equal(first.sent, '{"year":2024}');
+  assert.ok(first.headers.ETag);
+  assert.equal(first.headers['Last-Modified'], 'Sat, 01 Jun 2024 00:00:00 GMT');
+
+  const again = fakeRes();
+  await sendCached({ fresh: true }, again, cache, 'k', load);
+  assert.equal(again.statusCode, 304);
+  assert.equal(loads, 1);
+});
+
+test('error bodies are cached but sent without validators', async () => {
+  const cache = new ResponseCache();
+  const res = fakeRes();
+  await sendCached({ fresh: true }, res, cache, 'missing', async () => ({ status: 404, body: { message: 'Not found' } }));
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.headers.ETag, undefined);
+});
+
+test('entries expire at the next scheduled change', async () => {
+  const cache = new ResponseCache({ ttlMs: 60 * 60 * 1000 });
+  const expiresAt = new Date(Date.now() + 5000);
+  await sendCached({ fresh: false }, fakeRes(), cache, 'k', async () => ({ body: {}, expiresAt }));
+  assert.equal(cache.get('k').expiresAt, expiresAt.getTime());
+  assert.ok(cache.get('k').maxAge <= 5);
+});
+
+function finishWrite(middleware, req, statusCode) {
+  const res = fakeRes();
+  middleware(req, res, () => {});
+  res.statusCode = statusCode;
+  res.emit('finish');
+}
+
+test('invalidateOnWrite clears the cache after a successful signed-in write only', () => {
+  const cache = new ResponseCache();
+  const middleware = invalidateOnWrite(cache, { isContentWrite: req => !!req.user && !req.originalUrl.startsWith('/api/auth/') });
+  const fill = () => cache.set('k', { expiresAt: Infinity });
+
+  fill();
+  finishWrite(middleware, { method: 'POST', originalUrl: '/api/auth/login' }, 401);
+  finishWrite(middleware, { method: 'POST', originalUrl: '/api/auth/refresh', user: { email: 'a@b.c' } }, 200);
+  finishWrite(middleware, { method: 'PUT', originalUrl: '/api/content/2024', user: { email: 'a@b.c' } }, 403);
+  finishWrite(middleware, { method: 'PUT', originalUrl: '/api/content/2024' }, 200);
+  finishWrite(middleware, { method: 'GET', originalUrl: '/api/content/2024', user: { email: 'a@b.c' } }, 200);
+  assert.ok(cache.get('k'), 'cache kept');
+
+  finishWrite(middleware, { method: 'PUT', originalUrl: '/api/content/2024', user: { email: 'a@b.c' } }, 200);
+  assert.equal(cache.get('k'), null);
+});
@@ -0,0 +1,55 @@
+// legacyAwards.js
+/**
+ * Award categories from before placements: three fixed slots (winner, firstRunnerUp,
+ * secondRunnerUp) instead of an ordered `placements` list.
+ *
+ * Legacy slots can sit next to an empty `placements: []` (mongoose applies the default
+ * when it loads a legacy document, and saves it back into the published copy), so the
+ * slots decide, not the presence of `placements`.
+ */
+
+const LEGACY_PLACEMENTS = [
+  { role: 'winner', label: 'Winner' },
+  { role: 'firstRunnerUp', label: 'First Runner Up' },
+  { role: 'secondRunnerUp', label: 'Second Runner Up' },
+];
+
+const hasLegacySlots = (cat) => LEGACY_PLACEMENTS.some(({ role }) => cat[role] !== undefined);
+
+// legacy category -> { category, placements, ... } (same _ids); newer categories are returned as they are
+function upgradeLegacyCategory(cat) {
+  if (!cat || !hasLegacySlots(cat)) return cat;
+  const { winner, firstRunnerUp, secondRunnerUp, placements, ...rest } = cat;
+  // placements that were really filled in win over the slots left behind
+  if (Array.isArray(placements) && placements.length) return { ...rest, placements };
+  const slots = { winner, firstRunnerUp, secondRunnerUp };
+  return {
+    ...rest,
+    placements: LEGACY_PLACEMENTS.filter(({ role }) => slots[role]).map(({ role, label }) => {
+      const { position, ...person } = slots[role];
+      return { ...person, label };
+    }),
+  };
+}
+
+// a plain Content object (snapshot, archive, raw document) with its awards and published awards upgraded
+function upgradeLegacyAwards(data) {
+  if (!data) return data;
+  const upgraded = { ...data, awards: (data.awards || []).map(upgradeLegacyCategory) };
+  if (data.published && Array.isArray(data.published.awards)) {
+    upgraded.published = { ...data.published, awards: data.published.awards.map(upgradeLegacyCategory) };
+  }
+  return upgraded;
+}
+
+// raw collection query for the documents with legacy slots, in the draft or the published copy
+function legacyAwardsQuery() {
+  return {
+    $or: LEGACY_PLACEMENTS.flatMap(({ role }) => [
+      { [`awards.${role}`]: { $exists: true } },
+      { [`published.awards.${role}`]: { $exists: true } },
+    ]),
+  };
+}
+
+module.exports = { LEGACY_PLACEMENTS, upgradeLegacyCategory, upgradeLegacyAwards, legacyAwardsQuery };
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upgradeLegacyCategory, upgradeLegacyAwards, legacyAwardsQuery } = require('./legacyAwards');
+
+const legacyCategory = (extra = {}) => ({
+  _id: 'c1',
+  category: 'Best Documentary',
+  winner: { _id: 'p1', name: 'River', position: 1 },
+  firstRunnerUp: { _id: 'p2', name: 'Dust', position: 2 },
+  ...extra,
+});
+
+test('legacy slots become ordered placements, keeping their _ids', () => {
+  assert.deepEqual(upgradeLegacyCategory(legacyCategory()), {
+    _id: 'c1',
+    category: 'Best Documentary',
+    placements: [
+      { _id: 'p1', name: 'River', label: 'Winner' },
+      { _id: 'p2', name: 'Dust', label: 'First Runner Up' },
+    ],
+  });
+});
+
+test('legacy slots next to the default placements: [] are still converted', () => {
+  const upgraded = upgradeLegacyCategory(legacyCategory({ placements: [] }));
+  assert.deepEqual(upgraded.placements.map(p => p.label), ['Winner', 'First Runner Up']);
+  assert.equal(upgraded.winner, undefined);
+  assert.equal(upgraded.firstRunnerUp, undefined);
+});
+
+test('filled-in placements win over leftover slots', () => {
+  const placements = [{ _id: 'p9', name: 'Sea', label: 'Grand Prize' }];
+  assert.deepEqual(upgradeLegacyCategory(legacyCategory({ placements })), { _id: 'c1', category: 'Best Documentary', placements });
+});
+
+test('newer categories are returned as they are', () => {
+  const cat = { category: 'Best Short', placements: [] };
+  assert.equal(upgradeLegacyCategory(cat), cat);
+  assert.equal(upgradeLegacyCategory(null), null);
+});
+
+test('migrating a year published by migrateUnpublishedContent upgrades the draft and the published copy', () => {
+  // what a legacy year looks like after mongoose saved its published snapshot
+  const raw = {
+    year: 2019,
+    awards: [legacyCategory()],
+    published: { year: 2019, awards: [legacyCategory({ placements: [] })] },
+  };
+  const { awards, published } = upgradeLegacyAwards(raw);
+  assert.equal(awards[0].placements.length, 2);
+  assert.equal(published.awards[0].placements.length, 2);
+  assert.equal(published.awards[0].placements[0].name, 'River');
+});
+
+test('years without a published copy keep none', () => {
+  const upgraded = upgradeLegacyAwards({ year: 2018, awards: [legacyCategory()] });
+  assert.equal(upgraded.published, undefined);
+  assert.equal(upgraded.awards[0].placements.length, 2);
+});
+
+test('the migration query looks for every slot in the draft and the published copy', () => {
+  const paths = legacyAwardsQuery().$or.map(clause => Object.keys(clause)[0]);
+  assert.deepEqual(paths.sort(), [
+    'awards.firstRunnerUp', 'awards.secondRunnerUp', 'awards.winner',
+    'published.awards.firstRunnerUp', 'published.awards.secondRunnerUp', 'published.awards.winner',
+  ]);
+});
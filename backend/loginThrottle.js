@@ -0,0 +1,155 @@
+// loginThrottle.js
+/**
+ * Brute-force protection for the admin login.
+ *
+ * Failed logins are counted per key (we use `ip:<address>` and `account:<email>`).
+ *  - after `freeAttempts` failures every further attempt must wait an
+ *    exponentially growing delay (baseDelayMs, 2x, 4x ... capped at maxDelayMs)
+ *  - reaching the lockout threshold locks the key for `lockoutMs`
+ *  - counts reset after `windowMs` without failures, or on a successful login
+ *
+ * Two stores, neither needs Redis:
+ *  - MemoryAttemptStore: in-process Map (single instance, resets on restart)
+ *  - MongoAttemptStore:  a mongoose model, survives restarts and works across instances
+ */
+
+const DEFAULTS = {
+  windowMs: 15 * 60 * 1000,
+  freeAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  accountLockoutThreshold: 5,
+  ipLockoutThreshold: 20,
+  lockoutMs: 15 * 60 * 1000,
+};
+
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async list() {
+    return [...this.records.values()];
+  }
+
+  // drop records nobody has touched for a while so the Map doesn't grow forever
+  async prune(olderThan) {
+    for (const [key, record] of this.records) {
+      const lockedUntil = record.lockedUntil ? record.lockedUntil.getTime() : 0;
+      if (record.lastFailureAt.getTime() < olderThan && lockedUntil < Date.now()) this.records.delete(key);
+    }
+  }
+}
+
+class MongoAttemptStore {
+  // model needs: key (unique), failures, firstFailureAt, lastFailureAt, nextAttemptAt, lockedUntil, expiresAt
+  constructor(model) {
+    this.model = model;
+  }
+
+  async get(key) {
+    return this.model.findOne({ key }).lean();
+  }
+
+  async set(key, record) {
+    const { _id, __v, ...fields } = record;
+    await this.model.updateOne({ key }, { $set: { ...fields, key } }, { upsert: true });
+  }
+
+  async delete(key) {
+    await this.model.deleteOne({ key });
+  }
+
+  async list() {
+    return this.model.find({}).lean();
+  }
+
+  // expired records are removed by the model's TTL index on expiresAt
+  async prune() {}
+}
+
+function createLoginThrottle({ store = new MemoryAttemptStore(), ...options } = {}) {
+  const config = { ...DEFAULTS, ...options };
+
+  const thresholdFor = (key) => (key.startsWith('ip:') ? config.ipLockoutThreshold : config.accountLockoutThreshold);
+
+  function isStale(record, now) {
+    const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    return lockedUntil <= now && now - new Date(record.lastFailureAt).getTime() > config.windowMs;
+  }
+
+  // -> { allowed: true } | { allowed: false, reason: 'locked' | 'delay', key, retryAfterMs }
+  async function check(keys) {
+    const now = Date.now();
+    let blocked = null;
+    for (const key of keys) {
+      const record = await store.get(key);
+      if (!record || isStale(record, now)) continue;
+      const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+      const nextAttemptAt = record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0;
+      let result = null;
+      if (lockedUntil > now) result = { allowed: false, reason: 'locked', key, retryAfterMs: lockedUntil - now };
+      else if (nextAttemptAt > now) result = { allowed: false, reason: 'delay', key, retryAfterMs: nextAttemptAt - now };
+      if (result && (!blocked || result.retryAfterMs > blocked.retryAfterMs)) blocked = result;
+    }
+    return blocked || { allowed: true };
+  }
+
+  // -> array of keys that became locked by this failure: [{ key, failures, lockedUntil }]
+  async function recordFailure(keys) {
+    const now = Date.now();
+    const lockouts = [];
+    for (const key of keys) {
+      let record = await store.get(key);
+      if (!record || isStale(record, now)) {
+        record = { key, failures: 0, firstFailureAt: new Date(now) };
+      }
+      record.failures += 1;
+      record.lastFailureAt = new Date(now);
+
+      const overFree = record.failures - config.freeAttempts;
+      record.nextAttemptAt = overFree > 0
+        ? new Date(now + Math.min(config.baseDelayMs * 2 ** (overFree - 1), config.maxDelayMs))
+        : null;
+
+      const alreadyLocked = record.lockedUntil && new Date(record.lockedUntil).getTime() > now;
+      if (!alreadyLocked && record.failures >= thresholdFor(key)) {
+        record.lockedUntil = new Date(now + config.lockoutMs);
+        lockouts.push({ key, failures: record.failures, lockedUntil: record.lockedUntil });
+      }
+      record.expiresAt = new Date(Math.max(now + config.windowMs, record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0));
+      await store.set(key, record);
+    }
+    await store.prune(now - config.windowMs);
+    return lockouts;
+  }
+
+  async function recordSuccess(keys) {
+    for (const key of keys) await store.delete(key);
+  }
+
+  // currently locked keys, for the admin view
+  async function activeLocks() {
+    const now = Date.now();
+    const records = await store.list();
+    return records
+      .filter(r => r.lockedUntil && new Date(r.lockedUntil).getTime() > now)
+      .map(r => ({ key: r.key, failures: r.failures, lockedUntil: r.lockedUntil }));
+  }
+
+  return { check, recordFailure, recordSuccess, reset: recordSuccess, activeLocks, config };
+}
+
+module.exports = { createLoginThrottle, MemoryAttemptStore, MongoAttemptStore };
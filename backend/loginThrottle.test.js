@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle, MemoryAttemptStore } = require('./loginThrottle');
+
+const ACCOUNT = 'account:admin@example.com';
+const IP = 'ip:203.0.113.7';
+
+async function fail(throttle, keys, times) {
+  let lockouts = [];
+  for (let i = 0; i < times; i += 1) lockouts = lockouts.concat(await throttle.recordFailure(keys));
+  return lockouts;
+}
+
+test('the free attempts go through without a delay', async () => {
+  const throttle = createLoginThrottle();
+  await fail(throttle, [ACCOUNT], 3);
+  assert.deepEqual(await throttle.check([ACCOUNT]), { allowed: true });
+});
+
+test('each failure past the free attempts doubles the delay, up to the cap', async () => {
+  const store = new MemoryAttemptStore();
+  const throttle = createLoginThrottle({ store, baseDelayMs: 1000, maxDelayMs: 3000, accountLockoutThreshold: 100 });
+  const delayAfter = async () => {
+    await throttle.recordFailure([ACCOUNT]);
+    const record = await store.get(ACCOUNT);
+    return record.nextAttemptAt && record.nextAttemptAt.getTime() - record.lastFailureAt.getTime();
+  };
+
+  assert.deepEqual([await delayAfter(), await delayAfter(), await delayAfter()], [null, null, null]);
+  assert.deepEqual([await delayAfter(), await delayAfter(), await delayAfter()], [1000, 2000, 3000]);
+
+  const blocked = await throttle.check([ACCOUNT]);
+  assert.equal(blocked.reason, 'delay');
+  assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= 3000);
+});
+
+test('reaching the threshold locks the key once and reports it', async () => {
+  const throttle = createLoginThrottle({ accountLockoutThreshold: 5, lockoutMs: 60 * 1000 });
+  const lockouts = await fail(throttle, [ACCOUNT, IP], 6);
+
+  assert.deepEqual(lockouts.map(l => [l.key, l.failures]), [[ACCOUNT, 5]]);
+  const blocked = await throttle.check([IP, ACCOUNT]);
+  assert.equal(blocked.reason, 'locked');
+  assert.equal(blocked.key, ACCOUNT);
+  assert.ok(blocked.retryAfterMs > 30 * 1000);
+  assert.deepEqual((await throttle.activeLocks()).map(l => l.key), [ACCOUNT]);
+});
+
+test('ip keys have their own, higher threshold', async () => {
+  const throttle = createLoginThrottle({ ipLockoutThreshold: 8 });
+  assert.deepEqual(await fail(throttle, [IP], 7), []);
+  assert.deepEqual((await fail(throttle, [IP], 1)).map(l => l.key), [IP]);
+});
+
+test('a successful login or a reset clears the count', async () => {
+  const throttle = createLoginThrottle();
+  await fail(throttle, [ACCOUNT, IP], 5);
+  await throttle.recordSuccess([ACCOUNT, IP]);
+  assert.deepEqual(await throttle.check([ACCOUNT, IP]), { allowed: true });
+
+  await fail(throttle, [ACCOUNT], 5);
+  await throttle.reset([ACCOUNT]);
+  assert.deepEqual(await throttle.activeLocks(), []);
+});
+
+test('failures older than the window start a new count', async () => {
+  const store = new MemoryAttemptStore();
+  const throttle = createLoginThrottle({ store, windowMs: 60 * 1000 });
+  await fail(throttle, [ACCOUNT], 4);
+  const record = await store.get(ACCOUNT);
+  record.lastFailureAt = new Date(Date.now() - 2 * 60 * 1000);
+
+  assert.deepEqual(await throttle.check([ACCOUNT]), { allowed: true });
+  await throttle.recordFailure([ACCOUNT]);
+  assert.equal((await store.get(ACCOUNT)).failures, 1);
+});
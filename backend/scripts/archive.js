@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// scripts/archive.js
+/**
+ * Command-line export / import of festival years, through the running server's API.
+ *
+ *  node scripts/archive.js export [--year 2024] [--out filmfest-2024.zip] [--videos]
+ *  node scripts/archive.js import <file.zip> [--on-conflict fail|skip|replace] [--years 2023,2024]
+ *
+ * Exports leave video files out (their links are kept) unless --videos is given.
+ *
+ * ENV:
+ *  ARCHIVE_API_URL     <-- server to talk to (default http://localhost:5001)
+ *  ARCHIVE_EMAIL / ARCHIVE_PASSWORD <-- an admin account
+ *  ARCHIVE_TOKEN       <-- or an access token instead of email/password
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const API_URL = (process.env.ARCHIVE_API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, '');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--') && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+      args[argv[i].slice(2)] = true; // a flag without a value, e.g. --videos
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function getToken() {
+  if (process.env.ARCHIVE_TOKEN) return process.env.ARCHIVE_TOKEN;
+  const { ARCHIVE_EMAIL: email, ARCHIVE_PASSWORD: password } = process.env;
+  if (!email || !password) throw new Error('Set ARCHIVE_TOKEN or ARCHIVE_EMAIL and ARCHIVE_PASSWORD');
+  const res = await fetch(`${API_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`Login failed: ${data.message || res.status}`);
+  return data.token;
+}
+
+async function failWith(res) {
+  const data = await res.json().catch(() => ({}));
+  throw new Error(data.message || `HTTP ${res.status}`);
+}
+
+async function exportYears(token, { year, out, videos }) {
+  const params = new URLSearchParams();
+  if (year) params.set('year', year);
+  if (videos) params.set('videos', '1');
+  const query = params.toString() ? `?${params}` : '';
+  const res = await fetch(`${API_URL}/api/archive/export${query}`, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) await failWith(res);
+  const suggested = (res.headers.get('content-disposition') || '').match(/filename="([^"]+)"/);
+  const file = out || (suggested ? suggested[1] : `filmfest-${year || 'all'}.zip`);
+  fs.writeFileSync(file, Buffer.from(await res.arrayBuffer()));
+  console.log(`Wrote ${file}`);
+}
+
+async function importArchive(token, file, { onConflict, years }) {
+  if (!file) throw new Error('Usage: archive.js import <file.zip>');
+  const form = new FormData();
+  form.append('archive', new Blob([fs.readFileSync(file)], { type: 'application/zip' }), path.basename(file));
+  if (onConflict) form.append('onConflict', onConflict);
+  if (years) form.append('years', years);
+  const res = await fetch(`${API_URL}/api/archive/import`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+  if (!res.ok) await failWith(res);
+  const data = await res.json();
+  console.log(data.message);
+  data.results.forEach(r => console.log(`  ${r.year}: ${r.status}${r.uploaded !== undefined ? ` (${r.uploaded} files, ${r.missingAssets} missing, ${r.linkedVideos || 0} videos kept as links)` : ''}`));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, file] = args._;
+  if (!['export', 'import'].includes(command)) {
+    console.log('Usage:\n  archive.js export [--year 2024] [--out file.zip] [--videos]\n  archive.js import <file.zip> [--on-conflict fail|skip|replace] [--years 2023,2024]');
+    process.exit(1);
+  }
+  const token = await getToken();
+  if (command === 'export') await exportYears(token, { year: args.year, out: args.out, videos: args.videos });
+  else await importArchive(token, file, { onConflict: args['on-conflict'], years: args.years });
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,19 +1,50 @@
 // server.js
 /**
  * Node.js backend with:
- *  - Content per-year (video/photos/awards/partners)
- *  - Cloudinary uploads
- *  - Admin login with email/password -> JWT
+ *  - Content per-year (videos/photos/awards/partners)
+ *  - Uploads through a pluggable storage layer (Cloudinary or local disk, see ./storage)
+ *  - Admin login with email/password -> short-lived JWT + rotating refresh token
+ *  - Roles (admin / editor / viewer) with per-route permissions
+ *  - Admin user management (/api/users)
+ *  - Login brute-force protection (per IP + per account, see ./loginThrottle.js)
+ *  - Audit log of every content and auth change (/api/audit)
+ *  - Trash bin: deleted photos/partners/awards are restorable until purged
+ *  - Draft / published copies per year: admin routes edit the draft, public routes
+ *    serve the last published snapshot (POST /api/content/:year/publish)
+ *  - Scheduled go-live (publishAt) for a whole year or single award categories
+ *  - Per-year reset with a typed confirmation, automatic snapshot and undo window
+ *  - Export / import of years as zip archives with their assets (see ./archive.js)
+ *  - Named photo albums per year
+ *  - Film catalogue shared by every edition, referenced by award placements and albums (/api/films)
+ *  - People directory (jury, speakers, filmmakers, hosts) with per-year roles (/api/people)
+ *  - Festival programme: venues and timed sessions per year, no double-booked venue (/api/programme)
+ *  - Responsive sizes and a blur placeholder for every uploaded image (see ./storage/variants.js)
+ *  - Upload checks: type by magic bytes, size / dimension limits, duplicates (see ./uploadValidation.js)
+ *  - Resumable chunked upload of video files (/api/content/:year/video-uploads)
+ *  - ETag / Last-Modified and an in-process response cache for the public routes (see ./httpCache.js)
  *  - Backwards-compatible x-admin-key header
  *
  * ENV:
  *  MONGODB_URI
  *  PORT (default 5001)
- *  CLOUDINARY_CLOUD_NAME
- *  CLOUDINARY_API_KEY
- *  CLOUDINARY_API_SECRET
+ *  STORAGE_DRIVER      <-- cloudinary (default) | local
+ *  CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET (cloudinary driver)
+ *  LOCAL_STORAGE_DIR / PUBLIC_BASE_URL (local driver)
  *  ADMIN_KEY           <-- used to protect the /auth/register route
  *  JWT_SECRET          <-- used to sign JWTs
+ *  ACCESS_TOKEN_TTL    <-- access JWT lifetime (default 15m)
+ *  REFRESH_TOKEN_TTL_DAYS <-- refresh token / session lifetime (default 30)
+ *  LOGIN_THROTTLE_STORE <-- memory (default) | mongo
+ *  TRUST_PROXY         <-- number of proxy hops to trust for req.ip (default 1 on Render)
+ *  TRASH_RETENTION_DAYS <-- days before trashed items are purged from storage (default 30)
+ *  RESET_UNDO_HOURS    <-- how long a year reset can be undone (default 24)
+ *  MAX_IMAGE_MB / MAX_VIDEO_MB / MAX_IMAGE_DIMENSION / MIN_IMAGE_DIMENSION <-- upload limits
+ *  VIDEO_CHUNK_MB      <-- chunk size of resumable video uploads (default 5)
+ *  VIDEO_UPLOAD_TTL_HOURS <-- unfinished video uploads are discarded after this (default 24)
+ *  MAX_ARCHIVE_MB      <-- largest archive accepted by the import (default 512; it is read in memory)
+ *  MAX_ARCHIVE_UNPACKED_MB <-- largest total size of an imported archive once unpacked (default 2048)
+ *  PUBLIC_CACHE_MAX_AGE <-- seconds browsers may reuse public responses before revalidating (default 60)
+ *  FESTIVAL_TIMEZONE   <-- IANA timezone the public programme shows times in (default: the visitor's)
  *
  * Install additional deps:
  *  npm i bcryptjs jsonwebtoken
@@ -23,19 +54,32 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs');
+const { createStorage, createChunkStore } = require('./storage');
+const { collectAssets, exportArchive, readArchive, importYear, discardUploads } = require('./archive');
+const { createLoginThrottle, MemoryAttemptStore, MongoAttemptStore } = require('./loginThrottle');
+const { ResponseCache, cacheKey, sendCached, invalidateOnWrite } = require('./httpCache');
+const { UPLOAD_LIMITS, validateVideo, screenImages } = require('./uploadValidation');
+const { VIDEO_SOURCES, parseVideoUrl, tryParseVideoUrl } = require('./videoSource');
+const { LEGACY_PLACEMENTS, upgradeLegacyCategory, upgradeLegacyAwards, legacyAwardsQuery } = require('./legacyAwards');
 
 dotenv.config();
 
 const app = express();
 
+// behind Render's proxy req.ip would otherwise be the proxy's address
+if (process.env.TRUST_PROXY || process.env.RENDER_EXTERNAL_URL) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || 1);
+}
+
 app.use(
   cors({
     origin: [
@@ -53,6 +97,11 @@ app.use(
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// public responses are cached in-process; any write request empties the cache
+const publicCache = new ResponseCache({ maxAge: Number(process.env.PUBLIC_CACHE_MAX_AGE) || 60 });
+// writes by a signed-in admin, not the auth routes (logins, refreshes, logouts change no content)
+app.use(invalidateOnWrite(publicCache, { isContentWrite: req => !!req.user && !req.originalUrl.startsWith('/api/auth/') }));
+
 // lightweight request logger for debugging (keep)
 app.use((req, res, next) => {
   console.log(`[REQ] ${req.method} ${req.originalUrl}`);
@@ -72,12 +121,14 @@ function multerErrorHandler(err, req, res, next) {
 app.use(multerErrorHandler);
 
 
+// --- Storage driver (cloudinary | local) ---
+const storage = createStorage();
+console.log(`Storage driver: ${storage.name}`);
+
 // --- ENV checks ---
 const requiredEnv = [
   'MONGODB_URI',
-  'CLOUDINARY_CLOUD_NAME',
-  'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET',
+  ...storage.requiredEnv,
   'ADMIN_KEY',
   'JWT_SECRET'
 ];
@@ -87,95 +138,456 @@ for (const key of requiredEnv) {
   }
 }
 
-// --- Cloudinary config ---
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// local driver: serve stored files from this app
+if (storage.publicPath) {
+  app.use(storage.publicPath, express.static(storage.rootDir));
+}
 
-// Multer storage for images (photos & logos)
-const imagesStorage = new CloudinaryStorage({
-  cloudinary,
-  params: async (req, file) => {
-    // prefer checking originalUrl (safer in many routing setups)
-    const url = req.originalUrl || '';
-    let folder = 'events/photos';
-    if (url.includes('/partners')) folder = 'events/partners';
-    if (url.includes('/awards')) folder = 'events/awards';
-    return {
-      folder,
-      // don't force format to png — let Cloudinary keep original or convert when needed
-      public_id: `${Date.now()}-${file.originalname.replace(/\s+/g, '_').split('.')[0]}`,
-    };
-  },
-});
+// multer with a per-file size limit (same .single / .array / .fields). A file past the limit stops
+// the upload there, with the per-file 400 { code: 'size' } rejection the validation gives.
+function limitedUpload(options, maxBytes) {
+  const upload = multer({
+    ...options,
+    limits: { fileSize: maxBytes },
+    // multer's size error only names the field: keep the files (their stream is marked truncated)
+    fileFilter: (req, file, cb) => {
+      (req.incomingFiles = req.incomingFiles || []).push(file);
+      cb(null, true);
+    },
+  });
+  const withRejection = (middleware) => (req, res, next) => middleware(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      const files = req.incomingFiles || [];
+      const index = files.findIndex(f => f.stream && f.stream.truncated);
+      const file = index >= 0 ? files[index].originalname : err.field;
+      const message = `file is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit`;
+      return res.status(400).json({ message: `${file}: ${message}`, code: 'size', rejected: [{ index, file, code: 'size', message }] });
+    }
+    next(err);
+  });
+  return {
+    single: (...args) => withRejection(upload.single(...args)),
+    array: (...args) => withRejection(upload.array(...args)),
+    fields: (...args) => withRejection(upload.fields(...args)),
+  };
+}
 
+// Images are buffered in memory, videos go to a temp file; both are then
+// handed to the storage driver by storeFile()
+const uploadImages = limitedUpload({ storage: multer.memoryStorage() }, UPLOAD_LIMITS.imageBytes);
+const uploadVideo = limitedUpload({ dest: path.join(os.tmpdir(), 'filmfest-uploads') }, UPLOAD_LIMITS.videoBytes);
+const MAX_ARCHIVE_BYTES = (Number(process.env.MAX_ARCHIVE_MB) || 512) * 1024 * 1024;
+const MAX_ARCHIVE_UNPACKED_BYTES = (Number(process.env.MAX_ARCHIVE_UNPACKED_MB) || 2048) * 1024 * 1024;
+const uploadArchive = multer({ dest: path.join(os.tmpdir(), 'filmfest-uploads'), limits: { fileSize: MAX_ARCHIVE_BYTES } });
 
-// Multer storage for video files (optional)
-const videosStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'events/videos',
-    resource_type: 'video',
-  },
-});
+// Folder for an image upload, based on the route it came in on
+function imageFolderFor(req) {
+  // prefer checking originalUrl (safer in many routing setups)
+  const url = req.originalUrl || '';
+  if (url.includes('/partners')) return 'events/partners';
+  if (url.includes('/awards')) return 'events/awards';
+  return 'events/photos';
+}
+
+// Send one multer file through the storage driver -> { url, public_id, ... }.
+// `keepFile`: the caller owns file.path (an assembled resumable upload, kept so a failed store can be retried)
+async function storeFile(file, { folder, resourceType = 'image', keepFile = false }) {
+  const source = file.buffer || file.path;
+  try {
+    return await storage.upload(source, {
+      folder,
+      resourceType,
+      filename: file.originalname,
+      publicId: `${Date.now()}-${file.originalname.replace(/\s+/g, '_').split('.')[0]}`,
+    });
+  } finally {
+    // remove multer's temp file once the driver has its own copy
+    if (!keepFile && !file.buffer && file.path) fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
+// storeFile() for images, adding the responsive sizes and blur placeholder.
+// An image whose sizes can't be built is still stored; clients fall back to its url.
+async function storeImage(file, { folder }) {
+  const stored = await storeFile(file, { folder });
+  try {
+    return { ...stored, ...(await storage.imageVariants(stored)) };
+  } catch (err) {
+    console.error(`Could not build sizes for ${stored.public_id}:`, err.message);
+    return stored;
+  }
+}
 
-const uploadImages = multer({ storage: imagesStorage });
-const uploadVideo = multer({ storage: videosStorage });
+// The fields of a stored image that content keeps (plain values, also for mongoose subdocs)
+function imageFields({ url, public_id, contentHash, width, height, placeholder, variants }) {
+  return {
+    url,
+    public_id,
+    contentHash,
+    width,
+    height,
+    placeholder,
+    variants: (variants || []).map(v => ({ name: v.name, width: v.width, url: v.url })),
+  };
+}
 
 // --- DB models ---
 const Schema = mongoose.Schema;
 
+// original size, blur placeholder and resized copies of an image (see storage/variants.js)
+const imageVariantFields = {
+  width: Number,
+  height: Number,
+  placeholder: String,
+  variants: [{ _id: false, name: String, width: Number, url: String }],
+};
+
 const ImageSchema = new Schema({
   url: String,
   public_id: String,
+  contentHash: String, // sha256 of the uploaded file, to catch duplicates
+  ...imageVariantFields,
   caption: String,
+  alt: String, // alt text for screen readers; the caption is shown to everyone
+  album: { type: Schema.Types.ObjectId, default: null }, // _id of an album in the same year (photos only)
+});
+
+// Photo album within a year; albums are listed in array order
+const AlbumSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  cover: { type: Schema.Types.ObjectId, default: null }, // _id of one of the year's photos
+  film: { type: Schema.Types.ObjectId, ref: 'Film', default: null }, // e.g. the photos of a film's screening
 });
 
-const PersonWithPhotoSchema = new Schema({
-  name: { type: String, required: true },
-  position: { type: String },
-  photo: { url: String, public_id: String },
+// One placement in an award category (Winner, Joint Winner, Honourable Mention...); a category
+// lists them in display order
+const AwardPlacementSchema = new Schema({
+  label: { type: String, required: true },
+  name: { type: String, default: '' },
+  photo: { url: String, public_id: String, contentHash: String, ...imageVariantFields },
+  // the film that won the slot (see awardFilmDetails)
+  filmTitle: String,
+  director: String, // director or producer
+  country: String,
+  runtime: Number, // minutes
+  synopsis: String,
+  trailer: { url: String, provider: String, providerId: String }, // normalized by videoSource.js
+  poster: { url: String, public_id: String, contentHash: String, ...imageVariantFields },
+  film: { type: Schema.Types.ObjectId, ref: 'Film', default: null }, // the catalogue entry, when there is one
+  person: { type: Schema.Types.ObjectId, ref: 'Person', default: null }, // the winner in the people directory
+});
+
+// What a video is, shown as a label on the public page
+const VIDEO_TYPES = ['trailer', 'highlight', 'ceremony', 'panel'];
+// 'other': a link stored before links were checked, that isn't one of the VIDEO_SOURCES
+const VIDEO_PROVIDERS = [...VIDEO_SOURCES, 'other'];
+
+// A video of a year; the public page lists them in array order
+const VideoSchema = new Schema({
+  title: { type: String, default: '' },
+  type: { type: String, enum: VIDEO_TYPES, default: 'highlight' },
+  url: { type: String, required: true }, // embeddable player url, or the file itself (see videoSource.js)
+  provider: { type: String, enum: VIDEO_PROVIDERS, default: 'other' },
+  providerId: String, // the video's id at the provider (YouTube id, Vimeo id, Drive file id...)
+  public_id: String, // uploaded files only (provider 'file')
+  thumbnail: { url: String, public_id: String, ...imageVariantFields },
 });
 
 const AwardCategorySchema = new Schema({
   category: { type: String, required: true },
-  winner: PersonWithPhotoSchema,
-  firstRunnerUp: PersonWithPhotoSchema,
-  secondRunnerUp: PersonWithPhotoSchema,
+  placements: [AwardPlacementSchema],
+  publishAt: { type: Date, default: null }, // hidden from the public until then
 });
 
 const ContentSchema = new Schema({
   year: { type: Number, required: true, index: true },
-  videoLink: { type: String },
+  videoLink: { type: String }, // url of the first video, kept for older clients (see syncVideoLink)
+  videos: [VideoSchema],
   photos: [ImageSchema],
+  albums: [AlbumSchema],
   awards: [AwardCategorySchema],
   partners: [ImageSchema],
+  // public copy of the fields in PUBLISHED_FIELDS, replaced on every publish (null = never published)
+  published: { type: Schema.Types.Mixed, default: null },
+  publishedAt: { type: Date },
+  publishedBy: { id: { type: Schema.Types.ObjectId, ref: 'AdminUser' }, email: String },
+  // the published year stays hidden from the public until then (not part of the draft)
+  publishAt: { type: Date, default: null },
 }, { timestamps: true });
 
 ContentSchema.index({ year: 1 }, { unique: true });
 
+// Fields of the draft that a publish copies into `published`
+const PUBLISHED_FIELDS = ['videoLink', 'videos', 'photos', 'albums', 'awards', 'partners'];
+
 const Content = mongoose.model('Content', ContentSchema);
 
+// --- Roles & permissions ---
+// admin:  everything, including deleting/resetting years and managing users
+// editor: upload and edit content
+// viewer: read-only access to the admin panel
+const ROLE_PERMISSIONS = {
+  admin: ['content:read', 'content:write', 'content:publish', 'years:delete', 'users:manage', 'audit:read', 'trash:empty', 'archive:manage'],
+  editor: ['content:read', 'content:write'],
+  viewer: ['content:read'],
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
 // Admin user schema
 const AdminUserSchema = new Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   passwordHash: { type: String, required: true },
-  role: { type: String, default: 'admin' }, // could extend to editor/viewer etc.
+  role: { type: String, enum: ROLES, default: 'admin' },
+  disabled: { type: Boolean, default: false },
+  lastLoginAt: { type: Date },
 }, { timestamps: true });
 
 const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
 
+// Login session: one per signed-in device. Access JWTs carry the session id (sid),
+// so revoking the session cuts off its access token immediately.
+const AuthSessionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'AdminUser', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, index: true },
+  // rotated-out refresh tokens; seeing one of these again means a token leaked
+  previousTokenHashes: [String],
+  rotatedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokeReason: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date },
+}, { timestamps: true });
+
+// let Mongo drop sessions once they expire
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+
+// Failed-login counters (only used with LOGIN_THROTTLE_STORE=mongo)
+const LoginAttemptSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  firstFailureAt: { type: Date },
+  lastFailureAt: { type: Date },
+  nextAttemptAt: { type: Date },
+  lockedUntil: { type: Date },
+  expiresAt: { type: Date },
+});
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+
+// One record per lockout, kept for admins to review
+const LockoutEventSchema = new Schema({
+  key: { type: String, required: true },
+  type: { type: String, enum: ['ip', 'account'] },
+  email: { type: String },
+  ip: { type: String },
+  failures: { type: Number },
+  lockedUntil: { type: Date },
+}, { timestamps: true });
+
+const LockoutEvent = mongoose.model('LockoutEvent', LockoutEventSchema);
+
+// Audit trail: who changed what, with a small before/after summary
+const AuditEventSchema = new Schema({
+  user: {
+    id: { type: Schema.Types.ObjectId, ref: 'AdminUser' },
+    email: String,
+    role: String,
+  },
+  action: { type: String, required: true, index: true }, // e.g. photo.upload, award.category.delete, auth.login
+  year: { type: Number, index: true },
+  target: {
+    type: { type: String }, // photo | partner | award | video | year | user | session ...
+    id: String,            // public_id, category/role, user id ...
+    label: String,
+  },
+  before: { type: Schema.Types.Mixed },
+  after: { type: Schema.Types.Mixed },
+  ip: String,
+}, { timestamps: true });
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ 'user.email': 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+// Soft-deleted content, per year. Storage assets are only destroyed when the item
+// is purged (after TRASH_RETENTION_DAYS or an explicit "empty trash").
+const TrashItemSchema = new Schema({
+  year: { type: Number, required: true, index: true },
+  kind: { type: String, enum: ['photo', 'photos', 'partner', 'awardCategory', 'awardPlacement', 'awardPhoto', 'video'], required: true },
+  label: { type: String },
+  // what was removed, as it was: the image / category / { category, role, photo } / { photos: [{ photo, position }] }
+  data: { type: Schema.Types.Mixed },
+  // gallery photos removed along with an award image (they share the asset)
+  linkedPhotos: { type: Schema.Types.Mixed },
+  position: { type: Number }, // index in its array, so a restore puts it back in place
+  assets: [{ public_id: String, url: String, resourceType: { type: String, default: 'image' } }],
+  deletedBy: { id: { type: Schema.Types.ObjectId, ref: 'AdminUser' }, email: String },
+  purgeAfter: { type: Date, index: true },
+}, { timestamps: true });
+
+const TrashItem = mongoose.model('TrashItem', TrashItemSchema);
+
+// Backup of a whole Content doc taken before a year reset; restorable until undoUntil
+const ContentSnapshotSchema = new Schema({
+  year: { type: Number, required: true, index: true },
+  reason: { type: String, default: 'reset' },
+  data: { type: Schema.Types.Mixed, required: true },
+  assets: [{ public_id: String, url: String, resourceType: { type: String, default: 'image' } }],
+  purgeAssets: { type: Boolean, default: false }, // destroy `assets` once the undo window is over
+  createdBy: { id: { type: Schema.Types.ObjectId, ref: 'AdminUser' }, email: String },
+  undoUntil: { type: Date, index: true },
+  restoredAt: { type: Date },
+  assetsPurgedAt: { type: Date },
+}, { timestamps: true });
+
+const ContentSnapshot = mongoose.model('ContentSnapshot', ContentSnapshotSchema);
+
+// Resumable video upload in progress; the bytes are in the chunk store, not in Mongo
+const VideoUploadSchema = new Schema({
+  year: { type: Number, required: true },
+  filename: { type: String, required: true },
+  mimetype: String,
+  size: { type: Number, required: true },
+  fingerprint: { type: String, index: true }, // name / size / mtime of the file, so a reloaded page finds its upload again
+  title: String, // title / type of the video added when the upload completes
+  type: String,
+  createdBy: { id: { type: Schema.Types.ObjectId, ref: 'AdminUser' }, email: String },
+  expiresAt: { type: Date, index: true },
+}, { timestamps: true });
+
+const VideoUpload = mongoose.model('VideoUpload', VideoUploadSchema);
+
+// A film of the catalogue, shared by every edition: award placements and albums point at it
+const FilmSchema = new Schema({
+  title: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true }, // /films/:slug
+  synopsis: { type: String, default: '' },
+  credits: [{ _id: false, role: String, name: String }], // Director, Producer, Writer...
+  country: { type: String, default: '' },
+  productionYear: Number,
+  runtime: Number, // minutes
+  sdgTags: [{ type: Number, min: 1, max: 17 }], // UN Sustainable Development Goals the film is about
+  poster: { url: String, public_id: String, contentHash: String, ...imageVariantFields },
+  trailer: { url: String, provider: String, providerId: String }, // normalized by videoSource.js
+  selections: [{ _id: false, year: Number, section: String }], // editions whose selection included the film
+}, { timestamps: true });
+
+const Film = mongoose.model('Film', FilmSchema);
+
+// What someone did at an edition
+const PERSON_ROLES = ['juror', 'speaker', 'filmmaker', 'host'];
+
+// The people directory, shared by every edition: jury, guests, filmmakers. Award placements point at it
+const PersonSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  bio: { type: String, default: '' },
+  photo: { url: String, public_id: String, contentHash: String, ...imageVariantFields },
+  links: [{ _id: false, label: String, url: String }], // website, social profiles
+  roles: [{
+    _id: false,
+    year: { type: Number, required: true },
+    role: { type: String, enum: PERSON_ROLES, required: true },
+    title: { type: String, default: '' }, // e.g. Jury President, "Panel: Climate on screen"
+  }],
+}, { timestamps: true });
+
+PersonSchema.index({ 'roles.year': 1 });
+
+const Person = mongoose.model('Person', PersonSchema);
+
+// A place the programme happens in, shared by every edition
+const VenueSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  address: { type: String, default: '' },
+  capacity: Number,
+  mapUrl: { type: String, default: '' }, // e.g. a Google Maps link
+}, { timestamps: true });
+
+const Venue = mongoose.model('Venue', VenueSchema);
+
+const SESSION_TYPES = ['screening', 'panel', 'workshop', 'ceremony'];
+
+// One slot of a year's festival programme: what happens when and where
+const ProgrammeSessionSchema = new Schema({
+  year: { type: Number, required: true, index: true },
+  type: { type: String, enum: SESSION_TYPES, required: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  venue: { type: Schema.Types.ObjectId, ref: 'Venue', required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  films: [{ type: Schema.Types.ObjectId, ref: 'Film' }], // screened, or discussed at a panel
+  speakers: [{ type: Schema.Types.ObjectId, ref: 'Person' }], // panelists, hosts, workshop leads
+}, { timestamps: true });
+
+// clash lookups: sessions of a venue around a time
+ProgrammeSessionSchema.index({ venue: 1, startsAt: 1 });
+
+const ProgrammeSession = mongoose.model('ProgrammeSession', ProgrammeSessionSchema);
+
+const loginThrottle = createLoginThrottle({
+  store: process.env.LOGIN_THROTTLE_STORE === 'mongo' ? new MongoAttemptStore(LoginAttempt) : new MemoryAttemptStore(),
+});
+
 // --- Auth helpers & middleware ---
 
-// Verify JWT and attach user to req.user
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// two tabs refreshing at once both present the same token; don't treat that as theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user._id, email: user.email, role: user.role, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session for user -> { token, refreshToken }
+async function issueSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    userAgent: (req.header('user-agent') || '').slice(0, 300),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+  });
+  return { token: signAccessToken(user, session._id), refreshToken };
+}
+
+// Revoke every active session matching filter (e.g. { user: id })
+async function revokeSessions(filter, reason) {
+  return AuthSession.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokeReason: reason } });
+}
+
+// Verify JWT and its session -> { user, sessionId } (null when invalid, expired or revoked)
 async function verifyJwtToken(token) {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded || !decoded.id) return null;
+    if (!decoded || !decoded.id || !decoded.sid) return null;
+    const session = await AuthSession.findById(decoded.sid);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
     const user = await AdminUser.findById(decoded.id).select('-passwordHash');
-    return user || null;
+    if (!user || user.disabled) return null;
+    return { user, sessionId: session._id };
   } catch (e) {
     return null;
   }
@@ -187,9 +599,10 @@ async function authMiddleware(req, res, next) {
   const authHeader = req.header('authorization');
   if (authHeader && authHeader.toLowerCase().startsWith('bearer ')) {
     const token = authHeader.split(' ')[1];
-    const user = await verifyJwtToken(token);
-    if (user) {
-      req.user = user; // attach user object
+    const verified = await verifyJwtToken(token);
+    if (verified) {
+      req.user = verified.user; // attach user object
+      req.sessionId = verified.sessionId;
       return next();
     }
   }
@@ -208,6 +621,376 @@ async function authMiddleware(req, res, next) {
 // adminAuth just re-uses authMiddleware
 const adminAuth = authMiddleware;
 
+// Use after adminAuth: only let the request through if req.user's role grants `permission`
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const role = req.user && req.user.role;
+    if (permissionsFor(role).includes(permission)) return next();
+    return res.status(403).json({ message: `Forbidden: role "${role || 'none'}" is missing permission ${permission}` });
+  };
+}
+
+// What the API exposes about a user (never the password hash)
+function toSafeUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    permissions: permissionsFor(user.role),
+    disabled: !!user.disabled,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt,
+  };
+}
+
+// Write an audit event. Failures are logged, never surfaced: auditing must not break a change.
+// `user` overrides req.user (login, where nobody is authenticated yet).
+async function recordAudit(req, { action, year, target, before, after, user }) {
+  try {
+    const actor = user || req.user || {};
+    await AuditEvent.create({
+      user: { id: actor._id || actor.id, email: actor.email, role: actor.role },
+      action,
+      year,
+      target,
+      before,
+      after,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error('Audit write failed', action, err.message);
+  }
+}
+
+// Compact before/after summaries for the audit log
+function summarizeImage(img) {
+  if (!img) return null;
+  return {
+    public_id: img.public_id,
+    url: img.url,
+    caption: img.caption || undefined,
+    alt: img.alt || undefined,
+    album: img.album ? String(img.album) : undefined,
+  };
+}
+
+function summarizePlacement(person) {
+  if (!person) return null;
+  return {
+    id: person._id ? String(person._id) : undefined,
+    label: person.label,
+    name: person.name || undefined,
+    photo: person.photo ? person.photo.public_id || person.photo.url : undefined,
+    filmTitle: person.filmTitle || undefined,
+    director: person.director || undefined,
+    country: person.country || undefined,
+    runtime: person.runtime || undefined,
+    synopsis: person.synopsis || undefined,
+    trailer: person.trailer && person.trailer.url ? person.trailer.url : undefined,
+    poster: person.poster ? person.poster.public_id || person.poster.url : undefined,
+    film: person.film ? String(person.film) : undefined,
+    person: person.person ? String(person.person) : undefined,
+  };
+}
+
+function summarizeAlbum(album) {
+  if (!album) return null;
+  return {
+    id: String(album._id),
+    name: album.name,
+    description: album.description || undefined,
+    cover: album.cover ? String(album.cover) : undefined,
+    film: album.film ? String(album.film) : undefined,
+  };
+}
+
+function summarizeVideo(video) {
+  if (!video) return null;
+  return {
+    id: String(video._id),
+    title: video.title || undefined,
+    type: video.type,
+    url: video.url,
+    provider: video.provider,
+    thumbnail: video.thumbnail && video.thumbnail.url ? video.thumbnail.url : undefined,
+  };
+}
+
+function summarizeAwardCategory(cat) {
+  if (!cat) return null;
+  return {
+    category: cat.category,
+    placements: (cat.placements || []).map(summarizePlacement),
+    publishAt: cat.publishAt ? new Date(cat.publishAt).toISOString() : undefined,
+  };
+}
+
+// --- Draft / published ---
+
+// Plain copy of the publishable fields of a Content doc
+function publishedSnapshot(doc) {
+  const plain = doc.toObject({ depopulate: true });
+  const snapshot = {};
+  for (const field of PUBLISHED_FIELDS) snapshot[field] = plain[field] === undefined ? null : plain[field];
+  return snapshot;
+}
+
+// Albums of a published copy with their photo count and cover url, so clients don't need every photo
+function publicAlbums(published) {
+  const photos = published.photos || [];
+  return (published.albums || []).map(album => {
+    const inAlbum = photos.filter(p => p.album && String(p.album) === String(album._id));
+    const cover = inAlbum.find(p => String(p._id) === String(album.cover)) || inAlbum[0];
+    const coverUrl = cover ? ((cover.variants && cover.variants[0]) || cover).url : null;
+    return { ...album, count: inAlbum.length, coverUrl };
+  });
+}
+
+// Public read options: ?fields=videoLink,awards,films  ?album=<id>  ?limit=24 with ?cursor=<nextCursor> or ?page=2
+const MAX_PHOTO_PAGE_SIZE = 100;
+// looked up in the film catalogue / people directory for the response, not stored on the year
+const LINKED_FIELDS = ['films', 'people'];
+
+// the fields a public read asks for (all of them without ?fields=)
+function requestedFields(query) {
+  const fields = query.fields ? String(query.fields).split(',').map(f => f.trim()).filter(Boolean) : [...PUBLISHED_FIELDS, ...LINKED_FIELDS];
+  const unknown = fields.filter(f => !PUBLISHED_FIELDS.includes(f) && !LINKED_FIELDS.includes(f));
+  if (unknown.length) throw Object.assign(new Error(`Unknown field(s): ${unknown.join(', ')}`), { status: 400 });
+  return fields;
+}
+
+function shapePublicContent(content, query) {
+  const shaped = { _id: content._id, year: content.year, publishedAt: content.publishedAt, updatedAt: content.updatedAt };
+  const fields = requestedFields(query).filter(f => PUBLISHED_FIELDS.includes(f));
+  fields.forEach(f => { shaped[f] = content[f]; });
+  if (!fields.includes('photos')) return shaped;
+
+  let photos = content.photos || [];
+  if (query.album) photos = photos.filter(p => p.album && String(p.album) === String(query.album));
+  if (!query.limit) {
+    shaped.photos = photos;
+    return shaped;
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 1, 1), MAX_PHOTO_PAGE_SIZE);
+  let start = 0;
+  let page;
+  if (query.cursor) {
+    // cursor = base64url public_id of the last photo already received
+    const after = Buffer.from(String(query.cursor), 'base64url').toString('utf8');
+    const index = photos.findIndex(p => p.public_id === after);
+    if (index === -1) throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+    start = index + 1;
+  } else if (query.page) {
+    page = Math.max(parseInt(query.page, 10) || 1, 1);
+    start = (page - 1) * limit;
+  }
+  shaped.photos = photos.slice(start, start + limit);
+  const last = shaped.photos[shaped.photos.length - 1];
+  shaped.photosPage = {
+    total: photos.length,
+    limit,
+    page,
+    nextCursor: last && start + limit < photos.length ? Buffer.from(last.public_id).toString('base64url') : null,
+  };
+  return shaped;
+}
+
+// Per-year counts of what the public sees, computed in Mongo so no content is loaded
+function publicSummaryStage(now) {
+  const size = (field) => ({ $size: { $ifNull: [`$published.${field}`, []] } });
+  return {
+    year: 1,
+    createdAt: 1,
+    updatedAt: 1,
+    publishedAt: 1,
+    counts: {
+      video: { $gt: [{ $strLenCP: { $ifNull: ['$published.videoLink', ''] } }, 0] },
+      videos: size('videos'),
+      photos: size('photos'),
+      albums: size('albums'),
+      partners: size('partners'),
+      awards: {
+        $size: {
+          $filter: {
+            input: { $ifNull: ['$published.awards', []] },
+            cond: { $or: [{ $eq: [{ $ifNull: ['$$this.publishAt', null] }, null] }, { $lte: ['$$this.publishAt', now] }] },
+          },
+        },
+      },
+    },
+  };
+}
+
+// true once a publishAt time has passed (or when nothing is scheduled)
+function isDue(publishAt, now = new Date()) {
+  return !publishAt || new Date(publishAt) <= now;
+}
+
+// Earliest future publishAt (year or award category) among docs: public output changes then
+function nextScheduledChange(docs, now = new Date()) {
+  const times = docs.flatMap(doc => [doc.publishAt, ...((doc.published && doc.published.awards) || []).map(a => a.publishAt)])
+    .filter(t => t && new Date(t) > now)
+    .map(t => new Date(t).getTime());
+  return times.length ? new Date(Math.min(...times)) : null;
+}
+
+// What the public routes return for a year: the published snapshot, or null if never
+// published or still scheduled. Award categories scheduled for later are left out.
+function publicContent(doc) {
+  if (!doc || !doc.published || !isDue(doc.publishAt)) return null;
+  return {
+    _id: doc._id,
+    year: doc.year,
+    ...doc.published,
+    awards: (doc.published.awards || []).filter(a => isDue(a.publishAt)),
+    albums: publicAlbums(doc.published),
+    publishedAt: doc.publishedAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.publishedAt || doc.updatedAt,
+  };
+}
+
+// Diff of the draft against the published copy, for the admin "what will change" view
+function diffPublished(doc) {
+  const draft = publishedSnapshot(doc);
+  const live = doc.published || {};
+  const changes = [];
+  const keyOf = (img) => img.public_id || img.url;
+
+  // videoLink follows the first video, so the videos diff covers it
+  const liveVideos = (live.videos || []).map(summarizeVideo);
+  const draftVideos = (draft.videos || []).map(summarizeVideo);
+  for (const video of draftVideos) {
+    const old = liveVideos.find(v => v.id === video.id);
+    if (!old) changes.push({ field: 'videos', type: 'added', item: video });
+    else if (JSON.stringify(old) !== JSON.stringify(video)) changes.push({ field: 'videos', type: 'changed', from: old, item: video });
+  }
+  liveVideos.filter(old => !draftVideos.some(v => v.id === old.id)).forEach(old => changes.push({ field: 'videos', type: 'removed', item: old }));
+  const videoOrder = (list, other) => list.map(v => v.id).filter(id => other.some(o => o.id === id)).join('|');
+  if (videoOrder(liveVideos, draftVideos) !== videoOrder(draftVideos, liveVideos)) changes.push({ field: 'videos', type: 'reordered' });
+
+  for (const field of ['photos', 'partners']) {
+    const before = live[field] || [];
+    const after = draft[field] || [];
+    const beforeKeys = new Set(before.map(keyOf));
+    const afterKeys = new Set(after.map(keyOf));
+    after.filter(i => !beforeKeys.has(keyOf(i))).forEach(i => changes.push({ field, type: 'added', item: summarizeImage(i) }));
+    before.filter(i => !afterKeys.has(keyOf(i))).forEach(i => changes.push({ field, type: 'removed', item: summarizeImage(i) }));
+    const changed = after.filter(i => {
+      const old = before.find(b => keyOf(b) === keyOf(i));
+      return old && JSON.stringify(summarizeImage(old)) !== JSON.stringify(summarizeImage(i));
+    });
+    changed.forEach(i => changes.push({ field, type: 'changed', item: summarizeImage(i) }));
+    const commonBefore = before.map(keyOf).filter(k => afterKeys.has(k));
+    const commonAfter = after.map(keyOf).filter(k => beforeKeys.has(k));
+    if (commonBefore.join('|') !== commonAfter.join('|')) changes.push({ field, type: 'reordered' });
+  }
+
+  const liveAlbums = (live.albums || []).map(summarizeAlbum);
+  const draftAlbums = (draft.albums || []).map(summarizeAlbum);
+  for (const album of draftAlbums) {
+    const old = liveAlbums.find(a => a.id === album.id);
+    if (!old) changes.push({ field: 'albums', type: 'added', item: album });
+    else if (JSON.stringify(old) !== JSON.stringify(album)) changes.push({ field: 'albums', type: 'changed', from: old, item: album });
+  }
+  liveAlbums.filter(old => !draftAlbums.some(a => a.id === old.id)).forEach(old => changes.push({ field: 'albums', type: 'removed', item: old }));
+  const albumOrder = (list, other) => list.map(a => a.id).filter(id => other.some(o => o.id === id)).join('|');
+  if (albumOrder(liveAlbums, draftAlbums) !== albumOrder(draftAlbums, liveAlbums)) changes.push({ field: 'albums', type: 'reordered' });
+
+  const liveAwards = live.awards || [];
+  const draftAwards = draft.awards || [];
+  for (const cat of draftAwards) {
+    const old = liveAwards.find(a => a.category === cat.category);
+    if (!old) changes.push({ field: 'awards', type: 'added', item: summarizeAwardCategory(cat) });
+    else if (JSON.stringify(summarizeAwardCategory(old)) !== JSON.stringify(summarizeAwardCategory(cat))) {
+      changes.push({ field: 'awards', type: 'changed', from: summarizeAwardCategory(old), item: summarizeAwardCategory(cat) });
+    }
+  }
+  for (const old of liveAwards) {
+    if (!draftAwards.some(a => a.category === old.category)) changes.push({ field: 'awards', type: 'removed', item: summarizeAwardCategory(old) });
+  }
+
+  return changes;
+}
+
+// Legacy years (from before drafts existed) were live as-is: publish them unchanged once
+async function migrateUnpublishedContent() {
+  const legacy = await Content.find({ published: { $exists: false } });
+  for (const doc of legacy) {
+    doc.published = publishedSnapshot(doc);
+    doc.publishedAt = doc.updatedAt || new Date();
+    await doc.save({ timestamps: false });
+  }
+  if (legacy.length) console.log(`Published ${legacy.length} legacy content year(s) as-is`);
+}
+
+// Years from before the video list had a single videoLink: turn it into their first video,
+// in the draft and in the published copy (same _id, so publishing shows no change)
+function upgradeLegacyVideos(doc) {
+  if (!doc.videoLink || doc.videos.length) return false;
+  doc.videos.push({ title: '', type: 'highlight', ...storedVideoSource(doc.videoLink) });
+  if (doc.published && doc.published.videoLink && !doc.published.videos) {
+    const video = doc.videos[0].toObject();
+    doc.published = { ...doc.published, videos: doc.published.videoLink === video.url ? [video] : [{ ...video, ...storedVideoSource(doc.published.videoLink) }] };
+  }
+  return true;
+}
+
+async function migrateVideoLinks() {
+  const legacy = await Content.find({ videoLink: { $nin: [null, ''] }, 'videos.0': { $exists: false } });
+  for (const doc of legacy) {
+    upgradeLegacyVideos(doc);
+    await doc.save({ timestamps: false });
+  }
+  if (legacy.length) console.log(`Moved the video of ${legacy.length} year(s) into the video list`);
+}
+
+// Videos saved before links were normalized (see videoSource.js): fill in provider / providerId
+// and the player url, in the draft and the published copy. Unrecognised links stay 'other'.
+async function migrateVideoSources() {
+  const legacy = await Content.find({ videos: { $elemMatch: { provider: { $ne: 'file' }, providerId: { $exists: false } } } });
+  const upgrade = (video) => (video.provider === 'file' || video.providerId ? video : { ...video, ...storedVideoSource(video.url) });
+  let upgraded = 0;
+  for (const doc of legacy) {
+    if (!doc.videos.some(v => !v.providerId && upgrade(v.toObject()).providerId)) continue; // nothing recognisable
+    doc.videos.forEach((video) => video.set(upgrade(video.toObject())));
+    syncVideoLink(doc);
+    if (doc.published && Array.isArray(doc.published.videos)) {
+      const videos = doc.published.videos.map(upgrade);
+      doc.published = { ...doc.published, videos, videoLink: videos.length ? videos[0].url : '' };
+    }
+    await doc.save({ timestamps: false });
+    upgraded += 1;
+  }
+  if (upgraded) console.log(`Normalized the video links of ${upgraded} year(s)`);
+}
+
+// the schema no longer knows the legacy fields, so this works on the raw documents
+async function migrateAwardPlacements() {
+  const legacy = await Content.collection.find(legacyAwardsQuery()).toArray();
+  for (const raw of legacy) {
+    const { awards, published } = upgradeLegacyAwards(raw);
+    // years never published yet get their published copy from migrateUnpublishedContent, after this
+    await Content.collection.updateOne({ _id: raw._id }, { $set: published ? { awards, published } : { awards } });
+  }
+  if (legacy.length) console.log(`Moved the award winners of ${legacy.length} year(s) into placements`);
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+// Guard for user management: refuse to leave the site without an active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  const others = await AdminUser.countDocuments({ _id: { $ne: user._id }, role: 'admin', disabled: { $ne: true } });
+  return others === 0;
+}
+
 // --- Replace your current mongoose.connect(...) with this ---
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/eventdb';
 
@@ -228,29 +1011,38 @@ async function connectDB() {
 }
 
 
-// --- Utility: YouTube embed normalization ---
-function toYouTubeEmbed(url) {
-  if (!url) return url;
-  try {
-    const u = new URL(url);
-    if (u.hostname.includes('youtu.be')) {
-      const id = u.pathname.slice(1);
-      if (!id) return url;
-      return `https://www.youtube.com/embed/${id}`;
-    }
-    if (u.hostname.includes('youtube.com')) {
-      if (u.pathname.startsWith('/embed/')) return url;
-      const vid = u.searchParams.get('v');
-      if (vid) return `https://www.youtube.com/embed/${vid}`;
-      const parts = u.pathname.split('/').filter(Boolean);
-      const possible = parts.pop();
-      if (possible) return `https://www.youtube.com/embed/${possible}`;
+// Provider / id / player url of a video url already in the database: uploaded files are ours,
+// links are normalized when they can be, anything else stays as it was ('other')
+function storedVideoSource(url) {
+  if (url && storage.ownsUrl(url)) return { url, provider: 'file' };
+  return tryParseVideoUrl(url) || { url, provider: 'other' };
+}
+
+// videoLink mirrors the first video for clients that only know a single video
+function syncVideoLink(doc) {
+  doc.videoLink = doc.videos.length ? doc.videos[0].url : '';
+}
+
+// Replace the first video of a year (or add it): what the single-video routes used to do with videoLink
+function setPrimaryVideo(doc, video) {
+  if (doc.videos.length) doc.videos[0].set({ ...video, providerId: video.providerId || undefined, public_id: video.public_id || undefined });
+  else doc.videos.push(video);
+  syncVideoLink(doc);
+}
+
+// Multipart fields sent once per file (repeated field or a JSON array string) -> array, else null
+function perFileValues(field) {
+  if (field === undefined || field === null || field === '') return null;
+  if (Array.isArray(field)) return field;
+  if (typeof field === 'string' && field.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(field);
+      return Array.isArray(parsed) ? parsed.map(v => (v === null || v === undefined ? '' : String(v))) : null;
+    } catch (e) {
+      return null;
     }
-  } catch (e) {
-    const id = url.trim();
-    if (/^[a-zA-Z0-9_-]{10,}$/.test(id)) return `https://www.youtube.com/embed/${id}`;
   }
-  return url;
+  return [field];
 }
 
 // Helper: get or create content doc by year
@@ -312,11 +1104,16 @@ app.post('/api/auth/register', async (req, res) => {
     const existing = await AdminUser.findOne({ email: email.toLowerCase().trim() });
     if (existing) return res.status(400).json({ message: 'User already exists' });
 
-    const salt = await bcrypt.genSalt(10);
-    const hash = await bcrypt.hash(password, salt);
+    const hash = await hashPassword(password);
     const user = new AdminUser({ email: email.toLowerCase().trim(), passwordHash: hash });
     await user.save();
-    const safeUser = { id: user._id, email: user.email, role: user.role };
+    await recordAudit(req, {
+      action: 'auth.register',
+      user: { email: 'x-admin-key', role: 'admin' },
+      target: { type: 'user', id: String(user._id), label: user.email },
+      after: { email: user.email, role: user.role },
+    });
+    const safeUser = toSafeUser(user);
     res.status(201).json({ user: safeUser, message: 'Admin user created' });
   } catch (err) {
     console.error('Register error', err);
@@ -324,114 +1121,709 @@ app.post('/api/auth/register', async (req, res) => {
   }
 });
 
+// "3 minutes" / "45 seconds" for throttling messages
+function humanizeWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Count a failed login; store a LockoutEvent for every key it locks
+async function recordLoginFailure(keys, { email, ip }) {
+  const lockouts = await loginThrottle.recordFailure(keys);
+  for (const lock of lockouts) {
+    const type = lock.key.startsWith('ip:') ? 'ip' : 'account';
+    console.warn(`Login lockout (${type}) for ${lock.key} until ${lock.lockedUntil.toISOString()}`);
+    await LockoutEvent.create({ key: lock.key, type, email, ip, failures: lock.failures, lockedUntil: lock.lockedUntil });
+  }
+}
+
 // Login -> returns JWT
 app.post('/api/auth/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ message: 'email and password required' });
 
-    const user = await AdminUser.findOne({ email: email.toLowerCase().trim() });
-    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+    const normalizedEmail = email.toLowerCase().trim();
+    const throttleKeys = [`ip:${req.ip}`, `account:${normalizedEmail}`];
+    const gate = await loginThrottle.check(throttleKeys);
+    if (!gate.allowed) {
+      const retryAfter = Math.ceil(gate.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: gate.reason === 'locked'
+          ? `Too many failed login attempts. Try again in ${humanizeWait(gate.retryAfterMs)}.`
+          : `Please wait ${humanizeWait(gate.retryAfterMs)} before trying again.`,
+        reason: gate.reason,
+        retryAfter,
+      });
+    }
+
+    const user = await AdminUser.findOne({ email: normalizedEmail });
+    const ok = user ? await bcrypt.compare(password, user.passwordHash) : false;
+    if (!ok) {
+      await recordLoginFailure(throttleKeys, { email: normalizedEmail, ip: req.ip });
+      await recordAudit(req, { action: 'auth.login_failed', user: { email: normalizedEmail }, target: { type: 'user', label: normalizedEmail } });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    await loginThrottle.recordSuccess([`account:${normalizedEmail}`]);
+    if (user.disabled) return res.status(403).json({ message: 'This account has been disabled' });
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
+    user.lastLoginAt = new Date();
+    await user.save();
+    await recordAudit(req, { action: 'auth.login', user, target: { type: 'user', id: String(user._id), label: user.email } });
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: '12h' });
-    const safeUser = { id: user._id, email: user.email, role: user.role };
-    res.json({ token, user: safeUser });
+    const { token, refreshToken } = await issueSession(user, req);
+    const safeUser = toSafeUser(user);
+    res.json({ token, refreshToken, user: safeUser });
   } catch (err) {
     console.error('Login error', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// Optional: get current user (requires auth)
-app.get('/api/auth/me', adminAuth, async (req, res) => {
+// Exchange a refresh token for a new access token + refresh token (rotation)
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    // req.user is set by authMiddleware
-    res.json({ user: req.user });
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'refreshToken required' });
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await AuthSession.findOne({ refreshTokenHash: tokenHash });
+    if (!session) {
+      const reused = await AuthSession.findOne({ previousTokenHashes: tokenHash });
+      if (reused && !reused.revokedAt) {
+        const latestPrevious = reused.previousTokenHashes[reused.previousTokenHashes.length - 1];
+        if (latestPrevious === tokenHash && reused.rotatedAt && Date.now() - reused.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+          return res.status(409).json({ message: 'Refresh token was just rotated; use the latest one' });
+        }
+        reused.revokedAt = new Date();
+        reused.revokeReason = 'refresh token reuse';
+        await reused.save();
+        console.warn('Refresh token reuse detected, session revoked:', reused._id);
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Session expired or signed out' });
+    }
+
+    const user = await AdminUser.findById(session.user);
+    if (!user || user.disabled) {
+      await revokeSessions({ _id: session._id }, 'user unavailable');
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+    session.previousTokenHashes = [...session.previousTokenHashes, tokenHash].slice(-20);
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshExpiry();
+    await session.save();
+
+    res.json({ token: signAccessToken(user, session._id), refreshToken: nextRefreshToken, user: toSafeUser(user) });
   } catch (err) {
+    console.error('Refresh error', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// --- Content routes ---
-
-// GET public: list all years (summary)
-app.get('/api/content', async (req, res) => {
+// Logout: revoke this device's session (works with an expired access token too)
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const docs = await Content.find({}, { year: 1, createdAt: 1, updatedAt: 1 }).sort({ year: -1 });
-    res.json(docs);
+    const { refreshToken } = req.body || {};
+    let sessionId = null;
+    let actor = {};
+    const authHeader = req.header('authorization');
+    if (authHeader && authHeader.toLowerCase().startsWith('bearer ')) {
+      try {
+        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { ignoreExpiration: true });
+        sessionId = decoded && decoded.sid;
+        actor = { id: decoded.id, email: decoded.email, role: decoded.role };
+      } catch (e) {}
+    }
+
+    if (sessionId && mongoose.isValidObjectId(sessionId)) {
+      await revokeSessions({ _id: sessionId }, 'logout');
+    } else if (refreshToken) {
+      await revokeSessions({ refreshTokenHash: hashToken(refreshToken) }, 'logout');
+    }
+    await recordAudit(req, { action: 'auth.logout', user: actor, target: { type: 'session', id: sessionId ? String(sessionId) : undefined } });
+    res.json({ message: 'Logged out' });
   } catch (err) {
+    console.error('Logout error', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// GET content by year (public)
-app.get('/api/content/:year', async (req, res) => {
+// Sign out all devices for the current user
+app.post('/api/auth/logout-all', adminAuth, async (req, res) => {
   try {
-    const year = Number(req.params.year);
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const doc = await Content.findOne({ year });
-    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
-    res.json(doc);
+    if (!req.user._id) return res.status(400).json({ message: 'Requires logging in with a user account' });
+    const result = await revokeSessions({ user: req.user._id }, 'logout all');
+    await recordAudit(req, { action: 'auth.logout_all', target: { type: 'user', id: String(req.user._id), label: req.user.email }, after: { revoked: result.modifiedCount } });
+    res.json({ message: 'Signed out of all devices', revoked: result.modifiedCount });
   } catch (err) {
+    console.error('Logout-all error', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// POST create content for a year (admin)
-app.post('/api/content/:year', adminAuth, async (req, res) => {
+// Active sessions for the current user
+app.get('/api/auth/sessions', adminAuth, async (req, res) => {
   try {
-    const year = Number(req.params.year);
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const exists = await Content.findOne({ year });
-    if (exists) return res.status(400).json({ message: `Content for ${year} already exists` });
-    const doc = new Content({ year, photos: [], awards: [], partners: [] });
-    await doc.save();
-    res.status(201).json(doc);
+    if (!req.user._id) return res.json([]);
+    const sessions = await AuthSession.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+    res.json(sessions.map(s => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: req.sessionId && String(req.sessionId) === String(s._id),
+    })));
   } catch (err) {
-    if (err.code === 11000) return res.status(400).json({ message: 'Content for this year already exists' });
     res.status(500).json({ message: err.message });
   }
 });
 
-// PUT update video link for a year (admin)
-app.put('/api/content/:year/video', adminAuth, async (req, res) => {
+// Optional: get current user (requires auth)
+app.get('/api/auth/me', adminAuth, async (req, res) => {
   try {
-    const year = Number(req.params.year);
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const { videoLink } = req.body;
-    if (!videoLink) return res.status(400).json({ message: 'videoLink is required' });
-    const embed = toYouTubeEmbed(videoLink);
-    const doc = await getOrCreateContentByYear(year);
-    doc.videoLink = embed;
-    await doc.save();
-    res.json(doc);
+    // req.user is set by authMiddleware
+    res.json({ user: toSafeUser(req.user) });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Optional: upload an actual video file and save url (admin)
-app.post('/api/content/:year/video-file', adminAuth, uploadVideo.single('video'), async (req, res) => {
+// Change own password (requires auth with a real user account)
+app.put('/api/auth/password', adminAuth, async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ message: 'video file required' });
-    const year = Number(req.params.year);
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const doc = await getOrCreateContentByYear(year);
-    doc.videoLink = req.file.path;
-    await doc.save();
-    res.json(doc);
+    if (!req.user._id) return res.status(400).json({ message: 'Password change requires logging in with a user account' });
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) return res.status(400).json({ message: 'currentPassword and newPassword required' });
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await AdminUser.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const ok = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!ok) return res.status(400).json({ message: 'Current password is incorrect' });
+
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+    // keep this device signed in, sign out every other one
+    await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } }, 'password changed');
+    await recordAudit(req, { action: 'auth.password_change', target: { type: 'user', id: String(user._id), label: user.email } });
+    res.json({ message: 'Password changed' });
   } catch (err) {
+    console.error('Change password error', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// TEMP: memory-storage test route — use this to test uploads without Cloudinary
-const uploadMemory = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+// --- User management routes (admin) ---
 
-app.post('/api/content/:year/photos/test', adminAuth, uploadMemory.array('photos', 10), async (req, res) => {
+// Recent lockout events plus the keys that are locked right now
+app.get('/api/auth/lockouts', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const [events, active] = await Promise.all([
+      LockoutEvent.find({}).sort({ createdAt: -1 }).limit(limit),
+      loginThrottle.activeLocks(),
+    ]);
+    res.json({ events, active });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Lift a lock early (key is e.g. "account:someone@example.com" or "ip:1.2.3.4")
+app.post('/api/auth/lockouts/unlock', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!key) return res.status(400).json({ message: 'key required' });
+    await loginThrottle.reset([key]);
+    await recordAudit(req, { action: 'auth.unlock', target: { type: 'lockout', id: key, label: key } });
+    res.json({ message: `Unlocked ${key}` });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// List all admin-panel users
+app.get('/api/users', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await AdminUser.find({}).select('-passwordHash').sort({ createdAt: 1 });
+    res.json(users.map(toSafeUser));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Invite/create a user; without a password a temporary one is generated and returned once
+app.post('/api/users', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+    let { password } = req.body;
+    if (!email) return res.status(400).json({ message: 'email required' });
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `role must be one of ${ROLES.join(', ')}` });
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existing = await AdminUser.findOne({ email: normalizedEmail });
+    if (existing) return res.status(400).json({ message: 'User already exists' });
+
+    const temporaryPassword = password ? undefined : crypto.randomBytes(9).toString('base64url');
+    password = password || temporaryPassword;
+
+    const user = new AdminUser({ email: normalizedEmail, passwordHash: await hashPassword(password), role });
+    await user.save();
+    await recordAudit(req, { action: 'user.create', target: { type: 'user', id: String(user._id), label: user.email }, after: { role: user.role } });
+    res.status(201).json({ user: toSafeUser(user), temporaryPassword, message: 'User created' });
+  } catch (err) {
+    console.error('Create user error', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Change a user's role and/or disabled flag
+app.put('/api/users/:id', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role, disabled } = req.body;
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of ${ROLES.join(', ')}` });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' });
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (req.user._id && String(req.user._id) === String(user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role or disable yourself' });
+    }
+
+    const demoting = role !== undefined && role !== 'admin';
+    const disabling = disabled === true;
+    if ((demoting || disabling) && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote or disable the last active admin' });
+    }
+
+    const before = { role: user.role, disabled: user.disabled };
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) user.disabled = !!disabled;
+    await user.save();
+    if (user.disabled) await revokeSessions({ user: user._id }, 'user disabled');
+    await recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'user', id: String(user._id), label: user.email },
+      before,
+      after: { role: user.role, disabled: user.disabled },
+    });
+    res.json({ user: toSafeUser(user) });
+  } catch (err) {
+    console.error('Update user error', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Delete a user
+app.delete('/api/users/:id', adminAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' });
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (req.user._id && String(req.user._id) === String(user._id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last active admin' });
+    }
+
+    await user.deleteOne();
+    await revokeSessions({ user: user._id }, 'user deleted');
+    await recordAudit(req, { action: 'user.delete', target: { type: 'user', id: String(user._id), label: user.email }, before: { role: user.role } });
+    res.json({ message: 'User deleted', id: user._id });
+  } catch (err) {
+    console.error('Delete user error', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// --- Content routes ---
+
+// GET public: list all published years with summary counts
+app.get('/api/content', async (req, res) => {
+  try {
+    await sendCached(req, res, publicCache, '/api/content', async () => {
+      const now = new Date();
+      const [docs, scheduled] = await Promise.all([
+        Content.aggregate([
+          { $match: { published: { $ne: null }, $or: [{ publishAt: null }, { publishAt: { $lte: now } }] } },
+          { $project: publicSummaryStage(now) },
+          { $sort: { year: -1 } },
+        ]),
+        Content.find({ published: { $ne: null } }, { publishAt: 1, 'published.awards.publishAt': 1 }).lean(),
+      ]);
+      const updated = docs.map(d => new Date(d.updatedAt).getTime()).filter(Boolean);
+      return {
+        body: docs,
+        lastModified: updated.length ? new Date(Math.max(...updated)) : null,
+        expiresAt: nextScheduledChange(scheduled, now),
+      };
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET content by year (public): the published copy. Supports ?fields=, ?album= and photo paging (see shapePublicContent)
+app.get('/api/content/:year', async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const key = cacheKey(`/api/content/${year}`, req.query, ['fields', 'album', 'limit', 'cursor', 'page']);
+    await sendCached(req, res, publicCache, key, async () => {
+      const doc = await Content.findOne({ year }, { year: 1, published: 1, publishAt: 1, publishedAt: 1, createdAt: 1, updatedAt: 1 }).lean();
+      // a year scheduled for later is a 404 until its publishAt, so that time ends the cache entry too
+      const expiresAt = doc ? nextScheduledChange([doc]) : null;
+      const content = publicContent(doc);
+      if (!content) return { status: 404, body: { message: `Content for ${year} not found` }, expiresAt };
+      const shaped = shapePublicContent(content, req.query);
+      const fields = requestedFields(req.query);
+      if (fields.includes('films')) shaped.films = await linkedFilms(content);
+      if (fields.includes('people')) shaped.people = await yearPeople(year, content);
+      return { body: shaped, lastModified: doc.updatedAt, expiresAt };
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET all years including unpublished ones (admin)
+app.get('/api/admin/content', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    const docs = await Content.find({}, { year: 1, createdAt: 1, updatedAt: 1, publishedAt: 1, publishAt: 1 }).sort({ year: -1 });
+    res.json(docs);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET the draft (working copy) of a year (admin)
+app.get('/api/content/:year/draft', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET what publishing the draft would change (admin)
+app.get('/api/content/:year/publish', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    res.json({ published: !!doc.published, publishedAt: doc.publishedAt, publishedBy: doc.publishedBy, publishAt: doc.publishAt, changes: diffPublished(doc) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST publish the draft: it becomes what the public routes serve (admin)
+app.post('/api/content/:year/publish', adminAuth, requirePermission('content:publish'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const changes = diffPublished(doc);
+    doc.published = publishedSnapshot(doc);
+    doc.publishedAt = new Date();
+    doc.publishedBy = { id: req.user._id, email: req.user.email };
+    doc.markModified('published');
+    await doc.save();
+    await recordAudit(req, { action: 'content.publish', year, target: { type: 'year', id: String(year) }, after: { changes: changes.length } });
+    res.json(doc);
+  } catch (err) {
+    console.error('Publish error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The old all-years reset is gone; see POST /api/content/:year/reset/request
+app.post('/api/content/reset', (req, res) => {
+  res.status(410).json({ message: 'Resetting all years is no longer supported. Reset one year with POST /api/content/:year/reset/request, then POST /api/content/:year/reset.' });
+});
+
+// POST create content for a year (admin)
+app.post('/api/content/:year', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const exists = await Content.findOne({ year });
+    if (exists) return res.status(400).json({ message: `Content for ${year} already exists` });
+    const doc = new Content({ year, photos: [], awards: [], partners: [] });
+    await doc.save();
+    await recordAudit(req, { action: 'year.create', year, target: { type: 'year', id: String(year) } });
+    res.status(201).json(doc);
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ message: 'Content for this year already exists' });
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT update video link for a year (admin)
+app.put('/api/content/:year/video', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { videoLink } = req.body;
+    if (!videoLink) return res.status(400).json({ message: 'videoLink is required' });
+    let source;
+    try {
+      source = parseVideoUrl(videoLink);
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ message: err.message, code: err.code });
+      throw err;
+    }
+    const doc = await getOrCreateContentByYear(year);
+    const before = doc.videoLink;
+    setPrimaryVideo(doc, source);
+    await doc.save();
+    await recordAudit(req, { action: 'video.update', year, target: { type: 'video', label: source.url }, before: { videoLink: before }, after: { videoLink: source.url } });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Optional: upload an actual video file and save url (admin)
+app.post('/api/content/:year/video-file', adminAuth, requirePermission('content:write'), uploadVideo.single('video'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'video file required' });
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    try {
+      await validateVideo(req.file);
+    } catch (err) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      if (err.status === 400) return res.status(400).json({ message: `${req.file.originalname}: ${err.message}`, code: err.code });
+      throw err;
+    }
+    const stored = await storeFile(req.file, { folder: 'events/videos', resourceType: 'video' });
+    res.json(await setUploadedVideo(req, year, stored, { title: req.file.originalname }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Put an uploaded video file into the year -> the Content doc. With `append` it is added to
+// the year's videos, otherwise it replaces the first one (the legacy single-video routes).
+async function setUploadedVideo(req, year, stored, { title, type, append = false }) {
+  const doc = await getOrCreateContentByYear(year);
+  const video = { title: title || '', type: VIDEO_TYPES.includes(type) ? type : 'highlight', url: stored.url, provider: 'file', public_id: stored.public_id };
+  if (append) {
+    doc.videos.push(video);
+    syncVideoLink(doc);
+  } else {
+    setPrimaryVideo(doc, video);
+  }
+  await doc.save();
+  await recordAudit(req, {
+    action: 'video.upload',
+    year,
+    target: { type: 'video', id: stored.public_id, label: title },
+    after: summarizeVideo(append ? doc.videos[doc.videos.length - 1] : doc.videos[0]),
+  });
+  return doc;
+}
+
+// ---------- resumable video upload ----------
+// POST   /api/content/:year/video-uploads               { filename, size, mimetype, fingerprint, title, type } -> session (an unfinished one is resumed)
+// GET    /api/content/:year/video-uploads/:id           -> session with `received` bytes
+// PUT    /api/content/:year/video-uploads/:id           raw chunk, Upload-Offset header = bytes already received
+// POST   /api/content/:year/video-uploads/:id/complete  -> Content doc with the video added
+// DELETE /api/content/:year/video-uploads/:id           abort
+const chunkStore = createChunkStore();
+const VIDEO_CHUNK_BYTES = (Number(process.env.VIDEO_CHUNK_MB) || 5) * 1024 * 1024;
+const VIDEO_UPLOAD_TTL_HOURS = Number(process.env.VIDEO_UPLOAD_TTL_HOURS) || 24;
+const rawChunk = express.raw({ type: 'application/octet-stream', limit: VIDEO_CHUNK_BYTES });
+
+async function uploadSessionJson(session) {
+  return {
+    id: session._id,
+    year: session.year,
+    filename: session.filename,
+    size: session.size,
+    received: await chunkStore.received(session._id),
+    chunkSize: VIDEO_CHUNK_BYTES,
+    expiresAt: session.expiresAt,
+  };
+}
+
+// the session of this year from the URL, or a 404 response
+async function findUploadSession(req, res) {
+  const year = Number(req.params.year);
+  // only the uploader's own sessions, and not once they have expired (the hourly purge may not have run yet)
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await VideoUpload.findOne({ _id: req.params.id, year, 'createdBy.id': req.user._id, expiresAt: { $gt: new Date() } })
+    : null;
+  if (!session) res.status(404).json({ message: 'Upload not found (it may have expired); start it again' });
+  return session;
+}
+
+app.post('/api/content/:year/video-uploads', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { filename, mimetype, fingerprint, title, type } = req.body || {};
+    const size = Number(req.body && req.body.size);
+    if (!filename || !(size > 0)) return res.status(400).json({ message: 'filename and size required' });
+    if (size > UPLOAD_LIMITS.videoBytes) {
+      return res.status(400).json({ message: `${filename}: file is larger than the ${Math.round(UPLOAD_LIMITS.videoBytes / 1024 / 1024)} MB limit`, code: 'size' });
+    }
+
+    let session = fingerprint
+      ? await VideoUpload.findOne({ year, fingerprint, 'createdBy.id': req.user._id, expiresAt: { $gt: new Date() } })
+      : null;
+    if (!session) {
+      session = await VideoUpload.create({
+        year,
+        filename,
+        mimetype,
+        size,
+        fingerprint,
+        title: (title || '').trim() || filename,
+        type,
+        createdBy: { id: req.user._id, email: req.user.email },
+        expiresAt: new Date(Date.now() + VIDEO_UPLOAD_TTL_HOURS * 60 * 60 * 1000),
+      });
+    }
+    res.status(201).json(await uploadSessionJson(session));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+app.get('/api/content/:year/video-uploads/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (session) res.json(await uploadSessionJson(session));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+app.put('/api/content/:year/video-uploads/:id', adminAuth, requirePermission('content:write'), rawChunk, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ message: 'Send the chunk as application/octet-stream' });
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ message: 'Upload-Offset header required' });
+    if (offset + req.body.length > session.size) return res.status(400).json({ message: 'Chunk goes past the end of the file' });
+
+    let received;
+    try {
+      received = await chunkStore.append(session._id, offset, req.body);
+    } catch (err) {
+      if (err.status === 409) return res.status(409).json({ message: err.message, received: err.received });
+      throw err;
+    }
+
+    // the first chunk shows whether this is a video at all; no need to wait for the rest
+    if (offset === 0) {
+      try {
+        await validateVideo({ path: chunkStore.pathFor(session._id), size: session.size, mimetype: session.mimetype });
+      } catch (err) {
+        if (err.status !== 400) throw err;
+        await chunkStore.remove(session._id);
+        await session.deleteOne();
+        return res.status(400).json({ message: `${session.filename}: ${err.message}`, code: err.code });
+      }
+    }
+    res.json({ received, size: session.size });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+app.post('/api/content/:year/video-uploads/:id/complete', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+    const received = await chunkStore.received(session._id);
+    if (received !== session.size) {
+      return res.status(409).json({ message: `Upload incomplete: ${received} of ${session.size} bytes received`, received });
+    }
+
+    const file = { path: chunkStore.pathFor(session._id), size: received, mimetype: session.mimetype, originalname: session.filename };
+    try {
+      await validateVideo(file);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      await chunkStore.remove(session._id);
+      await session.deleteOne();
+      return res.status(400).json({ message: `${session.filename}: ${err.message}`, code: err.code });
+    }
+    // the assembled file stays until the storage driver has it: if the upload fails, `complete` can be sent again
+    let stored;
+    try {
+      stored = await storeFile(file, { folder: 'events/videos', resourceType: 'video', keepFile: true });
+    } catch (err) {
+      return res.status(502).json({ message: `${session.filename}: storing the video failed (${err.message}); try completing the upload again`, received });
+    }
+    await chunkStore.remove(session._id);
+    await session.deleteOne();
+    res.json(await setUploadedVideo(req, session.year, stored, { title: session.title, type: session.type, append: true }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+app.delete('/api/content/:year/video-uploads/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+    await chunkStore.remove(session._id);
+    await session.deleteOne();
+    res.json({ message: 'Upload cancelled' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Discard unfinished video uploads past their expiry
+async function purgeExpiredUploads() {
+  try {
+    const expired = await VideoUpload.find({ expiresAt: { $lte: new Date() } });
+    for (const session of expired) {
+      await chunkStore.remove(session._id);
+      await session.deleteOne();
+    }
+    if (expired.length) console.log(`Video uploads: discarded ${expired.length} unfinished upload(s)`);
+  } catch (err) {
+    console.error('Video upload purge failed', err);
+  }
+}
+
+// TEMP: memory-storage test route — use this to test uploads without touching storage
+const uploadMemory = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+app.post('/api/content/:year/photos/test', adminAuth, requirePermission('content:write'), uploadMemory.array('photos', 10), async (req, res) => {
   try {
     console.log('--- TEST upload memory route ---');
     console.log('req.body:', req.body);
@@ -446,12 +1838,12 @@ app.post('/api/content/:year/photos/test', adminAuth, uploadMemory.array('photos
 
 
 // Upload photos for a year (admin)
-app.post('/api/content/:year/photos', adminAuth, uploadImages.array('photos', 50), async (req, res) => {
+app.post('/api/content/:year/photos', adminAuth, requirePermission('content:write'), uploadImages.array('photos', 50), async (req, res) => {
   try {
     console.log('--- photos route hit ---');
     console.log('req.body:', req.body);
     console.log('req.files (count):', Array.isArray(req.files) ? req.files.length : typeof req.files);
-    console.log('req.files sample:', (req.files || []).map(f => ({ originalname: f.originalname, path: f.path, filename: f.filename || f.public_id, size: f.size })));
+    console.log('req.files sample:', (req.files || []).map(f => ({ originalname: f.originalname, size: f.size, mimetype: f.mimetype })));
 
     const year = Number(req.params.year);
     if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
@@ -461,12 +1853,39 @@ app.post('/api/content/:year/photos', adminAuth, uploadImages.array('photos', 50
       return res.status(400).json({ message: 'No files uploaded (check field name & Content-Type)' });
     }
 
+    // per-file captions / alt texts, in file order; `caption` alone still applies to the whole batch
+    const captions = perFileValues(req.body.captions);
+    const alts = perFileValues(req.body.alts);
+
     const doc = await getOrCreateContentByYear(year);
-    for (const f of files) {
-      doc.photos.push({ url: f.path, public_id: f.filename || f.public_id, caption: req.body.caption || '' });
+    const album = req.body.album && mongoose.isValidObjectId(req.body.album) ? doc.albums.id(req.body.album) : null;
+    if (req.body.album && !album) return res.status(400).json({ message: 'Album not found' });
+
+    // rejected files are reported per file; the others are still uploaded
+    const existing = new Map(doc.photos.filter(p => p.contentHash).map(p => [p.contentHash, p.caption ? `"${p.caption}"` : 'a photo of this year']));
+    const { accepted, rejected } = await screenImages(files, { existing });
+    if (!accepted.length) return res.status(400).json({ message: 'None of the photos could be uploaded', rejected });
+
+    const added = [];
+    for (const { index: i, file: f, contentHash } of accepted) {
+      const stored = await storeImage(f, { folder: imageFolderFor(req) });
+      const photo = {
+        ...imageFields({ ...stored, contentHash }),
+        caption: (captions ? captions[i] : req.body.caption) || '',
+        alt: (alts && alts[i]) || '',
+        album: album ? album._id : null,
+      };
+      doc.photos.push(photo);
+      added.push(photo);
     }
     await doc.save();
-    res.json(doc);
+    await recordAudit(req, {
+      action: 'photo.upload',
+      year,
+      target: { type: 'photo', id: added.map(p => p.public_id).join(','), label: `${added.length} photo(s)` },
+      after: added.map(summarizeImage),
+    });
+    res.json({ ...doc.toJSON(), rejected });
   } catch (err) {
     console.error('Photos upload error:', err);
     res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
@@ -474,14 +1893,341 @@ app.post('/api/content/:year/photos', adminAuth, uploadImages.array('photos', 50
 });
 
 
-// ---------- helper: robust public_id extraction ----------
-function extractPublicId(maybeIdOrUrl) {
-  if (!maybeIdOrUrl) return null;
-  // if the value looks like a direct public_id already
-  if (!maybeIdOrUrl.startsWith('http') && !maybeIdOrUrl.includes('/')) {
-    return maybeIdOrUrl;
+// PUT new photo order: { order: [public_id, ...] }. Photos missing from the list keep their
+// relative order after the listed ones, so a stale client can't drop photos.
+app.put('/api/content/:year/photos/order', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { order } = req.body;
+    if (!Array.isArray(order)) return res.status(400).json({ message: 'order must be an array of public_ids' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    const before = doc.photos.map(p => p.public_id);
+    const rank = new Map(order.map((id, i) => [id, i]));
+    const listed = doc.photos.filter(p => rank.has(p.public_id)).sort((a, b) => rank.get(a.public_id) - rank.get(b.public_id));
+    const rest = doc.photos.filter(p => !rank.has(p.public_id));
+    doc.photos = [...listed, ...rest];
+    await doc.save();
+    await recordAudit(req, { action: 'photo.reorder', year, target: { type: 'photo', label: `${doc.photos.length} photo(s)` }, before, after: doc.photos.map(p => p.public_id) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-  // If it contains cloudinary path, try to extract the part after '/upload/' (or '/uploaded/')
+});
+
+// PUT move photos into an album: { publicIds: [...], album: albumId | null }
+app.put('/api/content/:year/photos/album', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { publicIds } = req.body;
+    if (!Array.isArray(publicIds) || !publicIds.length) return res.status(400).json({ message: 'publicIds required' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const album = req.body.album && mongoose.isValidObjectId(req.body.album) ? doc.albums.id(req.body.album) : null;
+    if (req.body.album && !album) return res.status(404).json({ message: 'Album not found' });
+
+    const moved = doc.photos.filter(p => publicIds.includes(p.public_id));
+    moved.forEach(p => { p.album = album ? album._id : null; });
+    // a photo that leaves an album can't stay its cover
+    doc.albums.forEach(a => {
+      const cover = a.cover && doc.photos.find(p => String(p._id) === String(a.cover));
+      if (cover && String(cover.album) !== String(a._id)) a.cover = null;
+    });
+    await doc.save();
+    await recordAudit(req, {
+      action: 'photo.album',
+      year,
+      target: { type: 'album', id: album ? String(album._id) : undefined, label: album ? album.name : 'no album' },
+      after: { photos: moved.map(p => p.public_id) },
+    });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT caption / alt text of one photo: { caption, alt }
+app.put('/api/content/:year/photos/:public_id(*)', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    const photo = doc.photos.find(p => p.public_id === req.params.public_id);
+    if (!photo) return res.status(404).json({ message: 'Photo not found' });
+
+    const before = summarizeImage(photo);
+    if (typeof req.body.caption === 'string') photo.caption = req.body.caption.trim();
+    if (typeof req.body.alt === 'string') photo.alt = req.body.alt.trim();
+    await doc.save();
+    await recordAudit(req, { action: 'photo.update', year, target: { type: 'photo', id: photo.public_id, label: photo.caption }, before, after: summarizeImage(photo) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// --- Videos ---
+
+// title / type / url of a video from a request body; { error } when invalid
+function videoDetails(body, { partial = false } = {}) {
+  const details = {};
+  if (typeof body.title === 'string') details.title = body.title.trim();
+  if (body.type !== undefined) {
+    if (!VIDEO_TYPES.includes(body.type)) return { error: `type must be one of ${VIDEO_TYPES.join(', ')}` };
+    details.type = body.type;
+  }
+  if (body.url !== undefined || !partial) {
+    try {
+      Object.assign(details, parseVideoUrl(body.url));
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return { error: err.message };
+    }
+  }
+  return { details };
+}
+
+// a custom thumbnail uploaded as `thumbnail` -> image fields, or { error }
+async function uploadedThumbnail(req) {
+  if (!req.file) return {};
+  const { accepted, rejected } = await screenImages([req.file]);
+  if (!accepted.length) return { error: `${req.file.originalname}: ${rejected[0].message}` };
+  const stored = await storeImage(req.file, { folder: 'events/videos/thumbnails' });
+  return { thumbnail: imageFields({ ...stored, contentHash: accepted[0].contentHash }) };
+}
+
+// POST add a video by url: { url, title, type } (+ optional `thumbnail` image file)
+app.post('/api/content/:year/videos', adminAuth, requirePermission('content:write'), uploadImages.single('thumbnail'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { details, error } = videoDetails(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const { thumbnail, error: thumbError } = await uploadedThumbnail(req);
+    if (thumbError) return res.status(400).json({ message: thumbError });
+
+    const doc = await getOrCreateContentByYear(year);
+    doc.videos.push({ ...details, thumbnail });
+    syncVideoLink(doc);
+    await doc.save();
+    const video = doc.videos[doc.videos.length - 1];
+    await recordAudit(req, { action: 'video.create', year, target: { type: 'video', id: String(video._id), label: video.title || video.url }, after: summarizeVideo(video) });
+    res.status(201).json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT video order: { order: [videoId, ...] }
+app.put('/api/content/:year/videos/order', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { order } = req.body;
+    if (!Array.isArray(order)) return res.status(400).json({ message: 'order must be an array of video ids' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const rank = new Map(order.map((id, i) => [String(id), i]));
+    const listed = doc.videos.filter(v => rank.has(String(v._id))).sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)));
+    doc.videos = [...listed, ...doc.videos.filter(v => !rank.has(String(v._id)))];
+    syncVideoLink(doc);
+    await doc.save();
+    await recordAudit(req, { action: 'video.reorder', year, target: { type: 'video', label: `${doc.videos.length} video(s)` }, after: doc.videos.map(v => v.title || v.url) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT video details: { title, type, url, removeThumbnail } (+ optional new `thumbnail` image file)
+app.put('/api/content/:year/videos/:videoId', adminAuth, requirePermission('content:write'), uploadImages.single('thumbnail'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const video = mongoose.isValidObjectId(req.params.videoId) && doc.videos.id(req.params.videoId);
+    if (!video) return res.status(404).json({ message: 'Video not found' });
+
+    // an uploaded file keeps its url: replacing it means uploading a new video
+    const { url, ...body } = req.body;
+    if (video.provider === 'file' && url !== undefined && url !== video.url) {
+      return res.status(400).json({ message: 'The url of an uploaded video file cannot be changed' });
+    }
+    const { details, error } = videoDetails(video.provider === 'file' ? body : req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    const { thumbnail, error: thumbError } = await uploadedThumbnail(req);
+    if (thumbError) return res.status(400).json({ message: thumbError });
+
+    const before = summarizeVideo(video);
+    video.set(details);
+    if (thumbnail) video.thumbnail = thumbnail;
+    else if (['true', true].includes(req.body.removeThumbnail)) video.thumbnail = undefined;
+    syncVideoLink(doc);
+    await doc.save();
+    await recordAudit(req, { action: 'video.update', year, target: { type: 'video', id: String(video._id), label: video.title || video.url }, before, after: summarizeVideo(video) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE a video: moved to the trash with its file and thumbnail
+app.delete('/api/content/:year/videos/:videoId', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const video = mongoose.isValidObjectId(req.params.videoId) && doc.videos.id(req.params.videoId);
+    if (!video) return res.status(404).json({ message: 'Video not found' });
+
+    const position = doc.videos.indexOf(video);
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'video',
+      label: video.title || video.url,
+      data: video,
+      position,
+      assets: [
+        video.public_id ? { public_id: video.public_id, url: video.url, resourceType: 'video' } : null,
+        video.thumbnail && video.thumbnail.public_id ? video.thumbnail : null,
+      ],
+    });
+    doc.videos.pull(video._id);
+    syncVideoLink(doc);
+    await doc.save();
+    await recordAudit(req, { action: 'video.delete', year, target: { type: 'video', id: String(video._id), label: video.title || video.url }, before: summarizeVideo(video), after: { trashId: String(trashed._id) } });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// --- Albums ---
+
+// POST create an album: { name, description, film: film _id (optional) }
+app.post('/api/content/:year/albums', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const name = (req.body.name || '').trim();
+    if (!name) return res.status(400).json({ message: 'Album name required' });
+
+    const doc = await getOrCreateContentByYear(year);
+    if (doc.albums.some(a => a.name.toLowerCase() === name.toLowerCase())) {
+      return res.status(400).json({ message: `An album named "${name}" already exists` });
+    }
+    const { id: film, error } = req.body.film ? await directoryReference(Film, req.body.film) : { id: null };
+    if (error) return res.status(400).json({ message: error });
+    doc.albums.push({ name, description: (req.body.description || '').trim(), film });
+    await doc.save();
+    const album = doc.albums[doc.albums.length - 1];
+    await recordAudit(req, { action: 'album.create', year, target: { type: 'album', id: String(album._id), label: name }, after: summarizeAlbum(album) });
+    res.status(201).json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT album order: { order: [albumId, ...] }
+app.put('/api/content/:year/albums/order', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { order } = req.body;
+    if (!Array.isArray(order)) return res.status(400).json({ message: 'order must be an array of album ids' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const rank = new Map(order.map((id, i) => [String(id), i]));
+    const listed = doc.albums.filter(a => rank.has(String(a._id))).sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)));
+    doc.albums = [...listed, ...doc.albums.filter(a => !rank.has(String(a._id)))];
+    await doc.save();
+    await recordAudit(req, { action: 'album.reorder', year, target: { type: 'album', label: `${doc.albums.length} album(s)` }, after: doc.albums.map(a => a.name) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT album details: { name, description, cover: photo _id | null, film: film _id | null }
+app.put('/api/content/:year/albums/:albumId', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const album = mongoose.isValidObjectId(req.params.albumId) && doc.albums.id(req.params.albumId);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+
+    const before = summarizeAlbum(album);
+    if (typeof req.body.name === 'string') {
+      const name = req.body.name.trim();
+      if (!name) return res.status(400).json({ message: 'Album name required' });
+      if (doc.albums.some(a => a !== album && a.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(400).json({ message: `An album named "${name}" already exists` });
+      }
+      album.name = name;
+    }
+    if (typeof req.body.description === 'string') album.description = req.body.description.trim();
+    if (req.body.cover !== undefined) {
+      const cover = req.body.cover && doc.photos.find(p => String(p._id) === String(req.body.cover));
+      if (req.body.cover && (!cover || String(cover.album) !== String(album._id))) {
+        return res.status(400).json({ message: 'The cover must be a photo in this album' });
+      }
+      album.cover = cover ? cover._id : null;
+    }
+    if (req.body.film !== undefined) {
+      const { id, error } = await directoryReference(Film, req.body.film);
+      if (error) return res.status(400).json({ message: error });
+      album.film = id;
+    }
+    await doc.save();
+    await recordAudit(req, { action: 'album.update', year, target: { type: 'album', id: String(album._id), label: album.name }, before, after: summarizeAlbum(album) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE an album; its photos stay in the year, just without an album
+app.delete('/api/content/:year/albums/:albumId', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const album = mongoose.isValidObjectId(req.params.albumId) && doc.albums.id(req.params.albumId);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+
+    const before = summarizeAlbum(album);
+    doc.photos.forEach(p => { if (String(p.album) === String(album._id)) p.album = null; });
+    doc.albums.pull(album._id);
+    await doc.save();
+    await recordAudit(req, { action: 'album.delete', year, target: { type: 'album', id: before.id, label: before.name }, before });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ---------- helper: robust public_id extraction ----------
+function extractPublicId(maybeIdOrUrl) {
+  if (!maybeIdOrUrl) return null;
+  // if the value looks like a direct public_id already
+  if (!maybeIdOrUrl.startsWith('http') && !maybeIdOrUrl.includes('/')) {
+    return maybeIdOrUrl;
+  }
+  // If it contains cloudinary path, try to extract the part after '/upload/' (or '/uploaded/')
   try {
     const u = new URL(maybeIdOrUrl);
     // path may include /<version>/folder/name.ext  -> we want folder/name (without extension & without version)
@@ -510,356 +2256,1953 @@ function extractPublicId(maybeIdOrUrl) {
   }
 }
 
-// ---------- improved delete photo ----------
-app.delete('/api/content/:year/photos/:public_id(*)', adminAuth, async (req, res) => {
+// ---------- trash helpers ----------
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// public_id candidates to try in storage for an image-ish object ({ public_id, filename, url })
+function assetCandidates(photo) {
+  const candidates = [];
+  if (!photo) return candidates;
+  if (photo.public_id) candidates.push(photo.public_id);
+  if (photo.filename) candidates.push(photo.filename);
+  if (photo.url) {
+    const derived = extractPublicId(photo.url);
+    if (derived) candidates.push(derived);
+  }
+  return [...new Set(candidates.filter(Boolean))];
+}
+
+// Destroy an asset in storage, trying each candidate id (errors are logged, not thrown)
+async function destroyAsset(asset) {
+  for (const c of assetCandidates(asset)) {
+    try {
+      console.log('Attempting storage destroy for:', c);
+      const r = await storage.destroy(c, { resourceType: asset.resourceType || 'image' });
+      console.log('Storage destroy result for', c, ':', r);
+    } catch (err) {
+      console.warn('Storage destroy threw for', c, err && err.message ? err.message : err);
+    }
+  }
+}
+
+// Store a removed item in the year's trash (the caller removes it from the Content doc)
+async function moveToTrash(req, { year, kind, label, data, linkedPhotos, position, assets }) {
+  const plain = (v) => (v && typeof v.toObject === 'function' ? v.toObject() : v);
+  return TrashItem.create({
+    year,
+    kind,
+    label,
+    data: plain(data),
+    linkedPhotos: linkedPhotos && linkedPhotos.length ? linkedPhotos.map(plain) : undefined,
+    position,
+    assets: assets.filter(Boolean).map(a => ({ public_id: a.public_id, url: a.url, resourceType: a.resourceType || 'image' })),
+    deletedBy: { id: req.user._id, email: req.user.email },
+    purgeAfter: new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+}
+
+// audit action recorded when a trash item of each kind is restored
+const RESTORE_ACTIONS = {
+  photo: 'photo.restore',
+  photos: 'photo.bulk_restore',
+  partner: 'partner.restore',
+  awardCategory: 'award.category.restore',
+  awardPlacement: 'award.placement.restore',
+  awardPhoto: 'award.photo.restore',
+  video: 'video.restore',
+};
+
+// Permanently delete a trash item and its storage assets -> true, or false when it was kept.
+// While the year's published copy still shows one of its assets (the delete has not been
+// published yet) the item stays, whole, and is looked at again a day later: it is the only
+// record of those files.
+async function purgeTrashItem(item) {
+  const doc = await Content.findOne({ year: item.year }, { published: 1 });
+  const live = JSON.stringify((doc && doc.published) || {});
+  const inUse = (item.assets || []).filter(asset => [asset.public_id, asset.url].some(ref => ref && live.includes(JSON.stringify(ref))));
+  if (inUse.length) {
+    console.log('Trash purge: keeping', item.label, '- published content still uses', inUse.map(a => a.public_id || a.url).join(', '));
+    await TrashItem.updateOne({ _id: item._id }, { $set: { purgeAfter: new Date(Date.now() + 24 * 60 * 60 * 1000) } });
+    return false;
+  }
+  for (const asset of item.assets || []) await destroyAsset(asset);
+  await TrashItem.deleteOne({ _id: item._id });
+  return true;
+}
+
+// Insert `item` back into arr at position (clamped), skipping it if an entry with its public_id is already there
+function reinsert(arr, item, position) {
+  if (item.public_id && arr.some(p => p.public_id === item.public_id)) return;
+  const at = Number.isInteger(position) ? Math.min(Math.max(position, 0), arr.length) : arr.length;
+  arr.splice(at, 0, item);
+}
+
+// Put a trash item back into its Content doc; throws an Error with a `status` when that is not possible
+function restoreTrashItem(doc, item) {
+  const data = item.data || {};
+  if (item.kind === 'photo') {
+    // the album may have been deleted while the photo was in the trash
+    if (data.album && !doc.albums.some(a => String(a._id) === String(data.album))) data.album = null;
+    reinsert(doc.photos, data, item.position);
+  } else if (item.kind === 'photos') {
+    // a bulk delete: lowest position first, so every photo lands where it was
+    for (const { photo, position } of [...(data.photos || [])].sort((a, b) => a.position - b.position)) {
+      if (photo.album && !doc.albums.some(a => String(a._id) === String(photo.album))) photo.album = null;
+      reinsert(doc.photos, photo, position);
+    }
+  } else if (item.kind === 'partner') {
+    reinsert(doc.partners, data, item.position);
+  } else if (item.kind === 'awardCategory') {
+    if (doc.awards.some(a => a.category === data.category)) {
+      throw Object.assign(new Error(`A category named "${data.category}" already exists; rename it first`), { status: 409 });
+    }
+    reinsert(doc.awards, upgradeLegacyCategory(data), item.position);
+  } else if (item.kind === 'awardPlacement') {
+    const cat = doc.awards.find(a => a.category === data.category);
+    if (!cat) throw Object.assign(new Error(`Award category ${data.category} no longer exists`), { status: 409 });
+    if (cat.placements.id(data.placement._id)) return;
+    reinsert(cat.placements, data.placement, item.position);
+  } else if (item.kind === 'awardPhoto') {
+    // items trashed before placements name the slot by role
+    const cat = doc.awards.find(a => a.category === data.category);
+    const placement = cat && findPlacement(cat, data.placementId || data.role);
+    const name = `${data.category} / ${data.label || data.role}`;
+    if (!placement) throw Object.assign(new Error(`Award placement ${name} no longer exists`), { status: 409 });
+    if (placement.photo && placement.photo.url) throw Object.assign(new Error(`Award placement ${name} already has a new photo`), { status: 409 });
+    placement.photo = data.photo;
+  } else if (item.kind === 'video') {
+    reinsert(doc.videos, data, item.position);
+    syncVideoLink(doc);
+  }
+  for (const p of item.linkedPhotos || []) reinsert(doc.photos, p);
+}
+
+// Purge everything whose retention period is over (runs hourly once the DB is up)
+async function purgeExpiredTrash() {
+  try {
+    const expired = await TrashItem.find({ purgeAfter: { $lte: new Date() } });
+    let purged = 0;
+    for (const item of expired) if (await purgeTrashItem(item)) purged += 1;
+    if (purged) console.log(`Trash: purged ${purged} expired item(s)`);
+  } catch (err) {
+    console.error('Trash purge failed', err);
+  }
+}
+
+// Destroy the storage assets of resets that asked for it, once their undo window is over
+async function purgeResetAssets() {
+  try {
+    const due = await ContentSnapshot.find({ purgeAssets: true, assetsPurgedAt: null, restoredAt: null, undoUntil: { $lte: new Date() } });
+    for (const snapshot of due) {
+      for (const asset of snapshot.assets || []) await destroyAsset(asset);
+      snapshot.assetsPurgedAt = new Date();
+      await snapshot.save();
+    }
+    if (due.length) console.log(`Reset: purged assets of ${due.length} snapshot(s)`);
+  } catch (err) {
+    console.error('Reset asset purge failed', err);
+  }
+}
+
+// ---------- improved delete photo ----------
+app.delete('/api/content/:year/photos/:public_id(*)', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    const public_id_param = req.params.public_id;
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    // find matching photo item (try exact public_id match first, then try matching by url)
+    const photo = doc.photos.find(p => (p.public_id && p.public_id === public_id_param) || (p.url && p.url.includes(public_id_param)));
+    if (!photo) {
+      // nothing to delete in storage, but keep DB consistent by removing any photo with that public_id field
+      doc.photos = doc.photos.filter(p => !(p.public_id === public_id_param || (p.url && p.url.includes(public_id_param))));
+      await doc.save();
+      return res.status(404).json({ message: 'Photo not found in DB; attempted to remove any partial matches' });
+    }
+
+    // move to trash; the storage asset is destroyed only when the trash item is purged
+    const candidate = photo.public_id || photo.filename || extractPublicId(photo.url) || public_id_param;
+    console.log('Trashing photo - db entry:', { candidate, photo });
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'photo',
+      label: photo.caption || candidate,
+      data: photo,
+      position: doc.photos.indexOf(photo),
+      assets: [photo],
+    });
+
+    // remove from DB
+    doc.photos = doc.photos.filter(p => !(p.public_id === photo.public_id && photo.public_id) && p !== photo);
+    // fallback: remove by url inclusion if public_id was not present
+    if (doc.photos.some(p => p === photo)) {
+      doc.photos = doc.photos.filter(p => !(p.url && photo.url && p.url === photo.url));
+    }
+
+    await doc.save();
+    await recordAudit(req, { action: 'photo.delete', year, target: { type: 'photo', id: candidate }, before: summarizeImage(photo), after: { trashId: String(trashed._id) } });
+    return res.json(doc);
+  } catch (err) {
+    console.error('Delete photo error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+  }
+});
+
+// POST { ids: [public_id, ...] } moves the selected photos to the trash together, as one item
+// (restored in one go). Ids that match no photo are returned as `missing`.
+app.post('/api/content/:year/photos/trash', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.filter(id => typeof id === 'string' && id))] : [];
+    if (!ids.length) return res.status(400).json({ message: 'ids required' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    const selected = doc.photos.filter(p => p.public_id && ids.includes(p.public_id));
+    const missing = ids.filter(id => !selected.some(p => p.public_id === id));
+    if (!selected.length) return res.status(404).json({ message: 'None of the selected photos were found', missing });
+
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'photos',
+      label: `${selected.length} photo(s)`,
+      data: { photos: selected.map(photo => ({ photo: photo.toObject(), position: doc.photos.indexOf(photo) })) },
+      assets: selected,
+    });
+    doc.photos = doc.photos.filter(p => !selected.includes(p));
+    await doc.save();
+    await recordAudit(req, {
+      action: 'photo.bulk_delete',
+      year,
+      target: { type: 'photo', label: `${selected.length} photo(s)` },
+      before: selected.map(summarizeImage),
+      after: { trashId: String(trashed._id) },
+    });
+    res.json({ ...doc.toJSON(), trashed: selected.length, missing });
+  } catch (err) {
+    console.error('Bulk delete photos error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Awards: add/update (admin)
+const AWARD_IMAGE_FIELDS = ['photo', 'poster'];
+const AWARD_TEXT_FIELDS = ['filmTitle', 'director', 'country', 'synopsis'];
+
+// film details of an award slot, from a form body or one slot of the bulk JSON -> { film } or { error }.
+// Only the fields that are present are returned; '' clears runtime / trailer.
+function awardFilmDetails(body) {
+  const film = {};
+  for (const key of AWARD_TEXT_FIELDS) {
+    if (typeof body[key] === 'string') film[key] = body[key].trim();
+  }
+  if (body.runtime !== undefined) {
+    const minutes = body.runtime === '' || body.runtime === null ? null : Number(body.runtime);
+    if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0 && minutes <= 24 * 60)) {
+      return { error: 'runtime must be a whole number of minutes' };
+    }
+    film.runtime = minutes;
+  }
+  if (body.trailer !== undefined) {
+    const link = body.trailer && typeof body.trailer === 'object' ? body.trailer.url : body.trailer;
+    if (!link) {
+      film.trailer = null;
+    } else {
+      try {
+        const { url, provider, providerId } = parseVideoUrl(link);
+        film.trailer = { url, provider, providerId };
+      } catch (err) {
+        if (err.status !== 400) throw err;
+        return { error: `Trailer: ${err.message}` };
+      }
+    }
+  }
+  return { film };
+}
+
+// One placement of a bulk awards array -> { placement } or { error }: the same checks as the single-award
+// path below (film details, catalogue film / person links), keeping only the placement fields
+async function bulkPlacement(body) {
+  const label = String(body.label || '').trim();
+  if (!label) return { error: 'needs a label' };
+  const { film, error } = awardFilmDetails(body);
+  if (error) return { error };
+  const placement = { ...film, label, name: typeof body.name === 'string' ? body.name : '' };
+  if (body._id && mongoose.isValidObjectId(body._id)) placement._id = body._id;
+  for (const field of AWARD_IMAGE_FIELDS) {
+    if (body[field] && typeof body[field] === 'object' && typeof body[field].url === 'string') placement[field] = imageFields(body[field]);
+  }
+  for (const [field, Model] of [['film', Film], ['person', Person]]) {
+    if (body[field] === undefined) continue;
+    const ref = await directoryReference(Model, body[field]);
+    if (ref.error) return { error: ref.error };
+    placement[field] = ref.id;
+  }
+  return { placement };
+}
+
+app.post('/api/content/:year/awards', adminAuth, requirePermission('content:write'), uploadImages.fields(AWARD_IMAGE_FIELDS.map(name => ({ name, maxCount: 1 }))), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await getOrCreateContentByYear(year);
+
+    const auditBulkReplace = (before) => recordAudit(req, {
+      action: 'award.bulk_replace',
+      year,
+      target: { type: 'award', label: `${doc.awards.length} categories` },
+      before,
+      after: doc.awards.map(summarizeAwardCategory),
+    });
+    // Bulk awards array support (a JSON array, or stringified JSON in form field 'awards')
+    let bulk = req.body.awards;
+    if (typeof bulk === 'string') {
+      try {
+        bulk = JSON.parse(bulk);
+      } catch (e) {}
+    }
+    if (Array.isArray(bulk)) {
+      // categories are { category, placements: [{ label, name, ... }] }; the older winner / runner-up shape is converted.
+      // Schedules belong to content:publish (like PUT .../schedule): without it, and when publishAt isn't sent, a category keeps its own.
+      const canSchedule = permissionsFor(req.user.role).includes('content:publish');
+      const existingCategory = (cat) => doc.awards.find(a => (cat._id ? String(a._id) === String(cat._id) : a.category === cat.category));
+      const awards = [];
+      for (const cat of bulk.filter(Boolean).map(upgradeLegacyCategory)) {
+        const category = typeof cat.category === 'string' ? cat.category.trim() : '';
+        if (!category) return res.status(400).json({ message: 'Every award category needs a name' });
+        if (!Array.isArray(cat.placements || [])) return res.status(400).json({ message: `${category}: placements must be an array` });
+        const placements = [];
+        for (const [i, body] of (cat.placements || []).entries()) {
+          if (!body || typeof body !== 'object') return res.status(400).json({ message: `${category}: placement ${i + 1} is not an object` });
+          const { placement, error } = await bulkPlacement(body);
+          if (error) return res.status(400).json({ message: `${category} (${String(body.label || '').trim() || `placement ${i + 1}`}): ${error}` });
+          placements.push(placement);
+        }
+        const award = { category, placements };
+        if (cat._id && mongoose.isValidObjectId(cat._id)) award._id = cat._id;
+        const current = existingCategory(award);
+        if (canSchedule && cat.publishAt !== undefined) {
+          award.publishAt = cat.publishAt ? new Date(cat.publishAt) : null;
+          if (award.publishAt && Number.isNaN(award.publishAt.getTime())) return res.status(400).json({ message: `${category}: invalid publishAt` });
+        } else {
+          award.publishAt = (current && current.publishAt) || null;
+        }
+        awards.push(award);
+      }
+
+      // categories and placements the array leaves out go to the trash, like the DELETE routes
+      const removed = [];
+      for (const [position, cat] of doc.awards.entries()) {
+        const kept = awards.find(a => (a._id ? String(a._id) === String(cat._id) : existingCategory(a) === cat));
+        if (!kept) {
+          const trashed = await moveToTrash(req, {
+            year,
+            kind: 'awardCategory',
+            label: cat.category,
+            data: cat,
+            position,
+            assets: cat.placements.flatMap(p => [p.photo, p.poster]).filter(image => image && (image.public_id || image.url)),
+          });
+          removed.push({ action: 'award.category.delete', target: { type: 'award', id: cat.category, label: cat.category }, before: summarizeAwardCategory(cat), trashed });
+          continue;
+        }
+        for (const [index, placement] of cat.placements.entries()) {
+          if (kept.placements.some(p => p._id && String(p._id) === String(placement._id))) continue;
+          const trashed = await moveToTrash(req, {
+            year,
+            kind: 'awardPlacement',
+            label: `${kept.category} / ${placement.label}`,
+            data: { category: kept.category, placement: placement.toObject() },
+            position: index,
+            assets: [placement.photo, placement.poster].filter(image => image && (image.public_id || image.url)),
+          });
+          removed.push({
+            action: 'award.placement.delete',
+            target: { type: 'award', id: `${kept.category}/${placement._id}`, label: `${kept.category} / ${placement.label}` },
+            before: summarizePlacement(placement),
+            trashed,
+          });
+        }
+      }
+
+      const before = doc.awards.map(summarizeAwardCategory);
+      doc.awards = awards;
+      await doc.save();
+      for (const { trashed, ...entry } of removed) {
+        await recordAudit(req, { ...entry, year, after: { trashId: String(trashed._id) } });
+      }
+      await auditBulkReplace(before);
+      return res.json(doc);
+    }
+
+    const { category, placementId, role, name, photoUrl, public_id } = req.body;
+    if (!category) return res.status(400).json({ message: 'category required' });
+    // `role` (winner / firstRunnerUp / secondRunnerUp) is what older clients send: the placement with that label
+    const legacyLabel = role && (LEGACY_PLACEMENTS.find(p => p.role === role) || {}).label;
+    if (role && !legacyLabel) return res.status(400).json({ message: 'role must be one of winner, firstRunnerUp, secondRunnerUp' });
+    const label = String(req.body.label || legacyLabel || '').trim();
+    const { film, error } = awardFilmDetails(req.body);
+    if (error) return res.status(400).json({ message: error });
+    // the catalogue film and the winner in the people directory (the details above stay as typed for the year)
+    const links = {};
+    for (const [field, Model] of [['film', Film], ['person', Person]]) {
+      if (req.body[field] === undefined) continue;
+      const ref = await directoryReference(Model, req.body[field]);
+      if (ref.error) return res.status(400).json({ message: ref.error });
+      links[field] = ref.id;
+    }
+
+    let categoryDoc = doc.awards.find(a => a.category === category);
+    const isNewCategory = !categoryDoc;
+    if (!categoryDoc) {
+      doc.awards.push({ category, placements: [] });
+      categoryDoc = doc.awards[doc.awards.length - 1];
+    }
+    let placement = null;
+    if (placementId) {
+      placement = mongoose.isValidObjectId(placementId) && categoryDoc.placements.id(placementId);
+      if (!placement) return res.status(404).json({ message: 'Placement not found' });
+    } else if (legacyLabel) {
+      placement = categoryDoc.placements.find(p => p.label === legacyLabel);
+    }
+    if (!placement && !label) return res.status(400).json({ message: 'label required for a new placement (e.g. Winner, Honourable Mention)' });
+    const before = summarizePlacement(placement);
+
+    // film details, photo and poster that aren't sent again are kept
+    const person = { ...film, ...links, name: name === undefined ? (placement && placement.name) || '' : name };
+    if (label) person.label = label;
+    const files = AWARD_IMAGE_FIELDS.map(field => req.files && req.files[field] && req.files[field][0]).filter(Boolean);
+    if (files.length) {
+      const { accepted, rejected } = await screenImages(files);
+      if (rejected.length) return res.status(400).json({ message: `${rejected[0].file}: ${rejected[0].message}`, rejected });
+      for (const { file, contentHash } of accepted) {
+        const stored = await storeImage(file, { folder: imageFolderFor(req) });
+        person[file.fieldname] = imageFields({ ...stored, contentHash });
+      }
+    }
+    if (!(req.files && req.files.photo) && photoUrl && public_id) {
+      // reusing a photo of the year keeps its sizes
+      const existing = doc.photos.find(p => p.public_id === public_id);
+      person.photo = existing ? imageFields(existing) : { url: photoUrl, public_id };
+    }
+
+    if (placement) {
+      placement.set(person);
+    } else {
+      categoryDoc.placements.push(person);
+      placement = categoryDoc.placements[categoryDoc.placements.length - 1];
+    }
+
+    await doc.save();
+    await recordAudit(req, {
+      action: isNewCategory ? 'award.category.create' : before ? 'award.update' : 'award.placement.create',
+      year,
+      target: { type: 'award', id: `${category}/${placement._id}`, label: `${category} / ${placement.label}` },
+      before,
+      after: summarizePlacement(placement),
+    });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT schedule when a year ({ publishAt }) or one award category ({ category, publishAt }) goes public.
+// publishAt null = no schedule. A category's time is set on the draft and on the published
+// copy, so rescheduling doesn't need a re-publish.
+app.put('/api/content/:year/schedule', adminAuth, requirePermission('content:publish'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { category } = req.body;
+    const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+    if (publishAt && Number.isNaN(publishAt.getTime())) return res.status(400).json({ message: 'Invalid publishAt' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    let before;
+    if (category) {
+      const cat = doc.awards.find(a => a.category === category);
+      if (!cat) return res.status(404).json({ message: 'Category not found' });
+      before = cat.publishAt || null;
+      cat.publishAt = publishAt;
+      const live = doc.published && (doc.published.awards || []).find(a => a.category === category);
+      if (live) {
+        live.publishAt = publishAt;
+        doc.markModified('published');
+      }
+    } else {
+      before = doc.publishAt || null;
+      doc.publishAt = publishAt;
+    }
+    await doc.save();
+    await recordAudit(req, {
+      action: category ? 'award.schedule' : 'year.schedule',
+      year,
+      target: category ? { type: 'award', id: category, label: category } : { type: 'year', id: String(year) },
+      before: { publishAt: before },
+      after: { publishAt },
+    });
+    res.json(doc);
+  } catch (err) {
+    console.error('Schedule error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get awards for a year (public, published copy)
+app.get('/api/content/:year/awards/:category', async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    const { category } = req.params;
+    const content = publicContent(await Content.findOne({ year }));
+    if (!content) return res.status(404).json({ message: `Content for ${year} not found` });
+    const cat = (content.awards || []).find(a => a.category === category);
+    if (!cat) return res.status(404).json({ message: 'Category not found' });
+    res.json(cat);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// A placement of a category, by _id or (older clients) by winner / firstRunnerUp / secondRunnerUp
+function findPlacement(cat, ref) {
+  if (mongoose.isValidObjectId(ref)) return cat.placements.id(ref);
+  const legacy = LEGACY_PLACEMENTS.find(p => p.role === ref);
+  return legacy ? cat.placements.find(p => p.label === legacy.label) : null;
+}
+
+// Delete an award category for a year (admin)
+// robust delete award photo (paste in server.js, restart server)
+app.delete('/api/content/:year/awards/:category/:placement/photo', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const category = req.params.category || '';
+    if (!category) return res.status(400).json({ message: 'Category required' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    const cat = doc.awards.find(a => a.category === category);
+    if (!cat) return res.status(404).json({ message: 'Award category not found' });
+
+    const person = findPlacement(cat, req.params.placement);
+    if (!person) return res.status(404).json({ message: 'Placement not found' });
+
+    const photo = person.toObject().photo;
+    if (!photo || !(photo.public_id || photo.filename || photo.url)) {
+      console.log('No photo info found for award slot — nothing to move to trash');
+    }
+
+    // Remove photo object entirely from the placement
+    person.photo = undefined;
+
+    // OPTIONAL: remove any duplicate image from doc.photos that points to same url or public_id
+    let linkedPhotos = [];
+    if (photo) {
+      const matches = (p) => {
+        const samePublicId = photo.public_id && p.public_id && p.public_id === photo.public_id;
+        const sameFilename = photo.filename && p.public_id && p.public_id === photo.filename;
+        const sameUrl = photo.url && p.url && p.url === photo.url;
+        return samePublicId || sameFilename || sameUrl;
+      };
+      linkedPhotos = doc.photos.filter(matches);
+      // keep p if it doesn't match this photo's url/public_id
+      doc.photos = doc.photos.filter(p => !matches(p));
+    }
+
+    let trashed = null;
+    if (photo && (photo.public_id || photo.filename || photo.url)) {
+      trashed = await moveToTrash(req, {
+        year,
+        kind: 'awardPhoto',
+        label: `${category} / ${person.label}`,
+        data: { category, placementId: String(person._id), label: person.label, photo: imageFields(photo) },
+        linkedPhotos,
+        assets: [photo],
+      });
+    }
+
+    await doc.save();
+    await recordAudit(req, {
+      action: 'award.photo.delete',
+      year,
+      target: { type: 'award', id: `${category}/${person._id}`, label: `${category} / ${person.label}` },
+      before: summarizeImage(photo),
+      after: trashed ? { trashId: String(trashed._id) } : undefined,
+    });
+    console.log('Award photo removed in DB for', category, person.label);
+    return res.json(doc);
+  } catch (err) {
+    console.error('Delete award photo error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message || String(err) });
+  }
+});
+// PUT placement order of a category: { order: [placementId, ...] }
+app.put('/api/content/:year/awards/:category/placements/order', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { order } = req.body;
+    if (!Array.isArray(order)) return res.status(400).json({ message: 'order must be an array of placement ids' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const cat = doc.awards.find(a => a.category === req.params.category);
+    if (!cat) return res.status(404).json({ message: 'Award category not found' });
+    const rank = new Map(order.map((id, i) => [String(id), i]));
+    const listed = cat.placements.filter(p => rank.has(String(p._id))).sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)));
+    cat.placements = [...listed, ...cat.placements.filter(p => !rank.has(String(p._id)))];
+    await doc.save();
+    await recordAudit(req, { action: 'award.placement.reorder', year, target: { type: 'award', id: cat.category, label: cat.category }, after: cat.placements.map(p => p.label) });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE one placement of a category: moved to the trash with its photo and poster
+app.delete('/api/content/:year/awards/:category/placements/:placementId', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    const cat = doc.awards.find(a => a.category === req.params.category);
+    if (!cat) return res.status(404).json({ message: 'Award category not found' });
+    const placement = mongoose.isValidObjectId(req.params.placementId) && cat.placements.id(req.params.placementId);
+    if (!placement) return res.status(404).json({ message: 'Placement not found' });
+
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'awardPlacement',
+      label: `${cat.category} / ${placement.label}`,
+      data: { category: cat.category, placement: placement.toObject() },
+      position: cat.placements.indexOf(placement),
+      assets: [placement.photo, placement.poster].filter(image => image && (image.public_id || image.url)),
+    });
+    cat.placements.pull(placement._id);
+    await doc.save();
+    await recordAudit(req, {
+      action: 'award.placement.delete',
+      year,
+      target: { type: 'award', id: `${cat.category}/${placement._id}`, label: `${cat.category} / ${placement.label}` },
+      before: summarizePlacement(placement),
+      after: { trashId: String(trashed._id) },
+    });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE full award category (admin)
+app.delete('/api/content/:year/awards/:category(*)', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+
+    const category = req.params.category || '';
+    if (!category) return res.status(400).json({ message: 'Category required' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    // find category
+    const cat = doc.awards.find(a => a.category === category);
+    if (!cat) return res.status(404).json({ message: 'Award category not found' });
+
+    // photos of the category go to trash with it; storage is cleaned up on purge
+    const people = cat.placements;
+
+    // Remove category from DB
+    const before = summarizeAwardCategory(cat);
+    const position = doc.awards.indexOf(cat);
+    doc.awards = doc.awards.filter(a => a.category !== category);
+
+    // Also remove any top-level doc.photos that point to these same photos (best-effort)
+    const photoUrlsOrIds = people
+      .map(p => p.photo)
+      .filter(Boolean)
+      .flatMap(photo => [photo.public_id, photo.filename, photo.url].filter(Boolean));
+    let linkedPhotos = [];
+    if (photoUrlsOrIds.length) {
+      const matches = (p) => photoUrlsOrIds.some(idOrUrl => (idOrUrl && (p.public_id === idOrUrl || p.url === idOrUrl || (p.url && p.url.includes(idOrUrl)))));
+      linkedPhotos = doc.photos.filter(matches);
+      doc.photos = doc.photos.filter(p => !matches(p));
+    }
+
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'awardCategory',
+      label: category,
+      data: cat,
+      linkedPhotos,
+      position,
+      assets: people.flatMap(p => [p.photo, p.poster]).filter(image => image && (image.public_id || image.url)),
+    });
+
+    await doc.save();
+    await recordAudit(req, { action: 'award.category.delete', year, target: { type: 'award', id: category, label: category }, before, after: { trashId: String(trashed._id) } });
+    return res.json(doc);
+  } catch (err) {
+    console.error('Delete award category error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message || String(err) });
+  }
+});
+
+
+
+
+// Partners: upload logos for a year (admin)
+app.post('/api/content/:year/partners', adminAuth, requirePermission('content:write'), uploadImages.array('logos', 50), async (req, res) => {
+  try {
+    console.log('--- partners route hit ---');
+    console.log('req.body:', req.body);
+    console.log('req.files (count):', Array.isArray(req.files) ? req.files.length : typeof req.files);
+    console.log('req.files sample:', (req.files || []).map(f => ({ originalname: f.originalname, size: f.size, mimetype: f.mimetype })));
+
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ message: 'No logos uploaded' });
+
+    const doc = await getOrCreateContentByYear(year);
+    const existing = new Map(doc.partners.filter(p => p.contentHash).map(p => [p.contentHash, 'a partner logo of this year']));
+    const { accepted, rejected } = await screenImages(files, { existing });
+    if (!accepted.length) return res.status(400).json({ message: 'None of the logos could be uploaded', rejected });
+
+    const added = [];
+    for (const { file: f, contentHash } of accepted) {
+      const stored = await storeImage(f, { folder: imageFolderFor(req) });
+      const partner = imageFields({ ...stored, contentHash });
+      doc.partners.push(partner);
+      added.push(partner);
+    }
+    await doc.save();
+    await recordAudit(req, {
+      action: 'partner.upload',
+      year,
+      target: { type: 'partner', id: added.map(p => p.public_id).join(','), label: `${added.length} logo(s)` },
+      after: added.map(summarizeImage),
+    });
+    res.json({ ...doc.toJSON(), rejected });
+  } catch (err) {
+    console.error('Partners upload error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+  }
+});
+
+
+// Delete partner logo by public_id for a year (admin)
+app.delete('/api/content/:year/partners/:public_id(*)', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    const public_id_param = req.params.public_id;
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+
+    const partner = doc.partners.find(p => (p.public_id && p.public_id === public_id_param) || (p.url && p.url.includes(public_id_param)));
+    if (!partner) {
+      doc.partners = doc.partners.filter(p => !(p.public_id === public_id_param || (p.url && p.url.includes(public_id_param))));
+      await doc.save();
+      return res.status(404).json({ message: 'Partner not found in DB; attempted to remove any partial matches' });
+    }
+
+    const candidate = partner.public_id || partner.filename || extractPublicId(partner.url) || public_id_param;
+    console.log('Trashing partner - db entry:', { candidate, partner });
+    const trashed = await moveToTrash(req, {
+      year,
+      kind: 'partner',
+      label: candidate,
+      data: partner,
+      position: doc.partners.indexOf(partner),
+      assets: [partner],
+    });
+
+    doc.partners = doc.partners.filter(p => p !== partner && !(p.public_id && p.public_id === partner.public_id));
+    if (doc.partners.some(p => p === partner)) {
+      doc.partners = doc.partners.filter(p => !(p.url && partner.url && p.url === partner.url));
+    }
+
+    await doc.save();
+    await recordAudit(req, { action: 'partner.delete', year, target: { type: 'partner', id: candidate }, before: summarizeImage(partner), after: { trashId: String(trashed._id) } });
+    return res.json(doc);
+  } catch (err) {
+    console.error('Delete partner error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+  }
+});
+
+// --- Films ---
+
+// URL part of a film page (/films/:slug): the title in lowercase ascii words joined by '-'
+function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+  return slug || 'film';
+}
+
+// A slug no other film has: "title", then "title-2", "title-3", ...
+async function uniqueFilmSlug(text, exceptId) {
+  const base = slugify(text);
+  const query = { slug: new RegExp(`^${base}(-\\d+)?$`) };
+  if (exceptId) query._id = { $ne: exceptId };
+  const taken = new Set((await Film.find(query, { slug: 1 }).lean()).map(f => f.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n += 1) slug = `${base}-${n}`;
+  return slug;
+}
+
+// A list field of the film form: an array, JSON text of one (multipart bodies are strings),
+// or plain text with one entry per line (or per `separator`)
+function listField(value, separator = /\n/) {
+  if (Array.isArray(value)) return value.filter(entry => entry !== null && entry !== '');
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return [];
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return listField(parsed);
+    } catch (e) {}
+  }
+  return text.split(separator).map(entry => entry.trim()).filter(Boolean);
+}
+
+const FILM_TEXT_FIELDS = ['title', 'synopsis', 'country'];
+const SDG_COUNT = 17;
+
+// Film details from a form body -> { fields } or { error }. Only the fields that are present
+// are returned, so a PUT changes just what it sends; '' clears the optional ones.
+function filmFields(body) {
+  const fields = {};
+  for (const key of FILM_TEXT_FIELDS) {
+    if (typeof body[key] === 'string') fields[key] = body[key].trim();
+  }
+  if (fields.title === '') return { error: 'Film title required' };
+
+  const whole = (key, min, max, label) => {
+    if (body[key] === undefined) return null;
+    const value = body[key] === '' || body[key] === null ? null : Number(body[key]);
+    if (value !== null && !(Number.isInteger(value) && value >= min && value <= max)) return `${label} must be a whole number between ${min} and ${max}`;
+    fields[key] = value;
+    return null;
+  };
+  const numberError = whole('productionYear', 1880, new Date().getFullYear() + 5, 'productionYear')
+    || whole('runtime', 1, 24 * 60, 'runtime (minutes)');
+  if (numberError) return { error: numberError };
+
+  if (body.slug !== undefined && String(body.slug).trim()) fields.slug = slugify(body.slug);
+
+  if (body.sdgTags !== undefined) {
+    const tags = listField(body.sdgTags, /[\n,]/).map(Number);
+    if (tags.some(t => !(Number.isInteger(t) && t >= 1 && t <= SDG_COUNT))) return { error: `sdgTags must be goal numbers from 1 to ${SDG_COUNT}` };
+    fields.sdgTags = [...new Set(tags)].sort((a, b) => a - b);
+  }
+
+  if (body.credits !== undefined) {
+    // { role, name } objects, or "Role: Name" lines
+    fields.credits = listField(body.credits).map((credit) => {
+      if (typeof credit !== 'string') return { role: String(credit.role || '').trim(), name: String(credit.name || '').trim() };
+      const [role, ...name] = credit.split(':');
+      return name.length ? { role: role.trim(), name: name.join(':').trim() } : { role: '', name: role.trim() };
+    }).filter(c => c.name);
+  }
+
+  if (body.selections !== undefined) {
+    // { year, section } objects, or "2024: Official Selection" lines
+    const selections = listField(body.selections).map((s) => {
+      if (typeof s !== 'string') return { year: Number(s.year), section: String(s.section || '').trim() };
+      const [year, ...section] = s.split(':');
+      return { year: Number(year), section: section.join(':').trim() };
+    });
+    if (selections.some(s => !Number.isInteger(s.year))) return { error: 'Each selection needs a year (e.g. "2024: Official Selection")' };
+    fields.selections = selections.sort((a, b) => b.year - a.year);
+  }
+
+  if (body.trailer !== undefined) {
+    const link = body.trailer && typeof body.trailer === 'object' ? body.trailer.url : body.trailer;
+    if (!link) {
+      fields.trailer = null;
+    } else {
+      try {
+        const { url, provider, providerId } = parseVideoUrl(link);
+        fields.trailer = { url, provider, providerId };
+      } catch (err) {
+        if (err.status !== 400) throw err;
+        return { error: `Trailer: ${err.message}` };
+      }
+    }
+  }
+  return { fields };
+}
+
+// A film or person picked in a content form (award placement, album): its id, or '' / null
+// to unlink -> { id } or { error }
+async function directoryReference(Model, value) {
+  if (value === '' || value === null || value === 'null') return { id: null };
+  if (!mongoose.isValidObjectId(value) || !(await Model.exists({ _id: value }))) return { error: `${Model.modelName} not found` };
+  return { id: value };
+}
+
+function summarizeFilm(film) {
+  if (!film) return null;
+  return {
+    id: String(film._id),
+    title: film.title,
+    slug: film.slug,
+    country: film.country || undefined,
+    productionYear: film.productionYear || undefined,
+    runtime: film.runtime || undefined,
+    sdgTags: film.sdgTags && film.sdgTags.length ? film.sdgTags.join(',') : undefined,
+    credits: film.credits && film.credits.length ? film.credits.map(c => (c.role ? `${c.role}: ${c.name}` : c.name)) : undefined,
+    selections: film.selections && film.selections.length ? film.selections.map(s => `${s.year}: ${s.section || ''}`.trim()) : undefined,
+    trailer: film.trailer && film.trailer.url ? film.trailer.url : undefined,
+    poster: film.poster && film.poster.url ? film.poster.public_id || film.poster.url : undefined,
+  };
+}
+
+// The parts of a public year that can point at a film
+const FILM_CONTENT_PROJECTION = {
+  year: 1,
+  publishAt: 1,
+  publishedAt: 1,
+  updatedAt: 1,
+  'published.awards': 1,
+  'published.albums': 1,
+  'published.photos._id': 1,
+  'published.photos.album': 1,
+  'published.photos.url': 1,
+  'published.photos.variants': 1,
+};
+
+// Editions each film appears in -> { editions: Map(filmId -> [{ year, sections, awards, albums, screenings }]), lastModified, expiresAt }.
+// Selections come from the film itself, screenings from the programme; awards and albums only from
+// what the public sees of each year.
+async function filmEditions(films, now = new Date()) {
+  const byFilm = new Map(films.map(f => [String(f._id), new Map()]));
+  const edition = (filmId, year) => {
+    const years = byFilm.get(filmId);
+    if (!years.has(year)) years.set(year, { year, sections: [], awards: [], albums: [], screenings: [] });
+    return years.get(year);
+  };
+  for (const film of films) {
+    for (const s of film.selections || []) {
+      const e = edition(String(film._id), s.year);
+      if (s.section && !e.sections.includes(s.section)) e.sections.push(s.section);
+    }
+  }
+
+  const ids = films.map(f => f._id);
+  const screenings = await ProgrammeSession.find({ type: 'screening', films: { $in: ids } }, { year: 1, title: 1, startsAt: 1, endsAt: 1, films: 1, venue: 1, updatedAt: 1 })
+    .populate('venue', 'name')
+    .sort({ startsAt: 1 })
+    .lean();
+  for (const session of screenings) {
+    for (const filmId of session.films.map(String).filter(id => byFilm.has(id))) {
+      edition(filmId, session.year).screenings.push({
+        _id: session._id,
+        title: session.title,
+        startsAt: session.startsAt,
+        endsAt: session.endsAt,
+        venue: session.venue ? session.venue.name : undefined,
+      });
+    }
+  }
+
+  // published copies keep the ObjectIds (Mixed fields are not cast, so query with ObjectIds too)
+  const docs = await Content.find({
+    published: { $ne: null },
+    $or: [{ 'published.awards.placements.film': { $in: ids } }, { 'published.albums.film': { $in: ids } }],
+  }, FILM_CONTENT_PROJECTION).lean();
+  for (const doc of docs) {
+    const content = publicContent(doc);
+    if (!content) continue;
+    for (const cat of content.awards || []) {
+      for (const p of cat.placements || []) {
+        if (p.film && byFilm.has(String(p.film))) edition(String(p.film), content.year).awards.push({ category: cat.category, label: p.label, name: p.name || undefined });
+      }
+    }
+    for (const album of content.albums || []) {
+      if (album.film && byFilm.has(String(album.film))) {
+        edition(String(album.film), content.year).albums.push({ _id: album._id, name: album.name, count: album.count, coverUrl: album.coverUrl });
+      }
+    }
+  }
+
+  const times = [...films.map(f => f.updatedAt), ...screenings.map(s => s.updatedAt), ...docs.map(d => d.publishedAt || d.updatedAt)]
+    .filter(Boolean).map(t => new Date(t).getTime());
+  return {
+    editions: new Map([...byFilm].map(([id, years]) => [id, [...years.values()].sort((a, b) => b.year - a.year)])),
+    lastModified: times.length ? new Date(Math.max(...times)) : null,
+    expiresAt: nextScheduledChange(docs, now),
+  };
+}
+
+// The films an award placement or album of a public year links to, so pages can show and link them
+async function linkedFilms(content) {
+  const ids = [
+    ...(content.awards || []).flatMap(cat => (cat.placements || []).map(p => p.film)),
+    ...(content.albums || []).map(a => a.film),
+  ].filter(Boolean);
+  if (!ids.length) return [];
+  return Film.find({ _id: { $in: ids } }, { title: 1, slug: 1, country: 1, productionYear: 1, poster: 1 }).lean();
+}
+
+// GET public: the film catalogue with the editions of each film.
+// ?q= (title, credits, country)  ?sdg=<goal number>  ?year=<edition>
+app.get('/api/films', async (req, res) => {
+  try {
+    const key = cacheKey('/api/films', req.query, ['q', 'sdg', 'year']);
+    await sendCached(req, res, publicCache, key, async () => {
+      const query = {};
+      if (req.query.q) {
+        const pattern = new RegExp(String(req.query.q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ title: pattern }, { 'credits.name': pattern }, { country: pattern }];
+      }
+      if (req.query.sdg) query.sdgTags = Number(req.query.sdg);
+      const films = await Film.find(query).sort({ title: 1 }).lean();
+      const { editions, lastModified, expiresAt } = await filmEditions(films);
+      const year = req.query.year ? Number(req.query.year) : null;
+      const body = films
+        .map(film => ({
+          _id: film._id,
+          title: film.title,
+          slug: film.slug,
+          country: film.country,
+          productionYear: film.productionYear,
+          runtime: film.runtime,
+          sdgTags: film.sdgTags,
+          poster: film.poster,
+          editions: editions.get(String(film._id)).map(e => ({ year: e.year, sections: e.sections, awards: e.awards, screenings: e.screenings.length })),
+        }))
+        .filter(film => !year || film.editions.some(e => e.year === year));
+      return { body, lastModified, expiresAt };
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET public: one film by slug, with every edition it was selected, screened or awarded in
+// (timeZone is the one the programme shows screening times in)
+app.get('/api/films/:slug', async (req, res) => {
+  try {
+    await sendCached(req, res, publicCache, `/api/films/${req.params.slug}`, async () => {
+      const film = await Film.findOne({ slug: String(req.params.slug) }).lean();
+      if (!film) return { status: 404, body: { message: 'Film not found' } };
+      const { editions, lastModified, expiresAt } = await filmEditions([film]);
+      return { body: { ...film, editions: editions.get(String(film._id)), timeZone: FESTIVAL_TIMEZONE }, lastModified, expiresAt };
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET every film, for the admin catalogue and the film pickers
+app.get('/api/admin/films', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    res.json(await Film.find().sort({ title: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Store the image of a single-file form (film poster, person photo), if one was sent -> { image } or { error }
+async function formImage(req, folder) {
+  if (!req.file) return {};
+  const { accepted, rejected } = await screenImages([req.file]);
+  if (rejected.length) return { error: `${rejected[0].file}: ${rejected[0].message}` };
+  const stored = await storeImage(req.file, { folder });
+  return { image: imageFields({ ...stored, contentHash: accepted[0].contentHash }) };
+}
+
+// POST create a film (multipart): title, synopsis, credits, country, productionYear, runtime,
+// sdgTags, selections, trailer, slug (optional, made from the title), poster (image file)
+app.post('/api/films', adminAuth, requirePermission('content:write'), uploadImages.single('poster'), async (req, res) => {
+  try {
+    const { fields, error } = filmFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (!fields.title) return res.status(400).json({ message: 'Film title required' });
+    const { image: poster, error: posterError } = await formImage(req, 'events/films');
+    if (posterError) return res.status(400).json({ message: posterError });
+
+    const film = await Film.create({ ...fields, poster, slug: await uniqueFilmSlug(fields.slug || fields.title) });
+    await recordAudit(req, { action: 'film.create', target: { type: 'film', id: String(film._id), label: film.title }, after: summarizeFilm(film) });
+    res.status(201).json(film);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT update a film: the fields of POST that are sent, removePoster=true to drop the poster
+app.put('/api/films/:id', adminAuth, requirePermission('content:write'), uploadImages.single('poster'), async (req, res) => {
+  try {
+    const film = mongoose.isValidObjectId(req.params.id) && await Film.findById(req.params.id);
+    if (!film) return res.status(404).json({ message: 'Film not found' });
+    const { fields, error } = filmFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const { image: poster, error: posterError } = await formImage(req, 'events/films');
+    if (posterError) return res.status(400).json({ message: posterError });
+
+    const before = summarizeFilm(film);
+    const oldPoster = film.poster && film.poster.url ? film.toObject().poster : null;
+    if (fields.slug && fields.slug !== film.slug) fields.slug = await uniqueFilmSlug(fields.slug, film._id);
+    film.set(fields);
+    if (poster) film.poster = poster;
+    else if (req.body.removePoster === 'true' || req.body.removePoster === true) film.poster = undefined;
+    await film.save();
+    // films have no draft copy: a replaced poster is not shown anywhere any more
+    if (oldPoster && (!film.poster || film.poster.url !== oldPoster.url)) await destroyAsset(oldPoster);
+    await recordAudit(req, { action: 'film.update', target: { type: 'film', id: String(film._id), label: film.title }, before, after: summarizeFilm(film) });
+    res.json(film);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE a film that nothing points at (award placements and albums, draft or published, and programme sessions must be unlinked first)
+app.delete('/api/films/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const film = mongoose.isValidObjectId(req.params.id) && await Film.findById(req.params.id);
+    if (!film) return res.status(404).json({ message: 'Film not found' });
+    const used = await Content.find({
+      $or: [
+        { 'awards.placements.film': film._id },
+        { 'albums.film': film._id },
+        { 'published.awards.placements.film': film._id },
+        { 'published.albums.film': film._id },
+      ],
+    }, { year: 1 }).lean();
+    const scheduled = await ProgrammeSession.distinct('year', { films: film._id });
+    if (used.length || scheduled.length) {
+      const years = [...new Set([...used.map(d => d.year), ...scheduled])].sort((a, b) => a - b);
+      return res.status(409).json({ message: `"${film.title}" is still linked from ${years.join(', ')}: unlink it there (and publish) first`, years });
+    }
+
+    const before = summarizeFilm(film);
+    await film.deleteOne();
+    if (film.poster && film.poster.url) await destroyAsset(film.toObject().poster);
+    await recordAudit(req, { action: 'film.delete', target: { type: 'film', id: String(film._id), label: film.title }, before });
+    res.json({ message: 'Film deleted', id: film._id });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// --- People ---
+
+// A link of a person form: { label, url }, "Label: https://..." or a bare url -> { label, url } or null if not a web link
+function personLink(entry) {
+  let label = '';
+  let url = '';
+  if (typeof entry === 'string') {
+    const match = /^(.*?)\s*:\s*(https?:\/\/\S+)$/i.exec(entry.trim());
+    if (match) [, label, url] = match;
+    else url = entry.trim();
+  } else if (entry) {
+    label = String(entry.label || '').trim();
+    url = String(entry.url || '').trim();
+  }
+  try {
+    const u = new URL(url);
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    return { label: label || u.hostname.replace(/^www\./, ''), url: u.href };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Person details from a form body -> { fields } or { error }. Only the fields that are present
+// are returned, so a PUT changes just what it sends.
+function personFields(body) {
+  const fields = {};
+  if (typeof body.name === 'string') fields.name = body.name.trim();
+  if (fields.name === '') return { error: 'Name required' };
+  if (typeof body.bio === 'string') fields.bio = body.bio.trim();
+
+  if (body.links !== undefined) {
+    const entries = listField(body.links);
+    const links = entries.map(personLink);
+    const bad = entries.find((entry, i) => !links[i]);
+    if (bad) return { error: `Not a web link: ${typeof bad === 'string' ? bad : JSON.stringify(bad)}` };
+    fields.links = links;
+  }
+
+  if (body.roles !== undefined) {
+    // [{ year, role, title }], one per edition and role
+    const roles = [];
+    for (const entry of listField(body.roles)) {
+      const role = { year: Number(entry.year), role: entry.role, title: String(entry.title || '').trim() };
+      if (!Number.isInteger(role.year)) return { error: 'Each role needs a year' };
+      if (!PERSON_ROLES.includes(role.role)) return { error: `role must be one of ${PERSON_ROLES.join(', ')}` };
+      if (!roles.some(r => r.year === role.year && r.role === role.role)) roles.push(role);
+    }
+    fields.roles = roles.sort((a, b) => b.year - a.year || PERSON_ROLES.indexOf(a.role) - PERSON_ROLES.indexOf(b.role));
+  }
+  return { fields };
+}
+
+function summarizePerson(person) {
+  if (!person) return null;
+  return {
+    id: String(person._id),
+    name: person.name,
+    bio: person.bio ? person.bio.slice(0, 120) : undefined,
+    photo: person.photo && person.photo.url ? person.photo.public_id || person.photo.url : undefined,
+    links: person.links && person.links.length ? person.links.map(l => l.url) : undefined,
+    roles: person.roles && person.roles.length ? person.roles.map(r => `${r.year} ${r.role}${r.title ? ` (${r.title})` : ''}`) : undefined,
+  };
+}
+
+// The people of a public year: everyone with a role that year (Jury & Guests) and the winners award
+// placements link to, with only that year's roles, jury first
+async function yearPeople(year, content) {
+  const linked = (content.awards || []).flatMap(cat => (cat.placements || []).map(p => p.person)).filter(Boolean);
+  const people = await Person.find(
+    { $or: [{ 'roles.year': year }, { _id: { $in: linked } }] },
+    { name: 1, bio: 1, photo: 1, links: 1, roles: 1 },
+  ).sort({ name: 1 }).lean();
+  const rank = (person) => (person.roles.length ? PERSON_ROLES.indexOf(person.roles[0].role) : PERSON_ROLES.length);
+  return people
+    .map(person => ({ ...person, roles: (person.roles || []).filter(r => r.year === year) }))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+// GET every person, for the admin directory and the person pickers
+app.get('/api/admin/people', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    res.json(await Person.find().sort({ name: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST add a person (multipart): name, bio, links, roles ([{ year, role, title }] as JSON), photo (image file)
+app.post('/api/people', adminAuth, requirePermission('content:write'), uploadImages.single('photo'), async (req, res) => {
+  try {
+    const { fields, error } = personFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (!fields.name) return res.status(400).json({ message: 'Name required' });
+    const { image: photo, error: photoError } = await formImage(req, 'events/people');
+    if (photoError) return res.status(400).json({ message: photoError });
+
+    const person = await Person.create({ ...fields, photo });
+    await recordAudit(req, { action: 'person.create', target: { type: 'person', id: String(person._id), label: person.name }, after: summarizePerson(person) });
+    res.status(201).json(person);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT update a person: the fields of POST that are sent, removePhoto=true to drop the photo
+app.put('/api/people/:id', adminAuth, requirePermission('content:write'), uploadImages.single('photo'), async (req, res) => {
+  try {
+    const person = mongoose.isValidObjectId(req.params.id) && await Person.findById(req.params.id);
+    if (!person) return res.status(404).json({ message: 'Person not found' });
+    const { fields, error } = personFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const { image: photo, error: photoError } = await formImage(req, 'events/people');
+    if (photoError) return res.status(400).json({ message: photoError });
+
+    const before = summarizePerson(person);
+    const oldPhoto = person.photo && person.photo.url ? person.toObject().photo : null;
+    person.set(fields);
+    if (photo) person.photo = photo;
+    else if (req.body.removePhoto === 'true' || req.body.removePhoto === true) person.photo = undefined;
+    await person.save();
+    // the directory has no draft copy: a replaced photo is not shown anywhere any more
+    if (oldPhoto && (!person.photo || person.photo.url !== oldPhoto.url)) await destroyAsset(oldPhoto);
+    await recordAudit(req, { action: 'person.update', target: { type: 'person', id: String(person._id), label: person.name }, before, after: summarizePerson(person) });
+    res.json(person);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE a person no award placement (draft or published) or programme session links to
+app.delete('/api/people/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const person = mongoose.isValidObjectId(req.params.id) && await Person.findById(req.params.id);
+    if (!person) return res.status(404).json({ message: 'Person not found' });
+    const used = await Content.find({
+      $or: [{ 'awards.placements.person': person._id }, { 'published.awards.placements.person': person._id }],
+    }, { year: 1 }).lean();
+    const speaking = await ProgrammeSession.distinct('year', { speakers: person._id });
+    if (used.length || speaking.length) {
+      const years = [...new Set([...used.map(d => d.year), ...speaking])].sort((a, b) => a - b);
+      return res.status(409).json({ message: `${person.name} is still linked from the awards or programme of ${years.join(', ')}: unlink them there (and publish) first`, years });
+    }
+
+    const before = summarizePerson(person);
+    await person.deleteOne();
+    if (person.photo && person.photo.url) await destroyAsset(person.toObject().photo);
+    await recordAudit(req, { action: 'person.delete', target: { type: 'person', id: String(person._id), label: person.name }, before });
+    res.json({ message: 'Person deleted', id: person._id });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// --- Programme ---
+
+const FESTIVAL_TIMEZONE = process.env.FESTIVAL_TIMEZONE || null;
+
+// Venue details from a JSON body -> { fields } or { error } (only the fields that are present)
+function venueFields(body) {
+  const fields = {};
+  for (const key of ['name', 'address', 'mapUrl']) {
+    if (typeof body[key] === 'string') fields[key] = body[key].trim();
+  }
+  if (fields.name === '') return { error: 'Venue name required' };
+  if (fields.mapUrl && !/^https?:\/\//i.test(fields.mapUrl)) return { error: 'mapUrl must be an http(s) link' };
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === '' || body.capacity === null ? null : Number(body.capacity);
+    if (capacity !== null && !(Number.isInteger(capacity) && capacity > 0)) return { error: 'capacity must be a whole number of seats' };
+    fields.capacity = capacity;
+  }
+  return { fields };
+}
+
+// Session details from a JSON body -> { fields } or { error }. Only the fields that are present
+// are returned; references (venue, films, speakers) are checked to exist.
+async function sessionFields(body) {
+  const fields = {};
+  if (body.type !== undefined) {
+    if (!SESSION_TYPES.includes(body.type)) return { error: `type must be one of ${SESSION_TYPES.join(', ')}` };
+    fields.type = body.type;
+  }
+  if (typeof body.title === 'string') fields.title = body.title.trim();
+  if (typeof body.description === 'string') fields.description = body.description.trim();
+  for (const key of ['startsAt', 'endsAt']) {
+    if (body[key] === undefined) continue;
+    const time = new Date(body[key]);
+    if (!body[key] || Number.isNaN(time.getTime())) return { error: `Invalid ${key}` };
+    fields[key] = time;
+  }
+  if (body.venue !== undefined) {
+    const { id, error } = await directoryReference(Venue, body.venue);
+    if (error || !id) return { error: error || 'venue required' };
+    fields.venue = id;
+  }
+  for (const [key, Model] of [['films', Film], ['speakers', Person]]) {
+    if (body[key] === undefined) continue;
+    const ids = [...new Set(listField(body[key]).map(String))];
+    if (ids.some(id => !mongoose.isValidObjectId(id)) || await Model.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+      return { error: `${key}: ${Model.modelName} not found` };
+    }
+    fields[key] = ids;
+  }
+  return { fields };
+}
+
+// Sessions in the same venue overlapping [startsAt, endsAt); back-to-back sessions don't clash
+function venueClashes({ venue, startsAt, endsAt }, exceptId) {
+  const query = { venue, startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } };
+  if (exceptId) query._id = { $ne: exceptId };
+  return ProgrammeSession.find(query, { title: 1, year: 1, type: 1, startsAt: 1, endsAt: 1 }).sort({ startsAt: 1 }).lean();
+}
+
+// Check a session about to be saved -> null, or { status, message, clashes } (the sessions it clashes with)
+async function sessionProblem(session, exceptId) {
+  if (!session.title) return { status: 400, message: 'Session title required' };
+  if (!(session.endsAt > session.startsAt)) return { status: 400, message: 'A session must end after it starts' };
+  const clashes = await venueClashes(session, exceptId);
+  if (!clashes.length) return null;
+  const venue = await Venue.findById(session.venue, { name: 1 }).lean();
+  return {
+    status: 409,
+    message: `${venue ? venue.name : 'The venue'} is already booked then: ${clashes.map(c => `"${c.title}"`).join(', ')}`,
+    clashes,
+  };
+}
+
+function summarizeVenue(venue) {
+  if (!venue) return null;
+  return { id: String(venue._id), name: venue.name, address: venue.address || undefined, capacity: venue.capacity || undefined, mapUrl: venue.mapUrl || undefined };
+}
+
+function summarizeSession(session) {
+  if (!session) return null;
+  return {
+    id: String(session._id),
+    type: session.type,
+    title: session.title,
+    venue: session.venue ? String(session.venue) : undefined,
+    startsAt: session.startsAt ? new Date(session.startsAt).toISOString() : undefined,
+    endsAt: session.endsAt ? new Date(session.endsAt).toISOString() : undefined,
+    films: session.films && session.films.length ? session.films.map(String) : undefined,
+    speakers: session.speakers && session.speakers.length ? session.speakers.map(String) : undefined,
+  };
+}
+
+// GET public: the years that have a programme, newest first
+app.get('/api/programme', async (req, res) => {
+  try {
+    await sendCached(req, res, publicCache, '/api/programme', async () => {
+      const years = (await ProgrammeSession.distinct('year')).sort((a, b) => b - a);
+      return { body: { years, timeZone: FESTIVAL_TIMEZONE } };
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET public: a year's programme -> { year, timeZone, sessions, venues, films, people }.
+// Sessions are in time order; venues, films and people are the ones the sessions point at.
+app.get('/api/programme/:year', async (req, res) => {
   try {
     const year = Number(req.params.year);
-    const public_id_param = req.params.public_id;
     if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    await sendCached(req, res, publicCache, `/api/programme/${year}`, async () => {
+      const sessions = await ProgrammeSession.find({ year }).sort({ startsAt: 1, endsAt: 1 }).lean();
+      const ids = (key) => [...new Set(sessions.flatMap(s => [].concat(s[key] || [])).map(String))];
+      const [venues, films, people] = await Promise.all([
+        Venue.find({ _id: { $in: ids('venue') } }, { name: 1, address: 1, mapUrl: 1, updatedAt: 1 }).sort({ name: 1 }).lean(),
+        Film.find({ _id: { $in: ids('films') } }, { title: 1, slug: 1, poster: 1, runtime: 1, country: 1, updatedAt: 1 }).lean(),
+        Person.find({ _id: { $in: ids('speakers') } }, { name: 1, photo: 1, updatedAt: 1 }).lean(),
+      ]);
+      const times = [...sessions, ...venues, ...films, ...people].map(d => new Date(d.updatedAt).getTime()).filter(Boolean);
+      return {
+        body: { year, timeZone: FESTIVAL_TIMEZONE, sessions, venues, films, people },
+        lastModified: times.length ? new Date(Math.max(...times)) : null,
+      };
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const doc = await Content.findOne({ year });
-    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
-
-    // find matching photo item (try exact public_id match first, then try matching by url)
-    const photo = doc.photos.find(p => (p.public_id && p.public_id === public_id_param) || (p.url && p.url.includes(public_id_param)));
-    if (!photo) {
-      // nothing to delete on cloudinary, but keep DB consistent by removing any photo with that public_id field
-      doc.photos = doc.photos.filter(p => !(p.public_id === public_id_param || (p.url && p.url.includes(public_id_param))));
-      await doc.save();
-      return res.status(404).json({ message: 'Photo not found in DB; attempted to remove any partial matches' });
-    }
+// GET every venue (admin)
+app.get('/api/admin/venues', adminAuth, requirePermission('content:read'), async (req, res) => {
+  try {
+    res.json(await Venue.find().sort({ name: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // determine what to send to cloudinary
-    const candidate = photo.public_id || photo.filename || extractPublicId(photo.url) || public_id_param;
-    console.log('Deleting photo - db entry:', { candidate, photo });
+// POST add a venue: { name, address, capacity, mapUrl }
+app.post('/api/venues', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const { fields, error } = venueFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (!fields.name) return res.status(400).json({ message: 'Venue name required' });
+    const venue = await Venue.create(fields);
+    await recordAudit(req, { action: 'venue.create', target: { type: 'venue', id: String(venue._id), label: venue.name }, after: summarizeVenue(venue) });
+    res.status(201).json(venue);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    try {
-      const destroyResult = await cloudinary.uploader.destroy(candidate, { resource_type: 'image' });
-      console.log('Cloudinary destroy result:', destroyResult);
-    } catch (e) {
-      console.warn('Cloudinary destroy threw:', e && e.message ? e.message : e);
-    }
+// PUT update a venue: the fields of POST that are sent
+app.put('/api/venues/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const venue = mongoose.isValidObjectId(req.params.id) && await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ message: 'Venue not found' });
+    const { fields, error } = venueFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const before = summarizeVenue(venue);
+    venue.set(fields);
+    await venue.save();
+    await recordAudit(req, { action: 'venue.update', target: { type: 'venue', id: String(venue._id), label: venue.name }, before, after: summarizeVenue(venue) });
+    res.json(venue);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // remove from DB
-    doc.photos = doc.photos.filter(p => !(p.public_id === photo.public_id && photo.public_id) && p !== photo);
-    // fallback: remove by url inclusion if public_id was not present
-    if (doc.photos.some(p => p === photo)) {
-      doc.photos = doc.photos.filter(p => !(p.url && photo.url && p.url === photo.url));
+// DELETE a venue no session is in
+app.delete('/api/venues/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const venue = mongoose.isValidObjectId(req.params.id) && await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ message: 'Venue not found' });
+    const years = await ProgrammeSession.distinct('year', { venue: venue._id });
+    if (years.length) {
+      return res.status(409).json({ message: `${venue.name} still has sessions in ${years.sort((a, b) => a - b).join(', ')}: move or delete them first`, years });
     }
-
-    await doc.save();
-    return res.json(doc);
+    await venue.deleteOne();
+    await recordAudit(req, { action: 'venue.delete', target: { type: 'venue', id: String(venue._id), label: venue.name }, before: summarizeVenue(venue) });
+    res.json({ message: 'Venue deleted', id: venue._id });
   } catch (err) {
-    console.error('Delete photo error:', err);
-    return res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+    res.status(500).json({ message: err.message });
   }
 });
 
-// Awards: add/update (admin)
-app.post('/api/content/:year/awards', adminAuth, uploadImages.single('photo'), async (req, res) => {
+// GET the sessions of a year (admin)
+app.get('/api/admin/programme/:year', adminAuth, requirePermission('content:read'), async (req, res) => {
   try {
     const year = Number(req.params.year);
     if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const doc = await getOrCreateContentByYear(year);
+    res.json(await ProgrammeSession.find({ year }).sort({ startsAt: 1, endsAt: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // Bulk awards array support (stringified JSON in form field 'awards')
-    if (req.body.awards && Array.isArray(req.body.awards)) {
-      doc.awards = req.body.awards;
-      await doc.save();
-      return res.json(doc);
+// POST add a session: { type, title, description, venue, startsAt, endsAt, films: [id], speakers: [id] }.
+// A venue already booked at that time is a 409 listing the clashing sessions.
+app.post('/api/programme/:year/sessions', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { fields, error } = await sessionFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    for (const key of ['type', 'venue', 'startsAt', 'endsAt']) {
+      if (!fields[key]) return res.status(400).json({ message: `${key} required` });
     }
-    if (req.body.awards && typeof req.body.awards === 'string') {
-      try {
-        const parsed = JSON.parse(req.body.awards);
-        if (Array.isArray(parsed)) {
-          doc.awards = parsed;
-          await doc.save();
-          return res.json(doc);
-        }
-      } catch (e) {}
+    // a screening without a title is named after its films
+    if (!fields.title && fields.films && fields.films.length) {
+      fields.title = (await Film.find({ _id: { $in: fields.films } }, { title: 1 }).lean()).map(f => f.title).join(' + ');
     }
+    const session = new ProgrammeSession({ ...fields, year });
+    const problem = await sessionProblem(session);
+    if (problem) return res.status(problem.status).json({ message: problem.message, clashes: problem.clashes });
 
-    const { category, role, name, photoUrl, public_id } = req.body;
-    if (!category) return res.status(400).json({ message: 'category required' });
-    if (!role || !['winner', 'firstRunnerUp', 'secondRunnerUp'].includes(role)) {
-      return res.status(400).json({ message: 'role must be one of winner, firstRunnerUp, secondRunnerUp' });
-    }
-    let categoryDoc = doc.awards.find(a => a.category === category);
-    if (!categoryDoc) {
-      categoryDoc = { category };
-      doc.awards.push(categoryDoc);
-    }
+    await session.save();
+    await recordAudit(req, { action: 'session.create', year, target: { type: 'session', id: String(session._id), label: session.title }, after: summarizeSession(session) });
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const person = { name, position: role };
-    if (req.file) {
-      person.photo = { url: req.file.path, public_id: req.file.filename || req.file.public_id };
-    } else if (photoUrl && public_id) {
-      person.photo = { url: photoUrl, public_id };
-    }
+// PUT update a session: the fields of POST that are sent (clashes are checked again)
+app.put('/api/programme/:year/sessions/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const session = mongoose.isValidObjectId(req.params.id) && await ProgrammeSession.findOne({ _id: req.params.id, year });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    const { fields, error } = await sessionFields(req.body);
+    if (error) return res.status(400).json({ message: error });
 
-    categoryDoc[role] = person;
+    const before = summarizeSession(session);
+    session.set(fields);
+    const problem = await sessionProblem(session, session._id);
+    if (problem) return res.status(problem.status).json({ message: problem.message, clashes: problem.clashes });
 
-    await doc.save();
-    res.json(doc);
+    await session.save();
+    await recordAudit(req, { action: 'session.update', year, target: { type: 'session', id: String(session._id), label: session.title }, before, after: summarizeSession(session) });
+    res.json(session);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get awards for a year (public)
-app.get('/api/content/:year/awards/:category', async (req, res) => {
+// DELETE a session
+app.delete('/api/programme/:year/sessions/:id', adminAuth, requirePermission('content:write'), async (req, res) => {
   try {
     const year = Number(req.params.year);
-    const { category } = req.params;
-    const doc = await Content.findOne({ year });
-    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
-    const cat = doc.awards.find(a => a.category === category);
-    if (!cat) return res.status(404).json({ message: 'Category not found' });
-    res.json(cat);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const session = mongoose.isValidObjectId(req.params.id) && await ProgrammeSession.findOne({ _id: req.params.id, year });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    await session.deleteOne();
+    await recordAudit(req, { action: 'session.delete', year, target: { type: 'session', id: String(session._id), label: session.title }, before: summarizeSession(session) });
+    res.json({ message: 'Session deleted', id: session._id });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Delete an award category for a year (admin)
-// robust delete award photo (paste in server.js, restart server)
-app.delete('/api/content/:year/awards/:category/:role/photo', adminAuth, async (req, res) => {
+// --- Trash ---
+
+// List a year's trash, newest first
+app.get('/api/content/:year/trash', adminAuth, requirePermission('content:read'), async (req, res) => {
   try {
     const year = Number(req.params.year);
     if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-    const category = req.params.category || '';
-    const role = req.params.role || '';
-    if (!category) return res.status(400).json({ message: 'Category required' });
-    if (!['winner','firstRunnerUp','secondRunnerUp'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role' });
-    }
-
-    const doc = await Content.findOne({ year });
-    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
-
-    const cat = doc.awards.find(a => a.category === category);
-    if (!cat) return res.status(404).json({ message: 'Award category not found' });
-
-    const person = cat[role];
-    if (!person) return res.status(404).json({ message: 'Role not set' });
+    const items = await TrashItem.find({ year }).sort({ createdAt: -1 });
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const photo = person.photo;
-    if (photo && (photo.public_id || photo.filename || photo.url)) {
-      // Build candidate variants to try
-      const candidates = [];
-      if (photo.public_id) candidates.push(photo.public_id);
-      if (photo.filename) candidates.push(photo.filename);
-      if (photo.url) {
-        try {
-          const u = new URL(photo.url);
-          let parts = u.pathname.split('/').filter(Boolean);
-          const uploadIdx = parts.findIndex(p => p === 'upload' || p === 'uploads');
-          if (uploadIdx >= 0) parts = parts.slice(uploadIdx + 1);
-          if (parts.length && /^v\d+$/.test(parts[0])) parts = parts.slice(1);
-          const derived = parts.join('/').replace(/\.[a-zA-Z0-9]+$/, '');
-          if (derived) candidates.push(derived);
-        } catch (e) {
-          const last = photo.url.split('/').pop();
-          if (last) candidates.push(last.replace(/\.[a-zA-Z0-9]+$/, ''));
-        }
-      }
+// Restore trash items ({ ids: [...] }) back into the year's content
+app.post('/api/content/:year/trash/restore', adminAuth, requirePermission('content:write'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).filter(id => mongoose.isValidObjectId(id));
+    if (!ids.length) return res.status(400).json({ message: 'ids required' });
 
-      // Deduplicate
-      const tried = new Set();
-      for (const c of candidates) {
-        if (!c || tried.has(c)) continue;
-        tried.add(c);
-        try {
-          console.log('Attempting Cloudinary destroy for:', c);
-          const result = await cloudinary.uploader.destroy(c, { resource_type: 'image' });
-          console.log('Cloudinary destroy result for', c, ':', result);
-          // if destroy was successful or returned 'not found', continue — we still want to clear DB
-          // if destroy returned error, it will have thrown and be caught below
-        } catch (err) {
-          console.warn('Cloudinary destroy threw for', c, err && err.message ? err.message : err);
-        }
+    const items = await TrashItem.find({ _id: { $in: ids }, year });
+    const doc = await getOrCreateContentByYear(year);
+    const restored = [];
+    const failed = [];
+    // oldest first, so positions line up the way they were before the deletes
+    for (const item of items.sort((a, b) => a.createdAt - b.createdAt)) {
+      try {
+        restoreTrashItem(doc, item);
+        restored.push(item);
+      } catch (e) {
+        if (!e.status) throw e;
+        failed.push({ id: item._id, label: item.label, message: e.message });
       }
-    } else {
-      console.log('No photo info found for award slot — nothing to destroy on cloudinary');
     }
-
-    // Remove photo object entirely from the role
-    if (cat[role]) {
-      const preserved = { ...cat[role] };
-      delete preserved.photo;
-      cat[role] = preserved;
+    await doc.save();
+    await TrashItem.deleteMany({ _id: { $in: restored.map(i => i._id) } });
+    for (const item of restored) {
+      await recordAudit(req, { action: RESTORE_ACTIONS[item.kind], year, target: { type: item.kind, id: String(item._id), label: item.label } });
     }
+    res.json({ content: doc, restored: restored.map(i => i._id), failed });
+  } catch (err) {
+    console.error('Trash restore error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // OPTIONAL: remove any duplicate image from doc.photos that points to same url or public_id
-    if (photo) {
-      doc.photos = doc.photos.filter(p => {
-        // keep p if it doesn't match this photo's url/public_id
-        const samePublicId = photo.public_id && p.public_id && p.public_id === photo.public_id;
-        const sameFilename = photo.filename && p.public_id && p.public_id === photo.filename;
-        const sameUrl = photo.url && p.url && p.url === photo.url;
-        return !(samePublicId || sameFilename || sameUrl);
-      });
+// Permanently delete one trash item (and its storage assets)
+app.delete('/api/content/:year/trash/:id', adminAuth, requirePermission('trash:empty'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Trash item not found' });
+    const item = await TrashItem.findOne({ _id: req.params.id, year });
+    if (!item) return res.status(404).json({ message: 'Trash item not found' });
+    if (!(await purgeTrashItem(item))) {
+      return res.status(409).json({ message: `${item.label} is still in the published copy; publish the year before deleting it permanently` });
     }
-
-    await doc.save();
-    console.log('Award photo removed in DB for', category, role);
-    return res.json(doc);
+    await recordAudit(req, { action: 'trash.purge', year, target: { type: item.kind, id: String(item._id), label: item.label } });
+    res.json({ message: 'Deleted permanently', id: item._id });
   } catch (err) {
-    console.error('Delete award photo error:', err);
-    return res.status(500).json({ message: 'Server error', error: err.message || String(err) });
+    res.status(500).json({ message: err.message });
   }
 });
-// DELETE full award category (admin)
-app.delete('/api/content/:year/awards/:category(*)', adminAuth, async (req, res) => {
+
+// Empty the year's trash
+app.delete('/api/content/:year/trash', adminAuth, requirePermission('trash:empty'), async (req, res) => {
   try {
     const year = Number(req.params.year);
     if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const items = await TrashItem.find({ year });
+    const purged = [];
+    for (const item of items) if (await purgeTrashItem(item)) purged.push(item);
+    const kept = items.length - purged.length;
+    await recordAudit(req, { action: 'trash.empty', year, target: { type: 'trash', label: `${purged.length} item(s)` }, before: purged.map(i => ({ kind: i.kind, label: i.label })) });
+    res.json({
+      message: `Emptied trash (${purged.length} item(s))${kept ? `; ${kept} kept until the year is published` : ''}`,
+      purged: purged.length,
+      kept,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const category = req.params.category || '';
-    if (!category) return res.status(400).json({ message: 'Category required' });
+// --- Year reset ---
+// Two steps: POST .../reset/request returns a short-lived token and the text to type,
+// POST .../reset with both deletes the year after snapshotting it. The snapshot can be
+// restored with POST .../reset/undo until RESET_UNDO_HOURS have passed.
+
+// live in-memory only; a restart just means requesting a new token
+const RESET_TOKEN_TTL_MS = 5 * 60 * 1000;
+const RESET_UNDO_HOURS = Number(process.env.RESET_UNDO_HOURS) || 24;
+const resetTokens = new Map(); // token -> { year, userId, expiresAt }
+
+const resetConfirmText = (year) => `RESET ${year}`;
 
+app.post('/api/content/:year/reset/request', adminAuth, requirePermission('years:delete'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
     const doc = await Content.findOne({ year });
     if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
 
-    // find category
-    const cat = doc.awards.find(a => a.category === category);
-    if (!cat) return res.status(404).json({ message: 'Award category not found' });
+    const now = Date.now();
+    for (const [t, entry] of resetTokens) if (entry.expiresAt < now) resetTokens.delete(t);
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(now + RESET_TOKEN_TTL_MS);
+    resetTokens.set(token, { year, userId: String(req.user._id), expiresAt: expiresAt.getTime() });
 
-    // gather photos to delete from cloudinary
-    const people = [cat.winner, cat.firstRunnerUp, cat.secondRunnerUp].filter(Boolean);
-    for (const p of people) {
-      const photo = p.photo;
-      if (!photo) continue;
-
-      // attempt various candidates (public_id, filename or extract from URL)
-      const candidates = [];
-      if (photo.public_id) candidates.push(photo.public_id);
-      if (photo.filename) candidates.push(photo.filename);
-      if (photo.url) {
-        try {
-          const u = new URL(photo.url);
-          let parts = u.pathname.split('/').filter(Boolean);
-          const uploadIdx = parts.findIndex(x => x === 'upload' || x === 'uploads');
-          if (uploadIdx >= 0) parts = parts.slice(uploadIdx + 1);
-          if (parts.length && /^v\d+$/.test(parts[0])) parts = parts.slice(1);
-          const derived = parts.join('/').replace(/\.[a-zA-Z0-9]+$/, '');
-          if (derived) candidates.push(derived);
-        } catch (e) {
-          const last = (photo.url || '').split('/').pop();
-          if (last) candidates.push(last.replace(/\.[a-zA-Z0-9]+$/, ''));
-        }
-      }
+    res.json({
+      token,
+      confirmText: resetConfirmText(year),
+      expiresAt,
+      undoHours: RESET_UNDO_HOURS,
+      summary: {
+        photos: doc.photos.length,
+        awards: doc.awards.length,
+        partners: doc.partners.length,
+        published: !!doc.published,
+        assets: collectAssets([doc.toObject(), doc.published]).length,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-      // try destroy candidates (ignore errors)
-      for (const c of [...new Set(candidates)]) {
-        if (!c) continue;
-        try {
-          console.log('Attempting Cloudinary destroy for:', c);
-          const r = await cloudinary.uploader.destroy(c, { resource_type: 'image' });
-          console.log('Cloudinary destroy result for', c, ':', r);
-        } catch (err) {
-          console.warn('Cloudinary destroy threw for', c, err && err.message ? err.message : err);
-        }
-      }
+// body: { token, confirm: "RESET <year>", purgeAssets }
+app.post('/api/content/:year/reset', adminAuth, requirePermission('years:delete'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { token, confirm, purgeAssets } = req.body;
+    const entry = token && resetTokens.get(token);
+    if (!entry || entry.year !== year || entry.userId !== String(req.user._id) || entry.expiresAt < Date.now()) {
+      return res.status(400).json({ message: 'Reset token is invalid or expired; request a new one' });
     }
+    if (confirm !== resetConfirmText(year)) {
+      return res.status(400).json({ message: `Type "${resetConfirmText(year)}" to confirm` });
+    }
+    resetTokens.delete(token);
 
-    // Remove category from DB
-    doc.awards = doc.awards.filter(a => a.category !== category);
+    const doc = await Content.findOne({ year });
+    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
 
-    // Also remove any top-level doc.photos that point to these same photos (best-effort)
-    const photoUrlsOrIds = people
-      .map(p => p.photo)
-      .filter(Boolean)
-      .flatMap(photo => [photo.public_id, photo.filename, photo.url].filter(Boolean));
-    if (photoUrlsOrIds.length) {
-      doc.photos = doc.photos.filter(p => {
-        return !photoUrlsOrIds.some(idOrUrl => (idOrUrl && (p.public_id === idOrUrl || p.url === idOrUrl || (p.url && p.url.includes(idOrUrl)))));
-      });
-    }
+    const data = doc.toObject();
+    const snapshot = await ContentSnapshot.create({
+      year,
+      reason: 'reset',
+      data,
+      assets: collectAssets([data, data.published]),
+      purgeAssets: !!purgeAssets,
+      createdBy: { id: req.user._id, email: req.user.email },
+      undoUntil: new Date(Date.now() + RESET_UNDO_HOURS * 60 * 60 * 1000),
+    });
+    await Content.deleteOne({ _id: doc._id });
+    await recordAudit(req, {
+      action: 'content.reset',
+      year,
+      target: { type: 'year', id: String(year) },
+      before: { photos: data.photos.length, awards: data.awards.length, partners: data.partners.length },
+      after: { snapshotId: String(snapshot._id), purgeAssets: !!purgeAssets },
+    });
+    res.json({
+      message: `Content for ${year} deleted; it can be restored until ${snapshot.undoUntil.toISOString()}`,
+      snapshot: { _id: snapshot._id, undoUntil: snapshot.undoUntil, purgeAssets: snapshot.purgeAssets },
+    });
+  } catch (err) {
+    console.error('Reset error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    await doc.save();
-    return res.json(doc);
+// Snapshots of a year, newest first (without the content itself)
+app.get('/api/content/:year/snapshots', adminAuth, requirePermission('years:delete'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const snapshots = await ContentSnapshot.find({ year }, { data: 0, assets: 0 }).sort({ createdAt: -1 });
+    res.json(snapshots);
   } catch (err) {
-    console.error('Delete award category error:', err);
-    return res.status(500).json({ message: 'Server error', error: err.message || String(err) });
+    res.status(500).json({ message: err.message });
   }
 });
 
+// Undo a reset: recreate the year from its snapshot ({ snapshotId }, default: the latest one)
+app.post('/api/content/:year/reset/undo', adminAuth, requirePermission('years:delete'), async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const { snapshotId } = req.body;
+    if (snapshotId && !mongoose.isValidObjectId(snapshotId)) return res.status(404).json({ message: 'Snapshot not found' });
+    const snapshot = snapshotId
+      ? await ContentSnapshot.findOne({ _id: snapshotId, year })
+      : await ContentSnapshot.findOne({ year, restoredAt: null }).sort({ createdAt: -1 });
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found' });
+    if (snapshot.restoredAt) return res.status(409).json({ message: 'This reset has already been undone' });
+    if (snapshot.undoUntil < new Date() || snapshot.assetsPurgedAt) {
+      return res.status(410).json({ message: 'The undo window for this reset is over' });
+    }
+    if (await Content.exists({ year })) {
+      return res.status(409).json({ message: `Content for ${year} exists again; reset it before undoing the earlier reset` });
+    }
 
+    const doc = new Content(upgradeLegacyAwards(snapshot.data)); // snapshots from before placements
+    doc.markModified('published');
+    await doc.save({ timestamps: false });
+    snapshot.restoredAt = new Date();
+    await snapshot.save();
+    await recordAudit(req, { action: 'content.reset_undo', year, target: { type: 'year', id: String(year) }, after: { snapshotId: String(snapshot._id) } });
+    res.json(doc);
+  } catch (err) {
+    console.error('Reset undo error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
 
+// --- Archives (export / import) ---
 
-// Partners: upload logos for a year (admin)
-app.post('/api/content/:year/partners', adminAuth, uploadImages.array('logos', 50), async (req, res) => {
+// GET a zip of one year (?year=2024) or of every year (no year / ?year=all).
+// Video files are left out (their links are kept) unless ?videos=1: the zip is built in memory.
+app.get('/api/archive/export', adminAuth, requirePermission('archive:manage'), async (req, res) => {
   try {
-    console.log('--- partners route hit ---');
-    console.log('req.body:', req.body);
-    console.log('req.files (count):', Array.isArray(req.files) ? req.files.length : typeof req.files);
-    console.log('req.files sample:', (req.files || []).map(f => ({ originalname: f.originalname, path: f.path, filename: f.filename || f.public_id, size: f.size })));
+    const all = !req.query.year || req.query.year === 'all';
+    const includeVideos = ['1', 'true'].includes(String(req.query.videos));
+    const year = Number(req.query.year);
+    if (!all && Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    const docs = await Content.find(all ? {} : { year }).sort({ year: 1 });
+    if (!docs.length) return res.status(404).json({ message: all ? 'No content to export' : `Content for ${year} not found` });
 
-    const year = Number(req.params.year);
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
-
-    const files = req.files || [];
-    if (!files.length) return res.status(400).json({ message: 'No logos uploaded' });
+    const { buffer, manifest } = await exportArchive(docs, { storageName: storage.name, ownsUrl: storage.ownsUrl, includeVideos });
+    manifest.warnings.forEach(w => console.warn('Archive export:', w));
+    await recordAudit(req, {
+      action: 'archive.export',
+      year: all ? undefined : year,
+      target: { type: 'archive', label: all ? 'all years' : String(year) },
+      after: { years: manifest.years, includeVideos, warnings: manifest.warnings.length },
+    });
 
-    const doc = await getOrCreateContentByYear(year);
-    for (const f of files) {
-      doc.partners.push({ url: f.path, public_id: f.filename || f.public_id });
-    }
-    await doc.save();
-    res.json(doc);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="filmfest-${all ? 'all' : year}-${stamp}.zip"`);
+    res.send(buffer);
   } catch (err) {
-    console.error('Partners upload error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+    console.error('Archive export error:', err);
+    res.status(500).json({ message: err.message });
   }
 });
 
+// the archive upload, with a 413 past MAX_ARCHIVE_MB (the archive is read in memory)
+function receiveArchive(req, res, next) {
+  uploadArchive.single('archive')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `The archive is larger than the ${Math.round(MAX_ARCHIVE_BYTES / 1024 / 1024)} MB import limit` });
+    }
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}
 
-// Delete partner logo by public_id for a year (admin)
-app.delete('/api/content/:year/partners/:public_id(*)', adminAuth, async (req, res) => {
+// POST an archive (multipart field "archive") to recreate its years.
+// onConflict: fail (default) | skip | replace (snapshots the existing year first); years: "2023,2024" to pick
+// Each year is validated before it is written, and its uploaded files are removed again if it can't be saved.
+app.post('/api/archive/import', adminAuth, requirePermission('archive:manage'), receiveArchive, async (req, res) => {
+  const tempFile = req.file && req.file.path;
+  const results = [];
   try {
-    const year = Number(req.params.year);
-    const public_id_param = req.params.public_id;
-    if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+    if (!req.file) return res.status(400).json({ message: 'archive file required' });
+    const onConflict = req.body.onConflict || 'fail';
+    if (!['fail', 'skip', 'replace'].includes(onConflict)) return res.status(400).json({ message: 'onConflict must be fail, skip or replace' });
+    const wanted = req.body.years ? String(req.body.years).split(',').map(Number) : null;
 
-    const doc = await Content.findOne({ year });
-    if (!doc) return res.status(404).json({ message: `Content for ${year} not found` });
+    // a single file may unpack to at most the upload limit, the whole archive to MAX_ARCHIVE_UNPACKED_MB
+    const archive = readArchive(req.file.path, { maxEntryBytes: MAX_ARCHIVE_BYTES, maxTotalBytes: MAX_ARCHIVE_UNPACKED_BYTES });
+    const entries = archive.years.filter(e => !wanted || wanted.includes(Number(e.year)));
+    if (!entries.length) return res.status(400).json({ message: 'The archive has none of the requested years' });
 
-    const partner = doc.partners.find(p => (p.public_id && p.public_id === public_id_param) || (p.url && p.url.includes(public_id_param)));
-    if (!partner) {
-      doc.partners = doc.partners.filter(p => !(p.public_id === public_id_param || (p.url && p.url.includes(public_id_param))));
-      await doc.save();
-      return res.status(404).json({ message: 'Partner not found in DB; attempted to remove any partial matches' });
+    const existing = (await Content.find({ year: { $in: entries.map(e => e.year) } }, { year: 1 })).map(d => d.year);
+    if (existing.length && onConflict === 'fail') {
+      return res.status(409).json({ message: `Content already exists for ${existing.join(', ')}; choose skip or replace`, existing });
     }
 
-    const candidate = partner.public_id || partner.filename || extractPublicId(partner.url) || public_id_param;
-    console.log('Deleting partner - db entry:', { candidate, partner });
+    // keep the folder an asset had (events/photos, events/awards ...) in the new storage
+    const folderFor = (asset) => {
+      if (asset.resourceType === 'video') return 'events/videos';
+      const dir = asset.public_id ? path.posix.dirname(asset.public_id) : '.';
+      return dir !== '.' ? dir : 'events/photos';
+    };
 
-    try {
-      const destroyResult = await cloudinary.uploader.destroy(candidate, { resource_type: 'image' });
-      console.log('Cloudinary destroy result:', destroyResult);
-    } catch (e) {
-      console.warn('Cloudinary destroy threw:', e && e.message ? e.message : e);
+    for (const entry of entries) {
+      if (existing.includes(entry.year) && onConflict === 'skip') {
+        results.push({ year: entry.year, status: 'skipped' });
+        continue;
+      }
+      const { content, stored, uploaded, skipped, excluded } = await importYear(entry, { storage, folderFor });
+      try {
+        // a replaced year is overwritten in place, in one save, so it is never missing
+        const current = existing.includes(entry.year) ? await Content.findOne({ year: entry.year }) : null;
+        const doc = current || new Content();
+        const data = current && current.toObject();
+        doc.overwrite({ ...upgradeLegacyAwards(content), ...(current && { _id: current._id }) }); // archives from before award placements
+        upgradeLegacyVideos(doc); // archives from before the video list
+        await doc.validate();
+        if (current) {
+          await ContentSnapshot.create({
+            year: entry.year,
+            reason: 'import',
+            data,
+            assets: collectAssets([data, data.published]),
+            createdBy: { id: req.user._id, email: req.user.email },
+            undoUntil: new Date(Date.now() + RESET_UNDO_HOURS * 60 * 60 * 1000),
+          });
+        }
+        await doc.save();
+      } catch (err) {
+        await discardUploads(storage, stored);
+        throw Object.assign(err, { status: err.name === 'ValidationError' ? 400 : err.status, message: `${entry.year}: ${err.message}` });
+      }
+      results.push({ year: entry.year, status: existing.includes(entry.year) ? 'replaced' : 'created', uploaded, missingAssets: skipped, linkedVideos: excluded });
     }
 
-    doc.partners = doc.partners.filter(p => p !== partner && !(p.public_id && p.public_id === partner.public_id));
-    if (doc.partners.some(p => p === partner)) {
-      doc.partners = doc.partners.filter(p => !(p.url && partner.url && p.url === partner.url));
+    await recordAudit(req, {
+      action: 'archive.import',
+      target: { type: 'archive', label: req.file.originalname },
+      after: { results, exportedAt: archive.manifest.exportedAt, from: archive.manifest.storage },
+    });
+    res.json({ message: `Imported ${results.filter(r => r.status !== 'skipped').length} year(s)`, results });
+  } catch (err) {
+    console.error('Archive import error:', err);
+    // years before the failing one are imported
+    res.status(err.status || 500).json({ message: err.message, results });
+  } finally {
+    if (tempFile) fs.promises.unlink(tempFile).catch(() => {});
+  }
+});
+
+// --- Audit log (admin) ---
+
+// List audit events, newest first. Filters: user (email), year, action (exact or prefix like "photo."), page, limit
+app.get('/api/audit', adminAuth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.user) filter['user.email'] = String(req.query.user).toLowerCase().trim();
+    if (req.query.year) {
+      const year = Number(req.query.year);
+      if (Number.isNaN(year)) return res.status(400).json({ message: 'Invalid year' });
+      filter.year = year;
+    }
+    if (req.query.action) {
+      const action = String(req.query.action);
+      const escaped = action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.action = action.endsWith('.') ? { $regex: `^${escaped}` } : action;
     }
 
-    await doc.save();
-    return res.json(doc);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const [items, total] = await Promise.all([
+      AuditEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditEvent.countDocuments(filter),
+    ]);
+    res.json({ items, total, page, limit });
   } catch (err) {
-    console.error('Delete partner error:', err);
-    return res.status(500).json({ message: 'Server error', error: err.message || err.toString() });
+    res.status(500).json({ message: err.message });
   }
 });
 
-// Reset (dangerous) - admin: deletes all content documents
-app.post('/api/content/reset', adminAuth, async (req, res) => {
+// Values for the audit view's filter dropdowns
+app.get('/api/audit/filters', adminAuth, requirePermission('audit:read'), async (req, res) => {
   try {
-    await Content.deleteMany({});
-    res.json({ message: 'All content deleted' });
+    const [users, years, actions] = await Promise.all([
+      AuditEvent.distinct('user.email'),
+      AuditEvent.distinct('year'),
+      AuditEvent.distinct('action'),
+    ]);
+    res.json({
+      users: users.filter(Boolean).sort(),
+      years: years.filter(y => y !== null && y !== undefined).sort((a, b) => b - a),
+      actions: actions.sort(),
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -871,6 +4214,19 @@ const PORT = process.env.PORT || 5001;
 (async () => {
   try {
     await connectDB();
+    // first, on the raw documents: the mongoose migrations below would save placements: [] next to the legacy slots
+    await migrateAwardPlacements();
+    await migrateUnpublishedContent();
+    await migrateVideoLinks();
+    await migrateVideoSources();
+    purgeExpiredTrash();
+    purgeResetAssets();
+    purgeExpiredUploads();
+    setInterval(() => {
+      purgeExpiredTrash();
+      purgeResetAssets();
+      purgeExpiredUploads();
+    }, 60 * 60 * 1000);
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}\nhttp://localhost:${PORT}/api/content`);
     });
@@ -0,0 +1,61 @@
+// storage/chunkedUpload.js
+/**
+ * Assembles files sent in chunks (resumable video uploads) on local disk, before
+ * the finished file is handed to the storage driver like any other upload.
+ *
+ * One part file per upload session: <dir>/<sessionId>.part
+ * Chunks must arrive in order; the size of the part file is the number of bytes
+ * received, so a client resumes by asking for it and sending from there.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function createChunkStore(dir = path.join(os.tmpdir(), 'filmfest-uploads', 'sessions')) {
+  fs.mkdirSync(dir, { recursive: true });
+  // sessions with a chunk being written; a second chunk for one of them is refused, not interleaved
+  const writing = new Set();
+
+  function pathFor(sessionId) {
+    if (!/^[a-f0-9]{24}$/.test(String(sessionId))) throw new Error(`Invalid upload session id: ${sessionId}`);
+    return path.join(dir, `${sessionId}.part`);
+  }
+
+  async function received(sessionId) {
+    try {
+      return (await fsp.stat(pathFor(sessionId))).size;
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+  }
+
+  // Append `chunk` at `offset` -> bytes received. A wrong offset is a 409 carrying the real one.
+  async function append(sessionId, offset, chunk) {
+    const key = String(sessionId);
+    if (writing.has(key)) throw Object.assign(new Error('Another chunk of this upload is being written'), { status: 409 });
+    writing.add(key);
+    try {
+      const current = await received(sessionId);
+      if (offset !== current) {
+        throw Object.assign(new Error(`Expected offset ${current}, got ${offset}`), { status: 409, received: current });
+      }
+      await fsp.appendFile(pathFor(sessionId), chunk);
+      return current + chunk.length;
+    } finally {
+      writing.delete(key);
+    }
+  }
+
+  async function remove(sessionId) {
+    await fsp.unlink(pathFor(sessionId)).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  return { dir, pathFor, received, append, remove };
+}
+
+module.exports = { createChunkStore };
@@ -0,0 +1,89 @@
+// storage/cloudinaryDriver.js
+/**
+ * Cloudinary storage driver (the original behaviour of the site).
+ *
+ * ENV:
+ *  CLOUDINARY_CLOUD_NAME
+ *  CLOUDINARY_API_KEY
+ *  CLOUDINARY_API_SECRET
+ */
+
+const cloudinary = require('cloudinary').v2;
+const { PLACEHOLDER_WIDTH, sizesFor } = require('./variants');
+
+function createCloudinaryDriver() {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  // Upload a Buffer (images) or a file path on disk (videos, large files)
+  async function upload(source, { folder, publicId, resourceType = 'image' } = {}) {
+    const options = { folder, resource_type: resourceType };
+    if (publicId) options.public_id = publicId;
+
+    let result;
+    if (Buffer.isBuffer(source)) {
+      result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(options, (err, r) => (err ? reject(err) : resolve(r)));
+        stream.end(source);
+      });
+    } else if (resourceType === 'video') {
+      // upload_large sends the file in chunks, needed for anything above ~100MB
+      result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_large(source, options, (err, r) => (err ? reject(err) : resolve(r)));
+      });
+    } else {
+      result = await cloudinary.uploader.upload(source, options);
+    }
+
+    return {
+      url: result.secure_url || result.url,
+      public_id: result.public_id,
+      resourceType: result.resource_type || resourceType,
+      bytes: result.bytes,
+      format: result.format,
+      width: result.width,
+      height: result.height,
+    };
+  }
+
+  // Sizes are on-the-fly transformations of the original URL: nothing extra is stored
+  function transformed(url, transformation) {
+    return url.replace('/upload/', `/upload/${transformation}/`);
+  }
+
+  async function imageVariants({ url, width, height }) {
+    return {
+      width,
+      height,
+      placeholder: transformed(url, `w_${PLACEHOLDER_WIDTH},e_blur:200,q_auto:low,f_auto`),
+      variants: sizesFor(width).map(size => ({
+        name: size.name,
+        width: width ? Math.min(size.width, width) : size.width,
+        url: transformed(url, `c_limit,w_${size.width},q_auto,f_auto`),
+      })),
+    };
+  }
+
+  async function destroy(publicId, { resourceType = 'image' } = {}) {
+    return cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+  }
+
+  function ownsUrl(url) {
+    return typeof url === 'string' && /^https?:\/\/res\.cloudinary\.com\//.test(url)
+      && url.includes(`/${process.env.CLOUDINARY_CLOUD_NAME}/`);
+  }
+
+  return {
+    name: 'cloudinary',
+    requiredEnv: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+    upload,
+    destroy,
+    ownsUrl,
+    imageVariants,
+  };
+}
+
+module.exports = createCloudinaryDriver;
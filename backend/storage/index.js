@@ -0,0 +1,35 @@
+// storage/index.js
+/**
+ * Pluggable storage layer for uploaded images and videos.
+ *
+ * Every driver exposes the same interface:
+ *  - upload(source, { folder, publicId, filename, resourceType }) -> { url, public_id, resourceType, bytes, format }
+ *      source is a Buffer or a path to a file on disk
+ *  - destroy(public_id, { resourceType })
+ *  - ownsUrl(url) -> true if the URL points at a file this driver stores
+ *  - imageVariants(stored) -> { width, height, placeholder, variants } responsive sizes (see ./variants.js)
+ *
+ * Files uploaded in chunks are assembled on local disk first (see ./chunkedUpload.js).
+ *
+ * ENV:
+ *  STORAGE_DRIVER      cloudinary (default) | local
+ */
+
+const createCloudinaryDriver = require('./cloudinaryDriver');
+const createLocalDriver = require('./localDriver');
+const { createChunkStore } = require('./chunkedUpload');
+
+const drivers = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+};
+
+function createStorage(name = process.env.STORAGE_DRIVER || 'cloudinary') {
+  const factory = drivers[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = { createStorage, createChunkStore };
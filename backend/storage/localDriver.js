@@ -0,0 +1,126 @@
+// storage/localDriver.js
+/**
+ * Local filesystem storage driver.
+ * Files are written under LOCAL_STORAGE_DIR and served by the Express app
+ * from /uploads, so the whole site can run without a Cloudinary account.
+ * Image sizes are resized WebP copies next to the original (<public_id>@<width>.webp).
+ *
+ * ENV:
+ *  LOCAL_STORAGE_DIR   (default: backend/uploads)
+ *  PUBLIC_BASE_URL     <-- absolute URL of this server, used to build file URLs
+ *                          (falls back to RENDER_EXTERNAL_URL, then http://localhost:PORT)
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { PLACEHOLDER_WIDTH, sizesFor } = require('./variants');
+
+const PUBLIC_PATH = '/uploads';
+
+function createLocalDriver() {
+  const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+  const baseUrl = (
+    process.env.PUBLIC_BASE_URL ||
+    process.env.RENDER_EXTERNAL_URL ||
+    `http://localhost:${process.env.PORT || 5001}`
+  ).replace(/\/+$/, '');
+
+  // keep every path inside rootDir, whatever public_id we are handed
+  function resolveInside(relative) {
+    const full = path.resolve(rootDir, relative);
+    if (full !== rootDir && !full.startsWith(rootDir + path.sep)) {
+      throw new Error(`Refusing to access path outside storage dir: ${relative}`);
+    }
+    return full;
+  }
+
+  function urlFor(relativeFile) {
+    return `${baseUrl}${PUBLIC_PATH}/${relativeFile.split(path.sep).map(encodeURIComponent).join('/')}`;
+  }
+
+  // Upload a Buffer or a file path on disk; the extension comes from `filename`
+  async function upload(source, { folder = 'events/misc', publicId, filename = '', resourceType = 'image' } = {}) {
+    const ext = path.extname(filename || (typeof source === 'string' ? source : '')).toLowerCase();
+    const id = publicId ? `${folder}/${publicId}` : `${folder}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const relativeFile = `${id}${ext}`;
+    const target = resolveInside(relativeFile);
+
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    if (Buffer.isBuffer(source)) {
+      await fsp.writeFile(target, source);
+    } else {
+      await fsp.copyFile(source, target);
+    }
+    const { size } = await fsp.stat(target);
+
+    return {
+      url: urlFor(relativeFile),
+      public_id: id,
+      resourceType,
+      bytes: size,
+      format: ext.replace('.', ''),
+    };
+  }
+
+  // public_id is stored without extension (like Cloudinary), so match on the base name
+  async function destroy(publicId) {
+    const withoutExt = publicId.replace(/\.[a-zA-Z0-9]+$/, '');
+    const dir = resolveInside(path.dirname(withoutExt));
+    const base = path.basename(withoutExt);
+    let entries = [];
+    try {
+      entries = await fsp.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return { result: 'not found' };
+      throw e;
+    }
+    const matches = entries.filter(name => name === base || path.parse(name).name === base || name.startsWith(`${base}@`));
+    for (const name of matches) {
+      await fsp.unlink(path.join(dir, name));
+    }
+    return { result: matches.length ? 'ok' : 'not found' };
+  }
+
+  // Write the resized copies of a stored image and build its blur placeholder
+  async function imageVariants({ public_id: publicId, format }) {
+    const original = resolveInside(format ? `${publicId}.${format}` : publicId);
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const image = sharp(original).rotate();
+    const { width, height, orientation } = await image.metadata();
+    const upright = orientation >= 5 ? { width: height, height: width } : { width, height };
+
+    const variants = [];
+    for (const size of sizesFor(upright.width)) {
+      const relativeFile = `${publicId}@${size.width}.webp`;
+      const info = await image.clone()
+        .resize({ width: size.width, withoutEnlargement: true })
+        .webp({ quality: 78 })
+        .toFile(resolveInside(relativeFile));
+      variants.push({ name: size.name, width: info.width, url: urlFor(relativeFile) });
+    }
+
+    const tiny = await image.clone().resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+    return { ...upright, placeholder: `data:image/webp;base64,${tiny.toString('base64')}`, variants };
+  }
+
+  function ownsUrl(url) {
+    return typeof url === 'string' && url.startsWith(`${baseUrl}${PUBLIC_PATH}/`);
+  }
+
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  return {
+    name: 'local',
+    requiredEnv: [],
+    rootDir,
+    publicPath: PUBLIC_PATH,
+    upload,
+    destroy,
+    ownsUrl,
+    imageVariants,
+  };
+}
+
+module.exports = createLocalDriver;
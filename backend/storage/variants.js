@@ -0,0 +1,25 @@
+// storage/variants.js
+/**
+ * Responsive sizes of uploaded images, shared by the storage drivers.
+ *
+ * Every driver's imageVariants(stored) returns
+ *  { width, height, placeholder, variants: [{ name, width, url }] }
+ * where placeholder is a tiny blurred image (data URI or URL) shown while the real one loads.
+ */
+
+const IMAGE_SIZES = [
+  { name: 'thumb', width: 400 },
+  { name: 'medium', width: 960 },
+  { name: 'large', width: 1920 },
+];
+
+const PLACEHOLDER_WIDTH = 24;
+
+// sizes worth having for an image `width` px wide; the smallest is always kept
+function sizesFor(width) {
+  if (!width) return IMAGE_SIZES;
+  const smaller = IMAGE_SIZES.filter(s => s.width < width);
+  return smaller.length ? smaller : IMAGE_SIZES.slice(0, 1);
+}
+
+module.exports = { IMAGE_SIZES, PLACEHOLDER_WIDTH, sizesFor };
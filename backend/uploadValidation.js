@@ -0,0 +1,153 @@
+// uploadValidation.js
+/**
+ * Server-side checks for uploaded images and videos, before anything reaches storage.
+ *
+ *  - the file content (magic bytes) must be an allowed type, and match the declared MIME type
+ *  - size limits for images and videos, pixel-dimension limits for images
+ *  - a sha256 content hash, so the same photo uploaded twice is caught
+ *
+ * screenImages() checks a batch and returns per-file rejections ({ index, file, code, message })
+ * instead of failing the whole request.
+ *
+ * ENV:
+ *  MAX_IMAGE_MB          <-- largest accepted image (default 20)
+ *  MAX_VIDEO_MB          <-- largest accepted video file (default 2048)
+ *  MAX_IMAGE_DIMENSION   <-- longest side of an image in pixels (default 12000)
+ *  MIN_IMAGE_DIMENSION   <-- shortest side of an image in pixels (default 0 = no minimum)
+ */
+
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+
+const UPLOAD_LIMITS = {
+  imageBytes: (Number(process.env.MAX_IMAGE_MB) || 20) * MB,
+  videoBytes: (Number(process.env.MAX_VIDEO_MB) || 2048) * MB,
+  maxDimension: Number(process.env.MAX_IMAGE_DIMENSION) || 12000,
+  minDimension: Number(process.env.MIN_IMAGE_DIMENSION) || 0,
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/x-matroska', 'video/x-msvideo'];
+
+// MIME types browsers report under other names
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'video/x-m4v': 'video/mp4',
+  'video/avi': 'video/x-msvideo',
+};
+
+// MIME type from the first bytes of a file, or null when it isn't one we know
+function detectType(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'video/x-msvideo';
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+    return head.includes(Buffer.from('webm')) ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (/^(isom|iso\d|mp4\d|mp41|mp42|avc1|M4V |M4VH|dash|3gp\d)/.test(brand)) return 'video/mp4';
+  }
+  return null;
+}
+
+const rejection = (code, message) => Object.assign(new Error(message), { status: 400, code });
+
+function checkType(declared, detected, allowed, kind) {
+  const mime = MIME_ALIASES[declared] || declared;
+  if (!detected || !allowed.includes(detected)) {
+    throw rejection('type', `Not a supported ${kind} (allowed: ${allowed.map(t => t.split('/')[1]).join(', ')})`);
+  }
+  // application/octet-stream: the client didn't know, the content decides
+  if (mime && mime !== 'application/octet-stream' && mime !== detected) {
+    throw rejection('type', `File content is ${detected.split('/')[1]}, but it was sent as ${declared}`);
+  }
+}
+
+const formatMb = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+/**
+ * Check one multer image file (memory storage) -> { contentHash, mime, width, height }
+ * Throws an Error with { status: 400, code: 'empty' | 'type' | 'size' | 'dimensions' } when rejected.
+ */
+async function validateImage(file, limits = UPLOAD_LIMITS) {
+  const data = file.buffer;
+  if (!data || !data.length) throw rejection('empty', 'File is empty');
+  if (data.length > limits.imageBytes) {
+    throw rejection('size', `File is ${formatMb(data.length)}, the limit is ${formatMb(limits.imageBytes)}`);
+  }
+  const mime = detectType(data.subarray(0, 64));
+  checkType(file.mimetype, mime, IMAGE_TYPES, 'image');
+
+  let meta;
+  try {
+    meta = await sharp(data).metadata();
+  } catch (err) {
+    throw rejection('type', 'Image could not be read (damaged file?)');
+  }
+  // EXIF orientation 5-8 swaps the sides
+  const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  if (Math.max(width, height) > limits.maxDimension) {
+    throw rejection('dimensions', `Image is ${width}×${height}px, the longest side may be at most ${limits.maxDimension}px`);
+  }
+  if (Math.min(width, height) < limits.minDimension) {
+    throw rejection('dimensions', `Image is ${width}×${height}px, the shortest side must be at least ${limits.minDimension}px`);
+  }
+
+  return { contentHash: crypto.createHash('sha256').update(data).digest('hex'), mime, width, height };
+}
+
+// Check one multer video file (disk storage) -> { mime }
+async function validateVideo(file, limits = UPLOAD_LIMITS) {
+  if (!file.size) throw rejection('empty', 'File is empty');
+  if (file.size > limits.videoBytes) {
+    throw rejection('size', `File is ${formatMb(file.size)}, the limit is ${formatMb(limits.videoBytes)}`);
+  }
+  const handle = await fsp.open(file.path, 'r');
+  const head = Buffer.alloc(64);
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+  const mime = detectType(head);
+  checkType(file.mimetype, mime, VIDEO_TYPES, 'video');
+  return { mime };
+}
+
+/**
+ * Check a batch of images -> { accepted: [{ index, file, contentHash, ... }], rejected: [{ index, file, code, message }] }
+ * `existing` maps content hashes already stored (e.g. the year's photos) to a label for the message;
+ * a file repeated within the batch is a duplicate too.
+ */
+async function screenImages(files, { existing = new Map(), limits = UPLOAD_LIMITS } = {}) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map(existing);
+
+  for (const [index, file] of files.entries()) {
+    try {
+      const info = await validateImage(file, limits);
+      if (seen.has(info.contentHash)) {
+        throw rejection('duplicate', `Already uploaded as ${seen.get(info.contentHash)}`);
+      }
+      seen.set(info.contentHash, `"${file.originalname}"`);
+      accepted.push({ index, file, ...info });
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      rejected.push({ index, file: file.originalname, code: err.code, message: err.message });
+    }
+  }
+  return { accepted, rejected };
+}
+
+module.exports = { UPLOAD_LIMITS, detectType, validateImage, validateVideo, screenImages };
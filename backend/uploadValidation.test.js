@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs/promises');
+const sharp = require('sharp');
+const { detectType, validateImage, validateVideo, screenImages } = require('./uploadValidation');
+
+const LIMITS = { imageBytes: 1024 * 1024, videoBytes: 1024 * 1024, maxDimension: 100, minDimension: 0 };
+
+const image = (format, { width = 40, height = 30, color = '#a21942' } = {}) => sharp({
+  create: { width, height, channels: 3, background: color },
+})[format]().toBuffer();
+
+// a multer memory-storage file
+const upload = (buffer, mimetype, originalname = 'photo') => ({ buffer, mimetype, originalname, size: buffer.length });
+
+const rejectedWith = (code) => (err) => {
+  assert.equal(err.status, 400);
+  assert.equal(err.code, code);
+  return true;
+};
+
+test('magic bytes identify images and videos', async () => {
+  assert.equal(detectType(await image('jpeg')), 'image/jpeg');
+  assert.equal(detectType(await image('png')), 'image/png');
+  assert.equal(detectType(await image('webp')), 'image/webp');
+  assert.equal(detectType(Buffer.from('GIF89a')), 'image/gif');
+
+  const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'latin1')]);
+  assert.equal(detectType(ftyp('isom')), 'video/mp4');
+  assert.equal(detectType(ftyp('qt  ')), 'video/quicktime');
+  assert.equal(detectType(ftyp('avif')), 'image/avif');
+  assert.equal(detectType(Buffer.from('RIFF\0\0\0\0AVI LIST', 'latin1')), 'video/x-msvideo');
+  assert.equal(detectType(Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('....webm')])), 'video/webm');
+
+  assert.equal(detectType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+});
+
+test('images are checked by their content, not their declared type', async () => {
+  const png = await image('png');
+  const info = await validateImage(upload(png, 'image/png'), LIMITS);
+  assert.deepEqual({ mime: info.mime, width: info.width, height: info.height }, { mime: 'image/png', width: 40, height: 30 });
+  assert.match(info.contentHash, /^[0-9a-f]{64}$/);
+
+  // the client didn't know: the content decides
+  assert.equal((await validateImage(upload(png, 'application/octet-stream'), LIMITS)).mime, 'image/png');
+  // aliases browsers send
+  assert.equal((await validateImage(upload(await image('jpeg'), 'image/jpg'), LIMITS)).mime, 'image/jpeg');
+
+  await assert.rejects(validateImage(upload(png, 'image/jpeg'), LIMITS), rejectedWith('type'));
+  await assert.rejects(validateImage(upload(Buffer.from('<html></html>'), 'image/png'), LIMITS), rejectedWith('type'));
+  await assert.rejects(validateImage(upload(Buffer.alloc(0), 'image/png'), LIMITS), rejectedWith('empty'));
+});
+
+test('size and pixel limits', async () => {
+  const big = await image('png', { width: 120, height: 20 });
+  await assert.rejects(validateImage(upload(big, 'image/png'), LIMITS), rejectedWith('dimensions'));
+  await assert.rejects(validateImage(upload(await image('png'), 'image/png'), { ...LIMITS, minDimension: 35 }), rejectedWith('dimensions'));
+  await assert.rejects(validateImage(upload(await image('png'), 'image/png'), { ...LIMITS, imageBytes: 10 }), rejectedWith('size'));
+});
+
+test('a damaged image with valid magic bytes is rejected', async () => {
+  const truncated = (await image('png')).subarray(0, 20);
+  await assert.rejects(validateImage(upload(truncated, 'image/png'), LIMITS), rejectedWith('type'));
+});
+
+test('screenImages flags duplicates by sha256, within the batch and against stored photos', async () => {
+  const red = await image('png');
+  const blue = await image('png', { color: '#0a97d9' });
+  const green = await image('png', { color: '#3f7e44' });
+  const { contentHash: greenHash } = await validateImage(upload(green, 'image/png'), LIMITS);
+
+  const { accepted, rejected } = await screenImages([
+    upload(red, 'image/png', 'a.png'),
+    upload(Buffer.from(red), 'image/png', 'a-copy.png'),
+    upload(blue, 'image/png', 'b.png'),
+    upload(green, 'image/png', 'c.png'),
+    upload(Buffer.from('nope'), 'image/png', 'd.png'),
+  ], { existing: new Map([[greenHash, 'photo #3']]), limits: LIMITS });
+
+  assert.deepEqual(accepted.map(a => a.index), [0, 2]);
+  assert.deepEqual(rejected.map(({ index, file, code }) => ({ index, file, code })), [
+    { index: 1, file: 'a-copy.png', code: 'duplicate' },
+    { index: 3, file: 'c.png', code: 'duplicate' },
+    { index: 4, file: 'd.png', code: 'type' },
+  ]);
+  assert.match(rejected[0].message, /"a\.png"/);
+  assert.match(rejected[1].message, /photo #3/);
+});
+
+test('videos are sniffed from the file on disk', async (t) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'upload-validation-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  const write = async (name, data) => {
+    const file = path.join(dir, name);
+    await fsp.writeFile(file, data);
+    return file;
+  };
+
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmp42', 'latin1'), Buffer.alloc(64)]);
+  const mp4Path = await write('clip.mp4', mp4);
+  assert.deepEqual(await validateVideo({ path: mp4Path, size: mp4.length, mimetype: 'video/x-m4v' }, LIMITS), { mime: 'video/mp4' });
+  await assert.rejects(validateVideo({ path: mp4Path, size: mp4.length, mimetype: 'video/webm' }, LIMITS), rejectedWith('type'));
+  await assert.rejects(validateVideo({ path: mp4Path, size: LIMITS.videoBytes + 1, mimetype: 'video/mp4' }, LIMITS), rejectedWith('size'));
+
+  const png = await image('png');
+  const pngPath = await write('still.mp4', png);
+  await assert.rejects(validateVideo({ path: pngPath, size: png.length, mimetype: 'video/mp4' }, LIMITS), rejectedWith('type'));
+});
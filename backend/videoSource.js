@@ -0,0 +1,149 @@
+// videoSource.js
+/**
+ * Turns a video link pasted by an admin into what the site stores and plays:
+ *  { provider, providerId, url }
+ * where `url` is the embeddable player URL (iframe providers) or the file itself
+ * (direct files, played with a native <video>).
+ *
+ * Recognised links:
+ *  - youtube   watch?v=, youtu.be/, /shorts/, /live/, /embed/, playlists (list=), a bare video id
+ *  - vimeo     vimeo.com/<id>, unlisted vimeo.com/<id>/<hash>, player.vimeo.com/video/<id>
+ *  - facebook  facebook.com/<page>/videos/<id>, /watch?v=<id>, fb.watch/<code>, plugins/video.php
+ *  - gdrive    drive.google.com/file/d/<id>/..., open?id=<id>, uc?id=<id>
+ *  - mp4 / hls direct files (.mp4 .m4v .webm .mov .ogv / .m3u8)
+ * Anything else is rejected with an Error { status: 400, code: 'video-url' }.
+ *
+ * Uploaded files have the provider 'file' (set by the upload routes, never parsed from a link).
+ */
+
+const VIDEO_SOURCES = ['youtube', 'vimeo', 'facebook', 'gdrive', 'mp4', 'hls', 'file'];
+
+// how the public page plays each provider
+const PLAYERS = {
+  youtube: 'iframe',
+  vimeo: 'iframe',
+  facebook: 'iframe',
+  gdrive: 'iframe',
+  mp4: 'video',
+  hls: 'video',
+  file: 'video',
+};
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400, code: 'video-url' });
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+const isFacebook = (host) => ['facebook.com', 'fb.watch', 'fb.com'].some(d => hostMatches(host, d));
+
+function youtube(u) {
+  const host = u.hostname;
+  const parts = u.pathname.split('/').filter(Boolean);
+  let id = null;
+  if (hostMatches(host, 'youtu.be')) id = parts[0];
+  else if (u.searchParams.get('v')) id = u.searchParams.get('v');
+  else if (['shorts', 'live', 'embed', 'v'].includes(parts[0])) id = parts[1];
+
+  const list = u.searchParams.get('list');
+  if (id === 'videoseries' && list) id = null;
+  if (id && YOUTUBE_ID.test(id)) {
+    return { provider: 'youtube', providerId: id, url: `https://www.youtube.com/embed/${id}` };
+  }
+  if (list && /^[\w-]+$/.test(list)) {
+    return { provider: 'youtube', providerId: list, url: `https://www.youtube.com/embed/videoseries?list=${list}` };
+  }
+  throw invalid('This YouTube link has no video or playlist id in it (use the Share link of a video)');
+}
+
+function vimeo(u) {
+  const parts = u.pathname.split('/').filter(Boolean);
+  // the video id is the first all-digits segment (vimeo.com/channels/x/123, /video/123); an unlisted hash follows it
+  const index = parts.findIndex(p => /^\d+$/.test(p));
+  if (index === -1) throw invalid('This Vimeo link has no video id in it (use the link of a single video)');
+  const id = parts[index];
+  const hash = u.searchParams.get('h') || (/^[a-f0-9]{6,}$/i.test(parts[index + 1] || '') ? parts[index + 1] : null);
+  return { provider: 'vimeo', providerId: id, url: `https://player.vimeo.com/video/${id}${hash ? `?h=${hash}` : ''}` };
+}
+
+function facebook(u) {
+  // an embed code's src: the video page is in ?href=
+  if (u.pathname.startsWith('/plugins/video.php') && u.searchParams.get('href')) {
+    let page;
+    try {
+      page = new URL(u.searchParams.get('href'));
+    } catch (e) {
+      throw invalid('This Facebook embed has no valid video link in it (use the link of the video itself)');
+    }
+    if (!isFacebook(page.hostname.toLowerCase())) throw invalid('This Facebook embed does not point at a Facebook video');
+    return facebook(page);
+  }
+  const parts = u.pathname.split('/').filter(Boolean);
+  let id = null;
+  if (hostMatches(u.hostname, 'fb.watch')) id = parts[0];
+  else if (u.searchParams.get('v')) id = u.searchParams.get('v');
+  else if (parts.includes('videos')) id = parts.slice(parts.indexOf('videos') + 1).find(p => /^\d+$/.test(p));
+  else if (parts[0] === 'reel') id = parts[1];
+  if (!id) throw invalid('This Facebook link is not a video (use the link of the video itself)');
+
+  const page = hostMatches(u.hostname, 'fb.watch') ? `https://fb.watch/${id}/` : `https://www.facebook.com${u.pathname}${u.searchParams.get('v') ? `?v=${id}` : ''}`;
+  return {
+    provider: 'facebook',
+    providerId: id,
+    url: `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(page)}&show_text=false`,
+  };
+}
+
+function googleDrive(u) {
+  const parts = u.pathname.split('/').filter(Boolean);
+  const id = parts[0] === 'file' && parts[1] === 'd' ? parts[2] : u.searchParams.get('id');
+  if (!id || !/^[\w-]{10,}$/.test(id)) throw invalid('This Google Drive link has no file id in it (use the Share link of the file)');
+  return { provider: 'gdrive', providerId: id, url: `https://drive.google.com/file/d/${id}/preview` };
+}
+
+function directFile(u) {
+  const match = /\.(mp4|m4v|webm|mov|ogv|m3u8)$/i.exec(u.pathname);
+  if (!match) return null;
+  const provider = match[1].toLowerCase() === 'm3u8' ? 'hls' : 'mp4';
+  return { provider, providerId: u.pathname.split('/').pop(), url: u.href };
+}
+
+/**
+ * Video link -> { provider, providerId, url }. Throws (status 400, code 'video-url') for
+ * links that can't be played, with a message saying what to use instead.
+ */
+function parseVideoUrl(input) {
+  const raw = String(input || '').trim();
+  if (!raw) throw invalid('Video url required');
+  // a bare YouTube id, as the old video form accepted
+  if (YOUTUBE_ID.test(raw)) return { provider: 'youtube', providerId: raw, url: `https://www.youtube.com/embed/${raw}` };
+
+  let u;
+  try {
+    u = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (e) {
+    throw invalid(`"${raw}" is not a link`);
+  }
+  if (!['http:', 'https:'].includes(u.protocol)) throw invalid('Video links must start with http:// or https://');
+
+  const host = u.hostname.toLowerCase();
+  if (['youtube.com', 'youtu.be', 'youtube-nocookie.com'].some(d => hostMatches(host, d))) return youtube(u);
+  if (hostMatches(host, 'vimeo.com')) return vimeo(u);
+  if (isFacebook(host)) return facebook(u);
+  if (hostMatches(host, 'drive.google.com')) return googleDrive(u);
+
+  const file = directFile(u);
+  if (file) return file;
+  throw invalid(`Unsupported video link (${host}): use a YouTube, Vimeo, Facebook or Google Drive link, or a direct .mp4 / .m3u8 file`);
+}
+
+// parseVideoUrl() that returns null instead of throwing (stored data from before the checks)
+function tryParseVideoUrl(input) {
+  try {
+    return parseVideoUrl(input);
+  } catch (err) {
+    if (err.code === 'video-url') return null;
+    throw err;
+  }
+}
+
+module.exports = { VIDEO_SOURCES, PLAYERS, parseVideoUrl, tryParseVideoUrl };
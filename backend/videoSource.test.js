@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVideoUrl, tryParseVideoUrl } = require('./videoSource');
+
+const rejects = (input, pattern) => assert.throws(() => parseVideoUrl(input), (err) => {
+  assert.equal(err.status, 400);
+  assert.equal(err.code, 'video-url');
+  if (pattern) assert.match(err.message, pattern);
+  return true;
+});
+
+test('youtube links of every shape give the same embed', () => {
+  const embed = { provider: 'youtube', providerId: 'dQw4w9WgXcQ', url: 'https://www.youtube.com/embed/dQw4w9WgXcQ' };
+  for (const link of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+    'youtu.be/dQw4w9WgXcQ',
+    'https://youtube.com/shorts/dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ',
+    'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+    'dQw4w9WgXcQ',
+  ]) {
+    assert.deepEqual(parseVideoUrl(link), embed, link);
+  }
+});
+
+test('youtube playlists embed the playlist', () => {
+  assert.deepEqual(parseVideoUrl('https://www.youtube.com/playlist?list=PLabc123'), {
+    provider: 'youtube', providerId: 'PLabc123', url: 'https://www.youtube.com/embed/videoseries?list=PLabc123',
+  });
+  rejects('https://www.youtube.com/channel/UCabc', /YouTube/);
+});
+
+test('vimeo links keep the unlisted hash', () => {
+  assert.equal(parseVideoUrl('https://vimeo.com/123456').url, 'https://player.vimeo.com/video/123456');
+  assert.equal(parseVideoUrl('https://vimeo.com/123456/abcdef1234').url, 'https://player.vimeo.com/video/123456?h=abcdef1234');
+  assert.equal(parseVideoUrl('https://player.vimeo.com/video/123456?h=abcdef1234').providerId, '123456');
+  rejects('https://vimeo.com/channels/staffpicks', /Vimeo/);
+});
+
+test('facebook pages, watch links and embed codes', () => {
+  const page = parseVideoUrl('https://www.facebook.com/festival/videos/987654321/');
+  assert.equal(page.provider, 'facebook');
+  assert.equal(page.providerId, '987654321');
+  assert.match(page.url, /^https:\/\/www\.facebook\.com\/plugins\/video\.php\?href=/);
+
+  assert.equal(parseVideoUrl('https://www.facebook.com/watch?v=555').providerId, '555');
+  assert.equal(parseVideoUrl('https://fb.watch/aBcD12/').providerId, 'aBcD12');
+
+  const embed = `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent('https://www.facebook.com/festival/videos/987654321/')}`;
+  assert.deepEqual(parseVideoUrl(embed), page);
+});
+
+test('a facebook embed with a bad href is a 400, not a crash', () => {
+  rejects('https://www.facebook.com/plugins/video.php?href=not%20a%20link', /embed/);
+  rejects('https://www.facebook.com/plugins/video.php?href=https%3A%2F%2Fexample.com%2Fvideos%2F1', /Facebook/);
+  assert.equal(tryParseVideoUrl('https://www.facebook.com/plugins/video.php?href=%%%'), null);
+});
+
+test('google drive share links become the preview player', () => {
+  const expected = { provider: 'gdrive', providerId: '1AbCdEfGhIjK', url: 'https://drive.google.com/file/d/1AbCdEfGhIjK/preview' };
+  assert.deepEqual(parseVideoUrl('https://drive.google.com/file/d/1AbCdEfGhIjK/view?usp=sharing'), expected);
+  assert.deepEqual(parseVideoUrl('https://drive.google.com/open?id=1AbCdEfGhIjK'), expected);
+  rejects('https://drive.google.com/drive/folders', /Google Drive/);
+});
+
+test('direct files are played as they are', () => {
+  assert.deepEqual(parseVideoUrl('https://cdn.example.com/films/trailer.MP4'), {
+    provider: 'mp4', providerId: 'trailer.MP4', url: 'https://cdn.example.com/films/trailer.MP4',
+  });
+  assert.equal(parseVideoUrl('https://cdn.example.com/live/stream.m3u8').provider, 'hls');
+});
+
+test('anything else is rejected with a reason', () => {
+  rejects('', /required/);
+  rejects('ftp://example.com/film.mp4', /http/);
+  rejects('https://example.com/page', /Unsupported/);
+  rejects('http://exa mple.com', /not a link/);
+});
+
+test('tryParseVideoUrl returns null for unplayable links only', () => {
+  assert.equal(tryParseVideoUrl('https://example.com/page'), null);
+  assert.equal(tryParseVideoUrl('youtu.be/dQw4w9WgXcQ').providerId, 'dQw4w9WgXcQ');
+});
@@ -12,6 +12,9 @@ import AdminPanel from "./screens/AdminPanel";
 import Login from "./screens/Login";
 import Footer from "./components/Footer";
 import ContactForm from "./screens/Contact";
+import FilmsScreen from "./screens/FilmsScreen";
+import FilmScreen from "./screens/FilmScreen";
+import ProgrammeScreen from "./screens/ProgrammeScreen";
 
 // Component to conditionally show AdminPanel or redirect
 function AdminRoute() {
@@ -32,6 +35,9 @@ function App() {
             <Route path="/login" element={<Login />} />
             <Route path="/admin" element={<AdminPanel />} />
             <Route path="/contact" element={<ContactForm />} />
+            <Route path="/films" element={<FilmsScreen />} />
+            <Route path="/films/:slug" element={<FilmScreen />} />
+            <Route path="/programme" element={<ProgrammeScreen />} />
           </Routes>
         </main>
         <Footer />
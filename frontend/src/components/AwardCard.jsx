@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import ResponsiveImage from './ResponsiveImage';
+import VideoPlayer from './VideoPlayer';
+import { PersonLinks } from './JuryAndGuests';
+
+// One award placement on the public page: photo, name and label; expands to the awarded film and
+// the winner's bio, and links to the film's catalogue page when the placement is linked to one
+export default function AwardCard({ slot, label }) {
+  const [open, setOpen] = useState(false);
+  const { film, filmPage, person } = slot;
+  const about = person && (person.bio || person.links.length) ? person : null;
+  const facts = film ? [film.director && `Directed by ${film.director}`, film.country, film.runtime && `${film.runtime} min`].filter(Boolean) : [];
+
+  return (
+    <div className="text-center md:text-start">
+      <div className="mx-auto md:mx-0 w-full max-w-xs md:max-w-none">
+        <div className="bg-gray-200 rounded-lg overflow-hidden w-full">
+          <ResponsiveImage
+            image={slot.photo}
+            sizes="(min-width: 768px) 33vw, 320px"
+            alt={slot.name}
+            loading="lazy"
+            imgClassName="w-full h-full object-cover"
+          />
+        </div>
+      </div>
+      <p className="font-medium text-gray-700 mt-2">{slot.name}</p>
+      {filmPage ? (
+        <Link to={`/films/${filmPage.slug}`} className="block italic text-[rgba(10,151,217,1)] hover:underline">{film?.title || filmPage.title}</Link>
+      ) : film?.title && <p className="italic text-gray-600">{film.title}</p>}
+      <h4 className="font-semibold text-gray-800 mb-2">{label}</h4>
+
+      {(film || about) && (
+        <>
+          <button
+            type="button"
+            onClick={() => setOpen(!open)}
+            aria-expanded={open}
+            className="inline-flex items-center gap-1 text-sm font-medium text-[rgba(10,151,217,1)]"
+          >
+            {open ? 'Hide details' : film ? 'Film details' : `About ${about.name}`}
+            {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+
+          {open && (
+            <div className="mt-3 p-4 bg-white rounded-lg shadow-sm text-left space-y-3">
+              {film && (
+                <>
+                  <div className="flex gap-4">
+                    {film.poster && (
+                      <ResponsiveImage
+                        image={film.poster}
+                        sizes="96px"
+                        alt={`${film.title || slot.name} poster`}
+                        loading="lazy"
+                        className="w-24 shrink-0 rounded"
+                        imgClassName="w-full h-auto"
+                      />
+                    )}
+                    <div>
+                      {film.title && <h5 className="font-semibold text-gray-800">{film.title}</h5>}
+                      {facts.length > 0 && <p className="text-sm text-gray-500">{facts.join(' · ')}</p>}
+                    </div>
+                  </div>
+                  {film.synopsis && <p className="text-sm text-gray-700 whitespace-pre-line">{film.synopsis}</p>}
+                  {film.trailer && (
+                    <div className="aspect-video rounded overflow-hidden bg-gray-200">
+                      <VideoPlayer video={film.trailer} className="w-full h-full" />
+                    </div>
+                  )}
+                </>
+              )}
+              {about && (
+                <div className={film ? 'pt-3 border-t' : ''}>
+                  <h5 className="font-semibold text-gray-800">About {about.name}</h5>
+                  {about.bio && <p className="text-sm text-gray-700 whitespace-pre-line">{about.bio}</p>}
+                  {about.links.length > 0 && <PersonLinks links={about.links} />}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
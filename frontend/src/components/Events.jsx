@@ -1,15 +1,102 @@
-import React, { useState, useEffect } from 'react';
-import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Play, X } from 'lucide-react';
+import ResponsiveImage, { srcSetOf, thumbUrl } from './ResponsiveImage';
+import VideoPlayer from './VideoPlayer';
+import AwardCard from './AwardCard';
+import JuryAndGuests from './JuryAndGuests';
 
 const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5001';
+// photos are fetched a page at a time; the next page loads as the carousel gets close to the end
+const PHOTO_PAGE_SIZE = 24;
+const EMPTY_GALLERY = { photos: [], total: 0, nextCursor: null };
+export const VIDEO_TYPE_LABELS = { trailer: 'Trailer', highlight: 'Highlights', ceremony: 'Ceremony', panel: 'Panel' };
+
+// award card columns by number of placements (class names spelled out for tailwind)
+const PLACEMENT_COLUMNS = {
+  1: 'md:grid-cols-1 max-w-md mx-auto',
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-2 lg:grid-cols-4',
+};
+
+// rendered widths, so the browser picks the right size from srcset
+const CAROUSEL_SIZES = '(min-width: 1280px) 1232px, 100vw';
+const LIGHTBOX_SIZES = '100vw';
+
+// backend image (or bare url) -> { url, width, height, placeholder, variants }
+const normalizeImage = (img) => (typeof img === 'string'
+  ? { url: img }
+  : { url: img?.url || img?.path || '', width: img?.width, height: img?.height, placeholder: img?.placeholder || '', variants: img?.variants || [] });
+
+// backend photo -> { url, ..., caption, alt, album }
+const normalizePhoto = (p) => (typeof p === 'string'
+  ? normalizeImage(p)
+  : { ...normalizeImage(p), caption: p.caption || '', alt: p.alt || '', album: p.album || null });
+
+// backend video -> { id, title, type, url, provider, thumbnail } (the provider picks the player, see VideoPlayer)
+const normalizeVideo = (v) => ({
+  id: v._id || v.id || v.url,
+  title: v.title || '',
+  type: v.type || 'highlight',
+  url: v.url,
+  provider: v.provider || 'other',
+  thumbnail: v.thumbnail?.url ? normalizeImage(v.thumbnail) : null,
+});
+
+// backend person of the directory -> { id, name, bio, photo, links, roles } (roles of the year shown)
+const normalizePerson = (p) => ({
+  id: p._id,
+  name: p.name || '',
+  bio: p.bio || '',
+  photo: p.photo?.url ? normalizeImage(p.photo) : null,
+  links: p.links || [],
+  roles: p.roles || [],
+});
+
+// backend award placement -> { id, label, name, photo, film, filmPage, person }
+// (film: null when it has no film details; filmPage / person: the linked catalogue film and
+// directory person, from the year's `films` / `people`, which also stand in for a missing name or photo)
+const normalizeAwardSlot = (slot, films = {}, people = {}) => {
+  const person = (slot?.person && people[slot.person]) || null;
+  const ownPhoto = normalizeImage(slot?.photo || slot?.url || '');
+  const film = {
+    title: slot?.filmTitle || '',
+    director: slot?.director || '',
+    country: slot?.country || '',
+    runtime: slot?.runtime || null,
+    synopsis: slot?.synopsis || '',
+    trailer: slot?.trailer?.url ? { url: slot.trailer.url, provider: slot.trailer.provider, title: `${slot.filmTitle || 'Film'} trailer` } : null,
+    poster: slot?.poster?.url ? normalizeImage(slot.poster) : null,
+  };
+  return {
+    id: slot?._id || slot?.label,
+    label: slot?.label || '',
+    name: slot?.name || slot?.title || person?.name || '',
+    photo: ownPhoto.url ? ownPhoto : person?.photo || ownPhoto,
+    film: Object.values(film).some(Boolean) ? film : null,
+    filmPage: (slot?.film && films[slot.film]) || null,
+    person,
+  };
+};
 
-const EventPage = () => {
+// `preview` ({ year, content }) renders that content instead of fetching the published site (admin preview)
+const EventPage = ({ preview = null }) => {
   const [activeYear, setActiveYear] = useState(null);
   const [availableYears, setAvailableYears] = useState([]);
   const [serverYears, setServerYears] = useState([]);
   const [loading, setLoading] = useState(false);
   const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0);
   const [contentByYear, setContentByYear] = useState({});
+  const [activeAlbum, setActiveAlbum] = useState(''); // '' = all photos of the year
+  const [activeVideoId, setActiveVideoId] = useState(null); // none = the year's first video
+  // loaded photo pages per "year:album" -> { photos, total, nextCursor }
+  const [galleries, setGalleries] = useState({});
+  // per-year counts from GET /api/content, shown on the year tabs
+  const [summaries, setSummaries] = useState({});
+  const galleryRequests = useRef(new Set());
+
+  const galleryOf = (year, album) => galleries[`${year}:${album}`] || EMPTY_GALLERY;
   const [error, setError] = useState('');
   
   // Modal states
@@ -17,39 +104,58 @@ const EventPage = () => {
 
   // Helper to normalize backend content -> UI shape
   const normalizeContent = (doc) => {
-    if (!doc) return { video: null, photos: [], awards: [], partners: [] };
-
-    const video = doc.videoLink || doc.video || null;
-
-    const photos = Array.isArray(doc.photos)
-      ? doc.photos.map(p => (typeof p === 'string' ? p : (p.url || p.path || ''))).filter(Boolean)
+    if (!doc) return { video: null, videos: [], photos: [], albums: [], awards: [], partners: [], people: [] };
+    // catalogue films linked from the awards and albums: _id -> { title, slug }
+    const films = Object.fromEntries((doc.films || []).map(f => [f._id, f]));
+    // the year's jury and guests, and the people award placements link to
+    const people = (doc.people || []).map(normalizePerson);
+    const peopleById = Object.fromEntries(people.map(p => [p.id, p]));
+
+    // every video of the year in order; content from before the list only has videoLink
+    const videos = Array.isArray(doc.videos) && doc.videos.length
+      ? doc.videos.map(normalizeVideo).filter(v => v.url)
+      : [doc.videoLink || doc.video].filter(Boolean).map(url => normalizeVideo({ url }));
+    const video = videos[0]?.url || null;
+
+    // photos keep their caption and alt text: { url, caption, alt }
+    const photos = Array.isArray(doc.photos) ? doc.photos.map(normalizePhoto).filter(p => p.url) : [];
+
+    // albums that have photos, with their cover url (the chosen cover, else the first photo).
+    // The public API sends count / coverUrl since it may send only one page of photos.
+    const albums = Array.isArray(doc.albums)
+      ? doc.albums
+          .map(a => {
+            const inAlbum = (doc.photos || []).filter(p => p.album && p.album === a._id);
+            const cover = inAlbum.find(p => p._id === a.cover) || inAlbum[0];
+            return {
+              id: a._id,
+              name: a.name,
+              description: a.description || '',
+              cover: a.coverUrl || thumbUrl(cover),
+              count: a.count ?? inAlbum.length,
+              film: (a.film && films[a.film]) || null,
+            };
+          })
+          .filter(a => a.count > 0)
       : [];
 
     const partners = Array.isArray(doc.partners)
-      ? doc.partners.map(p => (typeof p === 'string' ? p : (p.url || p.path || ''))).filter(Boolean)
+      ? doc.partners.map(normalizeImage).filter(p => p.url)
       : [];
 
     const awards = Array.isArray(doc.awards)
       ? doc.awards.map(a => ({
           category: a.category || a.name || 'Untitled',
-          winner: {
-            name: a.winner?.name || a.winner?.title || '',
-            photo: a.winner?.photo?.url || a.winner?.photo || a.winner?.url || '',
-          },
-          firstRunnerUp: {
-            name: a.firstRunnerUp?.name || a.firstRunnerUp?.title || '',
-            photo: a.firstRunnerUp?.photo?.url || a.firstRunnerUp?.photo || a.firstRunnerUp?.url || '',
-          },
-          secondRunnerUp: {
-            name: a.secondRunnerUp?.name || a.secondRunnerUp?.title || '',
-            photo: a.secondRunnerUp?.photo?.url || a.secondRunnerUp?.photo || a.secondRunnerUp?.url || '',
-          },
+          placements: (a.placements || []).map(slot => normalizeAwardSlot(slot, films, peopleById)),
         }))
       : [];
 
-    return { video, photos, awards, partners };
+    return { video, videos, photos, albums, awards, partners, people: people.filter(p => p.roles.length) };
   };
 
+  // alt text: what the admin wrote, else the caption, else a generic label
+  const photoAlt = (photo, index) => photo?.alt || photo?.caption || `Event photo ${index + 1}`;
+
   // Modal functions
   const openModal = () => {
     setIsModalOpen(true);
@@ -59,38 +165,43 @@ const EventPage = () => {
     setIsModalOpen(false);
   };
 
-  const nextModalImage = () => {
-    const currentData = contentByYear[activeYear] || { photos: [] };
+  // callbacks of the current gallery, so the keyboard handler sees pages loaded after the modal opened
+  const nextModalImage = useCallback(() => {
+    const { photos, nextCursor } = galleries[`${activeYear}:${activeAlbum}`] || EMPTY_GALLERY;
+    // at the end of what's loaded: wait for the next page instead of wrapping around
     setCurrentPhotoIndex(prev => 
-      prev === currentData.photos.length - 1 ? 0 : prev + 1
+      prev === photos.length - 1 ? (nextCursor ? prev : 0) : prev + 1
     );
-  };
+  }, [galleries, activeYear, activeAlbum]);
 
-  const prevModalImage = () => {
-    const currentData = contentByYear[activeYear] || { photos: [] };
+  const prevModalImage = useCallback(() => {
+    const { photos } = galleries[`${activeYear}:${activeAlbum}`] || EMPTY_GALLERY;
     setCurrentPhotoIndex(prev => 
-      prev === 0 ? currentData.photos.length - 1 : prev - 1
+      prev === 0 ? photos.length - 1 : prev - 1
     );
-  };
+  }, [galleries, activeYear, activeAlbum]);
 
   // Keyboard navigation for modal
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (!isModalOpen) return;
       
-      if (e.key === 'Escape') closeModal();
+      if (e.key === 'Escape') setIsModalOpen(false);
       if (e.key === 'ArrowRight') nextModalImage();
       if (e.key === 'ArrowLeft') prevModalImage();
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [isModalOpen]);
+  }, [isModalOpen, nextModalImage, prevModalImage]);
 
   // fetch list of years from backend and build availableYears (include current + next)
 useEffect(() => {
   let mounted = true;
 
+  // the admin preview brings its own content
+  if (preview) return;
+
   const fetchYears = async () => {
     setError('');
     setLoading(true);
@@ -120,9 +231,14 @@ useEffect(() => {
 
       if (!mounted) return;
 
+      setSummaries(Object.fromEntries(list.map(d => [String(d.year), d.counts || {}])));
       setServerYears(serverYears.map(String));   // clickable
       setAvailableYears(allYears.map(String));   // visible
-      setActiveYear(String(latestServerYear));   // active = latest DB year
+      // active = the year linked with ?year=2024&album=<id> (film pages), else the latest DB year
+      const linked = new URLSearchParams(window.location.search);
+      const linkedYear = Number(linked.get('year'));
+      setActiveYear(String(serverYears.includes(linkedYear) ? linkedYear : latestServerYear));
+      if (serverYears.includes(linkedYear) && linked.get('album')) setActiveAlbum(linked.get('album'));
 
     } catch (err) {
       console.error('fetchYears err', err);
@@ -134,18 +250,38 @@ useEffect(() => {
 
   fetchYears();
   return () => { mounted = false; };
-}, []);
+}, [preview]);
 
 
+  // Admin preview: show the given draft as the only year
+  useEffect(() => {
+    if (!preview) return;
+    const year = String(preview.year);
+    setServerYears([year]);
+    setAvailableYears([year]);
+    setActiveYear(year);
+    const normalized = normalizeContent(preview.content);
+    setContentByYear({ [year]: normalized });
+    // the draft has every photo: build each album's gallery locally
+    const all = { photos: normalized.photos, total: normalized.photos.length, nextCursor: null };
+    const byAlbum = normalized.albums.map(a => {
+      const photos = normalized.photos.filter(p => p.album === a.id);
+      return [`${year}:${a.id}`, { photos, total: photos.length, nextCursor: null }];
+    });
+    setGalleries(Object.fromEntries([[`${year}:`, all], ...byAlbum]));
+    setCurrentPhotoIndex(0);
+    setActiveAlbum('');
+  }, [preview]);
+
   // fetch content for activeYear whenever it changes (and not already cached)
   useEffect(() => {
-    if (!activeYear) return;
+    if (!activeYear || preview) return;
     let mounted = true;
     const fetchContent = async (year) => {
       setError('');
       setLoading(true);
       try {
-        const res = await fetch(`${API_BASE}/api/content/${encodeURIComponent(year)}`);
+        const res = await fetch(`${API_BASE}/api/content/${encodeURIComponent(year)}?limit=${PHOTO_PAGE_SIZE}`);
         if (!res.ok) {
           if (res.status === 404) {
             if (mounted) setContentByYear(prev => ({ ...prev, [year]: { video: null, photos: [], awards: [], partners: [] } }));
@@ -157,6 +293,14 @@ useEffect(() => {
         if (!mounted) return;
         const normalized = normalizeContent(doc);
         setContentByYear(prev => ({ ...prev, [year]: normalized }));
+        setGalleries(prev => ({
+          ...prev,
+          [`${year}:`]: {
+            photos: normalized.photos,
+            total: doc.photosPage?.total ?? normalized.photos.length,
+            nextCursor: doc.photosPage?.nextCursor || null,
+          },
+        }));
         setCurrentPhotoIndex(0);
       } catch (err) {
         console.error('fetchContent err', err);
@@ -167,7 +311,54 @@ useEffect(() => {
     };
 
     if (!contentByYear[activeYear]) fetchContent(activeYear);
-  }, [activeYear, contentByYear]);
+  }, [activeYear, contentByYear, preview]);
+
+  // Fetch the next page of photos of a year's gallery (or of one of its albums)
+  const loadPhotos = useCallback(async (year, album) => {
+    const key = `${year}:${album}`;
+    const gallery = galleries[key];
+    if (galleryRequests.current.has(key) || (gallery && !gallery.nextCursor)) return;
+    galleryRequests.current.add(key);
+    try {
+      const params = new URLSearchParams({ fields: 'photos', limit: String(PHOTO_PAGE_SIZE) });
+      if (album) params.set('album', album);
+      if (gallery?.nextCursor) params.set('cursor', gallery.nextCursor);
+      const res = await fetch(`${API_BASE}/api/content/${encodeURIComponent(year)}?${params.toString()}`);
+      if (!res.ok) throw new Error(`Failed to load photos (${res.status})`);
+      const doc = await res.json();
+      const photos = (doc.photos || []).map(normalizePhoto).filter(p => p.url);
+      setGalleries(prev => ({
+        ...prev,
+        [key]: {
+          photos: [...(prev[key]?.photos || []), ...photos],
+          total: doc.photosPage?.total ?? photos.length,
+          nextCursor: doc.photosPage?.nextCursor || null,
+        },
+      }));
+    } catch (err) {
+      console.error('loadPhotos err', err);
+    } finally {
+      galleryRequests.current.delete(key);
+    }
+  }, [galleries]);
+
+  // first page of an album when it is opened; next page when the carousel nears the end of what's loaded
+  useEffect(() => {
+    if (!activeYear || preview) return;
+    const gallery = galleries[`${activeYear}:${activeAlbum}`];
+    if (activeAlbum && !gallery) loadPhotos(activeYear, activeAlbum);
+    else if (gallery?.nextCursor && currentPhotoIndex >= gallery.photos.length - 3) loadPhotos(activeYear, activeAlbum);
+  }, [activeYear, activeAlbum, currentPhotoIndex, galleries, loadPhotos, preview]);
+
+  // "120 photos · 8 awards" under a year tab
+  const yearSummary = (year) => {
+    const counts = summaries[year];
+    if (!counts) return '';
+    return [
+      counts.photos ? `${counts.photos} photo${counts.photos === 1 ? '' : 's'}` : '',
+      counts.awards ? `${counts.awards} award${counts.awards === 1 ? '' : 's'}` : '',
+    ].filter(Boolean).join(' · ');
+  };
 
   const handleYearChange = (year) => {
     if (!availableYears.includes(year)) return;
@@ -182,35 +373,49 @@ useEffect(() => {
     if (!hasData) return;
 
     setActiveYear(year);
+    setActiveAlbum('');
     setError('');
     setCurrentPhotoIndex(0);
   };
 
+  const handleAlbumChange = (albumId) => {
+    setActiveAlbum(albumId);
+    setCurrentPhotoIndex(0);
+  };
+
   const nextPhoto = () => {
-    const currentData = contentByYear[activeYear] || { photos: [] };
+    const { photos, nextCursor } = galleryOf(activeYear, activeAlbum);
     setCurrentPhotoIndex(prev =>
-      prev === currentData.photos.length - 1 ? 0 : prev + 1
+      prev === photos.length - 1 ? (nextCursor ? prev : 0) : prev + 1
     );
   };
 
   const prevPhoto = () => {
-    const currentData = contentByYear[activeYear] || { photos: [] };
+    const { photos } = galleryOf(activeYear, activeAlbum);
     setCurrentPhotoIndex(prev =>
-      prev === 0 ? Math.max(0, currentData.photos.length - 1) : prev - 1
+      prev === 0 ? Math.max(0, photos.length - 1) : prev - 1
     );
   };
 
-  const currentData = contentByYear[activeYear] || { video: null, photos: [], awards: [], partners: [] };
+  const currentData = contentByYear[activeYear] || { video: null, videos: [], photos: [], albums: [], awards: [], partners: [], people: [] };
+  const videos = currentData.videos || [];
+  const activeVideo = videos.find(v => v.id === activeVideoId) || videos[0];
+  const gallery = galleryOf(activeYear, activeAlbum);
+  const galleryPhotos = gallery.photos;
+  const activeAlbumInfo = (currentData.albums || []).find(a => a.id === activeAlbum);
 
-    // Preload all photos in the background
-useEffect(() => {
-  if (currentData?.photos?.length > 0) {
-    currentData.photos.forEach((src) => {
+  // Preload only the slides either side of the current one, at the size the carousel / lightbox will pick
+  useEffect(() => {
+    const count = galleryPhotos.length;
+    if (count < 2) return;
+    [currentPhotoIndex - 1, currentPhotoIndex + 1].forEach((i) => {
+      const photo = galleryPhotos[(i + count) % count];
       const img = new Image();
-      img.src = src;
+      img.sizes = isModalOpen ? LIGHTBOX_SIZES : CAROUSEL_SIZES;
+      img.srcset = srcSetOf(photo) || '';
+      img.src = photo.url;
     });
-  }
-}, [currentData]);
+  }, [galleryPhotos, currentPhotoIndex, isModalOpen]);
 
   if (loading && !currentData) {
     return (
@@ -282,6 +487,10 @@ useEffect(() => {
             {year}
           </button>
 
+          {yearSummary(year) && (
+            <span className="mt-1 text-xs text-gray-500 whitespace-nowrap">{yearSummary(year)}</span>
+          )}
+
           {isActive && (
             <div className="mt-1 flex justify-center w-full">
               <div className="w-0 h-0 border-l-[16px] border-r-[16px] border-t-[16px]
@@ -302,14 +511,8 @@ useEffect(() => {
           <div className="bg-gray-200 rounded-lg overflow-hidden">
             <div className="aspect-[4/3] md:aspect-[16/9]
 ">
-              {currentData?.video ? (
-                <iframe
-                  src={currentData.video}
-                  className="w-full h-full"
-                  frameBorder="0"
-                  allowFullScreen
-                  title="Event Video"
-                />
+              {activeVideo ? (
+                <VideoPlayer video={activeVideo} className="w-full h-full" />
               ) : (
                 <div className="w-full h-full flex items-center justify-center text-gray-500">
                   No video available
@@ -317,6 +520,29 @@ useEffect(() => {
               )}
             </div>
           </div>
+
+          {/* the other videos of the year: trailer, ceremony, panels... */}
+          {videos.length > 1 && (
+            <div className="mt-4 flex gap-3 overflow-x-auto pb-2">
+              {videos.map(v => (
+                <button
+                  key={v.id}
+                  onClick={() => setActiveVideoId(v.id)}
+                  className={`shrink-0 w-44 text-left rounded-lg overflow-hidden border-2 ${v === activeVideo ? 'border-[rgba(63,126,68,1)]' : 'border-transparent'}`}
+                >
+                  {v.thumbnail ? (
+                    <ResponsiveImage image={v.thumbnail} sizes="176px" className="aspect-video" imgClassName="w-full h-full object-cover" />
+                  ) : (
+                    <div className="aspect-video bg-gray-300 flex items-center justify-center text-gray-500"><Play className="w-6 h-6" /></div>
+                  )}
+                  <div className="p-2 bg-white">
+                    <div className="text-xs font-semibold text-[rgba(63,126,68,1)] uppercase">{VIDEO_TYPE_LABELS[v.type] || v.type}</div>
+                    <div className="text-sm truncate">{v.title || 'Untitled video'}</div>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Photo Gallery Section - KEEP THE ORIGINAL CAROUSEL */}
@@ -333,22 +559,51 @@ useEffect(() => {
             </div>
           </div>
 
-          {currentData?.photos?.length > 0 ? (
+          {currentData.albums?.length > 0 && (
+            <div className="mb-6">
+              <div className="flex overflow-x-auto whitespace-nowrap gap-2 scrollbar-hide">
+                {[{ id: '', name: 'All photos', cover: '' }, ...currentData.albums].map(album => (
+                  <button
+                    key={album.id || 'all'}
+                    onClick={() => handleAlbumChange(album.id)}
+                    className={`shrink-0 flex items-center gap-2 px-4 py-2 rounded-full text-sm font-medium transition-all ${
+                      activeAlbum === album.id ? 'text-white bg-[rgba(63,126,68,1)]' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                    }`}
+                  >
+                    {album.cover && <img src={album.cover} alt="" className="w-6 h-6 rounded-full object-cover" />}
+                    {album.name}
+                  </button>
+                ))}
+              </div>
+              {activeAlbumInfo?.description && <p className="mt-3 text-gray-600">{activeAlbumInfo.description}</p>}
+              {activeAlbumInfo?.film && (
+                <Link to={`/films/${activeAlbumInfo.film.slug}`} className="inline-block mt-2 text-sm font-medium text-[rgba(10,151,217,1)]">
+                  About the film: {activeAlbumInfo.film.title}
+                </Link>
+              )}
+            </div>
+          )}
+
+          {galleryPhotos.length > 0 ? (
             <div className="relative">
               {/* Main photo - clickable to open modal */}
               <div 
                 className="aspect-[4/3] md:aspect-[16/9] rounded-lg overflow-hidden cursor-pointer hover:opacity-95 transition-opacity"
                 onClick={openModal}
               >
-                <img
-                  src={currentData.photos[currentPhotoIndex]}
-                   loading="lazy"
-                  alt={`Event photo ${currentPhotoIndex + 1}`}
-                  className="w-full h-full object-cover"
+                <ResponsiveImage
+                  image={galleryPhotos[currentPhotoIndex]}
+                  sizes={CAROUSEL_SIZES}
+                  alt={photoAlt(galleryPhotos[currentPhotoIndex], currentPhotoIndex)}
+                  className="w-full h-full"
+                  imgClassName="w-full h-full object-cover"
                 />
               </div>
+              {galleryPhotos[currentPhotoIndex]?.caption && (
+                <p className="mt-3 text-center text-gray-700">{galleryPhotos[currentPhotoIndex].caption}</p>
+              )}
 
-              {currentData.photos.length > 1 && (
+              {galleryPhotos.length > 1 && (
                 <>
                   <button
                     onClick={prevPhoto}
@@ -364,7 +619,7 @@ useEffect(() => {
                   </button>
 
                   <div className="flex justify-center mt-4 space-x-2 hidden md:block">
-                    {currentData.photos.map((_, index) => (
+                    {galleryPhotos.map((_, index) => (
                       <button
                         key={index}
                         onClick={() => setCurrentPhotoIndex(index)}
@@ -385,6 +640,9 @@ useEffect(() => {
           )}
         </div>
 
+        {/* Jury & Guests: shown once the year has any */}
+        <JuryAndGuests people={currentData.people || []} />
+
         {/* Awards Section */}
         <div className="rounded-xl p-6 mb-8 ">
           <div className="mb- text-left">
@@ -406,48 +664,10 @@ useEffect(() => {
                     </div>
                   </h3>
 
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                    <div className="text-center md:text-start">
-                      <div className="mx-auto md:mx-0 w-full max-w-xs md:max-w-none">
-                        <div className="bg-gray-200 rounded-lg overflow-hidden w-full">
-                          <img
-                            src={award.winner.photo}
-                            alt={award.winner.name}
-                            className="w-full h-full object-cover"
-                          />
-                        </div>
-                      </div>
-                      <p className="font-medium text-gray-700 mt-2">{award.winner.name}</p>
-                      <h4 className="font-semibold text-gray-800 mb-2">Winner</h4>
-                    </div>
-
-                    <div className="text-center md:text-start">
-                      <div className="mx-auto md:mx-0 w-full max-w-xs md:max-w-none">
-                        <div className=" bg-gray-200 rounded-lg overflow-hidden w-full">
-                          <img
-                            src={award.firstRunnerUp.photo}
-                            alt={award.firstRunnerUp.name}
-                            className="w-full h-full object-cover"
-                          />
-                        </div>
-                      </div>
-                      <p className="font-medium text-gray-700 mt-2">{award.firstRunnerUp.name}</p>
-                      <h4 className="font-semibold text-gray-800 mb-2">First Runner Up</h4>
-                    </div>
-
-                    <div className="text-center md:text-start">
-                      <div className="mx-auto md:mx-0 w-full max-w-xs md:max-w-none">
-                        <div className=" bg-gray-200 rounded-lg overflow-hidden w-full">
-                          <img
-                            src={award.secondRunnerUp.photo}
-                            alt={award.secondRunnerUp.name}
-                            className="w-full h-full object-cover"
-                          />
-                        </div>
-                      </div>
-                      <p className="font-medium text-gray-700 mt-2">{award.secondRunnerUp.name}</p>
-                      <h4 className="font-semibold text-gray-800 mb-2">Second Runner Up</h4>
-                    </div>
+                  <div className={`grid grid-cols-1 ${PLACEMENT_COLUMNS[Math.min(award.placements.length, 4)] || ''} gap-6`}>
+                    {award.placements.map(placement => (
+                      <AwardCard key={placement.id} slot={placement} label={placement.label} />
+                    ))}
                   </div>
                 </div>
               ))}
@@ -480,10 +700,14 @@ useEffect(() => {
         key={index}
         className="flex items-center justify-center w-[45%] sm:w-[30%] md:w-[22%] lg:w-[18%] h-24 sm:h-28 md:h-32"
       >
-        <img
-          src={partner}
+        <ResponsiveImage
+          image={partner}
+          sizes="(min-width: 768px) 12vw, 25vw"
           alt={`Partner ${index + 1}`}
-          className="max-w-[50%] max-h-full object-contain mx-auto"
+          loading="lazy"
+          placeholder={false}
+          className="h-full flex items-center justify-center"
+          imgClassName="max-w-[50%] max-h-full object-contain mx-auto"
         />
       </div>
     ))}
@@ -511,7 +735,7 @@ useEffect(() => {
 </div>
 
         {/* Image Modal - Only shows when clicking the main carousel image */}
-        {isModalOpen && currentData?.photos?.length > 0 && (
+        {isModalOpen && galleryPhotos.length > 0 && (
           <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4">
             <div className="relative max-w-7xl max-h-full w-full h-full flex items-center justify-center">
               {/* Close button */}
@@ -523,7 +747,7 @@ useEffect(() => {
               </button>
 
               {/* Navigation buttons */}
-              {currentData.photos.length > 1 && (
+              {galleryPhotos.length > 1 && (
                 <>
                   <button
                     onClick={prevModalImage}
@@ -541,18 +765,24 @@ useEffect(() => {
               )}
 
               {/* Image counter */}
-              {currentData.photos.length > 1 && (
+              {galleryPhotos.length > 1 && (
                 <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-black/50 text-white px-3 py-1 rounded-full text-sm">
-                  {currentPhotoIndex + 1} / {currentData.photos.length}
+                  {currentPhotoIndex + 1} / {gallery.total}
                 </div>
               )}
 
               {/* Main modal image */}
-              <img
-                src={currentData.photos[currentPhotoIndex]}
-                alt={`Event photo ${currentPhotoIndex + 1}`}
-                className="max-w-full max-h-full object-contain"
-              />
+              <figure className="max-w-full max-h-full flex flex-col items-center">
+                <ResponsiveImage
+                  image={galleryPhotos[currentPhotoIndex]}
+                  sizes={LIGHTBOX_SIZES}
+                  alt={photoAlt(galleryPhotos[currentPhotoIndex], currentPhotoIndex)}
+                  imgClassName="max-w-full max-h-[85vh] object-contain"
+                />
+                {galleryPhotos[currentPhotoIndex]?.caption && (
+                  <figcaption className="mt-3 text-center text-white/90">{galleryPhotos[currentPhotoIndex].caption}</figcaption>
+                )}
+              </figure>
             </div>
           </div>
         )}
@@ -47,6 +47,12 @@ const TopNav = () => {
               <Link to="/about" className={getActiveClass('/about', 'bg-[rgba(63,126,68,1)]')}>
                 About
               </Link>
+              <Link to="/films" className={getActiveClass('/films', 'bg-[rgba(38,189,226,1)]')}>
+                Films
+              </Link>
+              <Link to="/programme" className={getActiveClass('/programme', 'bg-[rgba(162,25,66,1)]')}>
+                Programme
+              </Link>
               <Link to="/contact" className={getActiveClass('/contact', 'bg-[rgba(253,105,37,1)]')}>
                 Contact
               </Link>
@@ -76,7 +82,7 @@ const TopNav = () => {
       {/* Mobile dropdown */}
       <div
         className={`md:hidden transition-all duration-300 ease-in-out overflow-hidden ${
-          isMobileMenuOpen ? 'max-h-48 opacity-100' : 'max-h-0 opacity-0'
+          isMobileMenuOpen ? 'max-h-80 opacity-100' : 'max-h-0 opacity-0'
         }`}
       >
         <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3 bg-white border-t border-gray-200">
@@ -102,6 +108,28 @@ const TopNav = () => {
           >
             About
           </Link>
+          <Link
+            to="/films"
+            onClick={() => setIsMobileMenuOpen(false)}
+            className={`block w-full text-left px-3 py-2 rounded-md text-base font-medium transition-colors duration-200 ${
+              location.pathname.startsWith('/films')
+                ? 'text-white bg-[rgba(38,189,226,1)]'
+                : 'text-gray-600 hover:bg-[rgba(38,189,226,1)] hover:text-white'
+            }`}
+          >
+            Films
+          </Link>
+          <Link
+            to="/programme"
+            onClick={() => setIsMobileMenuOpen(false)}
+            className={`block w-full text-left px-3 py-2 rounded-md text-base font-medium transition-colors duration-200 ${
+              location.pathname === '/programme'
+                ? 'text-white bg-[rgba(162,25,66,1)]'
+                : 'text-gray-600 hover:bg-[rgba(162,25,66,1)] hover:text-white'
+            }`}
+          >
+            Programme
+          </Link>
           <Link
             to="/contact"
             onClick={() => setIsMobileMenuOpen(false)}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { User } from 'lucide-react';
+import ResponsiveImage from './ResponsiveImage';
+
+// one group per role, in this order
+export const PERSON_ROLE_GROUPS = { juror: 'Jury', host: 'Hosts', speaker: 'Speakers', filmmaker: 'Filmmakers' };
+export const PERSON_ROLE_LABELS = { juror: 'Juror', speaker: 'Speaker', filmmaker: 'Filmmaker', host: 'Host' };
+
+// Website / social links of a person
+export const PersonLinks = ({ links }) => (
+  <div className="flex flex-wrap gap-x-3 gap-y-1 text-sm">
+    {links.map(link => (
+      <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer" className="font-medium text-[rgba(10,151,217,1)] hover:underline">
+        {link.label}
+      </a>
+    ))}
+  </div>
+);
+
+function GuestCard({ person, title }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="text-center md:text-start">
+      <div className="aspect-square bg-gray-200 rounded-lg overflow-hidden">
+        {person.photo ? (
+          <ResponsiveImage
+            image={person.photo}
+            sizes="(min-width: 1024px) 20vw, (min-width: 640px) 33vw, 50vw"
+            alt={person.name}
+            loading="lazy"
+            className="w-full h-full"
+            imgClassName="w-full h-full object-cover"
+          />
+        ) : <div className="w-full h-full flex items-center justify-center"><User className="w-12 h-12 text-gray-400" /></div>}
+      </div>
+      <p className="font-semibold text-gray-800 mt-2">{person.name}</p>
+      {title && <p className="text-sm text-gray-500">{title}</p>}
+      {person.bio && (
+        <>
+          <p className={`mt-1 text-sm text-gray-700 text-left whitespace-pre-line ${open ? '' : 'line-clamp-3'}`}>{person.bio}</p>
+          <button type="button" onClick={() => setOpen(!open)} aria-expanded={open} className="text-xs font-medium text-gray-500 hover:text-gray-800">
+            {open ? 'Show less' : 'Read more'}
+          </button>
+        </>
+      )}
+      {person.links.length > 0 && <div className="mt-1"><PersonLinks links={person.links} /></div>}
+    </div>
+  );
+}
+
+// "Jury & Guests" of a year: everyone with a role that year, grouped by role
+export default function JuryAndGuests({ people }) {
+  const groups = Object.entries(PERSON_ROLE_GROUPS)
+    .map(([role, heading]) => ({
+      role,
+      heading,
+      members: people.map(person => ({ person, entry: person.roles.find(r => r.role === role) })).filter(m => m.entry),
+    }))
+    .filter(group => group.members.length);
+  if (!groups.length) return null;
+
+  return (
+    <div className="rounded-xl p-6 mb-8">
+      <div className="mb-8 text-left">
+        <div className="relative inline-block">
+          <h2 className="px-12 py-3 text-2xl font-bold text-white flex items-center gap-2 bg-[rgba(63,126,68,1)]">
+            Jury &amp; Guests
+          </h2>
+        </div>
+      </div>
+      <div className="space-y-10">
+        {groups.map(group => (
+          <div key={group.role}>
+            <h3 className="text-xl font-semibold text-gray-800 mb-4 text-left">{group.heading}</h3>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-6">
+              {group.members.map(({ person, entry }) => <GuestCard key={person.id} person={person} title={entry.title} />)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+
+// "<url> 400w, <url> 960w, ..." from an image's sizes; the original goes last when it is wider
+export const srcSetOf = (image) => {
+  const variants = image?.variants || [];
+  if (!variants.length) return undefined;
+  const widest = variants[variants.length - 1].width;
+  const candidates = image.width > widest ? [...variants, { url: image.url, width: image.width }] : variants;
+  return candidates.map(v => `${v.url} ${v.width}w`).join(', ');
+};
+
+// smallest size of an image, for thumbnails (falls back to the original)
+export const thumbUrl = (image) => image?.variants?.[0]?.url || image?.url || '';
+
+// <img> with srcset / sizes and, until it has loaded, the blurred placeholder underneath
+export default function ResponsiveImage({ image, sizes, alt = '', className = '', imgClassName = '', placeholder = true, ...rest }) {
+  const [loadedUrl, setLoadedUrl] = useState(null);
+  const loaded = loadedUrl === image?.url;
+  const blur = placeholder && image?.placeholder && !loaded;
+
+  return (
+    <div className={`relative overflow-hidden ${className}`}>
+      {blur && (
+        <img src={image.placeholder} alt="" aria-hidden="true" className="absolute inset-0 w-full h-full object-cover blur-lg scale-110" />
+      )}
+      <img
+        src={image?.url || ''}
+        srcSet={srcSetOf(image)}
+        sizes={sizes}
+        alt={alt}
+        width={image?.width}
+        height={image?.height}
+        onLoad={() => setLoadedUrl(image?.url)}
+        className={`relative transition-opacity duration-500 ${blur ? 'opacity-0' : 'opacity-100'} ${imgClassName}`}
+        {...rest}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+
+export const PROVIDER_LABELS = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo',
+  facebook: 'Facebook',
+  gdrive: 'Google Drive',
+  mp4: 'Video file',
+  hls: 'Live stream (HLS)',
+  file: 'Uploaded file',
+  other: 'Link',
+};
+
+// direct files play in the browser's own player; the rest are the provider's embed page
+const NATIVE_PROVIDERS = ['file', 'mp4', 'hls'];
+
+export const playsNatively = (video) => NATIVE_PROVIDERS.includes(video?.provider);
+
+// Player for one video ({ url, provider, title, thumbnail }): native <video> or the provider's iframe
+export default function VideoPlayer({ video, className = '' }) {
+  if (playsNatively(video)) {
+    return (
+      <video key={video.url} poster={video.thumbnail?.url} controls playsInline preload="metadata" className={`bg-black ${className}`}>
+        <source src={video.url} type={video.provider === 'hls' ? 'application/vnd.apple.mpegurl' : undefined} />
+        <a href={video.url}>Download the video</a>
+      </video>
+    );
+  }
+  return (
+    <iframe
+      key={video.url}
+      src={video.url}
+      className={className}
+      frameBorder="0"
+      allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+      allowFullScreen
+      title={video.title || 'Event Video'}
+    />
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { FolderOpen, ArrowUp, ArrowDown } from 'lucide-react';
+import { thumbUrl } from '../ResponsiveImage';
+
+// Albums of a year: create / edit / reorder / delete, pick a cover, link a catalogue film,
+// and move the selected photos into one
+export default function AlbumsSection({ api, year, content, films = [], canEdit, selectedPhotos, onChange, setMessage }) {
+  const [form, setForm] = useState({ name: '', description: '', film: '' });
+  const [editing, setEditing] = useState(null); // { _id, name, description, cover, film }
+  const [target, setTarget] = useState('');
+
+  const albums = content.albums || [];
+  const photosIn = (albumId) => content.photos.filter(p => p.album === albumId);
+  const filmTitle = (id) => films.find(f => f._id === id)?.title;
+  const coverUrl = (album) => {
+    const photos = photosIn(album._id);
+    return thumbUrl(photos.find(p => p._id === album.cover) || photos[0]);
+  };
+
+  const call = async (path, opts, done) => {
+    try {
+      const j = await api(`/api/content/${year}${path}`, { json: true, ...opts });
+      onChange(j);
+      if (done) setMessage(done);
+      return true;
+    } catch (e) {
+      console.error('albums', path, e);
+      return false;
+    }
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    if (await call('/albums', { method: 'POST', body: JSON.stringify(form) }, `Album "${form.name}" created`)) setForm({ name: '', description: '', film: '' });
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const { _id, name, description, cover, film } = editing;
+    if (await call(`/albums/${_id}`, { method: 'PUT', body: JSON.stringify({ name, description, cover: cover || null, film: film || null }) }, 'Album saved')) setEditing(null);
+  };
+
+  const remove = (album) => {
+    if (!window.confirm(`Delete album "${album.name}"? Its photos stay in ${year}, without an album.`)) return;
+    call(`/albums/${album._id}`, { method: 'DELETE' }, `Album "${album.name}" deleted`);
+  };
+
+  const move = (index, delta) => {
+    const order = albums.map(a => a._id);
+    const [id] = order.splice(index, 1);
+    order.splice(index + delta, 0, id);
+    call('/albums/order', { method: 'PUT', body: JSON.stringify({ order }) });
+  };
+
+  const assign = () => {
+    const label = target ? albums.find(a => a._id === target)?.name : 'no album';
+    call('/photos/album', { method: 'PUT', body: JSON.stringify({ publicIds: selectedPhotos, album: target || null }) }, `Moved ${selectedPhotos.length} photo(s) to ${label}`);
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2"><FolderOpen className="w-5 h-5 text-pink-600"/><h2 className="text-xl font-semibold">Albums</h2></div>
+        {canEdit && selectedPhotos.length > 0 && (
+          <div className="flex items-center gap-2 text-sm">
+            <select value={target} onChange={e => setTarget(e.target.value)} className="p-1 border rounded">
+              <option value="">No album</option>
+              {albums.map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+            </select>
+            <button type="button" onClick={assign} className="px-3 py-1 bg-pink-600 text-white rounded">Move {selectedPhotos.length} selected photo(s)</button>
+          </div>
+        )}
+      </div>
+
+      {albums.length > 0 ? (
+        <div className="space-y-2 mb-4">
+          {albums.map((album, index) => (
+            <div key={album._id} className="flex items-center gap-3 p-2 border rounded">
+              {coverUrl(album) ? <img src={coverUrl(album)} alt="" className="w-14 h-14 object-cover rounded" /> : <div className="w-14 h-14 bg-slate-100 rounded" />}
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{album.name}</div>
+                <div className="text-xs text-slate-500 truncate">{photosIn(album._id).length} photo(s){album.film ? ` · Film: ${filmTitle(album.film) || 'unknown'}` : ''}{album.description ? ` · ${album.description}` : ''}</div>
+              </div>
+              {canEdit && (
+                <div className="flex items-center gap-1">
+                  <button type="button" disabled={index === 0} onClick={() => move(index, -1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowUp className="w-3 h-3" /></button>
+                  <button type="button" disabled={index === albums.length - 1} onClick={() => move(index, 1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowDown className="w-3 h-3" /></button>
+                  <button type="button" onClick={() => setEditing({ _id: album._id, name: album.name, description: album.description || '', cover: album.cover || '', film: album.film || '' })} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                  <button type="button" onClick={() => remove(album)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : <div className="mb-4 p-6 bg-slate-50 rounded text-center text-sm">No albums yet: every photo shows in one gallery</div>}
+
+      {editing && (
+        <form onSubmit={save} className="mb-4 p-3 border rounded bg-slate-50 space-y-2 text-sm">
+          <input value={editing.name} required onChange={e => setEditing({ ...editing, name: e.target.value })} placeholder="Album name" className="w-full p-2 border rounded" />
+          <textarea value={editing.description} onChange={e => setEditing({ ...editing, description: e.target.value })} placeholder="Description" rows={2} className="w-full p-2 border rounded" />
+          <select value={editing.film} onChange={e => setEditing({ ...editing, film: e.target.value })} className="w-full p-2 border rounded">
+            <option value="">No film</option>
+            {films.map(f => <option key={f._id} value={f._id}>{f.title}</option>)}
+          </select>
+          <div>
+            <div className="mb-1 text-slate-600">Cover photo</div>
+            <div className="flex flex-wrap gap-2">
+              {photosIn(editing._id).map(p => (
+                <button type="button" key={p._id} onClick={() => setEditing({ ...editing, cover: p._id })} className={`border-2 rounded overflow-hidden ${editing.cover === p._id ? 'border-pink-500' : 'border-transparent'}`}>
+                  <img src={thumbUrl(p)} alt={p.alt || p.caption || ''} className="w-14 h-14 object-cover" />
+                </button>
+              ))}
+              {!photosIn(editing._id).length && <span className="text-slate-500">Move photos into this album to choose a cover</span>}
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button className="px-3 py-1 bg-pink-600 text-white rounded">Save</button>
+            <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 bg-slate-200 rounded">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {canEdit && (
+        <form onSubmit={create} className="grid sm:grid-cols-4 gap-2 text-sm">
+          <input value={form.name} required onChange={e => setForm({ ...form, name: e.target.value })} placeholder="New album name (e.g. Awards Gala)" className="p-2 border rounded" />
+          <input value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} placeholder="Description (optional)" className="p-2 border rounded" />
+          <select value={form.film} onChange={e => setForm({ ...form, film: e.target.value })} className="p-2 border rounded">
+            <option value="">No film</option>
+            {films.map(f => <option key={f._id} value={f._id}>{f.title}</option>)}
+          </select>
+          <button className="py-2 bg-pink-600 text-white rounded">Create Album</button>
+        </form>
+      )}
+    </section>
+  );
+}
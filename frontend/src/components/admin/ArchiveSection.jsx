@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Archive, Download, Upload } from 'lucide-react';
+
+// Export years as zip archives (content + files) and import them again, e.g. staging -> production
+export default function ArchiveSection({ api, authFetch, year, onImported, setMessage }) {
+  const [file, setFile] = useState(null);
+  const [onConflict, setOnConflict] = useState('fail');
+  const [busy, setBusy] = useState(false);
+  const [withVideos, setWithVideos] = useState(false);
+
+  // the export is a file download, so it skips api()'s JSON handling
+  const exportArchive = async (which) => {
+    setBusy(true);
+    setMessage('Preparing archive…');
+    try {
+      const res = await authFetch(`/api/archive/export?year=${which}${withVideos ? '&videos=1' : ''}`);
+      if (!res.ok) {
+        const j = await res.json().catch(() => ({}));
+        throw new Error(j.message || `Error ${res.status}`);
+      }
+      const name = ((res.headers.get('content-disposition') || '').match(/filename="([^"]+)"/) || [])[1] || `filmfest-${which}.zip`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(url);
+      setMessage(`Downloaded ${name}`);
+    } catch (e) {
+      setMessage(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importArchive = async (e) => {
+    e?.preventDefault();
+    if (!file) return;
+    const fd = new FormData();
+    fd.append('archive', file);
+    fd.append('onConflict', onConflict);
+    setBusy(true);
+    setMessage('Importing archive…');
+    try {
+      const j = await api('/api/archive/import', { method: 'POST', body: fd });
+      const details = j.results.map(r => `${r.year}: ${r.status}${r.missingAssets ? ` (${r.missingAssets} missing file(s))` : ''}${r.linkedVideos ? ` (${r.linkedVideos} video(s) kept as links)` : ''}`).join(', ');
+      setMessage(`${j.message}. ${details}`);
+      setFile(null);
+      onImported();
+    } catch (err) {
+      console.error('importArchive', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4"><Archive className="w-5 h-5 text-slate-600"/><h2 className="text-xl font-semibold">Export / Import</h2></div>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        <button type="button" onClick={() => exportArchive(year)} disabled={busy} className="px-4 py-2 bg-slate-700 text-white rounded flex items-center gap-2 text-sm"><Download className="w-4 h-4" />Export {year}</button>
+        <button type="button" onClick={() => exportArchive('all')} disabled={busy} className="px-4 py-2 bg-slate-200 rounded flex items-center gap-2 text-sm"><Download className="w-4 h-4" />Export all years</button>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={withVideos} onChange={e => setWithVideos(e.target.checked)} />
+          Include video files (large; otherwise their links are kept)
+        </label>
+      </div>
+
+      <form onSubmit={importArchive} className="grid sm:grid-cols-3 gap-2 text-sm">
+        <input type="file" accept=".zip,application/zip" onChange={e => setFile(e.target.files[0] || null)} className="block w-full cursor-pointer" />
+        <select value={onConflict} onChange={e => setOnConflict(e.target.value)} className="p-2 border rounded">
+          <option value="fail">Stop if a year already exists</option>
+          <option value="skip">Skip years that already exist</option>
+          <option value="replace">Replace existing years (snapshot kept)</option>
+        </select>
+        <button disabled={busy || !file} className="py-2 bg-indigo-600 text-white rounded flex items-center justify-center gap-2 disabled:opacity-50"><Upload className="w-4 h-4" />Import archive</button>
+      </form>
+    </section>
+  );
+}
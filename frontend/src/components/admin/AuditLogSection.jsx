@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { History, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const PAGE_SIZE = 25;
+
+// one line for a before/after summary object
+const describe = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'object') return String(value);
+  const text = JSON.stringify(value);
+  return text.length > 140 ? `${text.slice(0, 140)}…` : text;
+};
+
+// Audit log viewer: every content and auth change, filterable by user, year and action
+export default function AuditLogSection({ api }) {
+  const [filters, setFilters] = useState({ user: '', year: '', action: '' });
+  const [options, setOptions] = useState({ users: [], years: [], actions: [] });
+  const [result, setResult] = useState({ items: [], total: 0, page: 1 });
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try { setOptions(await api('/api/audit/filters')); }
+      catch (e) { console.error('audit filters', e); }
+    })();
+  }, [api]);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+      Object.entries(filters).forEach(([k, v]) => { if (v) params.set(k, v); });
+      try { setResult(await api(`/api/audit?${params.toString()}`)); }
+      catch (e) { console.error('fetch audit', e); }
+      finally { setLoading(false); }
+    };
+    fetchEvents();
+  }, [api, filters, page]);
+
+  const setFilter = (key, value) => { setFilters(prev => ({ ...prev, [key]: value })); setPage(1); };
+  const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  // group actions by prefix ("photo.", "award.") so one choice covers a whole family
+  const actionGroups = [...new Set(options.actions.map(a => `${a.split('.')[0]}.`))];
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4"><History className="w-5 h-5 text-sky-600"/><h2 className="text-xl font-semibold">Audit Log</h2></div>
+
+      <div className="grid sm:grid-cols-3 gap-2 mb-4">
+        <select value={filters.user} onChange={e => setFilter('user', e.target.value)} className="p-2 border rounded">
+          <option value="">All users</option>
+          {options.users.map(u => <option key={u} value={u}>{u}</option>)}
+        </select>
+        <select value={filters.year} onChange={e => setFilter('year', e.target.value)} className="p-2 border rounded">
+          <option value="">All years</option>
+          {options.years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+        <select value={filters.action} onChange={e => setFilter('action', e.target.value)} className="p-2 border rounded">
+          <option value="">All actions</option>
+          {actionGroups.map(g => <option key={g} value={g}>{g}*</option>)}
+          {options.actions.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+      </div>
+
+      {result.items.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-2 pr-3">When</th>
+                <th className="py-2 pr-3">User</th>
+                <th className="py-2 pr-3">Action</th>
+                <th className="py-2 pr-3">Year</th>
+                <th className="py-2">Target</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.items.map(ev => (
+                <React.Fragment key={ev._id}>
+                  <tr className="border-b cursor-pointer hover:bg-slate-50" onClick={() => setExpanded(expanded === ev._id ? null : ev._id)}>
+                    <td className="py-2 pr-3 whitespace-nowrap">{new Date(ev.createdAt).toLocaleString()}</td>
+                    <td className="py-2 pr-3">{ev.user?.email || '—'}</td>
+                    <td className="py-2 pr-3 font-mono text-xs">{ev.action}</td>
+                    <td className="py-2 pr-3">{ev.year ?? '—'}</td>
+                    <td className="py-2 truncate max-w-[240px]">{ev.target?.label || ev.target?.id || '—'}</td>
+                  </tr>
+                  {expanded === ev._id && (
+                    <tr className="border-b bg-slate-50">
+                      <td colSpan={5} className="p-3 text-xs space-y-1">
+                        <div><span className="font-semibold">Before:</span> <span className="font-mono break-all">{describe(ev.before)}</span></div>
+                        <div><span className="font-semibold">After:</span> <span className="font-mono break-all">{describe(ev.after)}</span></div>
+                        {ev.ip && <div className="text-slate-500">IP {ev.ip}</div>}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : <div className="p-8 bg-slate-50 rounded text-center">{loading ? 'Loading…' : 'No matching events'}</div>}
+
+      <div className="flex items-center justify-between mt-4 text-sm">
+        <span className="text-slate-500">{result.total} event(s)</span>
+        <div className="flex items-center gap-2">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="p-1 bg-slate-200 rounded disabled:opacity-50"><ChevronLeft className="w-4 h-4" /></button>
+          <span>{page} / {pages}</span>
+          <button type="button" disabled={page >= pages} onClick={() => setPage(p => p + 1)} className="p-1 bg-slate-200 rounded disabled:opacity-50"><ChevronRight className="w-4 h-4" /></button>
+        </div>
+      </div>
+    </section>
+  );
+}
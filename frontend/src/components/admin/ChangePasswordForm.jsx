@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+
+// "My account" section: lets the signed-in user change their own password
+export default function ChangePasswordForm({ api, setMessage }) {
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (e) => {
+    e?.preventDefault();
+    if (form.newPassword !== form.confirmPassword) return setMessage('New passwords do not match');
+    setSaving(true);
+    try {
+      await api('/api/auth/password', {
+        method: 'PUT',
+        json: true,
+        body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword }),
+      });
+      setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setMessage('Password changed');
+    } catch (e) {
+      console.error('changePassword', e);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4"><KeyRound className="w-5 h-5 text-slate-600"/><h2 className="text-xl font-semibold">My Account</h2></div>
+      <form onSubmit={submit} className="grid sm:grid-cols-3 gap-2">
+        <input type="password" required value={form.currentPassword} onChange={e => setForm({ ...form, currentPassword: e.target.value })} placeholder="Current password" className="p-3 border rounded" />
+        <input type="password" required minLength={8} value={form.newPassword} onChange={e => setForm({ ...form, newPassword: e.target.value })} placeholder="New password (min 8 characters)" className="p-3 border rounded" />
+        <input type="password" required minLength={8} value={form.confirmPassword} onChange={e => setForm({ ...form, confirmPassword: e.target.value })} placeholder="Confirm new password" className="p-3 border rounded" />
+        <button disabled={saving} className="sm:col-span-3 py-3 bg-slate-700 text-white rounded">{saving ? 'Saving…' : 'Change Password'}</button>
+      </form>
+    </section>
+  );
+}
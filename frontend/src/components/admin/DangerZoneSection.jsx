@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, RotateCcw } from 'lucide-react';
+
+// Reset one year (two-step, typed confirmation) and undo recent resets from their snapshots
+export default function DangerZoneSection({ api, year, hasContent, onReset, onRestored, setMessage }) {
+  const [pending, setPending] = useState(null); // response of /reset/request
+  const [confirmText, setConfirmText] = useState('');
+  const [purgeAssets, setPurgeAssets] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const fetchSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await api(`/api/content/${year}/snapshots`));
+    } catch (e) {
+      console.error('fetchSnapshots', e);
+    }
+  }, [api, year]);
+
+  useEffect(() => { setPending(null); setConfirmText(''); fetchSnapshots(); }, [fetchSnapshots]);
+
+  const requestReset = async () => {
+    setBusy(true);
+    try {
+      setPending(await api(`/api/content/${year}/reset/request`, { method: 'POST' }));
+      setConfirmText('');
+      setPurgeAssets(false);
+    } catch (e) {
+      console.error('requestReset', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmReset = async (e) => {
+    e?.preventDefault();
+    setBusy(true);
+    try {
+      const j = await api(`/api/content/${year}/reset`, {
+        method: 'POST',
+        json: true,
+        body: JSON.stringify({ token: pending.token, confirm: confirmText, purgeAssets }),
+      });
+      setPending(null);
+      setMessage(j.message);
+      onReset();
+      fetchSnapshots();
+    } catch (e) {
+      console.error('confirmReset', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const undo = async (snapshotId) => {
+    setBusy(true);
+    try {
+      const j = await api(`/api/content/${year}/reset/undo`, { method: 'POST', json: true, body: JSON.stringify({ snapshotId }) });
+      setMessage(`Reset of ${year} undone`);
+      onRestored(j);
+      fetchSnapshots();
+    } catch (e) {
+      console.error('undoReset', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const undoable = snapshots.filter(s => !s.restoredAt && !s.assetsPurgedAt && new Date(s.undoUntil) > new Date());
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6 border border-red-200">
+      <div className="flex items-center gap-2 mb-4"><AlertTriangle className="w-5 h-5 text-red-600"/><h2 className="text-xl font-semibold">Danger Zone</h2></div>
+
+      {undoable.map(s => (
+        <div key={s._id} className="flex items-center justify-between p-3 mb-3 bg-amber-50 border border-amber-200 rounded text-sm">
+          <span>
+            {year} was reset {new Date(s.createdAt).toLocaleString()}{s.createdBy?.email ? ` by ${s.createdBy.email}` : ''}.
+            {' '}Undo possible until {new Date(s.undoUntil).toLocaleString()}{s.purgeAssets ? ', then its files are deleted' : ''}.
+          </span>
+          <button type="button" onClick={() => undo(s._id)} disabled={busy || hasContent} title={hasContent ? `Reset the new ${year} content first` : ''} className="px-3 py-1 text-xs bg-amber-600 text-white rounded flex items-center gap-1 disabled:opacity-50"><RotateCcw className="w-3 h-3" />Undo reset</button>
+        </div>
+      ))}
+
+      {hasContent && !pending && (
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <p className="text-slate-600">Delete all content of {year} (draft and published). A snapshot is kept so the reset can be undone for a while.</p>
+          <button type="button" onClick={requestReset} disabled={busy} className="px-4 py-2 bg-red-600 text-white rounded whitespace-nowrap">Reset {year}…</button>
+        </div>
+      )}
+
+      {pending && (
+        <form onSubmit={confirmReset} className="space-y-3 text-sm">
+          <p>
+            This deletes {pending.summary.photos} photo(s), {pending.summary.awards} award categor{pending.summary.awards === 1 ? 'y' : 'ies'} and {pending.summary.partners} partner logo(s)
+            {pending.summary.published ? ', and takes the year off the public site' : ''}. You can undo it for {pending.undoHours} hour(s).
+          </p>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={purgeAssets} onChange={e => setPurgeAssets(e.target.checked)} />
+            Also delete the {pending.summary.assets} uploaded file(s) from storage once the undo window is over
+          </label>
+          <label className="block">
+            Type <span className="font-mono font-semibold">{pending.confirmText}</span> to confirm
+            <input value={confirmText} onChange={e => setConfirmText(e.target.value)} autoFocus className="block w-full mt-1 p-2 border rounded font-mono" />
+          </label>
+          <div className="flex gap-2">
+            <button disabled={busy || confirmText !== pending.confirmText} className="px-4 py-2 bg-red-600 text-white rounded disabled:opacity-50">Reset {year}</button>
+            <button type="button" onClick={() => setPending(null)} className="px-4 py-2 bg-slate-200 rounded">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {!hasContent && !undoable.length && <div className="p-4 bg-slate-50 rounded text-center text-sm">Nothing to reset for {year}</div>}
+    </section>
+  );
+}
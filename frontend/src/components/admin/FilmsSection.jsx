@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Film, Plus } from 'lucide-react';
+import { thumbUrl } from '../ResponsiveImage';
+import { SDG_GOALS } from '../../screens/FilmsScreen';
+
+const emptyForm = {
+  title: '', slug: '', country: '', productionYear: '', runtime: '', synopsis: '',
+  credits: '', selections: '', sdgTags: [], trailer: '', poster: null, removePoster: false,
+};
+
+// credits and selections are edited as one "Role: Name" / "2024: Section" line each
+const formOf = (film) => ({
+  ...emptyForm,
+  title: film.title,
+  slug: film.slug,
+  country: film.country || '',
+  productionYear: film.productionYear || '',
+  runtime: film.runtime || '',
+  synopsis: film.synopsis || '',
+  credits: (film.credits || []).map(c => (c.role ? `${c.role}: ${c.name}` : c.name)).join('\n'),
+  selections: (film.selections || []).map(s => `${s.year}: ${s.section || ''}`.trim()).join('\n'),
+  sdgTags: film.sdgTags || [],
+  trailer: film.trailer?.url || '',
+  poster: film.poster,
+});
+
+// multipart body of the film routes (the poster is an optional image file)
+const formDataOf = ({ poster, removePoster, sdgTags, ...fields }, editing) => {
+  const fd = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (key !== 'slug' || editing) fd.append(key, value);
+  });
+  fd.append('sdgTags', JSON.stringify(sdgTags));
+  if (poster instanceof File) fd.append('poster', poster);
+  else if (removePoster) fd.append('removePoster', 'true');
+  return fd;
+};
+
+// The film catalogue shared by every year: add / edit / delete films that awards and albums link to
+export default function FilmsSection({ api, films, canEdit, onChange, setMessage }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null); // null = the form adds a film
+  const [filter, setFilter] = useState('');
+
+  const reload = async () => onChange(await api('/api/admin/films'));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const formEl = e.target; // reset() also clears the poster file input
+    try {
+      await api(editingId ? `/api/films/${editingId}` : '/api/films', { method: editingId ? 'PUT' : 'POST', body: formDataOf(form, !!editingId) });
+      setMessage(editingId ? `"${form.title}" saved` : `"${form.title}" added to the catalogue`);
+      setForm(emptyForm);
+      setEditingId(null);
+      formEl.reset();
+      await reload();
+    } catch (err) {
+      console.error('films', err);
+    }
+  };
+
+  const remove = async (film) => {
+    if (!window.confirm(`Delete "${film.title}" from the catalogue?`)) return;
+    try {
+      await api(`/api/films/${film._id}`, { method: 'DELETE' });
+      setMessage(`"${film.title}" deleted`);
+      await reload();
+    } catch (err) {
+      console.error('delete film', err);
+    }
+  };
+
+  const toggleGoal = (goal) => setForm({
+    ...form,
+    sdgTags: form.sdgTags.includes(goal) ? form.sdgTags.filter(g => g !== goal) : [...form.sdgTags, goal].sort((a, b) => a - b),
+  });
+
+  const needle = filter.trim().toLowerCase();
+  const shown = films.filter(f => !needle || f.title.toLowerCase().includes(needle));
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2"><Film className="w-5 h-5 text-sky-600"/><h2 className="text-xl font-semibold">Film Catalogue</h2></div>
+        <input value={filter} onChange={e => setFilter(e.target.value)} placeholder="Filter films" className="p-1 text-sm border rounded" />
+      </div>
+      <p className="mb-4 text-xs text-slate-500">Films are shared by every year and go public as soon as they are saved. Link them from award placements and albums; a linked film can't be deleted.</p>
+
+      {shown.length > 0 ? (
+        <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+          {shown.map(film => (
+            <div key={film._id} className={`flex items-center gap-3 p-2 border rounded ${film._id === editingId ? 'border-sky-400' : ''}`}>
+              {film.poster?.url ? <img src={thumbUrl(film.poster)} alt="" className="w-10 h-14 object-cover rounded" /> : <div className="w-10 h-14 bg-slate-100 rounded" />}
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{film.title}</div>
+                <div className="text-xs text-slate-500 truncate">
+                  /films/{film.slug}{film.country ? ` · ${film.country}` : ''}{film.productionYear ? ` · ${film.productionYear}` : ''}
+                  {film.sdgTags?.length > 0 && ` · SDG ${film.sdgTags.join(', ')}`}
+                </div>
+              </div>
+              {canEdit && (
+                <div className="flex items-center gap-1">
+                  <button type="button" onClick={() => { setEditingId(film._id); setForm(formOf(film)); }} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                  <button type="button" onClick={() => remove(film)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : <div className="mb-4 p-6 bg-slate-50 rounded text-center text-sm">{films.length ? 'No film matches' : 'No films in the catalogue yet'}</div>}
+
+      {canEdit && (
+        <form onSubmit={submit} className="space-y-2 text-sm">
+          <div className="grid sm:grid-cols-2 gap-2">
+            <input value={form.title} required onChange={e => setForm({ ...form, title: e.target.value })} placeholder="Title" className="p-2 border rounded" />
+            <input value={form.country} onChange={e => setForm({ ...form, country: e.target.value })} placeholder="Country" className="p-2 border rounded" />
+            {editingId && <input value={form.slug} onChange={e => setForm({ ...form, slug: e.target.value })} placeholder="Page address (/films/...)" className="p-2 border rounded" />}
+            <div className="grid grid-cols-2 gap-2">
+              <input type="number" min="1880" value={form.productionYear} onChange={e => setForm({ ...form, productionYear: e.target.value })} placeholder="Year of production" className="p-2 border rounded" />
+              <input type="number" min="1" value={form.runtime} onChange={e => setForm({ ...form, runtime: e.target.value })} placeholder="Runtime (min)" className="p-2 border rounded" />
+            </div>
+          </div>
+          <textarea value={form.synopsis} onChange={e => setForm({ ...form, synopsis: e.target.value })} placeholder="Synopsis" rows={3} className="w-full p-2 border rounded" />
+          <div className="grid sm:grid-cols-2 gap-2">
+            <textarea value={form.credits} onChange={e => setForm({ ...form, credits: e.target.value })} placeholder={'Credits, one per line\nDirector: Jane Doe\nProducer: John Roe'} rows={3} className="p-2 border rounded" />
+            <textarea value={form.selections} onChange={e => setForm({ ...form, selections: e.target.value })} placeholder={'Festival selections, one per line\n2024: Official Selection'} rows={3} className="p-2 border rounded" />
+          </div>
+          <div>
+            <div className="mb-1 text-slate-600">SDGs</div>
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(SDG_GOALS).map(([number, goal]) => {
+                const selected = form.sdgTags.includes(Number(number));
+                return (
+                  <button
+                    type="button"
+                    key={number}
+                    title={goal.name}
+                    onClick={() => toggleGoal(Number(number))}
+                    className={`w-8 h-8 rounded text-xs font-semibold ${selected ? 'text-white' : 'text-slate-500 bg-slate-100'}`}
+                    style={selected ? { backgroundColor: goal.color } : undefined}
+                  >
+                    {number}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+          <input value={form.trailer} onChange={e => setForm({ ...form, trailer: e.target.value })} placeholder="Trailer link (YouTube, Vimeo, ...)" className="w-full p-2 border rounded" />
+          <div>
+            <div className="mb-1 text-slate-600">Poster</div>
+            <input type="file" accept="image/*" onChange={e => setForm({ ...form, poster: e.target.files[0] || null, removePoster: false })} className="block w-full cursor-pointer" />
+            {editingId && form.poster?.url && (
+              <label className="mt-1 flex items-center gap-2">
+                <input type="checkbox" checked={form.removePoster} onChange={e => setForm({ ...form, removePoster: e.target.checked })} />
+                Remove the current poster
+              </label>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="flex-1 py-2 bg-sky-600 text-white rounded flex items-center justify-center gap-2">
+              {editingId ? 'Save Film' : <><Plus className="w-4" />Add Film</>}
+            </button>
+            {editingId && <button type="button" onClick={() => { setEditingId(null); setForm(emptyForm); }} className="px-3 py-2 bg-slate-200 rounded">Cancel</button>}
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
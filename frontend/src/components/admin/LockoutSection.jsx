@@ -0,0 +1,82 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ShieldAlert, RefreshCw } from 'lucide-react';
+
+// Admin view of login lockouts: keys locked right now (with Unlock) and the lockout history
+export default function LockoutSection({ api, setMessage }) {
+  const [events, setEvents] = useState([]);
+  const [active, setActive] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchLockouts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const j = await api('/api/auth/lockouts');
+      setEvents(j.events || []);
+      setActive(j.active || []);
+    } catch (e) {
+      console.error('fetchLockouts', e);
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => { fetchLockouts(); }, [fetchLockouts]);
+
+  const unlock = async (key) => {
+    if (!window.confirm(`Unlock ${key}?`)) return;
+    try {
+      await api('/api/auth/lockouts/unlock', { method: 'POST', json: true, body: JSON.stringify({ key }) });
+      setActive(prev => prev.filter(a => a.key !== key));
+      setMessage(`Unlocked ${key}`);
+    } catch (e) {
+      console.error('unlock', e);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2"><ShieldAlert className="w-5 h-5 text-red-600"/><h2 className="text-xl font-semibold">Login Lockouts</h2></div>
+        <button type="button" onClick={fetchLockouts} disabled={loading} className="text-xs px-3 py-1 bg-slate-200 rounded flex items-center gap-1"><RefreshCw className="w-3 h-3" />Refresh</button>
+      </div>
+
+      {active.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {active.map(a => (
+            <div key={a.key} className="flex items-center justify-between p-3 bg-red-50 border border-red-200 rounded text-sm">
+              <span><strong>{a.key}</strong> locked until {new Date(a.lockedUntil).toLocaleTimeString()} ({a.failures} failures)</span>
+              <button type="button" onClick={() => unlock(a.key)} className="px-2 py-1 text-xs bg-red-600 text-white rounded">Unlock</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {events.length > 0 ? (
+        <div className="overflow-x-auto max-h-72 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-2 pr-3">When</th>
+                <th className="py-2 pr-3">Type</th>
+                <th className="py-2 pr-3">Account</th>
+                <th className="py-2 pr-3">IP</th>
+                <th className="py-2">Failures</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(ev => (
+                <tr key={ev._id} className="border-b last:border-0">
+                  <td className="py-2 pr-3">{new Date(ev.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-3 capitalize">{ev.type}</td>
+                  <td className="py-2 pr-3">{ev.email || '—'}</td>
+                  <td className="py-2 pr-3">{ev.ip || '—'}</td>
+                  <td className="py-2">{ev.failures}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : <div className="p-8 bg-slate-50 rounded text-center">{loading ? 'Loading…' : 'No lockouts recorded'}</div>}
+    </section>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Users, Plus, X } from 'lucide-react';
+import { thumbUrl } from '../ResponsiveImage';
+import { PERSON_ROLE_LABELS } from '../JuryAndGuests';
+
+const emptyForm = { name: '', bio: '', links: '', roles: [], photo: null, removePhoto: false };
+
+// links are edited as one "Label: https://..." line each
+const formOf = (person) => ({
+  ...emptyForm,
+  name: person.name,
+  bio: person.bio || '',
+  links: (person.links || []).map(l => `${l.label}: ${l.url}`).join('\n'),
+  roles: (person.roles || []).map(r => ({ year: r.year, role: r.role, title: r.title || '' })),
+  photo: person.photo,
+});
+
+// multipart body of the people routes (the photo is an optional image file)
+const formDataOf = ({ name, bio, links, roles, photo, removePhoto }) => {
+  const fd = new FormData();
+  fd.append('name', name);
+  fd.append('bio', bio);
+  fd.append('links', links);
+  fd.append('roles', JSON.stringify(roles));
+  if (photo instanceof File) fd.append('photo', photo);
+  else if (removePhoto) fd.append('removePhoto', 'true');
+  return fd;
+};
+
+// The people directory shared by every year: jury, speakers, filmmakers and hosts, with their roles per year
+export default function PeopleSection({ api, people, year, canEdit, onChange, setMessage }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null); // null = the form adds a person
+  const [onlyYear, setOnlyYear] = useState(true);
+
+  const reload = async () => onChange(await api('/api/admin/people'));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const formEl = e.target; // reset() also clears the photo file input
+    try {
+      await api(editingId ? `/api/people/${editingId}` : '/api/people', { method: editingId ? 'PUT' : 'POST', body: formDataOf(form) });
+      setMessage(editingId ? `${form.name} saved` : `${form.name} added`);
+      setForm(emptyForm);
+      setEditingId(null);
+      formEl.reset();
+      await reload();
+    } catch (err) {
+      console.error('people', err);
+    }
+  };
+
+  const remove = async (person) => {
+    if (!window.confirm(`Delete ${person.name} from the directory?`)) return;
+    try {
+      await api(`/api/people/${person._id}`, { method: 'DELETE' });
+      setMessage(`${person.name} deleted`);
+      await reload();
+    } catch (err) {
+      console.error('delete person', err);
+    }
+  };
+
+  const setRole = (index, changes) => setForm({ ...form, roles: form.roles.map((r, i) => (i === index ? { ...r, ...changes } : r)) });
+  const rolesIn = (person) => (person.roles || []).filter(r => r.year === Number(year));
+  const shown = onlyYear ? people.filter(p => rolesIn(p).length) : people;
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2"><Users className="w-5 h-5 text-emerald-600"/><h2 className="text-xl font-semibold">Jury &amp; Guests</h2></div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={onlyYear} onChange={e => setOnlyYear(e.target.checked)} />
+          Only {year}
+        </label>
+      </div>
+      <p className="mb-4 text-xs text-slate-500">People are shared by every year and show on the public page of each year they have a role in, as soon as they are saved. Award placements can link to them.</p>
+
+      {shown.length > 0 ? (
+        <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+          {shown.map(person => (
+            <div key={person._id} className={`flex items-center gap-3 p-2 border rounded ${person._id === editingId ? 'border-emerald-400' : ''}`}>
+              {person.photo?.url ? <img src={thumbUrl(person.photo)} alt="" className="w-12 h-12 object-cover rounded-full" /> : <div className="w-12 h-12 bg-slate-100 rounded-full" />}
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{person.name}</div>
+                <div className="text-xs text-slate-500 truncate">
+                  {(onlyYear ? rolesIn(person) : person.roles || []).map(r => `${onlyYear ? '' : `${r.year} `}${PERSON_ROLE_LABELS[r.role] || r.role}${r.title ? ` (${r.title})` : ''}`).join(' · ') || 'No roles'}
+                </div>
+              </div>
+              {canEdit && (
+                <div className="flex items-center gap-1">
+                  <button type="button" onClick={() => { setEditingId(person._id); setForm(formOf(person)); }} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                  <button type="button" onClick={() => remove(person)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : <div className="mb-4 p-6 bg-slate-50 rounded text-center text-sm">{onlyYear ? `Nobody has a role in ${year} yet` : 'No people in the directory yet'}</div>}
+
+      {canEdit && (
+        <form onSubmit={submit} className="space-y-2 text-sm">
+          <input value={form.name} required onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Name" className="w-full p-2 border rounded" />
+          <textarea value={form.bio} onChange={e => setForm({ ...form, bio: e.target.value })} placeholder="Bio" rows={3} className="w-full p-2 border rounded" />
+          <textarea value={form.links} onChange={e => setForm({ ...form, links: e.target.value })} placeholder={'Links, one per line\nWebsite: https://...\nhttps://instagram.com/...'} rows={2} className="w-full p-2 border rounded" />
+
+          <div>
+            <div className="mb-1 text-slate-600">Roles</div>
+            {form.roles.map((role, index) => (
+              <div key={index} className="flex gap-2 mb-1">
+                <input type="number" value={role.year} required onChange={e => setRole(index, { year: e.target.value })} className="w-24 p-2 border rounded" />
+                <select value={role.role} onChange={e => setRole(index, { role: e.target.value })} className="p-2 border rounded">
+                  {Object.entries(PERSON_ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <input value={role.title} onChange={e => setRole(index, { title: e.target.value })} placeholder="Title (e.g. Jury President)" className="flex-1 p-2 border rounded" />
+                <button type="button" onClick={() => setForm({ ...form, roles: form.roles.filter((r, i) => i !== index) })} className="px-2 bg-slate-200 rounded"><X className="w-3 h-3" /></button>
+              </div>
+            ))}
+            <button type="button" onClick={() => setForm({ ...form, roles: [...form.roles, { year: Number(year), role: 'juror', title: '' }] })} className="px-2 py-1 text-xs bg-slate-200 rounded flex items-center gap-1">
+              <Plus className="w-3 h-3" />Add role
+            </button>
+          </div>
+
+          <div>
+            <div className="mb-1 text-slate-600">Photo</div>
+            <input type="file" accept="image/*" onChange={e => setForm({ ...form, photo: e.target.files[0] || null, removePhoto: false })} className="block w-full cursor-pointer" />
+            {editingId && form.photo?.url && (
+              <label className="mt-1 flex items-center gap-2">
+                <input type="checkbox" checked={form.removePhoto} onChange={e => setForm({ ...form, removePhoto: e.target.checked })} />
+                Remove the current photo
+              </label>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="flex-1 py-2 bg-emerald-600 text-white rounded flex items-center justify-center gap-2">
+              {editingId ? 'Save Person' : <><Plus className="w-4" />Add Person</>}
+            </button>
+            {editingId && <button type="button" onClick={() => { setEditingId(null); setForm(emptyForm); }} className="px-3 py-2 bg-slate-200 rounded">Cancel</button>}
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { Trash2, Pencil, GripVertical } from 'lucide-react';
+import { thumbUrl } from '../ResponsiveImage';
+
+// Admin photo grid: select, delete, drag-and-drop ordering and caption / alt text editing
+export default function PhotoGrid({ photos, canEdit, selected, onToggle, onDelete, onReorder, onSave }) {
+  // local order while dragging; the server order comes back through `photos`
+  const [order, setOrder] = useState(photos);
+  const [dragId, setDragId] = useState(null);
+  const [editing, setEditing] = useState(null); // { public_id, caption, alt }
+
+  useEffect(() => { setOrder(photos); }, [photos]);
+
+  const moveOver = (targetId) => {
+    if (!dragId || dragId === targetId) return;
+    setOrder(prev => {
+      const from = prev.findIndex(p => p.public_id === dragId);
+      const to = prev.findIndex(p => p.public_id === targetId);
+      const next = [...prev];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+  };
+
+  const drop = () => {
+    const changed = order.some((p, i) => p.public_id !== photos[i]?.public_id);
+    setDragId(null);
+    if (changed) onReorder(order.map(p => p.public_id));
+  };
+
+  const save = async (e) => {
+    e?.preventDefault();
+    await onSave(editing.public_id, { caption: editing.caption, alt: editing.alt });
+    setEditing(null);
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-3 gap-3 mb-4 max-h-100 overflow-y-auto">
+        {order.map(p => (
+          <div
+            key={p.public_id}
+            draggable={canEdit}
+            onDragStart={() => setDragId(p.public_id)}
+            onDragOver={(e) => { e.preventDefault(); moveOver(p.public_id); }}
+            onDrop={(e) => e.preventDefault()}
+            onDragEnd={drop}
+            className={`relative group border-2 rounded overflow-hidden ${canEdit ? 'cursor-pointer' : ''} ${dragId === p.public_id ? 'opacity-40' : ''} ${selected.includes(p.public_id) ? 'border-pink-500 ring-2' : 'border-slate-200'}`}
+            onClick={() => canEdit && onToggle(p.public_id)}
+          >
+            <img src={thumbUrl(p)} alt={p.alt || p.caption || ''} className="w-full h-28 object-cover" draggable={false} />
+            {p.caption && <div className="absolute bottom-0 inset-x-0 px-1 py-0.5 bg-black/50 text-white text-[10px] truncate">{p.caption}</div>}
+            {selected.includes(p.public_id) && <div className="absolute inset-0 bg-pink-500 bg-opacity-30 flex items-center justify-center"><div className="w-8 h-8 bg-pink-600 rounded-full flex items-center justify-center text-white font-bold">✓</div></div>}
+            {canEdit && (
+              <>
+                <GripVertical className="absolute top-1 left-1 w-4 h-4 text-white drop-shadow opacity-0 group-hover:opacity-100" />
+                <button onClick={(e) => { e.stopPropagation(); setEditing({ public_id: p.public_id, caption: p.caption || '', alt: p.alt || '' }); }} className="absolute top-1 right-9 p-1 bg-slate-700 text-white rounded opacity-0 group-hover:opacity-100"><Pencil className="w-3" /></button>
+                <button onClick={(e) => { e.stopPropagation(); onDelete(p.public_id); }} className="absolute top-1 right-2 p-1 bg-red-500 text-white rounded opacity-0 group-hover:opacity-100"><Trash2 className="w-3" /></button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <form onSubmit={save} className="mb-4 p-3 border rounded bg-slate-50 flex gap-3 items-start">
+          <img src={thumbUrl(photos.find(p => p.public_id === editing.public_id))} alt="" className="w-20 h-20 object-cover rounded" />
+          <div className="flex-1 space-y-2 text-sm">
+            <input value={editing.caption} onChange={e => setEditing({ ...editing, caption: e.target.value })} placeholder="Caption (shown under the photo)" className="w-full p-2 border rounded" />
+            <input value={editing.alt} onChange={e => setEditing({ ...editing, alt: e.target.value })} placeholder="Alt text (describes the photo for screen readers)" className="w-full p-2 border rounded" />
+            <div className="flex gap-2">
+              <button className="px-3 py-1 bg-pink-600 text-white rounded">Save</button>
+              <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 bg-slate-200 rounded">Cancel</button>
+            </div>
+          </div>
+        </form>
+      )}
+    </>
+  );
+}
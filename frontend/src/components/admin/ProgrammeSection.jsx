@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from 'react';
+import { CalendarDays, MapPin, Plus } from 'lucide-react';
+import { toLocalInput } from './ScheduleControl';
+import { SESSION_TYPE_LABELS } from '../../screens/ProgrammeScreen';
+
+const emptyVenue = { name: '', address: '', capacity: '', mapUrl: '' };
+const venueFormOf = (venue) => ({ name: venue.name, address: venue.address || '', capacity: venue.capacity || '', mapUrl: venue.mapUrl || '' });
+const emptySession = { type: 'screening', title: '', venue: '', startsAt: '', endsAt: '', films: [], speakers: [], description: '' };
+
+const sessionFormOf = (session) => ({
+  type: session.type,
+  title: session.title,
+  venue: session.venue,
+  startsAt: toLocalInput(session.startsAt),
+  endsAt: toLocalInput(session.endsAt),
+  films: session.films || [],
+  speakers: session.speakers || [],
+  description: session.description || '',
+});
+
+// "14 Jun 18:00–19:30", in the browser's timezone like the datetime inputs
+const timeRange = ({ startsAt, endsAt }) => {
+  const time = (date) => new Date(date).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `${new Date(startsAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })} ${time(startsAt)}–${time(endsAt)}`;
+};
+
+const selectedValues = (e) => [...e.target.selectedOptions].map(o => o.value);
+
+// The year's programme: venues (shared by every year) and timed sessions; a venue can't be double-booked
+export default function ProgrammeSection({ api, year, films, people, canEdit, setMessage }) {
+  const [venues, setVenues] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [venueForm, setVenueForm] = useState(emptyVenue);
+  const [editingVenue, setEditingVenue] = useState(null); // null = the form adds a venue
+  const [form, setForm] = useState(emptySession);
+  const [editingId, setEditingId] = useState(null); // null = the form adds a session
+  const [clashes, setClashes] = useState([]);
+
+  const loadVenues = async () => setVenues(await api('/api/admin/venues'));
+  const loadSessions = async () => setSessions(await api(`/api/admin/programme/${year}`));
+
+  useEffect(() => {
+    api('/api/admin/venues').then(setVenues).catch(e => console.error('venues', e));
+  }, [api]);
+
+  useEffect(() => {
+    setForm(emptySession);
+    setEditingId(null);
+    setClashes([]);
+    api(`/api/admin/programme/${year}`).then(setSessions).catch(e => console.error('programme', e));
+  }, [api, year]);
+
+  const submitVenue = async (e) => {
+    e.preventDefault();
+    try {
+      await api(editingVenue ? `/api/venues/${editingVenue}` : '/api/venues', { method: editingVenue ? 'PUT' : 'POST', json: true, body: JSON.stringify(venueForm) });
+      setMessage(editingVenue ? `${venueForm.name} saved` : `${venueForm.name} added`);
+      setVenueForm(emptyVenue);
+      setEditingVenue(null);
+      await loadVenues();
+    } catch (err) {
+      console.error('venues', err);
+    }
+  };
+
+  const removeVenue = async (venue) => {
+    if (!window.confirm(`Delete the venue ${venue.name}?`)) return;
+    try {
+      await api(`/api/venues/${venue._id}`, { method: 'DELETE' });
+      setMessage(`${venue.name} deleted`);
+      await loadVenues();
+    } catch (err) {
+      console.error('delete venue', err);
+    }
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setClashes([]);
+    const body = {
+      ...form,
+      startsAt: form.startsAt && new Date(form.startsAt).toISOString(),
+      endsAt: form.endsAt && new Date(form.endsAt).toISOString(),
+    };
+    try {
+      const path = `/api/programme/${year}/sessions${editingId ? `/${editingId}` : ''}`;
+      const session = await api(path, { method: editingId ? 'PUT' : 'POST', json: true, body: JSON.stringify(body) });
+      setMessage(editingId ? `"${session.title}" saved` : `"${session.title}" added to the ${year} programme`);
+      setForm(emptySession);
+      setEditingId(null);
+      await loadSessions();
+    } catch (err) {
+      if (err.status === 409) setClashes(err.body.clashes || []);
+      console.error('programme', err);
+    }
+  };
+
+  const remove = async (session) => {
+    if (!window.confirm(`Delete "${session.title}" from the programme?`)) return;
+    try {
+      await api(`/api/programme/${year}/sessions/${session._id}`, { method: 'DELETE' });
+      setMessage(`"${session.title}" deleted`);
+      await loadSessions();
+    } catch (err) {
+      console.error('delete session', err);
+    }
+  };
+
+  const venueName = (id) => venues.find(v => v._id === id)?.name || 'Unknown venue';
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4"><CalendarDays className="w-5 h-5 text-orange-600"/><h2 className="text-xl font-semibold">Programme {year}</h2></div>
+      <p className="mb-4 text-xs text-slate-500">Sessions go public on /programme as soon as they are saved. Times are entered in your browser's timezone. Two sessions can't use the same venue at the same time.</p>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div>
+          <h3 className="flex items-center gap-1 mb-2 font-medium"><MapPin className="w-4 h-4" />Venues</h3>
+          {venues.length > 0 ? (
+            <div className="space-y-2 mb-4 max-h-72 overflow-y-auto">
+              {venues.map(venue => (
+                <div key={venue._id} className={`flex items-center gap-2 p-2 border rounded text-sm ${venue._id === editingVenue ? 'border-orange-400' : ''}`}>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{venue.name}</div>
+                    <div className="text-xs text-slate-500 truncate">{[venue.address, venue.capacity && `${venue.capacity} seats`].filter(Boolean).join(' · ')}</div>
+                  </div>
+                  {canEdit && (
+                    <>
+                      <button type="button" onClick={() => { setEditingVenue(venue._id); setVenueForm(venueFormOf(venue)); }} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                      <button type="button" onClick={() => removeVenue(venue)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : <div className="mb-4 p-4 bg-slate-50 rounded text-center text-sm">No venues yet</div>}
+
+          {canEdit && (
+            <form onSubmit={submitVenue} className="space-y-2 text-sm">
+              <input value={venueForm.name} required onChange={e => setVenueForm({ ...venueForm, name: e.target.value })} placeholder="Venue name" className="w-full p-2 border rounded" />
+              <input value={venueForm.address} onChange={e => setVenueForm({ ...venueForm, address: e.target.value })} placeholder="Address" className="w-full p-2 border rounded" />
+              <div className="grid grid-cols-2 gap-2">
+                <input type="number" min="1" value={venueForm.capacity} onChange={e => setVenueForm({ ...venueForm, capacity: e.target.value })} placeholder="Seats" className="p-2 border rounded" />
+                <input value={venueForm.mapUrl} onChange={e => setVenueForm({ ...venueForm, mapUrl: e.target.value })} placeholder="Map link" className="p-2 border rounded" />
+              </div>
+              <div className="flex gap-2">
+                <button className="flex-1 py-2 bg-orange-600 text-white rounded flex items-center justify-center gap-2">
+                  {editingVenue ? 'Save Venue' : <><Plus className="w-4" />Add Venue</>}
+                </button>
+                {editingVenue && <button type="button" onClick={() => { setEditingVenue(null); setVenueForm(emptyVenue); }} className="px-3 py-2 bg-slate-200 rounded">Cancel</button>}
+              </div>
+            </form>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          <h3 className="flex items-center gap-1 mb-2 font-medium"><CalendarDays className="w-4 h-4" />Sessions</h3>
+          {sessions.length > 0 ? (
+            <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+              {sessions.map(session => (
+                <div key={session._id} className={`flex items-center gap-3 p-2 border rounded text-sm ${session._id === editingId ? 'border-orange-400' : ''}`}>
+                  <div className="w-36 shrink-0 text-xs text-slate-600">{timeRange(session)}</div>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{session.title}</div>
+                    <div className="text-xs text-slate-500 truncate">{SESSION_TYPE_LABELS[session.type] || session.type} · {venueName(session.venue)}</div>
+                  </div>
+                  {canEdit && (
+                    <div className="flex items-center gap-1">
+                      <button type="button" onClick={() => { setEditingId(session._id); setForm(sessionFormOf(session)); setClashes([]); }} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                      <button type="button" onClick={() => remove(session)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : <div className="mb-4 p-6 bg-slate-50 rounded text-center text-sm">No sessions in {year} yet</div>}
+
+          {canEdit && (
+            <form onSubmit={submit} className="space-y-2 text-sm">
+              <div className="grid sm:grid-cols-3 gap-2">
+                <select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} className="p-2 border rounded">
+                  {Object.entries(SESSION_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <input value={form.title} required={form.type !== 'screening' || !form.films.length} onChange={e => setForm({ ...form, title: e.target.value })} placeholder={form.type === 'screening' ? 'Title (default: the films)' : 'Title'} className="sm:col-span-2 p-2 border rounded" />
+              </div>
+              <div className="grid sm:grid-cols-3 gap-2">
+                <select value={form.venue} required onChange={e => setForm({ ...form, venue: e.target.value })} className="p-2 border rounded">
+                  <option value="">Venue…</option>
+                  {venues.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+                </select>
+                <label className="flex items-center gap-2">From<input type="datetime-local" value={form.startsAt} required onChange={e => setForm({ ...form, startsAt: e.target.value })} className="flex-1 p-2 border rounded" /></label>
+                <label className="flex items-center gap-2">To<input type="datetime-local" value={form.endsAt} min={form.startsAt} required onChange={e => setForm({ ...form, endsAt: e.target.value })} className="flex-1 p-2 border rounded" /></label>
+              </div>
+              <div className="grid sm:grid-cols-2 gap-2">
+                <label>
+                  <span className="text-slate-600">Films</span>
+                  <select multiple value={form.films} onChange={e => setForm({ ...form, films: selectedValues(e) })} className="w-full h-28 p-1 border rounded">
+                    {films.map(f => <option key={f._id} value={f._id}>{f.title}</option>)}
+                  </select>
+                </label>
+                <label>
+                  <span className="text-slate-600">Speakers</span>
+                  <select multiple value={form.speakers} onChange={e => setForm({ ...form, speakers: selectedValues(e) })} className="w-full h-28 p-1 border rounded">
+                    {people.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                  </select>
+                </label>
+              </div>
+              <textarea value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} placeholder="Description" rows={2} className="w-full p-2 border rounded" />
+
+              {clashes.length > 0 && (
+                <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700">
+                  <div className="font-medium">{venueName(form.venue)} is already booked by:</div>
+                  <ul className="list-disc ml-5">
+                    {clashes.map(c => <li key={c._id}>{c.title} ({timeRange(c)}{c.year !== Number(year) ? `, ${c.year}` : ''})</li>)}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button className="flex-1 py-2 bg-orange-600 text-white rounded flex items-center justify-center gap-2">
+                  {editingId ? 'Save Session' : <><Plus className="w-4" />Add Session</>}
+                </button>
+                {editingId && <button type="button" onClick={() => { setEditingId(null); setForm(emptySession); setClashes([]); }} className="px-3 py-2 bg-slate-200 rounded">Cancel</button>}
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
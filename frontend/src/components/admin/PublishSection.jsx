@@ -0,0 +1,105 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Globe, Eye, EyeOff } from 'lucide-react';
+import ScheduleControl from './ScheduleControl';
+
+const FIELD_LABELS = { videoLink: 'Video', videos: 'Video', photos: 'Photo', partners: 'Partner logo', awards: 'Award category' };
+
+// one line describing a change from GET /api/content/:year/publish
+const describeChange = (c) => {
+  const label = FIELD_LABELS[c.field] || c.field;
+  if (c.type === 'reordered') return `${label}s reordered`;
+  if (c.field === 'videoLink') return `Video: ${c.from || 'none'} → ${c.to || 'none'}`;
+  const name = c.item?.category || c.item?.title || c.item?.caption || c.item?.public_id || c.item?.url || '';
+  return `${label} ${c.type}: ${name}`;
+};
+
+// Draft vs published status of a year: pending changes, Publish, go-live schedule and "Preview as public"
+export default function PublishSection({ api, year, content, canPublish, previewing, onTogglePreview, onContentChange, setMessage }) {
+  const [status, setStatus] = useState(null);
+  const [showChanges, setShowChanges] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await api(`/api/content/${year}/publish`));
+    } catch (e) {
+      console.error('fetchPublishStatus', e);
+    }
+  }, [api, year]);
+
+  // recompute the diff whenever the draft is saved
+  useEffect(() => { fetchStatus(); }, [fetchStatus, content.updatedAt]);
+
+  const publish = async () => {
+    const count = status?.changes?.length || 0;
+    if (!window.confirm(`Publish ${year}? ${count} change(s) will go live on the public site.`)) return;
+    setPublishing(true);
+    try {
+      const j = await api(`/api/content/${year}/publish`, { method: 'POST' });
+      onContentChange(j);
+      setMessage(`${year} published`);
+    } catch (e) {
+      console.error('publish', e);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const schedule = async (publishAt) => {
+    try {
+      const j = await api(`/api/content/${year}/schedule`, { method: 'PUT', json: true, body: JSON.stringify({ publishAt }) });
+      onContentChange(j);
+      setMessage(publishAt ? `${year} goes public at ${new Date(publishAt).toLocaleString()}` : `Schedule for ${year} cleared`);
+    } catch (e) {
+      console.error('schedule', e);
+    }
+  };
+
+  const changes = status?.changes || [];
+
+  return (
+    <section className="bg-white rounded-xl p-6 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Globe className="w-5 h-5 text-emerald-600"/>
+          <div>
+            <h2 className="text-xl font-semibold">Publishing</h2>
+            <p className="text-sm text-slate-600">
+              {status?.published
+                ? `Published ${new Date(status.publishedAt).toLocaleString()}${status.publishedBy?.email ? ` by ${status.publishedBy.email}` : ''}`
+                : 'Never published: this year is not visible on the public site'}
+            </p>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" onClick={() => setShowChanges(v => !v)} disabled={!changes.length} className="px-3 py-2 text-sm bg-slate-200 rounded disabled:opacity-50">
+            {changes.length ? `${changes.length} unpublished change(s)` : 'No unpublished changes'}
+          </button>
+          <button type="button" onClick={onTogglePreview} className="px-3 py-2 text-sm bg-slate-200 rounded flex items-center gap-1">
+            {previewing ? <><EyeOff className="w-4 h-4"/>Exit preview</> : <><Eye className="w-4 h-4"/>Preview as public</>}
+          </button>
+          {canPublish && (
+            <button type="button" onClick={publish} disabled={publishing || (status?.published && !changes.length)} className="px-4 py-2 text-sm bg-emerald-600 text-white rounded disabled:opacity-50">
+              {publishing ? 'Publishing…' : 'Publish'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {(canPublish || content.publishAt) && (
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-sm text-slate-600">
+          <span>Go live at:</span>
+          <ScheduleControl publishAt={content.publishAt} onSave={schedule} disabled={!canPublish} />
+        </div>
+      )}
+
+      {showChanges && changes.length > 0 && (
+        <ul className="mt-4 text-sm space-y-1 max-h-60 overflow-y-auto">
+          {changes.map((c, i) => (
+            <li key={i} className={`px-3 py-1 rounded ${c.type === 'removed' ? 'bg-red-50' : c.type === 'added' ? 'bg-green-50' : 'bg-slate-50'}`}>{describeChange(c)}</li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
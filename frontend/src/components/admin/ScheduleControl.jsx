@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import { Clock } from 'lucide-react';
+
+// "2d 4h 10m" / "3m 20s" until the given time
+const formatRemaining = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d) return `${d}d ${h}h ${m}m`;
+  if (h) return `${h}h ${m}m`;
+  return `${m}m ${s % 60}s`;
+};
+
+// value for <input type="datetime-local"> in the browser's timezone
+export const toLocalInput = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Live countdown to a scheduled go-live time; renders nothing once it has passed
+export function ScheduleBadge({ publishAt }) {
+  const [now, setNow] = useState(Date.now());
+  const target = publishAt ? new Date(publishAt).getTime() : 0;
+
+  useEffect(() => {
+    if (!target || target <= Date.now()) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [target]);
+
+  if (!target || target <= now) return null;
+  return (
+    <span title={new Date(target).toLocaleString()} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-violet-100 text-violet-800 rounded-full">
+      <Clock className="w-3 h-3" />Goes public in {formatRemaining(target - now)}
+    </span>
+  );
+}
+
+// Countdown badge plus a date/time picker to set or clear a publishAt schedule
+export default function ScheduleControl({ publishAt, onSave, disabled }) {
+  const [value, setValue] = useState(toLocalInput(publishAt));
+
+  useEffect(() => { setValue(toLocalInput(publishAt)); }, [publishAt]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <ScheduleBadge publishAt={publishAt} />
+      {!disabled && (
+        <>
+          <input type="datetime-local" value={value} onChange={e => setValue(e.target.value)} className="p-1 border rounded text-xs" />
+          <button type="button" onClick={() => onSave(value ? new Date(value).toISOString() : null)} className="px-2 py-1 text-xs bg-violet-600 text-white rounded">Schedule</button>
+          {publishAt && <button type="button" onClick={() => onSave(null)} className="px-2 py-1 text-xs bg-slate-200 rounded">Clear</button>}
+        </>
+      )}
+    </div>
+  );
+}
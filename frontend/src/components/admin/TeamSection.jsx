@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { UserPlus, Trash2, Users } from 'lucide-react';
+
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// "Team" section of the admin panel: list, invite, change role, disable and delete users.
+// `api` is the AdminPanel fetch helper (adds auth headers, reports errors via setMessage).
+export default function TeamSection({ api, currentUser, setMessage }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'editor', password: '' });
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+    try { setUsers(await api('/api/users')); }
+    catch (e) { console.error('fetchUsers', e); }
+    finally { setLoading(false); }
+  }, [api]);
+
+  useEffect(() => { fetchUsers(); }, [fetchUsers]);
+
+  const replaceUser = (user) => setUsers(prev => prev.map(u => (u.id === user.id ? user : u)));
+
+  const inviteUser = async (e) => {
+    e?.preventDefault();
+    if (!inviteForm.email.trim()) return setMessage('Email required');
+    setLoading(true);
+    try {
+      const body = { email: inviteForm.email.trim(), role: inviteForm.role };
+      if (inviteForm.password) body.password = inviteForm.password;
+      const j = await api('/api/users', { method: 'POST', json: true, body: JSON.stringify(body) });
+      setUsers(prev => [...prev, j.user]);
+      setTemporaryPassword(j.temporaryPassword ? { email: j.user.email, password: j.temporaryPassword } : null);
+      setInviteForm({ email: '', role: 'editor', password: '' });
+      setMessage(`User ${j.user.email} created`);
+    } catch (e) {
+      console.error('inviteUser', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateUser = async (user, changes) => {
+    setLoading(true);
+    try {
+      const j = await api(`/api/users/${user.id}`, { method: 'PUT', json: true, body: JSON.stringify(changes) });
+      replaceUser(j.user);
+      setMessage(`Updated ${j.user.email}`);
+    } catch (e) {
+      console.error('updateUser', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Delete ${user.email}? They will lose access immediately.`)) return;
+    setLoading(true);
+    try {
+      await api(`/api/users/${user.id}`, { method: 'DELETE' });
+      setUsers(prev => prev.filter(u => u.id !== user.id));
+      setMessage(`Deleted ${user.email}`);
+    } catch (e) {
+      console.error('deleteUser', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center gap-2 mb-4"><Users className="w-5 h-5 text-teal-600"/><h2 className="text-xl font-semibold">Team</h2></div>
+
+      {temporaryPassword && (
+        <div className="mb-4 p-3 bg-teal-50 border border-teal-200 rounded text-sm">
+          Temporary password for <strong>{temporaryPassword.email}</strong>: <code className="px-1 bg-white rounded">{temporaryPassword.password}</code>
+          <div className="text-xs text-slate-500 mt-1">It is shown only once. Share it securely and ask them to change it after signing in.</div>
+          <button type="button" onClick={() => setTemporaryPassword(null)} className="mt-2 text-xs text-teal-700 underline">Dismiss</button>
+        </div>
+      )}
+
+      {users.length > 0 ? (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-2 pr-3">Email</th>
+                <th className="py-2 pr-3">Role</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2 pr-3">Last login</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(u => {
+                const isSelf = currentUser?.id === u.id;
+                return (
+                  <tr key={u.id} className="border-b last:border-0">
+                    <td className="py-2 pr-3 font-medium">{u.email}{isSelf && <span className="ml-2 text-xs text-slate-500">(you)</span>}</td>
+                    <td className="py-2 pr-3">
+                      <select value={u.role} disabled={isSelf || loading} onChange={(e) => updateUser(u, { role: e.target.value })} className="p-1 border rounded capitalize">
+                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-3">
+                      {u.disabled ? <span className="text-red-600">Disabled</span> : <span className="text-green-600">Active</span>}
+                    </td>
+                    <td className="py-2 pr-3 text-slate-500">{u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : 'Never'}</td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      {!isSelf && (
+                        <>
+                          <button type="button" disabled={loading} onClick={() => updateUser(u, { disabled: !u.disabled })} className="px-2 py-1 text-xs bg-slate-200 rounded mr-2">
+                            {u.disabled ? 'Enable' : 'Disable'}
+                          </button>
+                          <button type="button" disabled={loading} onClick={() => deleteUser(u)} className="px-2 py-1 text-xs bg-red-500 text-white rounded inline-flex items-center gap-1">
+                            <Trash2 className="w-3 h-3" />Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : <div className="mb-6 p-8 bg-slate-50 rounded text-center">{loading ? 'Loading users…' : 'No users found'}</div>}
+
+      <form onSubmit={inviteUser} className="grid sm:grid-cols-4 gap-2">
+        <input type="email" required value={inviteForm.email} onChange={e => setInviteForm({ ...inviteForm, email: e.target.value })} placeholder="new.member@example.com" className="sm:col-span-2 p-3 border rounded" />
+        <select value={inviteForm.role} onChange={e => setInviteForm({ ...inviteForm, role: e.target.value })} className="p-3 border rounded capitalize">
+          {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <input type="password" value={inviteForm.password} onChange={e => setInviteForm({ ...inviteForm, password: e.target.value })} placeholder="Password (optional)" className="p-3 border rounded" />
+        <button disabled={loading} className="sm:col-span-4 py-3 bg-teal-600 text-white rounded flex items-center justify-center gap-2"><UserPlus className="w-4" />Add Team Member</button>
+        <div className="sm:col-span-4 text-xs text-slate-500">Leave the password empty to generate a temporary one.</div>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Trash2, RotateCcw, RefreshCw } from 'lucide-react';
+
+const KIND_LABELS = {
+  photo: 'Photo',
+  photos: 'Photos',
+  partner: 'Partner logo',
+  awardCategory: 'Award category',
+  awardPlacement: 'Award placement',
+  awardPhoto: 'Award photo',
+  video: 'Video',
+};
+
+// thumbnail url for a trash item, if it has one
+const thumbnailFor = (item) => {
+  const data = item.data || {};
+  // a video's own url is the film, not an image
+  if (item.kind === 'video') return data.thumbnail?.url || '';
+  if (data.url) return data.url;
+  if (data.photo?.url) return data.photo.url;
+  return item.assets?.[0]?.url || '';
+};
+
+// Trash bin for the selected year: restore deleted items, or purge them for good
+export default function TrashSection({ api, year, refreshKey, canRestore, canPurge, onRestored, setMessage }) {
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      setItems(await api(`/api/content/${year}/trash`));
+    } catch (e) {
+      console.error('fetchTrash', e);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, year]);
+
+  // refetch when the year changes or its content was saved (e.g. something was just deleted)
+  useEffect(() => { setSelected([]); fetchTrash(); }, [fetchTrash, refreshKey]);
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+
+  const restore = async (ids) => {
+    if (!ids.length) return;
+    setLoading(true);
+    try {
+      const j = await api(`/api/content/${year}/trash/restore`, { method: 'POST', json: true, body: JSON.stringify({ ids }) });
+      const failed = j.failed || [];
+      setMessage(failed.length
+        ? `Restored ${j.restored.length}; ${failed.length} could not be restored: ${failed.map(f => f.message).join('; ')}`
+        : `Restored ${j.restored.length} item(s)`);
+      onRestored(j.content);
+    } catch (e) {
+      console.error('restore', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const purge = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.label || KIND_LABELS[item.kind]}"? This cannot be undone.`)) return;
+    try {
+      await api(`/api/content/${year}/trash/${item._id}`, { method: 'DELETE' });
+      setItems(prev => prev.filter(i => i._id !== item._id));
+      setSelected(prev => prev.filter(id => id !== item._id));
+      setMessage('Deleted permanently');
+    } catch (e) {
+      console.error('purge', e);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${items.length} item(s) in the ${year} trash? This cannot be undone.`)) return;
+    try {
+      const j = await api(`/api/content/${year}/trash`, { method: 'DELETE' });
+      // items the published copy still shows are kept
+      if (j.kept) fetchTrash();
+      else setItems([]);
+      setSelected([]);
+      setMessage(j.message);
+    } catch (e) {
+      console.error('emptyTrash', e);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2"><Trash2 className="w-5 h-5 text-slate-600"/><h2 className="text-xl font-semibold">Trash ({items.length})</h2></div>
+        <div className="flex gap-2">
+          {canRestore && selected.length > 0 && (
+            <button type="button" onClick={() => restore(selected)} disabled={loading} className="text-xs px-3 py-1 bg-green-600 text-white rounded flex items-center gap-1"><RotateCcw className="w-3 h-3" />Restore ({selected.length})</button>
+          )}
+          {canPurge && items.length > 0 && (
+            <button type="button" onClick={emptyTrash} className="text-xs px-3 py-1 bg-red-600 text-white rounded">Empty trash</button>
+          )}
+          <button type="button" onClick={fetchTrash} disabled={loading} className="text-xs px-3 py-1 bg-slate-200 rounded flex items-center gap-1"><RefreshCw className="w-3 h-3" />Refresh</button>
+        </div>
+      </div>
+
+      {items.length > 0 ? (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                {canRestore && <th className="py-2 pr-3"></th>}
+                <th className="py-2 pr-3">Item</th>
+                <th className="py-2 pr-3">Deleted</th>
+                <th className="py-2 pr-3">By</th>
+                <th className="py-2 pr-3">Purged after</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => (
+                <tr key={item._id} className="border-b last:border-0">
+                  {canRestore && <td className="py-2 pr-3"><input type="checkbox" checked={selected.includes(item._id)} onChange={() => toggle(item._id)} /></td>}
+                  <td className="py-2 pr-3">
+                    <div className="flex items-center gap-2">
+                      {thumbnailFor(item) && <img src={thumbnailFor(item)} alt="" className="w-10 h-10 object-cover rounded" />}
+                      <div>
+                        <div className="truncate max-w-[220px]">{item.label || '—'}</div>
+                        <div className="text-xs text-slate-500">{KIND_LABELS[item.kind] || item.kind}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{new Date(item.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-3">{item.deletedBy?.email || '—'}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{item.purgeAfter ? new Date(item.purgeAfter).toLocaleDateString() : '—'}</td>
+                  <td className="py-2 text-right whitespace-nowrap space-x-1">
+                    {canRestore && <button type="button" onClick={() => restore([item._id])} disabled={loading} className="px-2 py-1 text-xs bg-slate-200 rounded">Restore</button>}
+                    {canPurge && <button type="button" onClick={() => purge(item)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete forever</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : <div className="p-8 bg-slate-50 rounded text-center">{loading ? 'Loading…' : `Trash for ${year} is empty`}</div>}
+    </section>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Upload, Pause, Play, X } from 'lucide-react';
+import { VIDEO_TYPE_LABELS } from '../Events';
+
+// unfinished uploads are remembered per browser, so a reloaded page can offer to resume them
+const PENDING_KEY = 'pendingVideoUploads';
+const MAX_RETRIES = 5;
+
+const readPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+const writePending = (pending) => localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+const fingerprintOf = (year, file) => `${year}:${file.name}:${file.size}:${file.lastModified}`;
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const formatMb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Resumable upload of a video file in chunks, with a progress bar, pause and resume after a reload
+export default function VideoUpload({ api, authFetch, year, onUploaded, setMessage }) {
+  const [file, setFile] = useState(null);
+  const [details, setDetails] = useState({ title: '', type: 'highlight' });
+  const [session, setSession] = useState(null); // { id, size, received, chunkSize }
+  const [received, setReceived] = useState(0);
+  const [status, setStatus] = useState('idle'); // idle | uploading | paused | finishing
+  const [pending, setPending] = useState(() => readPending());
+  const stopRef = useRef(null); // 'pause' | 'cancel', checked between chunks
+
+  const base = `/api/content/${year}/video-uploads`;
+  const pendingForYear = Object.values(pending).filter(p => p.year === year);
+
+  // another year: stop sending (the server keeps the session, so the upload can be resumed later)
+  useEffect(() => {
+    stopRef.current = 'cancel';
+    setFile(null);
+    setDetails({ title: '', type: 'highlight' });
+    setSession(null);
+    setReceived(0);
+    setStatus('idle');
+  }, [year]);
+
+  const remember = (fingerprint, value) => {
+    const next = { ...readPending() };
+    if (value) next[fingerprint] = value;
+    else delete next[fingerprint];
+    writePending(next);
+    setPending(next);
+  };
+
+  // one chunk -> bytes the server now has; a 409 tells where the server actually is
+  const sendChunk = async (id, offset, chunkSize) => {
+    const res = await authFetch(`${base}/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+      body: file.slice(offset, offset + chunkSize),
+    });
+    const j = await res.json().catch(() => ({}));
+    if (res.status === 409 && typeof j.received === 'number') return j.received;
+    if (!res.ok) throw Object.assign(new Error(j.message || `Error ${res.status}`), { status: res.status });
+    return j.received;
+  };
+
+  const run = async (current) => {
+    const fingerprint = fingerprintOf(year, file);
+    stopRef.current = null;
+    setStatus('uploading');
+    let offset = current.received;
+    let failures = 0;
+    try {
+      while (offset < file.size) {
+        if (stopRef.current === 'cancel') return;
+        if (stopRef.current === 'pause') {
+          setStatus('paused');
+          return;
+        }
+        try {
+          offset = await sendChunk(current.id, offset, current.chunkSize);
+          if (stopRef.current === 'cancel') return;
+          failures = 0;
+          setReceived(offset);
+          remember(fingerprint, { year, filename: file.name, size: file.size, received: offset });
+        } catch (err) {
+          // the server refused the file: retrying won't help
+          if (err.status && err.status < 500) throw err;
+          failures += 1;
+          if (failures > MAX_RETRIES) throw err;
+          setMessage(`Connection problem, retrying (${failures}/${MAX_RETRIES})…`);
+          await wait(2000 * failures);
+        }
+      }
+      setStatus('finishing');
+      const doc = await api(`${base}/${current.id}/complete`, { method: 'POST' });
+      remember(fingerprint, null);
+      setFile(null);
+      setDetails({ title: '', type: 'highlight' });
+      setSession(null);
+      setStatus('idle');
+      setMessage(`Video ${file.name} uploaded`);
+      onUploaded(doc);
+    } catch (err) {
+      if (stopRef.current === 'cancel') return;
+      console.error('video upload', err);
+      setStatus('paused');
+      if (err.message) setMessage(err.message);
+      if (err.status === 400 || err.status === 404) {
+        remember(fingerprint, null);
+        setSession(null);
+        setStatus('idle');
+      }
+    }
+  };
+
+  // start, or pick up an unfinished upload of the same file (the server matches the fingerprint)
+  const start = async (e) => {
+    e?.preventDefault();
+    if (!file) return;
+    try {
+      const s = await api(base, {
+        method: 'POST',
+        json: true,
+        body: JSON.stringify({ filename: file.name, size: file.size, mimetype: file.type, fingerprint: fingerprintOf(year, file), ...details }),
+      });
+      setSession(s);
+      setReceived(s.received);
+      if (s.received) setMessage(`Resuming ${file.name} from ${formatMb(s.received)}`);
+      run(s);
+    } catch (err) {
+      console.error('start video upload', err);
+    }
+  };
+
+  const resume = async () => {
+    try {
+      const s = await api(`${base}/${session.id}`);
+      setReceived(s.received);
+      run(s);
+    } catch (err) {
+      console.error('resume video upload', err);
+    }
+  };
+
+  const cancel = async () => {
+    stopRef.current = 'cancel';
+    if (session) await api(`${base}/${session.id}`, { method: 'DELETE' }).catch(() => {});
+    if (file) remember(fingerprintOf(year, file), null);
+    setFile(null);
+    setSession(null);
+    setReceived(0);
+    setStatus('idle');
+  };
+
+  const percent = file ? Math.floor((received / file.size) * 100) : 0;
+  const busy = status === 'uploading' || status === 'finishing';
+
+  return (
+    <form onSubmit={start} className="mt-3 space-y-2 text-sm">
+      {pendingForYear.length > 0 && !session && (
+        <div className="p-2 bg-amber-50 border border-amber-200 rounded text-xs">
+          {pendingForYear.map(p => (
+            <div key={p.filename}>Unfinished upload: {p.filename} ({formatMb(p.received)} of {formatMb(p.size)}). Choose the same file to resume.</div>
+          ))}
+        </div>
+      )}
+
+      <input type="file" accept="video/*" disabled={busy || !!session} onChange={e => setFile(e.target.files[0] || null)} className="block w-full cursor-pointer" />
+      {file && !session && (
+        <div className="grid grid-cols-2 gap-2">
+          <input value={details.title} onChange={e => setDetails({ ...details, title: e.target.value })} placeholder={file.name} className="p-2 border rounded" />
+          <select value={details.type} onChange={e => setDetails({ ...details, type: e.target.value })} className="p-2 border rounded">
+            {Object.entries(VIDEO_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      )}
+
+      {session && (
+        <div>
+          <div className="h-2 bg-slate-200 rounded overflow-hidden"><div className="h-full bg-purple-600 transition-all" style={{ width: `${percent}%` }} /></div>
+          <div className="mt-1 text-xs text-slate-500">
+            {status === 'finishing' ? 'Processing video…' : `${percent}% · ${formatMb(received)} of ${formatMb(file.size)}`}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        {!session && <button disabled={!file} className="flex-1 py-3 bg-purple-600 text-white rounded flex items-center justify-center gap-2 disabled:opacity-50"><Upload className="w-4" />Upload Video File</button>}
+        {status === 'uploading' && <button type="button" onClick={() => { stopRef.current = 'pause'; }} className="flex-1 py-2 bg-slate-200 rounded flex items-center justify-center gap-2"><Pause className="w-4" />Pause</button>}
+        {status === 'paused' && <button type="button" onClick={resume} className="flex-1 py-2 bg-purple-600 text-white rounded flex items-center justify-center gap-2"><Play className="w-4" />Resume</button>}
+        {session && status !== 'finishing' && <button type="button" onClick={cancel} className="py-2 px-3 bg-red-500 text-white rounded flex items-center gap-1"><X className="w-4" />Cancel</button>}
+      </div>
+    </form>
+  );
+}
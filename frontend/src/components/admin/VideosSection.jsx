@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Video, ArrowUp, ArrowDown, Plus } from 'lucide-react';
+import VideoUpload from './VideoUpload';
+import { thumbUrl } from '../ResponsiveImage';
+import { VIDEO_TYPE_LABELS } from '../Events';
+import VideoPlayer, { PROVIDER_LABELS } from '../VideoPlayer';
+
+const emptyForm = { url: '', title: '', type: 'highlight', thumbnail: null };
+
+// multipart body for the video routes (the thumbnail is an optional image file)
+const formDataOf = (fields) => {
+  const fd = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) fd.append(key, value);
+  });
+  return fd;
+};
+
+// Videos of a year: add by link or file upload, edit title / type / thumbnail, reorder, delete
+export default function VideosSection({ api, authFetch, year, content, canEdit, onChange, setMessage }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null); // { _id, title, type, url, provider, thumbnail, removeThumbnail }
+  const [previewId, setPreviewId] = useState(null);
+
+  const videos = content?.videos || [];
+  const preview = videos.find(v => v._id === previewId) || videos[0];
+
+  const call = async (path, opts, done) => {
+    try {
+      const j = await api(`/api/content/${year}${path}`, opts);
+      onChange(j);
+      if (done) setMessage(done);
+      return true;
+    } catch (e) {
+      console.error('videos', path, e);
+      return false;
+    }
+  };
+
+  const add = async (e) => {
+    e.preventDefault();
+    const formEl = e.target; // reset() also clears the thumbnail file input
+    if (await call('/videos', { method: 'POST', body: formDataOf(form) }, 'Video added')) {
+      setForm(emptyForm);
+      formEl.reset();
+    }
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const { _id, title, type, url, provider, thumbnail, removeThumbnail } = editing;
+    const fields = { title, type, url: provider === 'file' ? undefined : url, removeThumbnail: removeThumbnail ? 'true' : undefined };
+    if (thumbnail instanceof File) fields.thumbnail = thumbnail;
+    if (await call(`/videos/${_id}`, { method: 'PUT', body: formDataOf(fields) }, 'Video saved')) setEditing(null);
+  };
+
+  const remove = (video) => {
+    if (!window.confirm(`Delete video "${video.title || video.url}"? It will be moved to the trash.`)) return;
+    call(`/videos/${video._id}`, { method: 'DELETE' }, 'Moved to trash');
+  };
+
+  const move = (index, delta) => {
+    const order = videos.map(v => v._id);
+    const [id] = order.splice(index, 1);
+    order.splice(index + delta, 0, id);
+    call('/videos/order', { method: 'PUT', json: true, body: JSON.stringify({ order }) });
+  };
+
+  return (
+    <section className="bg-white rounded-xl p-6">
+      <div className="flex items-center gap-2 mb-4"><Video className="w-5 h-5 text-purple-600"/> <h2 className="text-xl font-semibold">Event Videos</h2></div>
+
+      {preview ? (
+        <div className="aspect-video rounded overflow-hidden mb-3 bg-slate-100">
+          <VideoPlayer video={preview} className="w-full h-full" />
+        </div>
+      ) : <div className="p-8 mb-3 bg-slate-50 rounded text-center">No video set for {year}</div>}
+
+      {videos.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {videos.map((video, index) => (
+            <div key={video._id} className={`flex items-center gap-3 p-2 border rounded ${video === preview ? 'border-purple-400' : ''}`}>
+              <button type="button" onClick={() => setPreviewId(video._id)} className="shrink-0">
+                {video.thumbnail?.url
+                  ? <img src={thumbUrl(video.thumbnail)} alt="" className="w-20 h-12 object-cover rounded" />
+                  : <div className="w-20 h-12 bg-slate-100 rounded flex items-center justify-center"><Video className="w-4 text-slate-400" /></div>}
+              </button>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{video.title || 'Untitled video'}</div>
+                <div className="text-xs text-slate-500 truncate">
+                  <span className="px-1 mr-1 bg-purple-100 text-purple-700 rounded">{VIDEO_TYPE_LABELS[video.type] || video.type}</span>
+                  {index === 0 && 'Main video · '}{PROVIDER_LABELS[video.provider] || video.provider}
+                </div>
+              </div>
+              {canEdit && (
+                <div className="flex items-center gap-1">
+                  <button type="button" disabled={index === 0} onClick={() => move(index, -1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowUp className="w-3 h-3" /></button>
+                  <button type="button" disabled={index === videos.length - 1} onClick={() => move(index, 1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowDown className="w-3 h-3" /></button>
+                  <button type="button" onClick={() => setEditing({ _id: video._id, title: video.title || '', type: video.type, url: video.url, provider: video.provider, thumbnail: video.thumbnail, removeThumbnail: false })} className="px-2 py-1 text-xs bg-slate-700 text-white rounded">Edit</button>
+                  <button type="button" onClick={() => remove(video)} className="px-2 py-1 text-xs bg-red-500 text-white rounded">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={save} className="mb-4 p-3 border rounded bg-slate-50 space-y-2 text-sm">
+          <input value={editing.title} onChange={e => setEditing({ ...editing, title: e.target.value })} placeholder="Title" className="w-full p-2 border rounded" />
+          <select value={editing.type} onChange={e => setEditing({ ...editing, type: e.target.value })} className="w-full p-2 border rounded">
+            {Object.entries(VIDEO_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          {editing.provider !== 'file' && (
+            <input value={editing.url} required onChange={e => setEditing({ ...editing, url: e.target.value })} placeholder="YouTube, Vimeo, Facebook or Google Drive link, or an .mp4 / .m3u8 url" className="w-full p-2 border rounded" />
+          )}
+          <div>
+            <div className="mb-1 text-slate-600">Thumbnail</div>
+            <input type="file" accept="image/*" onChange={e => setEditing({ ...editing, thumbnail: e.target.files[0] || null, removeThumbnail: false })} className="block w-full cursor-pointer" />
+            {editing.thumbnail?.url && (
+              <label className="mt-1 flex items-center gap-2">
+                <input type="checkbox" checked={editing.removeThumbnail} onChange={e => setEditing({ ...editing, removeThumbnail: e.target.checked })} />
+                Remove the current thumbnail
+              </label>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button className="px-3 py-1 bg-purple-600 text-white rounded">Save</button>
+            <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 bg-slate-200 rounded">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {canEdit && (
+        <>
+          <form onSubmit={add} className="space-y-2 text-sm">
+            <input value={form.url} required onChange={e => setForm({ ...form, url: e.target.value })} placeholder="YouTube, Vimeo, Facebook or Google Drive link, or an .mp4 / .m3u8 url" className="w-full p-3 border rounded" />
+            <div className="grid grid-cols-2 gap-2">
+              <input value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} placeholder="Title" className="p-2 border rounded" />
+              <select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} className="p-2 border rounded">
+                {Object.entries(VIDEO_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <label className="block">
+              <span className="text-slate-600">Thumbnail (optional)</span>
+              <input type="file" accept="image/*" onChange={e => setForm({ ...form, thumbnail: e.target.files[0] || null })} className="block w-full cursor-pointer" />
+            </label>
+            <button className="w-full py-3 bg-purple-600 text-white rounded flex items-center justify-center gap-2"><Plus className="w-4" />Add Video</button>
+          </form>
+          <VideoUpload api={api} authFetch={authFetch} year={year} setMessage={setMessage} onUploaded={onChange} />
+        </>
+      )}
+    </section>
+  );
+}
@@ -1,8 +1,21 @@
 // src/contexts/AuthContext.jsx
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 
 const AuthContext = createContext();
 
+// refresh this long before the access token expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+// read the `exp` claim (ms) from a JWT without verifying it
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -20,15 +33,30 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
 
+  // refs so authFetch always sees the latest tokens, even from stale closures
+  const authTokenRef = useRef(authToken);
+  const refreshPromiseRef = useRef(null);
+
   // Save token to state and localStorage
-  const saveAuthToken = (token) => {
-    setAuthToken(token);
+  // (the session helpers are memoized so authFetch stays the same function between renders,
+  // and components can list it, or helpers built on it, as an effect dependency)
+  const saveAuthToken = useCallback((token) => {
+    authTokenRef.current = token || '';
+    setAuthToken(token || '');
     if (token) {
       localStorage.setItem('auth_token', token);
     } else {
       localStorage.removeItem('auth_token');
     }
-  };
+  }, []);
+
+  const saveRefreshToken = useCallback((token) => {
+    if (token) {
+      localStorage.setItem('refresh_token', token);
+    } else {
+      localStorage.removeItem('refresh_token');
+    }
+  }, []);
 
   // Save admin key to state and localStorage
   const saveAdminKey = (key) => {
@@ -40,38 +68,95 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const clearSession = useCallback((msg) => {
+    saveAuthToken('');
+    saveRefreshToken('');
+    setCurrentUser(null);
+    if (msg) setMessage(msg);
+  }, [saveAuthToken, saveRefreshToken]);
+
   // Get authentication headers for API calls
-  const getAuthHeaders = (withContentType = false) => {
+  const getAuthHeaders = useCallback((withContentType = false) => {
     const headers = {};
-    
-    if (authToken) {
-      headers['Authorization'] = `Bearer ${authToken}`;
+
+    if (authTokenRef.current) {
+      headers['Authorization'] = `Bearer ${authTokenRef.current}`;
     } else if (adminKey) {
       headers['x-admin-key'] = adminKey;
     }
-    
+
     if (withContentType && Object.keys(headers).length > 0) {
       headers['Content-Type'] = 'application/json';
     }
-    
+
     return headers;
-  };
+  }, [adminKey]);
 
   // Check if user is authenticated
   const isAuthenticated = () => !!authToken || !!adminKey;
 
+  // Swap the refresh token for a new pair. Concurrent callers share one request.
+  const refreshSession = useCallback(() => {
+    if (refreshPromiseRef.current) return refreshPromiseRef.current;
+
+    const run = async (retried = false) => {
+      const refreshToken = localStorage.getItem('refresh_token');
+      if (!refreshToken) return false;
+      const res = await fetch(`${API_BASE}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      // another tab rotated the token a moment ago: pick up the one it stored
+      if (res.status === 409 && !retried) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        return run(true);
+      }
+      if (!res.ok) {
+        clearSession('Session expired. Please login again.');
+        return false;
+      }
+      const data = await res.json();
+      saveAuthToken(data.token);
+      saveRefreshToken(data.refreshToken);
+      if (data.user) setCurrentUser(data.user);
+      return true;
+    };
+
+    refreshPromiseRef.current = run()
+      .catch((error) => {
+        console.error('Token refresh failed:', error);
+        return false;
+      })
+      .finally(() => { refreshPromiseRef.current = null; });
+    return refreshPromiseRef.current;
+  }, [API_BASE, clearSession, saveAuthToken, saveRefreshToken]);
+
+  // fetch() against the API with auth headers; on 401 refresh once and retry
+  const authFetch = useCallback(async (path, opts = {}) => {
+    const send = () => fetch(`${API_BASE}${path}`, {
+      ...opts,
+      headers: { ...(opts.headers || {}), ...getAuthHeaders() },
+    });
+
+    let res = await send();
+    if (res.status === 401 && localStorage.getItem('refresh_token')) {
+      const refreshed = await refreshSession();
+      if (refreshed) res = await send();
+    }
+    return res;
+  }, [API_BASE, getAuthHeaders, refreshSession]);
+
   // Fetch current user data
-  const fetchCurrentUser = async () => {
-    if (!authToken) {
+  const fetchCurrentUser = useCallback(async () => {
+    if (!authTokenRef.current) {
       setCurrentUser(null);
       return;
     }
 
     try {
-      const res = await fetch(`${API_BASE}/api/auth/me`, { 
-        headers: getAuthHeaders() 
-      });
-      
+      const res = await authFetch('/api/auth/me');
+
       if (res.ok) {
         const data = await res.json();
         setCurrentUser(data.user || data);
@@ -82,47 +167,78 @@ export const AuthProvider = ({ children }) => {
       setCurrentUser(null);
       console.error('Failed to fetch user:', error);
     }
-  };
+  }, [authFetch]);
 
   // Login function
-// In your AuthContext.jsx - update the login function:
 const login = async (email, password) => {
   setLoading(true);
   setMessage('');
-  
+
   try {
     const res = await fetch(`${API_BASE}/api/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ email, password }),
     });
-    
+
     const data = await res.json();
-    
+
     if (!res.ok) {
-      throw new Error(data.message || 'Login failed');
+      const error = new Error(data.message || 'Login failed');
+      // set on 429 (too many failed attempts): seconds until the next try is allowed
+      error.retryAfter = data.retryAfter;
+      throw error;
     }
-    
+
     saveAuthToken(data.token);
+    saveRefreshToken(data.refreshToken);
     setCurrentUser(data.user || null);
     setMessage('Login successful!');
     return { success: true };
   } catch (error) {
     setMessage(error.message);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, retryAfter: error.retryAfter };
   } finally {
     setLoading(false);
   }
 };
 
-  // Logout function
-  const logout = () => {
-    saveAuthToken('');
+  // Logout function: revokes this device's session on the server, then clears local state
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (authTokenRef.current || refreshToken) {
+      try {
+        await fetch(`${API_BASE}/api/auth/logout`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+          body: JSON.stringify({ refreshToken }),
+        });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
+    clearSession();
     saveAdminKey('');
-    setCurrentUser(null);
     setMessage('Logged out successfully');
   };
 
+  // Sign out every device of the current user
+  const logoutAll = async () => {
+    try {
+      const res = await authFetch('/api/auth/logout-all', { method: 'POST' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || 'Could not sign out other devices');
+      }
+      clearSession();
+      setMessage('Signed out of all devices');
+      return { success: true };
+    } catch (error) {
+      setMessage(error.message);
+      return { success: false, error: error.message };
+    }
+  };
+
   // Clear all authentication
   const clearAllAuth = () => {
     logout();
@@ -136,7 +252,27 @@ const login = async (email, password) => {
     } else {
       setCurrentUser(null);
     }
-  }, [authToken]);
+  }, [authToken, fetchCurrentUser]);
+
+  // Refresh silently shortly before the access token expires
+  useEffect(() => {
+    if (!authToken) return;
+    const expiresAt = tokenExpiry(authToken);
+    if (!expiresAt) return;
+    const timer = setTimeout(refreshSession, Math.max(0, expiresAt - Date.now() - REFRESH_AHEAD_MS));
+    return () => clearTimeout(timer);
+  }, [authToken, refreshSession]);
+
+  // Keep tabs in sync when another tab logs in, refreshes or logs out
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== 'auth_token') return;
+      authTokenRef.current = e.newValue || '';
+      setAuthToken(e.newValue || '');
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
 
   const value = {
     authToken,
@@ -148,8 +284,11 @@ const login = async (email, password) => {
     saveAuthToken,
     saveAdminKey,
     getAuthHeaders,
+    authFetch,
+    refreshSession,
     login,
     logout,
+    logoutAll,
     clearAllAuth,
     setMessage,
     setLoading,
@@ -161,4 +300,4 @@ const login = async (email, password) => {
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
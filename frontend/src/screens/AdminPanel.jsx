@@ -1,34 +1,74 @@
-import React, { useEffect, useState } from 'react';
-import { Upload, Trash2, Video, Award, Users, Image, LogOut, Plus, X } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Upload, Trash2, Award, Users, Image, LogOut, Plus, X, ArrowLeft, ArrowRight } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import TeamSection from '../components/admin/TeamSection';
+import ChangePasswordForm from '../components/admin/ChangePasswordForm';
+import LockoutSection from '../components/admin/LockoutSection';
+import AuditLogSection from '../components/admin/AuditLogSection';
+import TrashSection from '../components/admin/TrashSection';
+import PublishSection from '../components/admin/PublishSection';
+import EventPage from '../components/Events';
+import ScheduleControl from '../components/admin/ScheduleControl';
+import DangerZoneSection from '../components/admin/DangerZoneSection';
+import ArchiveSection from '../components/admin/ArchiveSection';
+import PhotoGrid from '../components/admin/PhotoGrid';
+import AlbumsSection from '../components/admin/AlbumsSection';
+import VideosSection from '../components/admin/VideosSection';
+import FilmsSection from '../components/admin/FilmsSection';
+import PeopleSection from '../components/admin/PeopleSection';
+import ProgrammeSection from '../components/admin/ProgrammeSection';
+
+// the award placement editor: who / what won, plus the film (photo and poster are files to upload;
+// `film` / `person` link the placement to the film catalogue / people directory)
+const EMPTY_AWARD_FORM = {
+  category: '', placementId: '', label: '', name: '', photo: null, film: '', person: '',
+  filmTitle: '', director: '', country: '', runtime: '', synopsis: '', trailer: '', poster: null,
+};
+const AWARD_FILM_FIELDS = ['filmTitle', 'director', 'country', 'runtime', 'synopsis', 'trailer'];
+// suggestions for a placement label; any label can be typed
+const PLACEMENT_LABELS = ['Winner', 'Joint Winner', 'First Runner Up', 'Second Runner Up', 'Honourable Mention', 'Special Jury Prize'];
+// columns of the admin placement grid, by number of placements (class names spelled out for tailwind)
+const PLACEMENT_COLUMNS = { 1: 'grid-cols-1', 2: 'grid-cols-2', 3: 'grid-cols-3' };
 
 export default function AdminPanel() {
-  const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5001';
   const navigate = useNavigate();
+  // session (tokens, silent refresh, current user) lives in AuthContext
+  const { authToken, currentUser, authFetch, login, logout, logoutAll } = useAuth();
 
-  const [authToken, setAuthToken] = useState(() => localStorage.getItem('auth_token') || '');
-  const [currentUser, setCurrentUser] = useState(null);
   const [loginEmail, setLoginEmail] = useState('');
   const [loginPassword, setLoginPassword] = useState('');
   const [year, setYear] = useState(new Date().getFullYear());
   const [content, setContent] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  // render the draft through the public EventPage
+  const [previewing, setPreviewing] = useState(false);
 
-  const [videoInput, setVideoInput] = useState('');
   const [photoFiles, setPhotoFiles] = useState([]);
   const [photoPreview, setPhotoPreview] = useState([]);
+  const [photoCaptions, setPhotoCaptions] = useState([]); // one per queued photo
+  const [photoErrors, setPhotoErrors] = useState([]); // why the server rejected a queued photo, one per queued photo
   const [selectedPhotos, setSelectedPhotos] = useState([]);
+  // photo grid filter: '' = all photos, 'none' = not in an album, else an album _id
+  const [albumFilter, setAlbumFilter] = useState('');
   const [partnerFiles, setPartnerFiles] = useState([]);
   const [partnerPreview, setPartnerPreview] = useState([]);
+  const [partnerErrors, setPartnerErrors] = useState([]);
   // award form used for editing a slot; category when editing is readonly
-  const [awardForm, setAwardForm] = useState({ category: '', role: 'winner', name: '', photo: null });
+  const [awardForm, setAwardForm] = useState(EMPTY_AWARD_FORM);
   // create category input
   const [newCategoryName, setNewCategoryName] = useState('');
   // control whether the award-form is being used to edit a slot
   const [editingSlot, setEditingSlot] = useState(false);
+  // the film catalogue and people directory (every year), for the pickers of awards and albums
+  const [films, setFilms] = useState([]);
+  const [people, setPeople] = useState([]);
 
   const isAuthenticated = !!authToken && !!currentUser;
+  // permissions come from the server with the user (admin / editor / viewer)
+  const can = (permission) => (currentUser?.permissions || []).includes(permission);
+  const canEdit = can('content:write');
 
   // coerce null/undefined/"null" -> empty string for safe display/editing
   const sanitize = (v) => {
@@ -37,37 +77,33 @@ export default function AdminPanel() {
     return v;
   };
 
-  const saveAuth = (t) => {
-    setAuthToken(t || '');
-    if (t) localStorage.setItem('auth_token', t);
-    else localStorage.removeItem('auth_token');
-  };
-  const api = async (path, opts = {}) => {
+  // authFetch refreshes the access token and retries once on 401,
+  // so a 401 here means the session is really gone. Memoized: the sections load with it in effects.
+  const api = useCallback(async (path, opts = {}) => {
     const headers = opts.headers || {};
-    if (authToken) headers.Authorization = `Bearer ${authToken}`;
     if (opts.json) headers['Content-Type'] = 'application/json';
-    const res = await fetch(`${API_BASE}${path}`, { ...opts, headers });
+    const res = await authFetch(path, { ...opts, headers });
     const j = await res.json().catch(() => ({}));
     if (!res.ok) {
-      if (res.status === 401) {
-        setMessage('Session expired. Please login again.');
-        saveAuth('');
-        setCurrentUser(null);
-      } else setMessage(j.message || `Error ${res.status}`);
+      if (res.status === 401) setMessage('Session expired. Please login again.');
+      else setMessage(j.message || `Error ${res.status}`);
       throw { ok: false, status: res.status, body: j };
     }
     return j;
-  };
+  }, [authFetch]);
+
+  // the draft shown by the public page; a new object only when the draft changes
+  const preview = useMemo(() => ({ year, content }), [year, content]);
 
   // delete whole category
   const deleteAwardCategory = async (category) => {
-    if (!window.confirm(`Delete entire category "${category}"? This will remove all three slots.`)) return;
+    if (!window.confirm(`Delete entire category "${category}"? It will be moved to the trash with all its placements.`)) return;
     if (!isAuthenticated) return setMessage('Login required');
     setLoading(true);
     try {
       const j = await api(`/api/content/${year}/awards/${encodeURIComponent(category)}`, { method: 'DELETE' });
       setContent(j);
-      setMessage(`Category "${category}" deleted`);
+      setMessage(`Category "${category}" moved to trash`);
     } catch (e) {
       console.error('Delete category error', e);
     } finally {
@@ -75,6 +111,41 @@ export default function AdminPanel() {
     }
   };
 
+  // delete one placement (moved to the trash) / move a placement up or down
+  const deletePlacement = async (category, placement) => {
+    if (!window.confirm(`Delete "${placement.label}" from "${category}"? It will be moved to the trash.`)) return;
+    try {
+      const j = await api(`/api/content/${year}/awards/${encodeURIComponent(category)}/placements/${placement._id}`, { method: 'DELETE' });
+      setContent(j);
+      setMessage(`"${placement.label}" moved to trash`);
+    } catch (e) {
+      console.error('deletePlacement', e);
+    }
+  };
+
+  const movePlacement = async (cat, index, delta) => {
+    const order = cat.placements.map(p => p._id);
+    const [id] = order.splice(index, 1);
+    order.splice(index + delta, 0, id);
+    try {
+      const j = await api(`/api/content/${year}/awards/${encodeURIComponent(cat.category)}/placements/order`, { method: 'PUT', json: true, body: JSON.stringify({ order }) });
+      setContent(j);
+    } catch (e) {
+      console.error('movePlacement', e);
+    }
+  };
+
+  // schedule when a category's results go public (null clears it)
+  const scheduleCategory = async (category, publishAt) => {
+    try {
+      const j = await api(`/api/content/${year}/schedule`, { method: 'PUT', json: true, body: JSON.stringify({ category, publishAt }) });
+      setContent(j);
+      setMessage(publishAt ? `"${category}" goes public at ${new Date(publishAt).toLocaleString()}` : `Schedule for "${category}" cleared`);
+    } catch (e) {
+      console.error('scheduleCategory', e);
+    }
+  };
+
   // rename category (tries PUT — if backend doesn't support this you can switch to fallback)
   const renameCategory = async (oldCategory) => {
     const newName = window.prompt('Rename category', oldCategory);
@@ -97,13 +168,22 @@ export default function AdminPanel() {
     }
   };
 
-  // quick-edit: populate award form to edit any slot in a category (slot-level edit)
-  const startEditCategory = (category, role, person = {}) => {
+  // quick-edit: populate award form to edit a placement of a category (no placement = add a new one)
+  const startEditCategory = (category, person = {}) => {
     setAwardForm({
+      ...EMPTY_AWARD_FORM,
       category: category || '',
-      role: role || 'winner',
+      placementId: person?._id || '',
+      label: sanitize(person?.label),
       name: sanitize(person?.name),
-      photo: null,
+      filmTitle: sanitize(person?.filmTitle),
+      director: sanitize(person?.director),
+      country: sanitize(person?.country),
+      runtime: sanitize(person?.runtime),
+      synopsis: sanitize(person?.synopsis),
+      trailer: sanitize(person?.trailer?.url),
+      film: person?.film || '',
+      person: person?.person || '',
     });
     setEditingSlot(true);
     // scroll to the form
@@ -111,36 +191,44 @@ export default function AdminPanel() {
     if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
   };
 
+  // link a catalogue film to the placement; its details fill the film fields that are still empty
+  const chooseAwardFilm = (id) => {
+    const film = films.find(f => f._id === id);
+    if (!film) return setAwardForm({ ...awardForm, film: '' });
+    const director = (film.credits || []).find(c => /direct/i.test(c.role))?.name;
+    const fromFilm = { filmTitle: film.title, director, country: film.country, runtime: film.runtime, synopsis: film.synopsis, trailer: film.trailer?.url };
+    const filled = Object.fromEntries(Object.entries(fromFilm).filter(([key, value]) => value && !awardForm[key]));
+    setAwardForm({ ...awardForm, ...filled, film: id });
+  };
+
   const cancelEdit = () => {
-    setAwardForm({ category: '', role: 'winner', name: '', photo: null });
+    setAwardForm(EMPTY_AWARD_FORM);
     setEditingSlot(false);
   };
 
   /* ---------- auth ---------- */
-  useEffect(() => { if (authToken) (async () => { try { const j = await api('/api/auth/me'); setCurrentUser(j.user || j); } catch(e){} })(); }, [authToken]);
   const handleLogin = async (e) => {
     e?.preventDefault();
     setMessage(''); setLoading(true);
-    try {
-      const res = await fetch(`${API_BASE}/api/auth/login`, {
-        method: 'POST', headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: loginEmail, password: loginPassword }),
-      });
-      const j = await res.json();
-      if (!res.ok) return setMessage(j.message || 'Login failed');
-      saveAuth(j.token); setCurrentUser(j.user || null); setMessage('Logged in');
-    } catch (err) { setMessage(err.message || 'Login error'); }
-    finally { setLoading(false); }
+    const result = await login(loginEmail, loginPassword);
+    setMessage(result.success ? 'Logged in' : (result.error || 'Login failed'));
+    setLoading(false);
+  };
+  const handleLogout = async () => { await logout(); setMessage('Logged out'); navigate('/'); };
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    const result = await logoutAll();
+    if (result.success) navigate('/');
   };
-  const handleLogout = () => { saveAuth(''); setCurrentUser(null); setMessage('Logged out'); navigate('/'); };
 
   /* ---------- content fetch & year ---------- */
   const fetchContent = async () => {
     if (!isAuthenticated) return setMessage('Login required');
     setLoading(true); setMessage('');
     try {
-      const j = await api(`/api/content/${year}`);
-      setContent(j); setVideoInput(j.videoLink || '');
+      // the admin edits the draft; /api/content/:year is the published copy
+      const j = await api(`/api/content/${year}/draft`);
+      setContent(j);
     } catch (e) {
       if (e.status === 404) { setContent(null); setMessage(`No content for ${year}. Create one.`); }
     } finally { setLoading(false); }
@@ -152,50 +240,64 @@ export default function AdminPanel() {
     catch (e) {} finally { setLoading(false); }
   };
 
-  /* ---------- video ---------- */
-  const updateVideo = async (e) => {
-    e?.preventDefault();
-    if (!isAuthenticated) return setMessage('Login required');
-    setLoading(true);
-    try { const j = await api(`/api/content/${year}/video`, { method: 'PUT', json: true, body: JSON.stringify({ videoLink: videoInput }) }); setContent(j); setMessage('Video updated'); }
-    catch (e) { console.error('updateVideo', e); } finally { setLoading(false); }
-  };
-
   /* ---------- photos & partners (upload/delete) ---------- */
   const handleFiles = (files, setFiles, setPreview) => {
     const arr = Array.from(files);
     setFiles(arr);
     setPreview(arr.map(f => URL.createObjectURL(f)));
   };
-  const uploadFiles = async (endpoint, files, clearFn) => {
+  // the server uploads the valid files and returns the others as `rejected` ({ index, message });
+  // settle(rejected) updates the queue
+  const uploadFiles = async (endpoint, files, settle) => {
     if (!isAuthenticated) return setMessage('Login required');
     if (!files.length) return setMessage('Choose at least one file');
     const fd = new FormData();
     files.forEach(f => fd.append(endpoint.includes('photos') ? 'photos' : 'logos', f));
+    if (endpoint.includes('photos')) fd.append('captions', JSON.stringify(files.map((_, i) => photoCaptions[i] || '')));
+    // uploading while an album is shown puts the photos in that album
+    if (endpoint.includes('photos') && albumFilter && albumFilter !== 'none') fd.append('album', albumFilter);
     setLoading(true);
-    try { const j = await api(`/api/content/${year}/${endpoint}`, { method: 'POST', body: fd }); setContent(j); clearFn(); setMessage('Uploaded'); }
-    catch (e) { console.error('uploadFiles', e); } finally { setLoading(false); }
+    try {
+      const { rejected = [], ...j } = await api(`/api/content/${year}/${endpoint}`, { method: 'POST', body: fd });
+      setContent(j);
+      settle(rejected);
+      setMessage(rejected.length ? `Uploaded ${files.length - rejected.length} of ${files.length}; see the files left in the queue` : 'Uploaded');
+    } catch (e) {
+      console.error('uploadFiles', e);
+      if (e.body?.rejected) settle(e.body.rejected);
+    } finally { setLoading(false); }
+  };
+  // after an upload only the rejected files stay queued, each with the server's reason
+  const keepRejected = (rejected, queues, setErrors) => {
+    const keep = new Set(rejected.map(r => r.index));
+    queues.forEach(([values, setValues]) => setValues(values.filter((_, i) => keep.has(i))));
+    setErrors([...rejected].sort((a, b) => a.index - b.index).map(r => r.message));
   };
   const deleteResource = async (type, id) => {
-    if (!window.confirm('Delete?')) return;
+    if (!window.confirm('Move to trash?')) return;
     if (!isAuthenticated) return setMessage('Login required');
     setLoading(true);
-    try { const j = await api(`/api/content/${year}/${type}/${id}`, { method: 'DELETE' }); setContent(j); setMessage('Deleted'); }
+    try { const j = await api(`/api/content/${year}/${type}/${id}`, { method: 'DELETE' }); setContent(j); setMessage('Moved to trash'); }
     catch (e) { console.error('deleteResource', e); } finally { setLoading(false); }
   };
 
   /* ---------- delete selected photos ---------- */
   const deleteSelectedPhotos = async () => {
     if (!selectedPhotos.length) return setMessage('Select photos to delete');
-    if (!window.confirm(`Delete ${selectedPhotos.length} photo(s)?`)) return;
+    if (!window.confirm(`Move ${selectedPhotos.length} photo(s) to trash?`)) return;
     if (!isAuthenticated) return setMessage('Login required');
     setLoading(true);
-    let count = 0;
-    for (const id of selectedPhotos) {
-      try { await api(`/api/content/${year}/photos/${id}`, { method: 'DELETE' }); count++; }
-      catch (e) { break; }
+    // one request, one trash item: the selection is restored together
+    try {
+      const { trashed, missing = [], ...j } = await api(`/api/content/${year}/photos/trash`, { method: 'POST', json: true, body: JSON.stringify({ ids: selectedPhotos }) });
+      setContent(j);
+      setSelectedPhotos([]);
+      setMessage(`Moved ${trashed} photo(s) to trash${missing.length ? `; ${missing.length} could not be found (already deleted?)` : ''}`);
+    } catch (e) {
+      console.error('deleteSelectedPhotos', e);
+    } finally {
+      setLoading(false);
     }
-    setSelectedPhotos([]); setMessage(`Deleted ${count}`); setLoading(false); fetchContent();
   };
 
   /* ---------- awards ---------- */
@@ -209,7 +311,7 @@ export default function AdminPanel() {
     try {
       const fd = new FormData();
       fd.append('category', category);
-      fd.append('role', 'winner');
+      fd.append('label', 'Winner');
       fd.append('name', ''); // empty winner placeholder
       const j = await api(`/api/content/${year}/awards`, { method: 'POST', body: fd });
       setContent(j);
@@ -229,14 +331,19 @@ export default function AdminPanel() {
     if (!editingSlot) return setMessage('Use the Create Category action to add new categories');
     const fd = new FormData();
     fd.append('category', awardForm.category);
-    fd.append('role', awardForm.role);
+    if (awardForm.placementId) fd.append('placementId', awardForm.placementId);
+    fd.append('label', awardForm.label);
     fd.append('name', awardForm.name);
+    AWARD_FILM_FIELDS.forEach(field => fd.append(field, awardForm[field]));
+    fd.append('film', awardForm.film);
+    fd.append('person', awardForm.person);
     if (awardForm.photo) fd.append('photo', awardForm.photo);
+    if (awardForm.poster) fd.append('poster', awardForm.poster);
     setLoading(true);
     try {
       const j = await api(`/api/content/${year}/awards`, { method: 'POST', body: fd });
       setContent(j);
-      setAwardForm({ category: '', role: 'winner', name: '', photo: null });
+      setAwardForm(EMPTY_AWARD_FORM);
       setEditingSlot(false);
       setMessage('Award updated');
     } catch (e) {
@@ -250,16 +357,45 @@ export default function AdminPanel() {
   const removeFromQueue = (idx, files, previews, setFiles, setPreview) => {
     setFiles(files.filter((_, i) => i !== idx));
     setPreview(previews.filter((_, i) => i !== idx));
+    if (files === photoFiles) {
+      setPhotoCaptions(photoCaptions.filter((_, i) => i !== idx));
+      setPhotoErrors(photoErrors.filter((_, i) => i !== idx));
+    }
+    if (files === partnerFiles) setPartnerErrors(partnerErrors.filter((_, i) => i !== idx));
+  };
+
+  /* ---------- photo order & details ---------- */
+  const reorderPhotos = async (visibleOrder) => {
+    // with an album filter only part of the photos is visible: keep the others where they are
+    const visible = new Set(visibleOrder);
+    let next = 0;
+    const order = content.photos.map(p => (visible.has(p.public_id) ? visibleOrder[next++] : p.public_id));
+    try { const j = await api(`/api/content/${year}/photos/order`, { method: 'PUT', json: true, body: JSON.stringify({ order }) }); setContent(j); setMessage('Photo order saved'); }
+    catch (e) { console.error('reorderPhotos', e); fetchContent(); }
+  };
+  const savePhotoDetails = async (publicId, details) => {
+    try { const j = await api(`/api/content/${year}/photos/${publicId}`, { method: 'PUT', json: true, body: JSON.stringify(details) }); setContent(j); setMessage('Photo updated'); }
+    catch (e) { console.error('savePhotoDetails', e); }
   };
 
   /* ---------- photo selection ---------- */
+  const visiblePhotos = (content?.photos || []).filter(p => {
+    if (!albumFilter) return true;
+    if (albumFilter === 'none') return !p.album;
+    return p.album === albumFilter;
+  });
   const togglePhotoSelection = (id) => setSelectedPhotos(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
-  const selectAllPhotos = () => content?.photos && setSelectedPhotos(content.photos.map(p => p.public_id));
+  const selectAllPhotos = () => setSelectedPhotos(visiblePhotos.map(p => p.public_id));
   const deselectAllPhotos = () => setSelectedPhotos([]);
 
   /* ---------- effects ---------- */
-  useEffect(() => { if (year && isAuthenticated) fetchContent(); }, [year, isAuthenticated]);
+  useEffect(() => { setAlbumFilter(''); if (year && isAuthenticated) fetchContent(); }, [year, isAuthenticated]);
   useEffect(() => { if (authToken) fetchContent(); }, []); // attempt load on mount when token exists
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    api('/api/admin/films').then(setFilms).catch(e => console.error('films', e));
+    api('/api/admin/people').then(setPeople).catch(e => console.error('people', e));
+  }, [isAuthenticated, api]);
   useEffect(() => {
     return () => {
       photoPreview.forEach(URL.revokeObjectURL);
@@ -288,7 +424,6 @@ export default function AdminPanel() {
     );
   }
 
-  const getAward = (a, k) => (a && a[k]) ? a[k] : null;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6 mt-[7rem]">
@@ -303,6 +438,7 @@ export default function AdminPanel() {
     <div className="text-center sm:text-right">
       <div className="text-sm text-slate-600">Signed in as</div>
       <div className="font-semibold text-sm truncate max-w-[180px]">{currentUser?.email || currentUser}</div>
+      {currentUser?.role && <div className="text-xs text-slate-500 capitalize">{currentUser.role}</div>}
     </div>
 
     <button
@@ -312,6 +448,14 @@ export default function AdminPanel() {
     >
       <LogOut className="w-4 h-4" /> <span className="hidden sm:inline">Logout</span>
     </button>
+    {currentUser?.id && (
+      <button
+        onClick={handleLogoutAll}
+        className="w-full sm:w-auto px-4 py-2 bg-slate-200 text-slate-700 rounded text-sm"
+      >
+        Sign out all devices
+      </button>
+    )}
   </div>
 </header>
 
@@ -338,13 +482,15 @@ export default function AdminPanel() {
       >
         Load Content
       </button>
-      <button
-        onClick={createYear}
-        className="w-full sm:w-auto px-4 py-3 bg-green-600 text-white rounded flex items-center justify-center gap-2 text-sm sm:text-base"
-      >
-        <Plus className="w-4" />
-        Create Year
-      </button>
+      {canEdit && (
+        <button
+          onClick={createYear}
+          className="w-full sm:w-auto px-4 py-3 bg-green-600 text-white rounded flex items-center justify-center gap-2 text-sm sm:text-base"
+        >
+          <Plus className="w-4" />
+          Create Year
+        </button>
+      )}
     </div>
   </div>
 
@@ -360,27 +506,35 @@ export default function AdminPanel() {
 
 
         {message && <div className="mb-6 p-4 bg-amber-50 rounded">{message}</div>}
+        {!canEdit && <div className="mb-6 p-4 bg-slate-200 rounded text-sm text-slate-700">You have read-only access. Ask an admin if you need to change content.</div>}
+
+        {content && (
+          <PublishSection
+            api={api}
+            year={year}
+            content={content}
+            canPublish={can('content:publish')}
+            previewing={previewing}
+            onTogglePreview={() => setPreviewing(v => !v)}
+            onContentChange={setContent}
+            setMessage={setMessage}
+          />
+        )}
+        {previewing && content && (
+          <div className="bg-white rounded-xl overflow-hidden mb-6 border-4 border-dashed border-emerald-300">
+            <div className="px-4 py-2 bg-emerald-50 text-sm text-emerald-800">Preview of the {year} draft as the public will see it after publishing</div>
+            <EventPage preview={preview} />
+          </div>
+        )}
 
         {/* Top panels: video & photos */}
         <div className="grid lg:grid-cols-2 gap-6 mb-6">
-          <section className="bg-white rounded-xl p-6">
-            <div className="flex items-center gap-2 mb-4"><Video className="w-5 h-5 text-purple-600"/> <h2 className="text-xl font-semibold">Event Video</h2></div>
-            {content?.videoLink ? (
-              <>
-                <div className="aspect-video rounded overflow-hidden mb-3 bg-slate-100"><iframe src={content.videoLink} title="Event Video" className="w-full h-full" frameBorder="0" allowFullScreen /></div>
-                <p className="text-xs text-slate-500 truncate">Current: {content.videoLink}</p>
-              </>
-            ) : <div className="p-8 bg-slate-50 rounded text-center">No video set for {year}</div>}
-            <form onSubmit={updateVideo} className="mt-3 space-y-2">
-              <input value={videoInput} onChange={e=>setVideoInput(e.target.value)} placeholder="YouTube link or embed URL" className="w-full p-3 border rounded" />
-              <button className="w-full py-3 bg-purple-600 text-white rounded flex items-center justify-center gap-2"><Upload className="w-4" />Update Video</button>
-            </form>
-          </section>
+          <VideosSection api={api} authFetch={authFetch} year={year} content={content} canEdit={canEdit} onChange={setContent} setMessage={setMessage} />
 
           <section className="bg-white rounded-xl p-6">
             <div className="flex items-center justify-between mb-4">
               <div className="flex items-center gap-2"><Image className="w-5 h-5 text-pink-600"/><h2 className="text-xl font-semibold">Event Photos</h2></div>
-              {content?.photos?.length > 0 && (
+              {canEdit && content?.photos?.length > 0 && (
                 <div className="flex items-center gap-2">
                   <button onClick={selectAllPhotos} className="text-xs px-3 py-1 bg-slate-200 rounded">Select All</button>
                   {selectedPhotos.length > 0 && <>
@@ -391,16 +545,24 @@ export default function AdminPanel() {
               )}
             </div>
 
-            {content?.photos?.length > 0 ? (
-              <div className="grid grid-cols-3 gap-3 mb-4 max-h-100 overflow-y-auto">
-                {content.photos.map(p => (
-                  <div key={p.public_id} className={`relative group border-2 rounded overflow-hidden cursor-pointer ${selectedPhotos.includes(p.public_id) ? 'border-pink-500 ring-2' : 'border-slate-200'}`} onClick={() => togglePhotoSelection(p.public_id)}>
-                    <img src={p.url} alt={p.caption || ''} className="w-full h-28 object-cover" />
-                    {selectedPhotos.includes(p.public_id) && <div className="absolute inset-0 bg-pink-500 bg-opacity-30 flex items-center justify-center"><div className="w-8 h-8 bg-pink-600 rounded-full flex items-center justify-center text-white font-bold">✓</div></div>}
-                    <button onClick={(e)=>{e.stopPropagation(); deleteResource('photos', p.public_id);}} className="absolute top-1 right-2 p-1 bg-red-500 text-white rounded opacity-0 group-hover:opacity-100"><Trash2 className="w-3" /></button>
-                  </div>
-                ))}
-              </div>
+            {content?.albums?.length > 0 && (
+              <select value={albumFilter} onChange={e => { setAlbumFilter(e.target.value); setSelectedPhotos([]); }} className="mb-3 p-2 border rounded text-sm">
+                <option value="">All photos ({content.photos.length})</option>
+                <option value="none">Not in an album</option>
+                {content.albums.map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+              </select>
+            )}
+
+            {visiblePhotos.length > 0 ? (
+              <PhotoGrid
+                photos={visiblePhotos}
+                canEdit={canEdit}
+                selected={selectedPhotos}
+                onToggle={togglePhotoSelection}
+                onDelete={(id) => deleteResource('photos', id)}
+                onReorder={reorderPhotos}
+                onSave={savePhotoDetails}
+              />
             ) : <div className="mb-4 p-8 bg-slate-50 rounded text-center">No photos uploaded</div>}
 
             {photoPreview.length > 0 && (
@@ -409,7 +571,9 @@ export default function AdminPanel() {
                 <div className="grid grid-cols-4 gap-2 max-h-40 overflow-y-auto">
                   {photoPreview.map((preview, idx) => (
                     <div key={idx} className="relative">
-                      <img src={preview} alt={`Preview ${idx+1}`} className="w-full h-20 object-cover rounded border-2" />
+                      <img src={preview} alt={`Preview ${idx+1}`} className={`w-full h-20 object-cover rounded border-2 ${photoErrors[idx] ? 'border-red-500' : ''}`} />
+                      <input value={photoCaptions[idx] || ''} onChange={e => setPhotoCaptions(prev => { const next = [...prev]; next[idx] = e.target.value; return next; })} placeholder="Caption" className="mt-1 w-full p-1 border rounded text-xs" />
+                      {photoErrors[idx] && <p className="mt-1 text-xs text-red-600">{photoFiles[idx]?.name}: {photoErrors[idx]}</p>}
                       <button onClick={() => removeFromQueue(idx, photoFiles, photoPreview, setPhotoFiles, setPhotoPreview)} className="absolute -top-0 -right-2 p-1 bg-red-500 text-white rounded-full shadow"><X className="w-3" /></button>
                     </div>
                   ))}
@@ -417,15 +581,30 @@ export default function AdminPanel() {
               </div>
             )}
 
-            <form onSubmit={(e)=>{e.preventDefault(); uploadFiles('photos', photoFiles, ()=>{setPhotoFiles([]); setPhotoPreview([]);})}} className="space-y-3">
-              <label className="block">
-                <input multiple type="file" accept="image/*" onChange={(e)=>handleFiles(e.target.files, setPhotoFiles, setPhotoPreview)} className="block w-full text-sm cursor-pointer" />
-              </label>
-              <button disabled={!photoFiles.length} className="w-full py-3 bg-pink-600 text-white rounded flex items-center justify-center gap-2"><Upload className="w-4"/>Upload Photos ({photoFiles.length})</button>
-            </form>
+            {canEdit && (
+              <form onSubmit={(e)=>{e.preventDefault(); uploadFiles('photos', photoFiles, (rejected) => keepRejected(rejected, [[photoFiles, setPhotoFiles], [photoPreview, setPhotoPreview], [photoCaptions, setPhotoCaptions]], setPhotoErrors))}} className="space-y-3">
+                <label className="block">
+                  <input multiple type="file" accept="image/*" onChange={(e)=>{handleFiles(e.target.files, setPhotoFiles, setPhotoPreview); setPhotoCaptions([]); setPhotoErrors([]);}} className="block w-full text-sm cursor-pointer" />
+                </label>
+                <button disabled={!photoFiles.length} className="w-full py-3 bg-pink-600 text-white rounded flex items-center justify-center gap-2"><Upload className="w-4"/>Upload Photos ({photoFiles.length}){albumFilter && albumFilter !== 'none' ? ` to ${content?.albums?.find(a => a._id === albumFilter)?.name || 'album'}` : ''}</button>
+              </form>
+            )}
           </section>
         </div>
 
+        {content && (
+          <AlbumsSection
+            api={api}
+            year={year}
+            content={content}
+            films={films}
+            canEdit={canEdit}
+            selectedPhotos={selectedPhotos}
+            onChange={(doc) => { setContent(doc); setSelectedPhotos([]); }}
+            setMessage={setMessage}
+          />
+        )}
+
         {/* Awards & Partners */}
         <section className="bg-white rounded-xl p-6">
           <div className="flex items-center gap-2 mb-4">
@@ -438,7 +617,10 @@ export default function AdminPanel() {
               {content.awards.map((a) => (
                 <div key={a.category} className="border rounded-lg p-4 bg-gradient-to-br from-amber-50 to-orange-50">
                   <div className="flex items-center justify-between mb-3">
-                    <h3 className="font-semibold">{a.category}</h3>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <h3 className="font-semibold">{a.category}</h3>
+                      <ScheduleControl publishAt={a.publishAt} onSave={(publishAt) => scheduleCategory(a.category, publishAt)} disabled={!can('content:publish')} />
+                    </div>
                     <div className="flex items-center gap-2">
                       {/* Rename category (not slot edit) */}
                       {/* <button
@@ -448,25 +630,24 @@ export default function AdminPanel() {
                       >
                         Edit Category
                       </button> */}
-                      <button
-                        type="button"
-                        onClick={() => deleteAwardCategory(a.category)}
-                        className="px-2 py-1 text-xs bg-red-500 text-white rounded"
-                      >
-                        Delete Category
-                      </button>
+                      {canEdit && (
+                        <button
+                          type="button"
+                          onClick={() => deleteAwardCategory(a.category)}
+                          className="px-2 py-1 text-xs bg-red-500 text-white rounded"
+                        >
+                          Delete Category
+                        </button>
+                      )}
                     </div>
                   </div>
 
-                  <div className="grid grid-cols-3 gap-4">
-                    {['winner','firstRunnerUp','secondRunnerUp'].map((role) => {
-                      const person = getAward(a, role);
-                      const label = role === 'winner' ? 'Winner' : role === 'firstRunnerUp' ? '1st Runner Up' : '2nd Runner Up';
-                      return (
-                        <div key={role} className="bg-white rounded-lg overflow-hidden shadow-sm border flex flex-col">
+                  <div className={`grid ${PLACEMENT_COLUMNS[Math.min(a.placements.length, 3)] || 'grid-cols-1'} gap-4`}>
+                    {a.placements.map((person, index) => (
+                        <div key={person._id} className="bg-white rounded-lg overflow-hidden shadow-sm border flex flex-col">
                           <div className="w-full h-36 bg-slate-100 flex items-center justify-center overflow-hidden">
-                            {person?.photo?.url ? (
-                              <img src={person.photo.url} alt={sanitize(person?.name) || label} className="w-full h-full object-cover" />
+                            {person.photo?.url ? (
+                              <img src={person.photo.url} alt={sanitize(person.name) || person.label} className="w-full h-full object-cover" />
                             ) : (
                               <div className="text-slate-300 flex flex-col items-center">
                                 <Award className="w-8 h-8" />
@@ -477,24 +658,35 @@ export default function AdminPanel() {
 
                           <div className="p-3 flex-1 flex flex-col justify-between">
                             <div>
-                              <div className="text-sm font-medium text-slate-800">{sanitize(person?.name) || '—'}</div>
-                              <div className="text-xs text-slate-500 mt-1">{label}</div>
+                              <div className="text-sm font-medium text-slate-800">{sanitize(person.name) || '—'}</div>
+                              {person.filmTitle && <div className="text-xs text-slate-600 italic">{person.filmTitle}</div>}
+                              <div className="text-xs text-slate-500 mt-1">{person.label}</div>
                             </div>
 
-                            <div className="mt-3 flex items-center gap-2">
-                              <button
-                                type="button"
-                                onClick={() => startEditCategory(a.category, role, person)}
-                                className="px-3 py-1 text-xs bg-amber-600 text-white rounded"
-                              >
-                                Edit
-                              </button>
-                            </div>
+                            {canEdit && (
+                              <div className="mt-3 flex flex-wrap items-center gap-2">
+                                <button
+                                  type="button"
+                                  onClick={() => startEditCategory(a.category, person)}
+                                  className="px-3 py-1 text-xs bg-amber-600 text-white rounded"
+                                >
+                                  Edit
+                                </button>
+                                <button type="button" disabled={index === 0} onClick={() => movePlacement(a, index, -1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowLeft className="w-3 h-3" /></button>
+                                <button type="button" disabled={index === a.placements.length - 1} onClick={() => movePlacement(a, index, 1)} className="p-1 bg-slate-200 rounded disabled:opacity-40"><ArrowRight className="w-3 h-3" /></button>
+                                <button type="button" onClick={() => deletePlacement(a.category, person)} className="p-1 bg-red-500 text-white rounded"><Trash2 className="w-3 h-3" /></button>
+                              </div>
+                            )}
                           </div>
                         </div>
-                      );
-                    })}
+                    ))}
+                    {!a.placements.length && <div className="p-4 bg-white rounded text-sm text-slate-500">No placements yet</div>}
                   </div>
+                  {canEdit && (
+                    <button type="button" onClick={() => startEditCategory(a.category)} className="mt-3 px-3 py-1 text-xs bg-green-600 text-white rounded flex items-center gap-1">
+                      <Plus className="w-3 h-3" />Add placement
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
@@ -502,70 +694,108 @@ export default function AdminPanel() {
             <div className="mb-6 p-8 bg-slate-50 rounded text-center">No awards added yet</div>
           )}
 
-          {/* NEW: Create Category form (only asks for category name) */}
-          <form onSubmit={createCategory} className="mb-4 space-y-3">
-            <div className="flex gap-2">
-              <input
-                value={newCategoryName}
-                onChange={(e) => setNewCategoryName(e.target.value)}
-                placeholder="Create new category (e.g., Best Picture)"
-                className="flex-1 p-3 border rounded"
-              />
-              <button type="submit" className="px-4 py-3 bg-green-600 text-white rounded flex items-center gap-2">
-                <Plus className="w-4" />
-                Create Category
-              </button>
-            </div>
-            <div className="text-xs text-slate-500">Creating a category adds an empty slot set. Use the slot "Edit" to add name/photo later.</div>
-          </form>
-
-          {/* Slot editor form — only shown when editing a slot */}
-          <form id="award-form" onSubmit={addAward} className="space-y-3">
-            <input
-              value={awardForm.category}
-              readOnly
-              placeholder="Category (select a slot to edit)"
-              className="w-full p-3 border rounded bg-slate-50"
-            />
-            <select
-              value={awardForm.role}
-              onChange={(e) => setAwardForm({ ...awardForm, role: e.target.value })}
-              className="w-full p-3 border rounded"
-              disabled={!editingSlot}
-            >
-              <option value="winner">Winner</option>
-              <option value="firstRunnerUp">1st Runner Up</option>
-              <option value="secondRunnerUp">2nd Runner Up</option>
-            </select>
-            <input
-              value={awardForm.name}
-              onChange={(e) => setAwardForm({ ...awardForm, name: e.target.value })}
-              placeholder="Name (movie / person)"
-              className="w-full p-3 border rounded"
-              disabled={!editingSlot}
-            />
-            <input
-              type="file"
-              accept="image/*"
-              onChange={(e) => setAwardForm({ ...awardForm, photo: e.target.files[0] })}
-              className="block w-full text-sm cursor-pointer"
-              disabled={!editingSlot}
-            />
-            <div className="flex gap-3">
-              <button
-                type="submit"
-                className="flex-1 py-3 bg-amber-600 text-white rounded"
-                disabled={!editingSlot}
-              >
-                {editingSlot ? 'Update Slot' : 'Select a slot to edit'}
-              </button>
-              {editingSlot && (
-                <button type="button" onClick={cancelEdit} className="py-3 px-4 bg-slate-200 rounded">
-                  Cancel
-                </button>
-              )}
-            </div>
-          </form>
+          {canEdit && (
+            <>
+              {/* NEW: Create Category form (only asks for category name) */}
+              <form onSubmit={createCategory} className="mb-4 space-y-3">
+                <div className="flex gap-2">
+                  <input
+                    value={newCategoryName}
+                    onChange={(e) => setNewCategoryName(e.target.value)}
+                    placeholder="Create new category (e.g., Best Picture)"
+                    className="flex-1 p-3 border rounded"
+                  />
+                  <button type="submit" className="px-4 py-3 bg-green-600 text-white rounded flex items-center gap-2">
+                    <Plus className="w-4" />
+                    Create Category
+                  </button>
+                </div>
+                <div className="text-xs text-slate-500">Creating a category adds an empty Winner placement. Use "Edit" to fill it in, and "Add placement" for joint winners, runners-up or mentions.</div>
+              </form>
+
+              {/* Slot editor form — only shown when editing a slot */}
+              <form id="award-form" onSubmit={addAward} className="space-y-3">
+                <input
+                  value={awardForm.category}
+                  readOnly
+                  placeholder="Category (select a placement to edit)"
+                  className="w-full p-3 border rounded bg-slate-50"
+                />
+                <input
+                  value={awardForm.label}
+                  onChange={(e) => setAwardForm({ ...awardForm, label: e.target.value })}
+                  list="placement-labels"
+                  required
+                  placeholder="Placement (e.g. Winner, Honourable Mention)"
+                  className="w-full p-3 border rounded"
+                  disabled={!editingSlot}
+                />
+                <datalist id="placement-labels">
+                  {PLACEMENT_LABELS.map(label => <option key={label} value={label} />)}
+                </datalist>
+                <input
+                  value={awardForm.name}
+                  onChange={(e) => setAwardForm({ ...awardForm, name: e.target.value })}
+                  placeholder="Name (movie / person)"
+                  className="w-full p-3 border rounded"
+                  disabled={!editingSlot}
+                />
+                {/* the winner in the people directory: their name and photo stand in for empty ones, their bio shows on the card */}
+                <select value={awardForm.person} onChange={(e) => setAwardForm({ ...awardForm, person: e.target.value })} className="w-full p-3 border rounded" disabled={!editingSlot}>
+                  <option value="">No linked person</option>
+                  {people.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                </select>
+                <label className="block text-sm text-slate-600">
+                  Photo
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setAwardForm({ ...awardForm, photo: e.target.files[0] })}
+                    className="block w-full text-sm cursor-pointer"
+                    disabled={!editingSlot}
+                  />
+                </label>
+
+                {/* the awarded film: shown on the public award card */}
+                <select value={awardForm.film} onChange={(e) => chooseAwardFilm(e.target.value)} className="w-full p-3 border rounded" disabled={!editingSlot}>
+                  <option value="">No catalogue film</option>
+                  {films.map(f => <option key={f._id} value={f._id}>{f.title}</option>)}
+                </select>
+                <div className="grid sm:grid-cols-2 gap-3">
+                  <input value={awardForm.filmTitle} onChange={(e) => setAwardForm({ ...awardForm, filmTitle: e.target.value })} placeholder="Film title" className="p-3 border rounded" disabled={!editingSlot} />
+                  <input value={awardForm.director} onChange={(e) => setAwardForm({ ...awardForm, director: e.target.value })} placeholder="Director / producer" className="p-3 border rounded" disabled={!editingSlot} />
+                  <input value={awardForm.country} onChange={(e) => setAwardForm({ ...awardForm, country: e.target.value })} placeholder="Country" className="p-3 border rounded" disabled={!editingSlot} />
+                  <input type="number" min="1" value={awardForm.runtime} onChange={(e) => setAwardForm({ ...awardForm, runtime: e.target.value })} placeholder="Runtime (minutes)" className="p-3 border rounded" disabled={!editingSlot} />
+                </div>
+                <textarea value={awardForm.synopsis} onChange={(e) => setAwardForm({ ...awardForm, synopsis: e.target.value })} placeholder="Synopsis" rows={3} className="w-full p-3 border rounded" disabled={!editingSlot} />
+                <input value={awardForm.trailer} onChange={(e) => setAwardForm({ ...awardForm, trailer: e.target.value })} placeholder="Trailer link (YouTube, Vimeo, ...)" className="w-full p-3 border rounded" disabled={!editingSlot} />
+                <label className="block text-sm text-slate-600">
+                  Poster
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setAwardForm({ ...awardForm, poster: e.target.files[0] })}
+                    className="block w-full text-sm cursor-pointer"
+                    disabled={!editingSlot}
+                  />
+                </label>
+                <div className="flex gap-3">
+                  <button
+                    type="submit"
+                    className="flex-1 py-3 bg-amber-600 text-white rounded"
+                    disabled={!editingSlot}
+                  >
+                    {!editingSlot ? 'Select a placement to edit' : awardForm.placementId ? 'Update Placement' : 'Add Placement'}
+                  </button>
+                  {editingSlot && (
+                    <button type="button" onClick={cancelEdit} className="py-3 px-4 bg-slate-200 rounded">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </form>
+            </>
+          )}
         </section>
 
         {/* Partners & Sponsors */}
@@ -577,7 +807,7 @@ export default function AdminPanel() {
               {content.partners.map(p => (
                 <div key={p.public_id} className="relative group border rounded overflow-hidden bg-slate-50 flex items-center justify-center">
                   <img src={p.url} alt="Partner logo" className="w-full h-24 object-contain p-3 bg-transparent" style={{ maxWidth: '180px' }} />
-                  <button onClick={()=>deleteResource('partners', p.public_id)} className="absolute top-2 right-2 p-1 bg-red-500 text-white rounded opacity-0 group-hover:opacity-100"><Trash2 className="w-3" /></button>
+                  {canEdit && <button onClick={()=>deleteResource('partners', p.public_id)} className="absolute top-2 right-2 p-1 bg-red-500 text-white rounded opacity-0 group-hover:opacity-100"><Trash2 className="w-3" /></button>}
                 </div>
               ))}
             </div>
@@ -588,8 +818,9 @@ export default function AdminPanel() {
               <p className="text-sm mb-2">Ready to upload ({partnerFiles.length}):</p>
               <div className="grid grid-cols-4 gap-2 max-h-40 overflow-y-auto">
                 {partnerPreview.map((preview, idx) => (
-                  <div key={idx} className="relative flex items-center justify-center bg-slate-100 rounded">
-                    <img src={preview} alt={`Preview ${idx+1}`} className="w-full h-20 object-contain rounded border-2 bg-transparent p-2" />
+                  <div key={idx} className="relative flex flex-col items-center justify-center bg-slate-100 rounded">
+                    <img src={preview} alt={`Preview ${idx+1}`} className={`w-full h-20 object-contain rounded border-2 bg-transparent p-2 ${partnerErrors[idx] ? 'border-red-500' : ''}`} />
+                    {partnerErrors[idx] && <p className="p-1 text-xs text-red-600">{partnerFiles[idx]?.name}: {partnerErrors[idx]}</p>}
                     <button onClick={()=>removeFromQueue(idx, partnerFiles, partnerPreview, setPartnerFiles, setPartnerPreview)} className="absolute -top-0 -right-2 p-1 bg-red-500 text-white rounded-full"><X className="w-3" /></button>
                   </div>
                 ))}
@@ -597,14 +828,37 @@ export default function AdminPanel() {
             </div>
           )}
 
-          <form onSubmit={(e)=>{e.preventDefault(); uploadFiles('partners', partnerFiles, ()=>{setPartnerFiles([]); setPartnerPreview([]);})}} className="space-y-3">
-            <label className="block">
-              <input multiple type="file" accept="image/*" onChange={(e)=>handleFiles(e.target.files, setPartnerFiles, setPartnerPreview)} className="block w-full text-sm cursor-pointer" />
-            </label>
-            <button disabled={!partnerFiles.length} className="w-full py-3 bg-indigo-600 text-white rounded flex items-center justify-center gap-2"><Upload className="w-4"/>Upload Logos ({partnerFiles.length})</button>
-          </form>
+          {canEdit && (
+            <form onSubmit={(e)=>{e.preventDefault(); uploadFiles('partners', partnerFiles, (rejected) => keepRejected(rejected, [[partnerFiles, setPartnerFiles], [partnerPreview, setPartnerPreview]], setPartnerErrors))}} className="space-y-3">
+              <label className="block">
+                <input multiple type="file" accept="image/*" onChange={(e)=>{handleFiles(e.target.files, setPartnerFiles, setPartnerPreview); setPartnerErrors([]);}} className="block w-full text-sm cursor-pointer" />
+              </label>
+              <button disabled={!partnerFiles.length} className="w-full py-3 bg-indigo-600 text-white rounded flex items-center justify-center gap-2"><Upload className="w-4"/>Upload Logos ({partnerFiles.length})</button>
+            </form>
+          )}
         </section>
 
+        <FilmsSection api={api} films={films} canEdit={canEdit} onChange={setFilms} setMessage={setMessage} />
+        <PeopleSection api={api} people={people} year={year} canEdit={canEdit} onChange={setPeople} setMessage={setMessage} />
+        {isAuthenticated && <ProgrammeSection api={api} year={year} films={films} people={people} canEdit={canEdit} setMessage={setMessage} />}
+
+        {content && <TrashSection api={api} year={year} refreshKey={content.updatedAt} canRestore={canEdit} canPurge={can('trash:empty')} onRestored={setContent} setMessage={setMessage} />}
+        {can('archive:manage') && <ArchiveSection api={api} authFetch={authFetch} year={year} onImported={fetchContent} setMessage={setMessage} />}
+        {can('years:delete') && (
+          <DangerZoneSection
+            api={api}
+            year={year}
+            hasContent={!!content}
+            onReset={() => { setContent(null); setPreviewing(false); }}
+            onRestored={setContent}
+            setMessage={setMessage}
+          />
+        )}
+        {can('users:manage') && <TeamSection api={api} currentUser={currentUser} setMessage={setMessage} />}
+        {can('users:manage') && <LockoutSection api={api} setMessage={setMessage} />}
+        {can('audit:read') && <AuditLogSection api={api} />}
+        {currentUser?.id && <ChangePasswordForm api={api} setMessage={setMessage} />}
+
       </div>
     </div>
 
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Award, Images, Clock } from 'lucide-react';
+import ResponsiveImage from '../components/ResponsiveImage';
+import VideoPlayer from '../components/VideoPlayer';
+import { SdgTag, SDG_GOALS } from './FilmsScreen';
+import { formatSessionTime } from './ProgrammeScreen';
+
+const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5001';
+
+// Public page of one catalogue film: details, trailer and every edition it was selected or awarded in
+function FilmScreen() {
+  const { slug } = useParams();
+  const [film, setFilm] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    setFilm(null);
+    setError('');
+    fetch(`${API_BASE}/api/films/${encodeURIComponent(slug)}`)
+      .then(res => {
+        if (res.status === 404) throw new Error('This film is not in the catalogue');
+        if (!res.ok) throw new Error(`Failed to load the film (${res.status})`);
+        return res.json();
+      })
+      .then(doc => { if (mounted) setFilm(doc); })
+      .catch(err => {
+        console.error('film', slug, err);
+        if (mounted) setError(err.message);
+      });
+    return () => { mounted = false; };
+  }, [slug]);
+
+  const facts = film ? [film.country, film.productionYear, film.runtime && `${film.runtime} min`].filter(Boolean) : [];
+
+  return (
+    <section className="my-[6.5rem]">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 xl:px-12 max-w-5xl">
+        <Link to="/films" className="inline-flex items-center gap-1 mb-6 text-sm font-medium text-[rgba(10,151,217,1)]">
+          <ArrowLeft className="w-4 h-4" />All films
+        </Link>
+
+        {error && <p className="text-center text-red-600">{error}</p>}
+        {!film && !error && <p className="text-center text-gray-500">Loading…</p>}
+
+        {film && (
+          <div className="space-y-10 text-left">
+            <div className="flex flex-col md:flex-row gap-8">
+              {film.poster?.url && (
+                <ResponsiveImage
+                  image={film.poster}
+                  sizes="(min-width: 768px) 288px, 100vw"
+                  alt={`${film.title} poster`}
+                  className="w-full md:w-72 shrink-0 rounded-lg"
+                  imgClassName="w-full h-auto"
+                />
+              )}
+              <div className="space-y-4">
+                <h1 className="text-3xl font-bold text-gray-800">{film.title}</h1>
+                {facts.length > 0 && <p className="text-gray-500">{facts.join(' · ')}</p>}
+                {film.sdgTags?.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {film.sdgTags.map(goal => (
+                      <span key={goal} className="flex items-center gap-1 text-sm text-gray-600">
+                        <SdgTag goal={goal} />{SDG_GOALS[goal]?.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {film.synopsis && <p className="text-gray-700 whitespace-pre-line">{film.synopsis}</p>}
+                {film.credits?.length > 0 && (
+                  <dl className="grid grid-cols-[auto,1fr] gap-x-4 gap-y-1 text-sm">
+                    {film.credits.map((credit, i) => (
+                      <React.Fragment key={i}>
+                        <dt className="text-gray-500">{credit.role}</dt>
+                        <dd className="text-gray-800">{credit.name}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                )}
+              </div>
+            </div>
+
+            {film.trailer?.url && (
+              <div className="aspect-video rounded-lg overflow-hidden bg-gray-200">
+                <VideoPlayer video={{ ...film.trailer, title: `${film.title} trailer` }} className="w-full h-full" />
+              </div>
+            )}
+
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-4">At the festival</h2>
+              {(film.editions || []).length === 0 && <p className="text-gray-500">Not part of a published edition yet.</p>}
+              <div className="space-y-4">
+                {(film.editions || []).map(edition => (
+                  <div key={edition.year} className="p-4 bg-white rounded-lg shadow-sm">
+                    <Link to={`/?year=${edition.year}`} className="text-lg font-semibold text-[rgba(63,126,68,1)] hover:underline">{edition.year}</Link>
+                    {edition.sections.length > 0 && <p className="text-gray-600">{edition.sections.join(' · ')}</p>}
+                    {edition.awards.map(award => (
+                      <p key={`${award.category}/${award.label}`} className="flex items-center gap-2 text-gray-800">
+                        <Award className="w-4 h-4 text-[rgba(253,105,37,1)]" />
+                        {award.label}, {award.category}{award.name && ` (${award.name})`}
+                      </p>
+                    ))}
+                    {(edition.screenings || []).map(screening => (
+                      <p key={screening._id} className="flex items-center gap-2 text-gray-700">
+                        <Clock className="w-4 h-4 text-[rgba(162,25,66,1)]" />
+                        <Link to="/programme" className="hover:underline">{formatSessionTime(screening, film.timeZone || undefined)}</Link>
+                        {screening.venue && <span className="text-gray-500">· {screening.venue}</span>}
+                      </p>
+                    ))}
+                    {edition.albums.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {edition.albums.map(album => (
+                          <Link
+                            key={album._id}
+                            to={`/?year=${edition.year}&album=${album._id}`}
+                            className="flex items-center gap-2 px-3 py-1 rounded-full text-sm text-gray-700 bg-gray-100 hover:bg-gray-200"
+                          >
+                            {album.coverUrl ? <img src={album.coverUrl} alt="" className="w-6 h-6 rounded-full object-cover" /> : <Images className="w-4 h-4" />}
+                            {album.name} ({album.count})
+                          </Link>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default FilmScreen;
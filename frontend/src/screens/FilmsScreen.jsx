@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Search, Film } from 'lucide-react';
+import ResponsiveImage from '../components/ResponsiveImage';
+
+const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5001';
+
+// the 17 Sustainable Development Goals, by number, with their official colours
+export const SDG_GOALS = {
+  1: { name: 'No Poverty', color: '#E5243B' },
+  2: { name: 'Zero Hunger', color: '#DDA63A' },
+  3: { name: 'Good Health and Well-being', color: '#4C9F38' },
+  4: { name: 'Quality Education', color: '#C5192D' },
+  5: { name: 'Gender Equality', color: '#FF3A21' },
+  6: { name: 'Clean Water and Sanitation', color: '#26BDE2' },
+  7: { name: 'Affordable and Clean Energy', color: '#FCC30B' },
+  8: { name: 'Decent Work and Economic Growth', color: '#A21942' },
+  9: { name: 'Industry, Innovation and Infrastructure', color: '#FD6925' },
+  10: { name: 'Reduced Inequalities', color: '#DD1367' },
+  11: { name: 'Sustainable Cities and Communities', color: '#FD9D24' },
+  12: { name: 'Responsible Consumption and Production', color: '#BF8B2E' },
+  13: { name: 'Climate Action', color: '#3F7E44' },
+  14: { name: 'Life Below Water', color: '#0A97D9' },
+  15: { name: 'Life on Land', color: '#56C02B' },
+  16: { name: 'Peace, Justice and Strong Institutions', color: '#00689D' },
+  17: { name: 'Partnerships for the Goals', color: '#19486A' },
+};
+
+// "SDG 13" chip in the goal's colour
+export const SdgTag = ({ goal }) => (
+  <span
+    title={SDG_GOALS[goal]?.name}
+    className="inline-block px-2 py-0.5 rounded text-xs font-semibold text-white"
+    style={{ backgroundColor: SDG_GOALS[goal]?.color || '#666' }}
+  >
+    SDG {goal}
+  </span>
+);
+
+// "Winner, Best Documentary" / "Official Selection" line of one of a film's editions
+export const editionSummary = (edition) => [
+  ...edition.awards.map(a => `${a.label}, ${a.category}`),
+  ...edition.sections,
+].join(' · ') || (edition.screenings ? 'Screened' : 'Featured');
+
+// Public film catalogue: every film of every edition, searchable and filterable by SDG
+function FilmsScreen() {
+  const [films, setFilms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [goal, setGoal] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    fetch(`${API_BASE}/api/films`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to load films (${res.status})`);
+        return res.json();
+      })
+      .then(list => { if (mounted) setFilms(list); })
+      .catch(err => {
+        console.error('films', err);
+        if (mounted) setError('Could not load the films');
+      })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, []);
+
+  const needle = query.trim().toLowerCase();
+  const shown = films.filter(film =>
+    (!needle || [film.title, film.country].some(text => (text || '').toLowerCase().includes(needle)))
+    && (!goal || (film.sdgTags || []).includes(Number(goal))));
+
+  return (
+    <section className="my-[6.5rem]">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 xl:px-12">
+        <div className="text-center mb-12">
+          <div className="relative inline-block">
+            <h2 className="md:px-32 px-16 py-3 text-2xl font-bold text-white flex items-center gap-2 bg-[rgba(38,189,226,1)]">
+              Films
+            </h2>
+            <div className="absolute left-1/2 transform -translate-x-1/2 mt-1">
+              <div className="w-0 h-0 border-l-[14px] border-r-[14px] border-t-[14px] border-l-transparent border-r-transparent border-t-[rgba(38,189,226,1)]"></div>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3 mb-8 max-w-3xl mx-auto">
+          <label className="flex-1 flex items-center gap-2 px-3 border rounded-lg bg-white">
+            <Search className="w-4 h-4 text-gray-400" />
+            <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search by title or country" className="w-full py-2 outline-none" />
+          </label>
+          <select value={goal} onChange={e => setGoal(e.target.value)} className="px-3 py-2 border rounded-lg bg-white">
+            <option value="">All SDGs</option>
+            {Object.entries(SDG_GOALS).map(([number, { name }]) => <option key={number} value={number}>SDG {number}: {name}</option>)}
+          </select>
+        </div>
+
+        {loading && <p className="text-center text-gray-500">Loading films…</p>}
+        {error && <p className="text-center text-red-600">{error}</p>}
+        {!loading && !error && shown.length === 0 && <p className="text-center text-gray-500">No films match.</p>}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+          {shown.map(film => (
+            <Link key={film._id} to={`/films/${film.slug}`} className="group text-left bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow overflow-hidden">
+              <div className="aspect-[2/3] bg-gray-200">
+                {film.poster?.url ? (
+                  <ResponsiveImage
+                    image={film.poster}
+                    sizes="(min-width: 1280px) 25vw, (min-width: 640px) 50vw, 100vw"
+                    alt={`${film.title} poster`}
+                    loading="lazy"
+                    className="w-full h-full"
+                    imgClassName="w-full h-full object-cover"
+                  />
+                ) : <div className="w-full h-full flex items-center justify-center"><Film className="w-10 h-10 text-gray-400" /></div>}
+              </div>
+              <div className="p-4 space-y-2">
+                <h3 className="font-semibold text-gray-800 group-hover:text-[rgba(38,189,226,1)]">{film.title}</h3>
+                <p className="text-sm text-gray-500">{[film.country, film.productionYear].filter(Boolean).join(' · ')}</p>
+                {film.sdgTags?.length > 0 && <div className="flex flex-wrap gap-1">{film.sdgTags.map(g => <SdgTag key={g} goal={g} />)}</div>}
+                {film.editions.map(edition => (
+                  <p key={edition.year} className="text-xs text-gray-600"><strong>{edition.year}</strong> {editionSummary(edition)}</p>
+                ))}
+              </div>
+            </Link>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default FilmsScreen;
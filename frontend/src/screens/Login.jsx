@@ -19,6 +19,9 @@ export default function Login() {
     email: '',
     password: ''
   });
+  // set when the server throttles us (429); the form stays disabled until then
+  const [retryAt, setRetryAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
   // Redirect to admin panel if already authenticated
   useEffect(() => {
@@ -27,6 +30,16 @@ export default function Login() {
     }
   }, [isAuthenticated, navigate]);
 
+  // tick once a second while throttled so the countdown stays current
+  useEffect(() => {
+    if (!retryAt) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryAt) setRetryAt(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
   const handleLoginSubmit = async (e) => {
     e.preventDefault();
     const result = await login(loginForm.email, loginForm.password);
@@ -34,9 +47,17 @@ export default function Login() {
     // If login was successful, redirect to admin panel
     if (result.success) {
       navigate('/admin');
+    } else if (result.retryAfter) {
+      setRetryAt(Date.now() + result.retryAfter * 1000);
+      setNow(Date.now());
     }
   };
 
+  const secondsLeft = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+  const waitLabel = secondsLeft >= 60
+    ? `${Math.ceil(secondsLeft / 60)} minute${Math.ceil(secondsLeft / 60) === 1 ? '' : 's'}`
+    : `${secondsLeft} second${secondsLeft === 1 ? '' : 's'}`;
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setLoginForm(prev => ({
@@ -75,7 +96,11 @@ export default function Login() {
     <div className="p-6 max-w-md mx-auto">
       <h1 className="text-2xl font-bold mb-6 text-center">Admin Login</h1>
 
-      {message && (
+      {retryAt ? (
+        <div className="mb-4 p-3 rounded bg-red-50 border border-red-200 text-red-800">
+          Too many failed login attempts. Try again in {waitLabel}.
+        </div>
+      ) : message && (
         <div className={`mb-4 p-3 rounded ${
           message.includes('successful') || message.includes('Login') 
             ? 'bg-green-50 border border-green-200 text-green-800' 
@@ -126,7 +151,7 @@ export default function Login() {
           <div className="flex gap-3">
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || !!retryAt}
               className="flex-1 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {loading ? 'Logging in...' : 'Login'}
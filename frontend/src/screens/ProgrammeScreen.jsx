@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin, Clock } from 'lucide-react';
+
+const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5001';
+
+export const SESSION_TYPE_LABELS = { screening: 'Screening', panel: 'Panel', workshop: 'Workshop', ceremony: 'Ceremony' };
+const SESSION_TYPE_COLORS = {
+  screening: 'bg-[rgba(38,189,226,1)]',
+  panel: 'bg-[rgba(253,105,37,1)]',
+  workshop: 'bg-[rgba(63,126,68,1)]',
+  ceremony: 'bg-[rgba(197,25,45,1)]',
+};
+
+// day and times of the programme, in the festival's timezone when the server sets one (else the visitor's)
+const dayKeyOf = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+const formatDay = (date, timeZone) => new Date(date).toLocaleDateString(undefined, { timeZone, weekday: 'short', day: 'numeric', month: 'short' });
+const formatTime = (date, timeZone) => new Date(date).toLocaleTimeString(undefined, { timeZone, hour: '2-digit', minute: '2-digit' });
+
+// "Sat 14 Jun, 18:00 – 19:30"
+export const formatSessionTime = (session, timeZone) => `${formatDay(session.startsAt, timeZone)}, ${formatTime(session.startsAt, timeZone)} – ${formatTime(session.endsAt, timeZone)}`;
+
+// Public festival programme: a year's sessions day by day, filterable by venue and type
+function ProgrammeScreen() {
+  const [years, setYears] = useState([]);
+  const [year, setYear] = useState(null);
+  const [programme, setProgramme] = useState(null); // { timeZone, sessions, venues, films, people }
+  const [day, setDay] = useState('');
+  const [venue, setVenue] = useState('');
+  const [type, setType] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    fetch(`${API_BASE}/api/programme`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to load the programme (${res.status})`);
+        return res.json();
+      })
+      .then(j => {
+        if (!mounted) return;
+        setYears(j.years || []);
+        if (j.years?.length) setYear(j.years[0]);
+        else setError('The programme has not been announced yet');
+      })
+      .catch(err => {
+        console.error('programme years', err);
+        if (mounted) setError('Could not load the programme');
+      });
+    return () => { mounted = false; };
+  }, []);
+
+  useEffect(() => {
+    if (!year) return;
+    let mounted = true;
+    setProgramme(null);
+    fetch(`${API_BASE}/api/programme/${year}`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to load the programme (${res.status})`);
+        return res.json();
+      })
+      .then(j => {
+        if (!mounted) return;
+        setProgramme(j);
+        // open on today during the festival, else on its first day
+        const days = [...new Set(j.sessions.map(s => dayKeyOf(s.startsAt, j.timeZone || undefined)))];
+        const today = dayKeyOf(new Date(), j.timeZone || undefined);
+        setDay(days.includes(today) ? today : days[0] || '');
+        setVenue('');
+        setType('');
+      })
+      .catch(err => {
+        console.error('programme', year, err);
+        if (mounted) setError('Could not load the programme');
+      });
+    return () => { mounted = false; };
+  }, [year]);
+
+  const timeZone = programme?.timeZone || undefined;
+  const sessions = programme?.sessions || [];
+  const days = [...new Set(sessions.map(s => dayKeyOf(s.startsAt, timeZone)))];
+  const byId = (list) => Object.fromEntries((list || []).map(item => [item._id, item]));
+  const venues = byId(programme?.venues);
+  const films = byId(programme?.films);
+  const people = byId(programme?.people);
+  const shown = sessions.filter(s => dayKeyOf(s.startsAt, timeZone) === day && (!venue || s.venue === venue) && (!type || s.type === type));
+  const types = Object.keys(SESSION_TYPE_LABELS).filter(t => sessions.some(s => s.type === t));
+
+  return (
+    <section className="my-[6.5rem]">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 xl:px-12 max-w-5xl">
+        <div className="text-center mb-12">
+          <div className="relative inline-block">
+            <h2 className="md:px-32 px-16 py-3 text-2xl font-bold text-white flex items-center gap-2 bg-[rgba(162,25,66,1)]">
+              Programme{year ? ` ${year}` : ''}
+            </h2>
+            <div className="absolute left-1/2 transform -translate-x-1/2 mt-1">
+              <div className="w-0 h-0 border-l-[14px] border-r-[14px] border-t-[14px] border-l-transparent border-r-transparent border-t-[rgba(162,25,66,1)]"></div>
+            </div>
+          </div>
+        </div>
+
+        {error && <p className="text-center text-gray-500">{error}</p>}
+        {year && !programme && !error && <p className="text-center text-gray-500">Loading the programme…</p>}
+
+        {programme && (
+          <>
+            {/* Day tabs */}
+            <div className="flex overflow-x-auto whitespace-nowrap gap-2 mb-4 scrollbar-hide">
+              {days.map(key => {
+                const first = sessions.find(s => dayKeyOf(s.startsAt, timeZone) === key);
+                return (
+                  <button
+                    key={key}
+                    onClick={() => setDay(key)}
+                    className={`shrink-0 px-4 py-2 rounded-full text-sm font-medium transition-all ${
+                      day === key ? 'text-white bg-[rgba(162,25,66,1)]' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                    }`}
+                  >
+                    {formatDay(first.startsAt, timeZone)}
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-2 mb-8">
+              {years.length > 1 && (
+                <select value={year} onChange={e => setYear(Number(e.target.value))} className="px-3 py-2 border rounded-lg bg-white text-sm">
+                  {years.map(y => <option key={y} value={y}>{y}</option>)}
+                </select>
+              )}
+              <select value={venue} onChange={e => setVenue(e.target.value)} className="px-3 py-2 border rounded-lg bg-white text-sm">
+                <option value="">All venues</option>
+                {programme.venues.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+              </select>
+              {[['', 'All'], ...types.map(t => [t, SESSION_TYPE_LABELS[t]])].map(([value, label]) => (
+                <button
+                  key={value || 'all'}
+                  onClick={() => setType(value)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium ${type === value ? 'text-white bg-gray-800' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {shown.length === 0 && <p className="text-center text-gray-500">Nothing matches on this day.</p>}
+
+            <div className="space-y-4 text-left">
+              {shown.map(session => {
+                const place = venues[session.venue];
+                const sessionFilms = session.films.map(id => films[id]).filter(Boolean);
+                const speakers = session.speakers.map(id => people[id]).filter(Boolean);
+                return (
+                  <div key={session._id} className="flex flex-col sm:flex-row gap-4 p-4 bg-white rounded-lg shadow-sm">
+                    <div className="sm:w-32 shrink-0 flex sm:flex-col gap-2 sm:gap-1 text-gray-800">
+                      <span className="flex items-center gap-1 font-semibold"><Clock className="w-4 h-4" />{formatTime(session.startsAt, timeZone)}</span>
+                      <span className="text-sm text-gray-500">until {formatTime(session.endsAt, timeZone)}</span>
+                    </div>
+                    <div className="flex-1 space-y-1">
+                      <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold text-white ${SESSION_TYPE_COLORS[session.type] || 'bg-gray-500'}`}>
+                        {SESSION_TYPE_LABELS[session.type] || session.type}
+                      </span>
+                      <h3 className="text-lg font-semibold text-gray-800">{session.title}</h3>
+                      {place && (
+                        <p className="flex items-center gap-1 text-sm text-gray-600">
+                          <MapPin className="w-4 h-4" />
+                          {place.mapUrl ? <a href={place.mapUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">{place.name}</a> : place.name}
+                          {place.address && <span className="text-gray-400"> · {place.address}</span>}
+                        </p>
+                      )}
+                      {sessionFilms.length > 0 && (
+                        <p className="text-sm">
+                          {sessionFilms.map((film, i) => (
+                            <React.Fragment key={film._id}>
+                              {i > 0 && ', '}
+                              <Link to={`/films/${film.slug}`} className="italic text-[rgba(10,151,217,1)] hover:underline">{film.title}</Link>
+                              {film.runtime ? <span className="text-gray-400"> ({film.runtime} min)</span> : null}
+                            </React.Fragment>
+                          ))}
+                        </p>
+                      )}
+                      {speakers.length > 0 && <p className="text-sm text-gray-700">With {speakers.map(p => p.name).join(', ')}</p>}
+                      {session.description && <p className="text-sm text-gray-700 whitespace-pre-line">{session.description}</p>}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default ProgrammeScreen;